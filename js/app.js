@@ -11,16 +11,29 @@ const App = (function() {
         { name: 'Alina', gender: 'female', age: 5, weight: 20, height: 110, weightUnit: 'kg', heightUnit: 'cm', activityLevel: 'ACTIVE' }
     ];
     
+    // Report currently on screen ({ reportType, familyMemberId }), null until one is generated
+    let currentReport = null;
+    let reportBuild = 0; // Counts report builds, so an older build that finishes late is dropped
+    let reportRefreshPending = false; // A rebuild is waiting for the current change to finish
+    
     /**
      * Initialize the application
      * This is the entry point for the application
      */
-    function initialize() {
+    async function initialize() {
         try {
             console.log('Initializing Family Meal & Budget Tracker...');
             
-            // Initialize the data store with default values if needed
-            DataStore.initializeStorage();
+            // Set up the household switcher first, so another household can be chosen even if this one fails to load
+            Profiles.initialize();
+            
+            // Initialize the data store (unlocking, migrating and loading saved data) before anything reads it
+            const storageReady = await DataStore.initializeStorage({ requestPassphrase: LockScreen.requestPassphrase });
+            if (!storageReady) {
+                // DataStore has already reported why - don't let the UI touch data it couldn't upgrade
+                console.error('Application halted: saved data could not be prepared');
+                return;
+            }
             
             // Set up theme functionality
             setupThemeToggle();
@@ -40,12 +53,37 @@ const App = (function() {
             // Initialize budget tracker
             BudgetTracker.initialize();
             
+            // Set up the food library, recipes, importing foods from USDA data files and barcode product data
+            FoodLibrary.initialize();
+            RecipeBuilder.initialize();
+            RecipeImporter.initialize();
+            UsdaImporter.initialize();
+            BarcodeLookup.initialize();
+            
             // Set up reports functionality
             setupReports();
             
             // Set up data reset functionality
             setupDataReset();
             
+            // Set up backup export and import
+            BackupManager.initialize();
+            
+            // Record changes for undo/redo
+            UndoHistory.initialize();
+            
+            // Set up encryption settings and auto-lock
+            LockScreen.initialize();
+            
+            // Watch storage usage and offer archiving when space runs low
+            StorageMonitor.initialize();
+            
+            // Check saved data for broken references and offer repairs
+            IntegrityChecker.initialize();
+            
+            // Sync with the household's server, if one is set up
+            SyncClient.initialize();
+            
             console.log('Application initialized successfully');
         } catch (error) {
             ErrorHandler.handleError(
@@ -190,6 +228,10 @@ const App = (function() {
             // Populate family member dropdown
             populateFamilyMemberDropdown(familyMembers);
             
+            // Keep the dropdowns in step with member changes made anywhere else
+            DataStore.on('members:changed', refreshFamilyMembers);
+            DataStore.on('data:reset', refreshFamilyMembers);
+            
             // Set up family member selector change event
             const familyMemberSelect = document.getElementById('family-member');
             if (familyMemberSelect) {
@@ -234,6 +276,14 @@ const App = (function() {
                     familyMemberSelect.appendChild(option);
                 });
                 
+                // Keep the previous selection if that member still exists
+                // A selection saved before ids were UUIDs still names the member by the old id
+                const savedId = localStorage.getItem('selectedFamilyMemberId');
+                const previousId = savedId && !Ids.isUuid(savedId) ? Ids.fromLegacy('familyMembers', savedId) : savedId;
+                if (familyMembers.some(member => member.id === previousId)) {
+                    familyMemberSelect.value = previousId;
+                }
+                
                 // Store selected family member ID
                 if (familyMemberSelect.options.length > 0) {
                     const selectedMemberId = familyMemberSelect.value;
@@ -267,6 +317,30 @@ const App = (function() {
         }
     }
     
+    /**
+     * Re-read the family member list, e.g. after members were changed by undo or in another tab
+     */
+    function refreshFamilyMembers() {
+        try {
+            const familyMemberSelect = document.getElementById('family-member');
+            const previousId = familyMemberSelect ? familyMemberSelect.value : null;
+            
+            populateFamilyMemberDropdown(DataStore.getFamilyMembers());
+            
+            // Switch the meal tracker over if the selected member disappeared
+            const familyMemberId = getCurrentFamilyMemberId();
+            if (familyMemberId && familyMemberId !== previousId) {
+                MealTracker.changeFamilyMember(familyMemberId);
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to refresh family members",
+                error.message
+            );
+        }
+    }
+    
     /**
      * Get the currently selected family member ID
      * @returns {string} Family member ID
@@ -371,7 +445,7 @@ const App = (function() {
             familyModal.classList.remove('hidden');
             
             // Set up event listeners
-            document.getElementById('cancel-add-family').addEventListener('click', closeModal);
+            document.getElementById('cancel-add-family').addEventListener('click', Html.closeModal);
             document.getElementById('add-family-form').addEventListener('submit', function(e) {
                 e.preventDefault();
                 
@@ -387,7 +461,7 @@ const App = (function() {
                 
                 // Add family member
                 addFamilyMember(name, gender, age, weight, height, weightUnit, heightUnit, activityLevel);
-                closeModal();
+                Html.closeModal();
             });
         } catch (error) {
             ErrorHandler.handleError(
@@ -398,22 +472,6 @@ const App = (function() {
         }
     }
     
-    /**
-     * Close any open modal
-     */
-    function closeModal() {
-        const modalOverlay = document.getElementById('modal-overlay');
-        if (modalOverlay) {
-            // Hide all modals
-            modalOverlay.classList.add('hidden');
-            
-            const modals = document.querySelectorAll('.modal');
-            modals.forEach(modal => {
-                modal.classList.add('hidden');
-            });
-        }
-    }
-    
     /**
      * Add a new family member
      * @param {string} name - Name of the family member
@@ -469,6 +527,22 @@ const App = (function() {
             if (generateReportBtn) {
                 generateReportBtn.addEventListener('click', generateReport);
             }
+            
+            // Rebuild the report on screen when the data behind it changes. A batch, import or sync pull
+            // changes many days at once, so every event of one change is answered with a single rebuild
+            const refreshReport = function() {
+                if (!currentReport || reportRefreshPending) return;
+                reportRefreshPending = true;
+                setTimeout(function() {
+                    reportRefreshPending = false;
+                    if (currentReport) {
+                        buildReport(currentReport.reportType, currentReport.familyMemberId);
+                    }
+                }, 0);
+            };
+            ['meals:changed', 'plans:changed', 'foods:changed', 'members:changed', 'data:reset'].forEach(eventName => {
+                DataStore.on(eventName, refreshReport);
+            });
         } catch (error) {
             ErrorHandler.handleError(
                 ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
@@ -482,10 +556,22 @@ const App = (function() {
      * Generate nutrition report
      */
     function generateReport() {
+        // Get report parameters
+        const reportType = document.getElementById('report-type').value;
+        const familyMemberId = document.getElementById('report-member').value;
+        
+        buildReport(reportType, familyMemberId);
+    }
+    
+    /**
+     * Build and render a nutrition report, remembering it so it can be refreshed when data changes
+     * @param {string} reportType - Type of report (daily, weekly, monthly)
+     * @param {string} familyMemberId - ID of the family member or 'all'
+     */
+    async function buildReport(reportType, familyMemberId) {
         try {
-            // Get report parameters
-            const reportType = document.getElementById('report-type').value;
-            const familyMemberId = document.getElementById('report-member').value;
+            currentReport = { reportType, familyMemberId };
+            const build = ++reportBuild;
             
             // Use current date as start date
             const startDate = new Date();
@@ -497,6 +583,12 @@ const App = (function() {
                 startDate.setDate(1);
             }
             
+            // Reports run up to today, but a period that began last year may reach into archived data
+            await DataStore.loadArchives(startDate.toISOString().split('T')[0]);
+            
+            // A newer build started while the archives loaded; its result is the one to show
+            if (build !== reportBuild) return;
+            
             // Get family members for the report
             const familyMembers = DataStore.getFamilyMembers();
             
@@ -559,7 +651,7 @@ const App = (function() {
             const nutrientsChartEl = document.createElement('div');
             nutrientsChartEl.className = 'chart-container';
             nutrientsChartEl.innerHTML = `
-                <h4>Macronutrients</h4>
+                <h4>Nutrients</h4>
                 <canvas id="nutrients-chart"></canvas>
             `;
             
@@ -578,8 +670,8 @@ const App = (function() {
             // Render the charts showing both planned and consumed data
             renderComparisonChart('calories-chart', 'Calories', reportData.labels, reportData.datasets.calories);
             
-            // For macronutrients, render planned vs consumed for each nutrient
-            renderMacronutrientCharts('nutrients-chart', reportData);
+            // For the other nutrients, render planned vs consumed for each nutrient
+            renderNutrientCharts('nutrients-chart', reportData);
             
             // For costs
             renderComparisonChart('cost-chart', 'Food Cost ($)', reportData.labels, reportData.datasets.cost);
@@ -588,19 +680,38 @@ const App = (function() {
             const summaryEl = document.createElement('div');
             summaryEl.className = 'report-summary';
             
-            // Calculate averages for consumed meals
-            const avgCaloriesConsumed = calculateAverage(reportData.datasets.calories.consumed);
-            const avgProteinConsumed = calculateAverage(reportData.datasets.protein.consumed);
-            const avgCarbsConsumed = calculateAverage(reportData.datasets.carbs.consumed);
-            const avgFatConsumed = calculateAverage(reportData.datasets.fat.consumed);
-            const avgCostConsumed = calculateAverage(reportData.datasets.cost.consumed);
+            // Calculate daily averages of every nutrient in the registry, and of cost
+            const averages = { consumed: {}, planned: {} };
+            Nutrients.KEYS.concat('cost').forEach(key => {
+                averages.consumed[key] = calculateAverage(reportData.datasets[key].consumed);
+                averages.planned[key] = calculateAverage(reportData.datasets[key].planned);
+            });
             
-            // Calculate averages for planned meals
-            const avgCaloriesPlanned = calculateAverage(reportData.datasets.calories.planned);
-            const avgProteinPlanned = calculateAverage(reportData.datasets.protein.planned);
-            const avgCarbsPlanned = calculateAverage(reportData.datasets.carbs.planned);
-            const avgFatPlanned = calculateAverage(reportData.datasets.fat.planned);
-            const avgCostPlanned = calculateAverage(reportData.datasets.cost.planned);
+            // Format an amount of a nutrient (or cost) for the summary
+            const formatAmount = (key, value) => {
+                if (key === 'cost') return `$${value.toFixed(2)}`;
+                const nutrient = Nutrients.getNutrient(key);
+                return key === 'calories' ? `${value.toFixed(0)} kcal` : `${value.toFixed(1)} ${nutrient.unit}`;
+            };
+            const summaryGrid = status => `
+                <div class="summary-grid">
+                    ${Nutrients.NUTRIENTS.map(nutrient => `
+                        <div class="summary-item">
+                            <span class="summary-label">Avg Daily ${nutrient.label}:</span>
+                            <span class="summary-value">${formatAmount(nutrient.key, averages[status][nutrient.key])}</span>
+                        </div>
+                    `).join('')}
+                    <div class="summary-item">
+                        <span class="summary-label">Avg Daily Food Cost:</span>
+                        <span class="summary-value">${formatAmount('cost', averages[status].cost)}</span>
+                    </div>
+                </div>
+            `;
+            
+            // Compare calories and macronutrients, then cost (where being under plan is good)
+            const comparedNutrients = Nutrients.NUTRIENTS.filter(nutrient => nutrient.key === 'calories' || nutrient.macro);
+            const avgCostConsumed = averages.consumed.cost;
+            const avgCostPlanned = averages.planned.cost;
             
             // Create summary HTML with comparisons
             summaryEl.innerHTML = `
@@ -612,69 +723,23 @@ const App = (function() {
                 </div>
                 
                 <div class="summary-content active" id="consumed-summary">
-                    <div class="summary-grid">
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Calories:</span>
-                            <span class="summary-value">${avgCaloriesConsumed.toFixed(0)} kcal</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Protein:</span>
-                            <span class="summary-value">${avgProteinConsumed.toFixed(1)}g</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Carbs:</span>
-                            <span class="summary-value">${avgCarbsConsumed.toFixed(1)}g</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Fat:</span>
-                            <span class="summary-value">${avgFatConsumed.toFixed(1)}g</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Food Cost:</span>
-                            <span class="summary-value">$${avgCostConsumed.toFixed(2)}</span>
-                        </div>
-                    </div>
+                    ${summaryGrid('consumed')}
                 </div>
                 
                 <div class="summary-content" id="planned-summary">
-                    <div class="summary-grid">
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Calories:</span>
-                            <span class="summary-value">${avgCaloriesPlanned.toFixed(0)} kcal</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Protein:</span>
-                            <span class="summary-value">${avgProteinPlanned.toFixed(1)}g</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Carbs:</span>
-                            <span class="summary-value">${avgCarbsPlanned.toFixed(1)}g</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Fat:</span>
-                            <span class="summary-value">${avgFatPlanned.toFixed(1)}g</span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Avg Daily Food Cost:</span>
-                            <span class="summary-value">$${avgCostPlanned.toFixed(2)}</span>
-                        </div>
-                    </div>
+                    ${summaryGrid('planned')}
                 </div>
                 
                 <div class="summary-content" id="comparison-summary">
                     <div class="summary-grid">
-                        <div class="summary-item">
-                            <span class="summary-label">Calories Difference:</span>
-                            <span class="summary-value comparison ${avgCaloriesConsumed > avgCaloriesPlanned ? 'positive' : 'negative'}">
-                                ${(avgCaloriesConsumed - avgCaloriesPlanned).toFixed(0)} kcal
-                            </span>
-                        </div>
-                        <div class="summary-item">
-                            <span class="summary-label">Protein Difference:</span>
-                            <span class="summary-value comparison ${avgProteinConsumed > avgProteinPlanned ? 'positive' : 'negative'}">
-                                ${(avgProteinConsumed - avgProteinPlanned).toFixed(1)}g
-                            </span>
-                        </div>
+                        ${comparedNutrients.map(nutrient => `
+                            <div class="summary-item">
+                                <span class="summary-label">${nutrient.label} Difference:</span>
+                                <span class="summary-value comparison ${averages.consumed[nutrient.key] > averages.planned[nutrient.key] ? 'positive' : 'negative'}">
+                                    ${formatAmount(nutrient.key, averages.consumed[nutrient.key] - averages.planned[nutrient.key])}
+                                </span>
+                            </div>
+                        `).join('')}
                         <div class="summary-item">
                             <span class="summary-label">Cost Difference:</span>
                             <span class="summary-value comparison ${avgCostConsumed > avgCostPlanned ? 'negative' : 'positive'}">
@@ -774,39 +839,42 @@ const App = (function() {
     }
     
     /**
-     * Render macronutrient charts
+     * Render nutrient charts, one tab per nutrient in the registry (calories have their own chart)
      * @param {string} containerId - ID of container element
      * @param {Object} reportData - Report data with all nutrients
      */
-    function renderMacronutrientCharts(containerId, reportData) {
+    function renderNutrientCharts(containerId, reportData) {
         const container = document.getElementById(containerId);
         if (!container) return;
         
-        // Create tab navigation for macronutrient charts
+        const nutrients = Nutrients.NUTRIENTS.filter(nutrient => nutrient.key !== 'calories');
+        const renderNutrient = nutrient => {
+            renderComparisonChart('nutrient-chart-container', `${nutrient.label} (${nutrient.unit})`,
+                                  reportData.labels, reportData.datasets[nutrient.key]);
+        };
+        
+        // Create tab navigation for nutrient charts
         container.innerHTML = `
             <div class="nutrient-tabs">
-                <button class="nutrient-tab active" data-nutrient="protein">Protein</button>
-                <button class="nutrient-tab" data-nutrient="carbs">Carbs</button>
-                <button class="nutrient-tab" data-nutrient="fat">Fat</button>
+                ${nutrients.map((nutrient, index) => `
+                    <button class="nutrient-tab ${index === 0 ? 'active' : ''}" data-nutrient="${nutrient.key}">${nutrient.label}</button>
+                `).join('')}
             </div>
             <div id="nutrient-chart-container"></div>
         `;
         
         // Add click event for tabs
         const tabs = container.querySelectorAll('.nutrient-tab');
-        const chartContainer = container.querySelector('#nutrient-chart-container');
         
-        // Initially show protein chart
-        renderComparisonChart('nutrient-chart-container', 'Protein (g)', reportData.labels, reportData.datasets.protein);
+        // Initially show the first nutrient's chart (protein)
+        renderNutrient(nutrients[0]);
         
         tabs.forEach(tab => {
             tab.addEventListener('click', function() {
                 tabs.forEach(t => t.classList.remove('active'));
                 this.classList.add('active');
                 
-                const nutrient = this.getAttribute('data-nutrient');
-                renderComparisonChart('nutrient-chart-container', `${nutrient.charAt(0).toUpperCase() + nutrient.slice(1)} (g)`, 
-                                      reportData.labels, reportData.datasets[nutrient]);
+                renderNutrient(Nutrients.getNutrient(this.getAttribute('data-nutrient')));
             });
         });
     }
@@ -828,13 +896,18 @@ const App = (function() {
     function setupDataReset() {
         const resetDataLink = document.getElementById('reset-data');
         if (resetDataLink) {
-            resetDataLink.addEventListener('click', function(e) {
+            resetDataLink.addEventListener('click', async function(e) {
                 e.preventDefault();
                 
                 // Ask for confirmation
                 if (confirm('Are you sure you want to reset all data? This action cannot be undone.')) {
-                    // Reset all data
-                    DataStore.resetAllData();
+                    // Offer a backup before anything is wiped
+                    if (confirm('Would you like to download a backup of your data first?')) {
+                        await BackupManager.downloadBackup();
+                    }
+                    
+                    // Reset all data and wait for storage to be cleared before reloading
+                    await DataStore.resetAllData();
                     
                     // Reload the page
                     window.location.reload();
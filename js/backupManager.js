@@ -0,0 +1,430 @@
+/**
+ * Backup Manager Module
+ * Exports all household data to a JSON file and restores it again
+ */
+
+const BackupManager = (function() {
+    // Identifies our backup files and the version of their layout
+    const BACKUP_FORMAT = 'family-meal-tracker-backup';
+    const FORMAT_VERSION = 1;
+    
+    // Human-readable names for each collection in the import preview
+    const COLLECTION_LABELS = {
+        meals: 'Logged meal days',
+        mealPlans: 'Planned meal days',
+        familyMembers: 'Family members',
+        budget: 'Budget',
+        expenses: 'Expenses',
+        foodDatabase: 'Foods'
+    };
+    
+    // Collections stored as objects keyed by date and member, and as arrays of records with ids
+    const DAY_COLLECTIONS = ['meals', 'mealPlans'];
+    const LIST_COLLECTIONS = ['familyMembers', 'expenses', 'foodDatabase'];
+    
+    // Themes the app can apply (anything else in a backup's preferences is ignored)
+    const THEMES = ['light', 'dark'];
+    
+    // Backup that has been validated and is waiting for the user to confirm the import
+    let pendingImport = null;
+    
+    /**
+     * Initialize the backup manager
+     */
+    function initialize() {
+        try {
+            // Set up export link
+            const exportLink = document.getElementById('export-data');
+            if (exportLink) {
+                exportLink.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    downloadBackup();
+                });
+            }
+            
+            // Set up import link
+            const importLink = document.getElementById('import-data');
+            if (importLink) {
+                importLink.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    showImportModal();
+                });
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize backup manager",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Build a backup of every collection plus user preferences
+     * @param {Object} profile - Household the data belongs to (the active profile by default)
+     * @returns {Object} Backup object ready to be serialized
+     */
+    function createBackup(profile = Profiles.getActiveProfile()) {
+        return {
+            format: BACKUP_FORMAT,
+            formatVersion: FORMAT_VERSION,
+            schemaVersion: DataStore.getSchemaVersion(),
+            exportedAt: new Date().toISOString(),
+            profile: { id: profile.id, name: profile.name }, // Only this household's data is included
+            data: DataStore.exportData(),
+            preferences: {
+                // Scripts running under Node have no preferences to save
+                theme: typeof localStorage !== 'undefined' ? localStorage.getItem('theme') : null
+            }
+        };
+    }
+    
+    /**
+     * Download a backup of all data, archived years included, as a JSON file
+     * @returns {Promise<boolean>} True if the download was started
+     */
+    async function downloadBackup() {
+        try {
+            // Archives are only read when needed - a backup needs all of them
+            await DataStore.loadArchives();
+            const backup = createBackup();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            // Use a temporary link to trigger the download
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `family-meal-tracker-${getFileSlug(backup.profile.name)}-${backup.exportedAt.split('T')[0]}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            // Give the browser a moment to start the download before releasing the data
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return true;
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_EXPORT_ERROR,
+                "Failed to export data",
+                error.message
+            );
+            return false;
+        }
+    }
+    
+    /**
+     * Turn a household name into something safe to use in a file name
+     * @param {string} name - Household name
+     * @returns {string} Lowercase name with dashes, e.g. "grandmas-kitchen"
+     */
+    function getFileSlug(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return slug || 'household';
+    }
+    
+    /**
+     * Check that a parsed file is a backup we can import, upgrading older schema versions
+     * @param {Object} backup - Parsed backup file contents
+     * @returns {Object} { valid, errors, data, preferences }
+     */
+    function validateBackup(backup) {
+        const errors = [];
+        
+        if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+            return { valid: false, errors: ['This is not a Family Meal & Budget Tracker backup file.'] };
+        }
+        if (typeof backup.formatVersion !== 'number' || backup.formatVersion > FORMAT_VERSION) {
+            return { valid: false, errors: ['This backup was made by a newer version of the app.'] };
+        }
+        if (typeof backup.schemaVersion !== 'number' || backup.schemaVersion > DataStore.getSchemaVersion()) {
+            return { valid: false, errors: ['The data in this backup is from a newer version of the app.'] };
+        }
+        
+        const data = backup.data || {};
+        
+        // Day collections are objects of day records
+        DAY_COLLECTIONS.forEach(collection => {
+            const value = data[collection];
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${COLLECTION_LABELS[collection]} are missing or malformed.`);
+            } else if (Object.values(value).some(day => !day || typeof day !== 'object')) {
+                errors.push(`${COLLECTION_LABELS[collection]} contain an invalid entry.`);
+            }
+        });
+        
+        // List collections are arrays of records that each have an id
+        LIST_COLLECTIONS.forEach(collection => {
+            const value = data[collection];
+            if (!Array.isArray(value)) {
+                errors.push(`${COLLECTION_LABELS[collection]} are missing or malformed.`);
+            } else if (value.some(item => !item || item.id === undefined || item.id === null)) {
+                errors.push(`${COLLECTION_LABELS[collection]} contain a record without an id.`);
+            }
+        });
+        
+        if (!data.budget || typeof data.budget !== 'object' || isNaN(parseFloat(data.budget.monthly))) {
+            errors.push('The budget is missing or malformed.');
+        }
+        
+        if (errors.length) {
+            return { valid: false, errors };
+        }
+        
+        // Bring older backups up to the current schema
+        try {
+            const migrated = Migrations.runMigrations(data, backup.schemaVersion);
+            return {
+                valid: true,
+                errors: [],
+                data: migrated.data,
+                preferences: readPreferences(backup.preferences),
+                profileName: backup.profile ? backup.profile.name : null // Older backups don't record it
+            };
+        } catch (error) {
+            return { valid: false, errors: [`The backup could not be upgraded: ${error.message}`] };
+        }
+    }
+    
+    /**
+     * Keep only the preferences from a backup that the app recognises
+     * @param {Object} preferences - Preferences section of the backup file
+     * @returns {Object} Preferences safe to apply
+     */
+    function readPreferences(preferences) {
+        const theme = preferences && preferences.theme;
+        return THEMES.includes(theme) ? { theme } : {};
+    }
+    
+    /**
+     * Show modal for importing a backup file
+     */
+    function showImportModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const backupModal = document.getElementById('backup-modal');
+            
+            if (!modalOverlay || !backupModal) return;
+            
+            pendingImport = null;
+            
+            // Create modal content
+            backupModal.innerHTML = `
+                <h3>Import Backup into "${Html.escape(Profiles.getActiveProfile().name)}"</h3>
+                <form id="import-backup-form" class="modal-form">
+                    <div>
+                        <label for="backup-file">Backup file:</label>
+                        <input type="file" id="backup-file" accept=".json,application/json" required>
+                    </div>
+                    <div>
+                        <label>Import mode:</label>
+                        <label class="radio-option">
+                            <input type="radio" name="import-mode" value="merge" checked>
+                            Merge by id (keep existing records, overwrite matching ones)
+                        </label>
+                        <label class="radio-option">
+                            <input type="radio" name="import-mode" value="replace">
+                            Replace all existing data
+                        </label>
+                    </div>
+                    <div id="import-preview" class="import-preview">
+                        <p class="empty-state">Choose a backup file to see what will change.</p>
+                    </div>
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-import">Cancel</button>
+                        <button type="submit" id="confirm-import" disabled>Import</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            backupModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('cancel-import').addEventListener('click', Html.closeModal);
+            document.getElementById('backup-file').addEventListener('change', function() {
+                if (this.files.length > 0) {
+                    loadBackupFile(this.files[0]);
+                }
+            });
+            document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+                radio.addEventListener('change', renderPreview);
+            });
+            document.getElementById('import-backup-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                applyImport();
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show import modal",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Read, parse and validate the chosen backup file
+     * @param {File} file - The selected file
+     */
+    async function loadBackupFile(file) {
+        pendingImport = null;
+        
+        try {
+            const text = await file.text();
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (parseError) {
+                pendingImport = { valid: false, errors: ['The file is not valid JSON.'] };
+                renderPreview();
+                return;
+            }
+            
+            pendingImport = validateBackup(parsed);
+            
+            // The preview compares against archived years as well as current data
+            await DataStore.loadArchives();
+            renderPreview();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_IMPORT_ERROR,
+                "Failed to read backup file",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Get the import mode selected in the modal
+     * @returns {string} 'merge' or 'replace'
+     */
+    function getSelectedMode() {
+        const selected = document.querySelector('input[name="import-mode"]:checked');
+        return selected ? selected.value : 'merge';
+    }
+    
+    /**
+     * Render a preview of what the pending import will change
+     */
+    function renderPreview() {
+        const previewEl = document.getElementById('import-preview');
+        const confirmBtn = document.getElementById('confirm-import');
+        if (!previewEl || !pendingImport) return;
+        
+        if (!pendingImport.valid) {
+            previewEl.innerHTML = `
+                <div class="import-errors">
+                    <strong>This file can't be imported:</strong>
+                    <ul>${pendingImport.errors.map(message => `<li>${message}</li>`).join('')}</ul>
+                </div>
+            `;
+            if (confirmBtn) confirmBtn.disabled = true;
+            return;
+        }
+        
+        const summary = DataStore.previewImport(pendingImport.data, getSelectedMode());
+        
+        const rows = Object.keys(COLLECTION_LABELS).map(collection => {
+            const counts = summary[collection];
+            return `
+                <tr>
+                    <td>${COLLECTION_LABELS[collection]}</td>
+                    <td>${counts.added}</td>
+                    <td>${counts.updated}</td>
+                    <td>${counts.unchanged}</td>
+                    <td>${counts.removed}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        // An updated day can hold meal items logged here; say how many of those the backup overwrites or drops
+        const itemNotes = DAY_COLLECTIONS
+            .filter(collection => summary[collection].itemsOverwritten || summary[collection].itemsRemoved)
+            .map(collection => {
+                const { itemsOverwritten, itemsRemoved } = summary[collection];
+                const label = collection === 'meals' ? 'logged' : 'planned';
+                return `<p class="import-warning">${itemsOverwritten} ${label} meal item${itemsOverwritten === 1 ? '' : 's'} will be ` +
+                    `overwritten by the backup's version and ${itemsRemoved} removed.</p>`;
+            })
+            .join('');
+        
+        // The theme is a preference rather than a collection, so describe it separately
+        const importedTheme = pendingImport.preferences.theme;
+        const themeNote = importedTheme
+            ? `<p>Theme will be set to <strong>${Html.escape(importedTheme)}</strong>.</p>`
+            : '';
+        
+        // Say where the data came from, in case it belongs to a different household
+        const sourceNote = pendingImport.profileName
+            ? `<p>This backup was exported from <strong>${Html.escape(pendingImport.profileName)}</strong>.</p>`
+            : '';
+        
+        previewEl.innerHTML = `
+            ${sourceNote}
+            <table class="import-preview-table">
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th>New</th>
+                        <th>Updated</th>
+                        <th>Unchanged</th>
+                        <th>Removed</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            ${itemNotes}
+            ${themeNote}
+        `;
+        
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+    
+    /**
+     * Apply the pending import and reload the app with the new data
+     */
+    async function applyImport() {
+        try {
+            if (!pendingImport || !pendingImport.valid) return;
+            
+            const mode = getSelectedMode();
+            if (mode === 'replace' &&
+                !confirm('Replace all existing data with the contents of this backup? This cannot be undone.')) {
+                return;
+            }
+            
+            const success = await DataStore.importData(pendingImport.data, mode);
+            if (success) {
+                if (THEMES.includes(pendingImport.preferences.theme)) {
+                    localStorage.setItem('theme', pendingImport.preferences.theme);
+                }
+                
+                // Reload so every view picks up the imported data
+                window.location.reload();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_IMPORT_ERROR,
+                "Failed to import backup",
+                error.message
+            );
+        }
+    }
+    
+    // Public API
+    return {
+        initialize,
+        createBackup,
+        downloadBackup,
+        validateBackup,
+        showImportModal
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+}
@@ -0,0 +1,497 @@
+/**
+ * Barcode Lookup Module
+ * Resolves UPC/EAN barcodes to foods: foods already in the food database first, then the product catalog
+ * imported from an Open Food Facts export (see ProductCatalog)
+ *
+ * Open Food Facts exports come as JSON Lines (one product per line), the tab-separated CSV export,
+ * or JSON (a list of products, or an API response with `products` or `product`).
+ */
+
+const BarcodeLookup = (function() {
+    // Open Food Facts nutriment name for each food field, and the factor from its unit to ours
+    // (Open Food Facts keeps minerals and vitamins in grams)
+    const NUTRIMENTS = {
+        calories: { name: 'energy-kcal', factor: 1 },
+        protein: { name: 'proteins', factor: 1 },
+        carbs: { name: 'carbohydrates', factor: 1 },
+        fat: { name: 'fat', factor: 1 },
+        fiber: { name: 'fiber', factor: 1 },
+        sugar: { name: 'sugars', factor: 1 },
+        addedSugar: { name: 'added-sugars', factor: 1 },
+        saturatedFat: { name: 'saturated-fat', factor: 1 },
+        cholesterol: { name: 'cholesterol', factor: 1000 }, // g -> mg
+        sodium: { name: 'sodium', factor: 1000 }, // g -> mg
+        potassium: { name: 'potassium', factor: 1000 }, // g -> mg
+        calcium: { name: 'calcium', factor: 1000 }, // g -> mg
+        iron: { name: 'iron', factor: 1000 }, // g -> mg
+        vitaminA: { name: 'vitamin-a', factor: 1000000 }, // g -> mcg
+        vitaminC: { name: 'vitamin-c', factor: 1000 }, // g -> mg
+        vitaminD: { name: 'vitamin-d', factor: 1000000 }, // g -> mcg
+        vitaminB12: { name: 'vitamin-b12', factor: 1000000 } // g -> mcg
+    };
+    
+    // Fields every food in the database has, even when the product data leaves them out
+    const REQUIRED_FIELDS = Nutrients.REQUIRED_KEYS;
+    
+    // Kilojoules per kilocalorie, for products that only give energy in kJ
+    const KJ_PER_KCAL = 4.184;
+    
+    // Food library category for Open Food Facts category tags, matched in order
+    const CATEGORY_RULES = [
+        { pattern: /breakfast/, category: 'breakfast' },
+        { pattern: /beverages|drinks|waters|juices/, category: 'beverage' },
+        { pattern: /dairies|milks|cheeses|yogurts|eggs/, category: 'dairy' },
+        { pattern: /fruits/, category: 'fruit' },
+        { pattern: /vegetables/, category: 'vegetable' },
+        { pattern: /meats|fishes|seafood|poultries|legumes|nuts/, category: 'protein' },
+        { pattern: /cereals|breads|pastas|rices/, category: 'grain' },
+        { pattern: /snacks|sweets|confectioneries|biscuits/, category: 'snack' }
+    ];
+    
+    // Products parsed before they are written to the catalog
+    const IMPORT_BATCH = 2000;
+    
+    /**
+     * Initialize the product data button in the food library
+     */
+    function initialize() {
+        try {
+            const importBtn = document.getElementById('import-products');
+            if (importBtn) {
+                importBtn.addEventListener('click', showImportModal);
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize product data import",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Bring a typed, scanned or imported barcode to one form, so UPC-A and EAN-13 codes for a product match
+     * @param {string} code - Barcode as entered (spaces and dashes are ignored)
+     * @returns {string|null} EAN-8 or EAN-13 digits, or null if it can't be a barcode
+     */
+    function normalizeBarcode(code) {
+        let digits = String(code || '').replace(/[\s-]/g, '');
+        if (!/^\d+$/.test(digits)) return null;
+        
+        // GTIN-14 and UPC-A are EAN-13 with an extra or missing leading zero
+        if (digits.length === 14 && digits[0] === '0') digits = digits.slice(1);
+        if (digits.length > 8 && digits.length < 13) digits = digits.padStart(13, '0');
+        return digits.length === 8 || digits.length === 13 ? digits : null;
+    }
+    
+    /**
+     * Check the last digit of an EAN-8 or EAN-13 code, which catches most typing mistakes
+     * @param {string} code - Normalized barcode
+     * @returns {boolean} True if the check digit matches
+     */
+    function hasValidCheckDigit(code) {
+        const digits = code.split('').map(Number);
+        const check = digits.pop();
+        const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+        return (10 - (sum % 10)) % 10 === check;
+    }
+    
+    /**
+     * Read a nutriment from an Open Food Facts product, in our units
+     * @param {Object} nutriments - Product nutriments (or the CSV row)
+     * @param {string} field - Food field
+     * @param {string} basis - '100g' or 'serving'
+     * @returns {number|undefined} Amount, if the product has it
+     */
+    function readNutriment(nutriments, field, basis) {
+        const { name, factor } = NUTRIMENTS[field];
+        let value = parseFloat(nutriments[`${name}_${basis}`]);
+        if (isNaN(value) && field === 'calories') {
+            value = parseFloat(nutriments[`energy-kj_${basis}`]) / KJ_PER_KCAL;
+            if (isNaN(value)) value = parseFloat(nutriments[`energy_${basis}`]) / KJ_PER_KCAL;
+        }
+        return isNaN(value) ? undefined : value * factor;
+    }
+    
+    /**
+     * Guess the food library category from Open Food Facts category tags
+     * @param {Array|string} tags - Tags such as "en:breakfast-cereals" (a comma-separated string in CSV exports)
+     * @returns {string} Food library category
+     */
+    function guessCategory(tags) {
+        const text = (Array.isArray(tags) ? tags.join(',') : String(tags || '')).toLowerCase();
+        const rule = CATEGORY_RULES.find(candidate => candidate.pattern.test(text));
+        return rule ? rule.category : 'other';
+    }
+    
+    /**
+     * Turn an Open Food Facts product into a catalog record
+     * @param {Object} product - Product from a JSON export, or a row from the CSV export
+     * @returns {Object|null} { code, name, brand, category, servingSize, servingQuantity, per100g, perServing },
+     *                        or null if it has no usable barcode, name or nutrition
+     */
+    function fromOpenFoodFacts(product) {
+        const code = product && normalizeBarcode(product.code || product._id);
+        const name = product && (product.product_name || product.product_name_en || product.generic_name);
+        if (!code || !name) return null;
+        
+        const nutriments = product.nutriments || product;
+        const per100g = {};
+        const perServing = {};
+        Object.keys(NUTRIMENTS).forEach(field => {
+            const amount = readNutriment(nutriments, field, '100g');
+            if (amount !== undefined) per100g[field] = amount;
+            const servingAmount = readNutriment(nutriments, field, 'serving');
+            if (servingAmount !== undefined) perServing[field] = servingAmount;
+        });
+        if (!Object.keys(per100g).length && !Object.keys(perServing).length) return null;
+        
+        return {
+            code,
+            name: String(name).trim(),
+            brand: String(product.brands || '').split(',')[0].trim(),
+            category: guessCategory(product.categories_tags || product.categories),
+            servingSize: String(product.serving_size || '').trim(),
+            servingQuantity: parseFloat(product.serving_quantity) || null,
+            per100g,
+            perServing
+        };
+    }
+    
+    /**
+     * Build a food database record from a catalog record, with nutrition per package serving
+     * Products without a serving size are entered per 100 g
+     * @param {Object} record - Catalog record from fromOpenFoodFacts()
+     * @returns {Object} Food ready for DataStore.addFoodToDatabase
+     */
+    function toFood(record) {
+        const quantity = record.servingQuantity;
+        const perServing = Boolean(quantity || Object.keys(record.perServing).length);
+        
+        const food = {
+            name: record.brand && !record.name.toLowerCase().includes(record.brand.toLowerCase())
+                ? `${record.name} (${record.brand})`
+                : record.name,
+            servingSize: perServing ? record.servingSize || (quantity ? `${quantity} g` : '1 serving') : '100 g',
+            category: record.category
+        };
+        Object.keys(NUTRIMENTS).forEach(field => {
+            let amount;
+            if (!perServing) {
+                amount = record.per100g[field];
+            } else if (record.perServing[field] !== undefined) {
+                amount = record.perServing[field];
+            } else if (quantity && record.per100g[field] !== undefined) {
+                amount = record.per100g[field] * quantity / 100;
+            }
+            
+            if (amount !== undefined) {
+                food[field] = Math.round(amount * 10) / 10;
+            } else if (REQUIRED_FIELDS.includes(field)) {
+                food[field] = 0;
+            }
+        });
+        
+        food.barcode = record.code;
+        if (perServing && quantity) {
+            food.servingGrams = quantity;
+        } else if (!perServing) {
+            food.servingGrams = 100;
+        }
+        return food;
+    }
+    
+    /**
+     * Split a line of the CSV export into fields
+     * The Open Food Facts export is tab-separated without quoting; comma-separated files may quote fields
+     * @param {string} line - Line of the file
+     * @param {string} delimiter - Field separator
+     * @returns {Array} Field values
+     */
+    function splitLine(line, delimiter) {
+        if (delimiter === '\t') {
+            return line.split('\t');
+        }
+        
+        const values = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                values.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        values.push(field);
+        return values;
+    }
+    
+    /**
+     * Read a file line by line, a chunk at a time where the browser can stream it,
+     * so exports larger than memory allows as one string can still be imported
+     * @param {File} file - File to read
+     * @param {Function} onLines - Called (and awaited) with each group of complete lines
+     */
+    async function readLines(file, onLines) {
+        if (typeof file.stream !== 'function' || typeof TextDecoder === 'undefined') {
+            await onLines((await file.text()).split('\n'));
+            return;
+        }
+        
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder();
+        let rest = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const lines = (rest + decoder.decode(value, { stream: true })).split('\n');
+            rest = lines.pop();
+            await onLines(lines);
+        }
+        rest += decoder.decode();
+        if (rest) {
+            await onLines([rest]);
+        }
+    }
+    
+    /**
+     * Read the products of an Open Food Facts export
+     * @param {File} file - Export chosen by the user
+     * @param {Function} onProducts - Called (and awaited) with each batch of catalog records
+     * @returns {Promise<number>} Number of products read
+     */
+    async function readProducts(file, onProducts) {
+        let count = 0;
+        let batch = [];
+        const add = async record => {
+            if (!record) return;
+            batch.push(record);
+            count++;
+            if (batch.length >= IMPORT_BATCH) {
+                await onProducts(batch);
+                batch = [];
+            }
+        };
+        
+        if (/\.json$/i.test(file.name)) {
+            // Plain JSON has to be read whole
+            const data = JSON.parse(await file.text());
+            const products = Array.isArray(data) ? data : (data.products || (data.product ? [data.product] : []));
+            for (const product of products) {
+                await add(fromOpenFoodFacts(product));
+            }
+        } else {
+            let columns = null;
+            let delimiter = null;
+            let jsonLines = null;
+            await readLines(file, async lines => {
+                for (const rawLine of lines) {
+                    const line = rawLine.replace(/\r$/, '');
+                    if (!line.trim()) continue;
+                    
+                    // The first line tells JSON Lines (one product object per line) from the CSV export
+                    if (jsonLines === null) {
+                        jsonLines = line.replace(/^\uFEFF/, '').trimStart().startsWith('{');
+                    }
+                    if (jsonLines) {
+                        try {
+                            await add(fromOpenFoodFacts(JSON.parse(line)));
+                        } catch (error) {
+                            // Skip a damaged line rather than the whole export
+                        }
+                        continue;
+                    }
+                    
+                    // CSV export: the first line names the columns
+                    if (!columns) {
+                        delimiter = line.includes('\t') ? '\t' : ',';
+                        columns = splitLine(line.replace(/^\uFEFF/, ''), delimiter).map(name => name.trim());
+                        continue;
+                    }
+                    const values = splitLine(line, delimiter);
+                    const row = {};
+                    columns.forEach((name, index) => {
+                        row[name] = values[index];
+                    });
+                    await add(fromOpenFoodFacts(row));
+                }
+            });
+        }
+        
+        if (batch.length) {
+            await onProducts(batch);
+        }
+        return count;
+    }
+    
+    /**
+     * Replace the product catalog with the products of an export
+     * @param {File} file - Export chosen by the user
+     * @param {Function} onProgress - Called with the number of products read so far
+     * @returns {Promise<number>} Number of products imported
+     */
+    async function importFile(file, onProgress) {
+        await ProductCatalog.clear();
+        let imported = 0;
+        const count = await readProducts(file, async products => {
+            await ProductCatalog.putProducts(products);
+            imported += products.length;
+            if (onProgress) onProgress(imported);
+        });
+        await ProductCatalog.setInfo({ source: file.name, importedAt: new Date().toISOString(), count });
+        return count;
+    }
+    
+    /**
+     * Resolve a barcode to a food
+     * Foods already in the database win; a product found in the catalog is added to the database,
+     * so the next lookup finds it there
+     * @param {string} code - Barcode as entered
+     * @returns {Promise<Object>} { status: 'library' | 'catalog' | 'unknown' | 'invalid', food, code, validCheckDigit }
+     */
+    async function resolveBarcode(code) {
+        const normalized = normalizeBarcode(code);
+        if (!normalized) {
+            return { status: 'invalid', food: null, code: null };
+        }
+        
+        const known = DataStore.getFoodDatabase().find(food => food.barcode === normalized);
+        if (known) {
+            return { status: 'library', food: known, code: normalized };
+        }
+        
+        const record = await ProductCatalog.getProduct(normalized);
+        if (record) {
+            const food = DataStore.addFoodToDatabase(toFood(record));
+            if (food) {
+                return { status: 'catalog', food, code: normalized };
+            }
+        }
+        
+        return { status: 'unknown', food: null, code: normalized, validCheckDigit: hasValidCheckDigit(normalized) };
+    }
+    
+    /**
+     * Show the modal for importing or removing product data
+     */
+    async function showImportModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const productsModal = document.getElementById('products-modal');
+            
+            if (!modalOverlay || !productsModal) return;
+            
+            const info = await ProductCatalog.getInfo();
+            
+            // Create modal content
+            productsModal.innerHTML = `
+                <h3>Packaged Product Data</h3>
+                <form id="import-products-form" class="modal-form">
+                    <p class="barcode-hint">
+                        Import an Open Food Facts export (JSON Lines, the tab-separated CSV export or JSON) to look up
+                        barcodes while adding meals. The file is read on this device and shared by all households.
+                        ${ProductCatalog.isPersistent() ? '' : 'This browser can only keep it until the page is closed.'}
+                    </p>
+                    <p id="products-status" class="barcode-hint">
+                        ${info ? `${info.count} products from ${Html.escape(info.source)}, imported ${new Date(info.importedAt).toLocaleDateString()}.` : 'No product data imported yet.'}
+                    </p>
+                    <div>
+                        <label for="products-file">Export file${info ? ' (replaces the current data)' : ''}:</label>
+                        <input type="file" id="products-file" accept=".jsonl,.ndjson,.json,.csv,.tsv,.txt" required>
+                    </div>
+                    <div class="modal-buttons">
+                        ${info ? '<button type="button" id="remove-products">Remove Product Data</button>' : ''}
+                        <button type="button" id="cancel-products">Close</button>
+                        <button type="submit" id="confirm-products">Import</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            productsModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('cancel-products').addEventListener('click', Html.closeModal);
+            const removeBtn = document.getElementById('remove-products');
+            if (removeBtn) {
+                removeBtn.addEventListener('click', async function() {
+                    if (!confirm('Remove the imported product data? Foods already added from it are kept.')) return;
+                    await ProductCatalog.clear();
+                    showImportModal();
+                });
+            }
+            document.getElementById('import-products-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                const fileInput = document.getElementById('products-file');
+                if (fileInput.files.length > 0) {
+                    importChosenFile(fileInput.files[0]);
+                }
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show product data import",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Import the file chosen in the modal, showing progress
+     * @param {File} file - Export chosen by the user
+     */
+    async function importChosenFile(file) {
+        const statusEl = document.getElementById('products-status');
+        const confirmBtn = document.getElementById('confirm-products');
+        try {
+            if (confirmBtn) confirmBtn.disabled = true;
+            if (statusEl) statusEl.textContent = 'Importing...';
+            
+            const count = await importFile(file, imported => {
+                if (statusEl) statusEl.textContent = `Importing... ${imported} products so far`;
+            });
+            
+            if (statusEl) {
+                statusEl.textContent = count
+                    ? `${count} products imported from ${file.name}.`
+                    : 'No products with a barcode, name and nutrition were found in the file.';
+            }
+        } catch (error) {
+            if (statusEl) statusEl.textContent = 'The file could not be imported.';
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_IMPORT_ERROR,
+                "Failed to import product data",
+                error.message
+            );
+        } finally {
+            if (confirmBtn) confirmBtn.disabled = false;
+        }
+    }
+    
+    // Public API
+    return {
+        initialize,
+        normalizeBarcode,
+        hasValidCheckDigit,
+        fromOpenFoodFacts,
+        toFood,
+        importFile,
+        resolveBarcode,
+        showImportModal
+    };
+})();
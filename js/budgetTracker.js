@@ -23,8 +23,12 @@ const BudgetTracker = (function() {
                 budgetMonth.value = currentMonth;
                 
                 // Add event listener for month change
-                budgetMonth.addEventListener('change', function() {
+                budgetMonth.addEventListener('change', async function() {
                     currentMonth = this.value;
+                    
+                    // Older months may have been archived - load them so their expenses and meals are shown
+                    await DataStore.loadArchives(`${currentMonth}-01`, `${currentMonth}-31`);
+                    expenses = getAllExpenses();
                     renderExpenses();
                     updateBudgetSummary();
                 });
@@ -50,6 +54,9 @@ const BudgetTracker = (function() {
             // Render initial data
             renderExpenses();
             updateBudgetSummary();
+            
+            // Keep the budget view in step with changes made anywhere else
+            subscribeToDataChanges();
         } catch (error) {
             ErrorHandler.handleError(
                 ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
@@ -59,6 +66,32 @@ const BudgetTracker = (function() {
         }
     }
     
+    /**
+     * Subscribe to DataStore change events that affect the budget view
+     */
+    function subscribeToDataChanges() {
+        // Expenses and the budget itself are copied into this module, so reload them
+        const reloadAll = function() {
+            loadBudgetData();
+            renderExpenses();
+            updateBudgetSummary();
+        };
+        DataStore.on('expenses:changed', reloadAll);
+        DataStore.on('budget:changed', reloadAll);
+        DataStore.on('data:reset', reloadAll);
+        
+        // Meal costs only matter for the month on screen
+        DataStore.on('meals:changed', function(detail) {
+            if (detail.date.startsWith(currentMonth)) {
+                updateBudgetSummary();
+            }
+        });
+        
+        // Food prices and the member list feed the meal cost breakdowns
+        DataStore.on('foods:changed', updateBudgetSummary);
+        DataStore.on('members:changed', updateBudgetSummary);
+    }
+    
     /**
      * Load budget and expense data from storage
      */
@@ -75,7 +108,7 @@ const BudgetTracker = (function() {
             }
             
             // Get expenses
-            expenses = DataStore.getExpenses();
+            expenses = getAllExpenses();
         } catch (error) {
             ErrorHandler.handleError(
                 ErrorHandler.ERROR_CODES.DATA_NOT_FOUND,
@@ -85,6 +118,14 @@ const BudgetTracker = (function() {
         }
     }
     
+    /**
+     * Get current expenses together with those from archived years loaded so far
+     * @returns {Array} Expenses, archived ones flagged with archived: true
+     */
+    function getAllExpenses() {
+        return DataStore.getExpenses().concat(DataStore.getArchivedExpenses());
+    }
+    
     /**
      * Update the monthly budget
      * @param {number} amount - New budget amount
@@ -147,7 +188,7 @@ const BudgetTracker = (function() {
             expenseModal.classList.remove('hidden');
             
             // Set up event listeners
-            document.getElementById('cancel-add-expense').addEventListener('click', closeModal);
+            document.getElementById('cancel-add-expense').addEventListener('click', Html.closeModal);
             document.getElementById('add-expense-form').addEventListener('submit', function(e) {
                 e.preventDefault();
                 const date = document.getElementById('expense-date').value;
@@ -155,7 +196,7 @@ const BudgetTracker = (function() {
                 const amount = parseFloat(document.getElementById('expense-amount').value);
                 
                 addExpense(date, description, amount);
-                closeModal();
+                Html.closeModal();
             });
         } catch (error) {
             ErrorHandler.handleError(
@@ -166,22 +207,6 @@ const BudgetTracker = (function() {
         }
     }
     
-    /**
-     * Close any open modal
-     */
-    function closeModal() {
-        const modalOverlay = document.getElementById('modal-overlay');
-        if (modalOverlay) {
-            // Hide all modals
-            modalOverlay.classList.add('hidden');
-            
-            const modals = document.querySelectorAll('.modal');
-            modals.forEach(modal => {
-                modal.classList.add('hidden');
-            });
-        }
-    }
-    
     /**
      * Add a new expense
      * @param {string} date - Expense date
@@ -195,7 +220,7 @@ const BudgetTracker = (function() {
             
             if (newExpense) {
                 // Refresh expense list
-                expenses = DataStore.getExpenses();
+                expenses = getAllExpenses();
                 renderExpenses();
                 updateBudgetSummary();
             }
@@ -219,7 +244,7 @@ const BudgetTracker = (function() {
             
             if (success) {
                 // Refresh expense list
-                expenses = DataStore.getExpenses();
+                expenses = getAllExpenses();
                 renderExpenses();
                 updateBudgetSummary();
             }
@@ -265,9 +290,10 @@ const BudgetTracker = (function() {
                         <td>${expense.description}</td>
                         <td>$${parseFloat(expense.amount).toFixed(2)}</td>
                         <td>
+                            ${expense.archived ? '<span class="archived-label">Archived</span>' : `
                             <button class="delete-expense" data-expense-id="${expense.id}">
                                 <i class="fas fa-trash"></i>
-                            </button>
+                            </button>`}
                         </td>
                     `;
                     
@@ -617,43 +643,8 @@ const BudgetTracker = (function() {
             const lastDay = new Date(year, month, 0).getDate();
             const endDate = `${year}-${month.toString().padStart(2, '0')}-${lastDay}`;
             
-            // Get meal costs for the date range (across all family members)
-            const mealCosts = DataStore.getMealCostsForDateRange(startDate, endDate);
-            
-            // Group by meal type
-            const mealTypeCosts = {
-                breakfast: { count: 0, totalCost: 0 },
-                lunch: { count: 0, totalCost: 0 },
-                dinner: { count: 0, totalCost: 0 },
-                snacks: { count: 0, totalCost: 0 }
-            };
-            
-            // Calculate costs by meal type
-            const allMeals = DataStore.getMeals();
-            for (const key in allMeals) {
-                const [date, memberId] = key.split('_');
-                const dateObj = new Date(date);
-                
-                // Check if the date is in the current month
-                if (dateObj.getMonth() + 1 === month && dateObj.getFullYear() === year) {
-                    const mealData = allMeals[key];
-                    
-                    // Add up costs for each meal type
-                    for (const type in mealData) {
-                        if (mealData[type] && Array.isArray(mealData[type]) && mealData[type].length > 0) {
-                            mealTypeCosts[type].count += mealData[type].length;
-                            
-                            // Calculate cost for each food item
-                            mealData[type].forEach(item => {
-                                const food = DataStore.getFoodById(item.foodId);
-                                if (food && food.costPerServing) {
-                                    mealTypeCosts[type].totalCost += food.costPerServing * (parseFloat(item.servings) || 1);
-                                }
-                            });
-                        }
-                    }
-                }
-            }
+            // Cost of every item logged this month by meal type (across all family members)
+            const mealTypeCosts = DataStore.getMealTypeCosts(startDate, endDate);
             
             // Generate HTML
             let html = '<div class="meal-cost-grid">';
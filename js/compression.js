@@ -0,0 +1,108 @@
+/**
+ * Compression Module
+ * Gzip text into base64 (and back) with the browser's CompressionStream
+ */
+
+// Creating an immediate function to encapsulate the compression helpers in its own scope
+const Compression = (function() {
+    // Format used for every compressed value
+    const FORMAT = 'gzip';
+    
+    /**
+     * Check whether the browser can compress data
+     * @returns {boolean} True if CompressionStream and DecompressionStream are available
+     */
+    function isSupported() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+    
+    /**
+     * Push bytes through a compression or decompression stream and collect the output
+     * @param {TransformStream} stream - CompressionStream or DecompressionStream
+     * @param {Uint8Array} bytes - Input bytes
+     * @returns {Promise<Uint8Array>} Output bytes
+     */
+    async function transform(stream, bytes) {
+        // Write without waiting - the writer only resolves once the output is being read
+        const writer = stream.writable.getWriter();
+        writer.write(bytes).catch(() => {});
+        writer.close().catch(() => {});
+        
+        const chunks = [];
+        let length = 0;
+        const reader = stream.readable.getReader();
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            length += value.length;
+        }
+        
+        const output = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return output;
+    }
+    
+    /**
+     * Encode bytes as base64 so they can be stored as text
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 text
+     */
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+    
+    /**
+     * Decode base64 text back into bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+    
+    /**
+     * Compress text
+     * @param {string} text - Text to compress
+     * @returns {Promise<string>} Compressed data as base64
+     */
+    async function compress(text) {
+        const bytes = await transform(new CompressionStream(FORMAT), new TextEncoder().encode(text));
+        return toBase64(bytes);
+    }
+    
+    /**
+     * Decompress text produced by compress()
+     * @param {string} data - Compressed data as base64
+     * @returns {Promise<string>} The original text
+     */
+    async function decompress(data) {
+        const bytes = await transform(new DecompressionStream(FORMAT), fromBase64(data));
+        return new TextDecoder().decode(bytes);
+    }
+    
+    // Public API
+    return {
+        isSupported,
+        compress,
+        decompress
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Compression;
+}
@@ -0,0 +1,152 @@
+/**
+ * Crypto Vault Module
+ * Passphrase-based encryption for stored data using Web Crypto (PBKDF2 + AES-GCM)
+ */
+
+// Creating an immediate function to encapsulate the encryption helpers in its own scope
+const CryptoVault = (function() {
+    // PBKDF2 work factor for new keys (stored with each config so it can be raised later)
+    const PBKDF2_ITERATIONS = 310000;
+    
+    // Byte lengths of the random salt and the per-message AES-GCM nonce
+    const SALT_LENGTH = 16;
+    const IV_LENGTH = 12;
+    
+    // Known text encrypted with the key, so a wrong passphrase can be detected before any data is touched
+    const VERIFIER_TEXT = 'family-meal-tracker-vault';
+    
+    /**
+     * Check whether Web Crypto is available (it requires a secure context such as https or localhost)
+     * @returns {boolean} True if data can be encrypted
+     */
+    function isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+    }
+    
+    /**
+     * Encode bytes as base64 for JSON storage
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 text
+     */
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+    
+    /**
+     * Decode base64 text back into bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+    
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - The user's passphrase
+     * @param {string} salt - Base64 salt from the vault config
+     * @param {number} iterations - PBKDF2 iterations from the vault config
+     * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+     */
+    async function deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * Encrypt a JSON-serializable value
+     * @param {CryptoKey} key - Key from deriveKey()
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object>} { iv, data } as base64 text
+     */
+    async function encrypt(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        return { iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+    }
+    
+    /**
+     * Decrypt a value produced by encrypt()
+     * Throws if the key is wrong or the data was tampered with
+     * @param {CryptoKey} key - Key from deriveKey()
+     * @param {Object} payload - { iv, data } from encrypt()
+     * @returns {Promise<*>} The original value
+     */
+    async function decrypt(key, payload) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+            key,
+            fromBase64(payload.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+    
+    /**
+     * Create a new vault config and key for a passphrase
+     * @param {string} passphrase - The new passphrase
+     * @returns {Promise<Object>} { key, config } where config is safe to store in plain text
+     */
+    async function createVault(passphrase) {
+        const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_LENGTH)));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const verifier = await encrypt(key, VERIFIER_TEXT);
+        
+        return {
+            key,
+            config: { algorithm: 'AES-GCM', kdf: 'PBKDF2-SHA-256', iterations: PBKDF2_ITERATIONS, salt, verifier }
+        };
+    }
+    
+    /**
+     * Derive the key for a stored vault config, checking the passphrase against its verifier
+     * @param {string} passphrase - Passphrase to try
+     * @param {Object} config - Vault config from createVault()
+     * @returns {Promise<CryptoKey|null>} The key, or null if the passphrase is wrong
+     */
+    async function unlock(passphrase, config) {
+        const key = await deriveKey(passphrase, config.salt, config.iterations);
+        try {
+            return await decrypt(key, config.verifier) === VERIFIER_TEXT ? key : null;
+        } catch (error) {
+            // AES-GCM authentication fails for a wrong key
+            return null;
+        }
+    }
+    
+    // Public API
+    return {
+        isSupported,
+        encrypt,
+        decrypt,
+        createVault,
+        unlock
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CryptoVault;
+}
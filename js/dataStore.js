@@ -1,6 +1,7 @@
 /**
  * Data Store Module
- * Handles data persistence using localStorage
+ * Handles data persistence through a storage adapter (see StorageAdapters): IndexedDB in the browser,
+ * falling back to localStorage, or memory or a JSON file when run under Node
  */
 
 // Creating an immediate function to encapsulate our data store in its own scope
@@ -12,7 +13,10 @@ const DataStore = (function() {
         FAMILY_MEMBERS: 'family-meal-tracker-members', // Key for storing family member data
         BUDGET: 'family-meal-tracker-budget', // Key for storing budget data
         EXPENSES: 'family-meal-tracker-expenses', // Key for storing expense data
-        FOOD_DATABASE: 'family-meal-tracker-food-db' // Key for storing food database
+        FOOD_DATABASE: 'family-meal-tracker-food-db', // Key for storing food database
+        SCHEMA_VERSION: 'family-meal-tracker-schema-version', // Key for storing the data schema version
+        ENCRYPTION: 'family-meal-tracker-encryption', // Key for storing the passphrase salt and check value
+        ARCHIVES: 'family-meal-tracker-archives' // Key for storing compressed data from past years
     };
     
     // Initial data setup for first-time use
@@ -26,10 +30,14 @@ const DataStore = (function() {
         expenses: [], // Empty expenses array
         foodDatabase: [
             // Some sample foods with nutrition data
+            // Their ids are what Ids.fromLegacy() gives the old numeric ids 1-3, so data saved before ids were
+            // UUIDs still points at the same foods after upgrading
             {
-                id: 1,
+                id: '314ea1b5-573d-8556-97d7-601f28c1292d',
                 name: 'Oatmeal',
                 servingSize: '1 cup cooked',
+                servingGrams: 234, // Grams per serving (see Units)
+                measures: { cup: 234 },
                 calories: 150,
                 protein: 5,
                 carbs: 27,
@@ -38,9 +46,10 @@ const DataStore = (function() {
                 category: 'breakfast'
             },
             {
-                id: 2,
+                id: 'c274186a-5dd8-8f4d-b5f1-1fca4e3ab10b',
                 name: 'Chicken Breast',
                 servingSize: '3 oz cooked',
+                servingGrams: 85,
                 calories: 165,
                 protein: 31,
                 carbs: 0,
@@ -49,9 +58,11 @@ const DataStore = (function() {
                 category: 'protein'
             },
             {
-                id: 3,
+                id: '3c2caaf0-1a17-85fb-937d-12c1ab48ea92',
                 name: 'Broccoli',
                 servingSize: '1 cup',
+                servingGrams: 91,
+                measures: { cup: 91 },
                 calories: 55,
                 protein: 3.7,
                 carbs: 11,
@@ -63,11 +74,88 @@ const DataStore = (function() {
         ]
     };
     
-    // Function to safely get data from localStorage with error handling
+    // Keys for single values kept in the IndexedDB settings store
+    const SETTINGS_KEYS = {
+        INITIALIZED: 'initialized', // Set once the sample data has been seeded
+        MIGRATED_FROM_LOCAL_STORAGE: 'migratedFromLocalStorage', // Set once legacy data was copied across
+        SCHEMA_VERSION: 'schemaVersion', // Schema version the stored data was last written with
+        ENCRYPTION: 'encryption' // Passphrase salt and check value, present while encryption is on
+    };
+    
+    // How each cached collection maps onto storage
+    // kind: 'days' = object keyed by date and member, 'list' = array of records with ids, 'setting' = single value
+    const COLLECTIONS = {
+        meals: { kind: 'days', storageKey: STORAGE_KEYS.MEALS, store: IndexedDBStorage.STORES.MEALS },
+        mealPlans: { kind: 'days', storageKey: STORAGE_KEYS.MEAL_PLANS, store: IndexedDBStorage.STORES.MEAL_PLANS },
+        familyMembers: { kind: 'list', storageKey: STORAGE_KEYS.FAMILY_MEMBERS, store: IndexedDBStorage.STORES.FAMILY_MEMBERS },
+        budget: { kind: 'setting', storageKey: STORAGE_KEYS.BUDGET, store: IndexedDBStorage.STORES.SETTINGS },
+        expenses: { kind: 'list', storageKey: STORAGE_KEYS.EXPENSES, store: IndexedDBStorage.STORES.EXPENSES },
+        foodDatabase: { kind: 'list', storageKey: STORAGE_KEYS.FOOD_DATABASE, store: IndexedDBStorage.STORES.FOOD_DATABASE }
+    };
+    
+    // Event emitted after each collection changes, and after all data was replaced at once
+    const CHANGE_EVENTS = {
+        meals: 'meals:changed', // detail: { date, memberId, key, source }
+        mealPlans: 'plans:changed', // detail: { date, memberId, key, source }
+        familyMembers: 'members:changed', // detail: { ids, source }
+        budget: 'budget:changed', // detail: { budget, source }
+        expenses: 'expenses:changed', // detail: { ids, source }
+        foodDatabase: 'foods:changed' // detail: { ids, source }
+    };
+    const RESET_EVENT = 'data:reset'; // detail: { source }
+    const LOCK_EVENT = 'data:locked'; // detail: { source } - the key was dropped, so the page must be reloaded and unlocked
+    
+    const STORAGE_FULL_EVENT = 'storage:full'; // detail: { source } - a save failed because storage is full
+    
+    // How long writes are held back so bursts of edits are saved together (milliseconds)
+    const WRITE_DELAY = 250;
+    
+    // Collections whose old records can be moved into yearly archives, and the day collections among them
+    const ARCHIVED_COLLECTIONS = ['meals', 'mealPlans', 'expenses'];
+    const ARCHIVED_DAY_COLLECTIONS = ['meals', 'mealPlans'];
+    
+    // Active storage adapter and in-memory copy of every collection (reads are served from here)
+    let backend = null;
+    let cache = createEmptyCache();
+    let keyValueStore = null; // Key-value adapter: the active one, or localStorage next to IndexedDB for data saved by older versions
+    let storageOptions = {}; // Options storage was last initialized with (see initializeStorage)
+    let mutationListeners = []; // Called after every write with the records that changed
+    let eventHandlers = {}; // Handlers registered with on(), by event name
+    let activeBatch = null; // Collects changes while batch() is running
+    let tabSyncStarted = false; // Whether we are listening for changes made in other tabs
+    let dateIndexes = {}; // Sorted dates and the day keys under each, per day collection (see getDateIndex)
+    let foodIndex = null; // Foods by id, tied to the cached food list (see getFoodIndex)
+    let pendingOperations = new Map(); // Record writes waiting to be flushed, latest per record
+    let pendingCollections = new Set(); // Whole collections waiting to be re-saved to key-value storage
+    let flushTimer = null; // Timer for the next scheduled flush
+    let exitFlushRegistered = false; // Whether pending writes are flushed when the page is hidden
+    let profileId = null; // Household profile whose data is loaded
+    let storageKeySuffix = ''; // Added to every key-value storage key so each profile has its own copy
+    let encryptionConfig = null; // Salt and passphrase check for encrypted data (null when encryption is off)
+    let vaultKey = null; // Key derived from the passphrase, held in memory only while unlocked
+    let locked = false; // Set once the key was dropped - nothing more may be written until the page reloads
+    let writeQueue = Promise.resolve(); // Storage writes run one after another (see queueWrite)
+    let archiveIndex = new Map(); // What each archived year holds ({ year, createdAt, counts, size, ... }), by year
+    let loadedArchives = new Map(); // Archived collections read so far ({ meals, mealPlans, expenses }), by year
+    
+    // Get the key-value storage key a collection is saved under for the active profile
+    function profileKey(key) {
+        return key + storageKeySuffix;
+    }
+    
+    // Check whether the active adapter keeps one record per item (IndexedDB) rather than whole collections under keys
+    function usesRecords() {
+        return backend !== null && backend.kind === StorageAdapters.KINDS.RECORDS;
+    }
+    
+    // Function to safely get data from key-value storage with error handling
     function getData(key) {
+        if (!keyValueStore) {
+            return null;
+        }
         try {
-            // Get data from localStorage
-            const data = localStorage.getItem(key);
+            // Get data from key-value storage
+            const data = keyValueStore.getItem(profileKey(key));
             // If data exists, parse it; otherwise return null
             return data ? JSON.parse(data) : null;
         } catch (error) {
@@ -81,59 +169,1231 @@ const DataStore = (function() {
         }
     }
     
-    // Function to safely save data to localStorage with error handling
-    function saveData(key, data) {
+    // Function to safely save data to key-value storage with error handling
+    function saveData(key, data) {
+        try {
+            // Convert data to JSON string and save to key-value storage
+            keyValueStore.setItem(profileKey(key), JSON.stringify(data));
+            return true;
+        } catch (error) {
+            // Handle storage errors
+            reportSaveFailure(`Failed to save data for key: ${key}`, error);
+            return false;
+        }
+    }
+    
+    // Check whether a storage error means the browser has run out of space for this site
+    function isQuotaError(error) {
+        return Boolean(error) &&
+            (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+    
+    // Report a failed save, calling out a full storage quota so the user knows how to make room
+    function reportSaveFailure(message, error) {
+        if (isQuotaError(error)) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.STORAGE_QUOTA_ERROR,
+                'Storage is full, so changes are not being saved. Open Storage to archive old data.',
+                `${message}: ${error.message}`
+            );
+            emit(STORAGE_FULL_EVENT, { source: 'local' });
+            return;
+        }
+        
+        ErrorHandler.handleError(
+            ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+            message,
+            error ? error.message : 'Unknown storage error'
+        );
+    }
+    
+    // Encrypt a value for storage while encryption is on (it is returned unchanged when encryption is off)
+    async function seal(value) {
+        return vaultKey ? { sealed: await CryptoVault.encrypt(vaultKey, value) } : value;
+    }
+    
+    // Decrypt a value read from storage; values saved before encryption was turned on pass through
+    async function unseal(value) {
+        if (!value || !value.sealed) {
+            return value;
+        }
+        if (!vaultKey) {
+            throw new Error('Saved data is encrypted and has not been unlocked');
+        }
+        return CryptoVault.decrypt(vaultKey, value.sealed);
+    }
+    
+    // Encrypt the records written by record operations, leaving only each record's key readable
+    // Storage markers in the settings store stay plain so they can be read before unlocking
+    async function sealOperations(operations) {
+        const plainSettings = Object.values(SETTINGS_KEYS);
+        
+        return Promise.all(operations.map(async operation => {
+            if (!vaultKey || operation.type !== 'put' ||
+                (operation.store === IndexedDBStorage.STORES.SETTINGS && plainSettings.includes(operation.value.key))) {
+                return operation;
+            }
+            const keyPath = IndexedDBStorage.KEY_PATHS[operation.store];
+            return { ...operation, value: { [keyPath]: operation.value[keyPath], ...await seal(operation.value) } };
+        }));
+    }
+    
+    // Run a storage write once every write queued before it has finished
+    // Encrypting is asynchronous, so without the queue a later save could land before an earlier one
+    function queueWrite(task) {
+        if (locked) {
+            return Promise.reject(new Error('Data is locked'));
+        }
+        const result = writeQueue.then(task);
+        writeQueue = result.catch(() => {});
+        return result;
+    }
+    
+    // Write record operations in a single transaction, encrypting records while encryption is on
+    function writeOperations(operations) {
+        return queueWrite(async () => backend.write(await sealOperations(operations)));
+    }
+    
+    // Save a whole collection to key-value storage, encrypting it while encryption is on
+    function saveCollection(key, value) {
+        return queueWrite(async () => saveData(key, await seal(value)));
+    }
+    
+    // Create an empty in-memory copy of every collection
+    function createEmptyCache() {
+        return {
+            meals: {},
+            mealPlans: {},
+            familyMembers: [],
+            budget: clone(initialData.budget),
+            expenses: [],
+            foodDatabase: []
+        };
+    }
+    
+    // Deep copy a value so callers can't mutate the cache behind our back
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    
+    // Generate a record ID - a UUID, so records created in other tabs, on other devices or in backups never clash
+    function generateId() {
+        return Ids.create();
+    }
+    
+    // Split a composite `${date}_${familyMemberId}` key into its parts
+    function parseDayKey(key) {
+        const separatorIndex = key.indexOf('_');
+        return {
+            date: key.slice(0, separatorIndex),
+            memberId: key.slice(separatorIndex + 1)
+        };
+    }
+    
+    // Convert a cached value into the record stored in its IndexedDB object store
+    function toRecord(collection, key, value) {
+        const { kind } = COLLECTIONS[collection];
+        if (kind === 'days') {
+            // Day records keep the date and member alongside the meals for later querying
+            return { key, ...parseDayKey(key), data: value };
+        }
+        if (kind === 'setting') {
+            return { key, value };
+        }
+        // List items are stored as-is, keyed by their own id
+        return value;
+    }
+    
+    // Get the key every record in a collection is stored under
+    function getRecordKeys(collection, value) {
+        const { kind } = COLLECTIONS[collection];
+        if (kind === 'days') {
+            return Object.keys(value || {});
+        }
+        if (kind === 'list') {
+            return (value || []).map(item => item.id);
+        }
+        return [collection];
+    }
+    
+    // Look up a single record in a collection by its key
+    function getRecord(collection, value, key) {
+        const { kind } = COLLECTIONS[collection];
+        if (kind === 'days') {
+            return value[key];
+        }
+        if (kind === 'list') {
+            return value.find(item => item.id === key);
+        }
+        return value;
+    }
+    
+    // Find where a date belongs in a sorted list of dates (index of the first date >= it)
+    function findDatePosition(dates, date) {
+        let low = 0;
+        let high = dates.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (dates[middle] < date) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+    
+    // Get the date index for a day collection, building it if the collection was replaced since
+    // The index is tied to the collection object, so loading, importing or migrating rebuilds it
+    function getDateIndex(collection) {
+        const days = cache[collection];
+        let index = dateIndexes[collection];
+        
+        if (!index || index.days !== days) {
+            index = { days, dates: [], keysByDate: new Map() };
+            Object.keys(days).forEach(key => {
+                const { date } = parseDayKey(key);
+                if (!index.keysByDate.has(date)) {
+                    index.keysByDate.set(date, new Set());
+                }
+                index.keysByDate.get(date).add(key);
+            });
+            // YYYY-MM-DD strings sort chronologically
+            index.dates = [...index.keysByDate.keys()].sort();
+            dateIndexes[collection] = index;
+        }
+        
+        return index;
+    }
+    
+    // Keep an already built date index in step with a day being added or removed
+    function updateDateIndex(collection, key, present) {
+        const index = dateIndexes[collection];
+        if (!index || index.days !== cache[collection]) {
+            return; // Built lazily on the next query
+        }
+        
+        const { date } = parseDayKey(key);
+        let keys = index.keysByDate.get(date);
+        
+        if (present) {
+            if (!keys) {
+                keys = new Set();
+                index.keysByDate.set(date, keys);
+                index.dates.splice(findDatePosition(index.dates, date), 0, date);
+            }
+            keys.add(key);
+        } else if (keys) {
+            keys.delete(key);
+            if (!keys.size) {
+                index.keysByDate.delete(date);
+                index.dates.splice(findDatePosition(index.dates, date), 1);
+            }
+        }
+    }
+    
+    // Get the food lookup map, rebuilding it if the food list was replaced since
+    function getFoodIndex() {
+        if (!foodIndex || foodIndex.foods !== cache.foodDatabase) {
+            foodIndex = {
+                foods: cache.foodDatabase,
+                byId: new Map(cache.foodDatabase.map(food => [food.id, food]))
+            };
+        }
+        return foodIndex.byId;
+    }
+    
+    // Put a record into (or, with an undefined value, remove it from) a cached collection
+    function setRecord(collection, key, value) {
+        const { kind } = COLLECTIONS[collection];
+        if (kind === 'days') {
+            if (value === undefined) {
+                delete cache[collection][key];
+            } else {
+                cache[collection][key] = value;
+            }
+            updateDateIndex(collection, key, value !== undefined);
+        } else if (kind === 'list') {
+            const index = cache[collection].findIndex(item => item.id === key);
+            if (value === undefined) {
+                if (index !== -1) cache[collection].splice(index, 1);
+            } else if (index === -1) {
+                cache[collection].push(value);
+            } else {
+                cache[collection][index] = value;
+            }
+            
+            // The list is changed in place, so keep the food lookup in step
+            if (collection === 'foodDatabase' && foodIndex && foodIndex.foods === cache.foodDatabase) {
+                if (value === undefined) {
+                    foodIndex.byId.delete(key);
+                } else {
+                    foodIndex.byId.set(key, value);
+                }
+            }
+        } else {
+            cache[collection] = value;
+        }
+    }
+    
+    // Queue changed records to be written through to the active storage backend
+    // Each change is { key, value }; an undefined value deletes the record
+    // Writes are debounced: the cache is already updated, so reads never wait for storage
+    function persist(collection, changes) {
+        const config = COLLECTIONS[collection];
+        
+        // The key is gone, so nothing can be saved until the page is unlocked again
+        if (locked) {
+            return false;
+        }
+        
+        if (!usesRecords()) {
+            // Key-value storage can only hold whole collections, so the lot is re-saved on flush
+            pendingCollections.add(collection);
+        } else {
+            // Only the latest write to each record matters
+            changes.forEach(change => {
+                const operation = change.value === undefined
+                    ? { store: config.store, type: 'delete', key: change.key }
+                    : { store: config.store, type: 'put', value: toRecord(collection, change.key, change.value) };
+                pendingOperations.set(`${config.store}/${change.key}`, operation);
+            });
+        }
+        
+        scheduleFlush();
+        return true;
+    }
+    
+    // Flush pending writes once the current burst of edits has settled
+    function scheduleFlush() {
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(flushWrites, WRITE_DELAY);
+    }
+    
+    // Write everything still pending to storage now
+    // Resolves to true once the writes have committed, false if they failed (failures are reported)
+    async function flushWrites() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        
+        const collections = [...pendingCollections];
+        const operations = [...pendingOperations];
+        pendingCollections = new Set();
+        pendingOperations = new Map();
+        
+        if (!collections.length && !operations.length) {
+            return true;
+        }
+        
+        try {
+            // Queued together so they run in order without waiting on each other here
+            const writes = collections.map(collection => {
+                return saveCollection(COLLECTIONS[collection].storageKey, cache[collection]).then(saved => {
+                    // Keep it pending so the next save tries again, e.g. once space has been freed
+                    if (!saved) {
+                        pendingCollections.add(collection);
+                    }
+                    return saved;
+                });
+            });
+            if (operations.length) {
+                writes.push(writeOperations(operations.map(([, operation]) => operation)).then(() => true));
+            }
+            return (await Promise.all(writes)).every(Boolean);
+        } catch (error) {
+            // Keep failed records pending too, unless they have been changed again since
+            if (!locked) {
+                operations.forEach(([id, operation]) => {
+                    if (!pendingOperations.has(id)) {
+                        pendingOperations.set(id, operation);
+                    }
+                });
+            }
+            reportSaveFailure('Failed to save changes', error);
+            return false;
+        }
+    }
+    
+    // Drop pending writes that are about to be overwritten (e.g. by an import or reset)
+    function cancelPendingWrites() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        pendingOperations = new Map();
+        pendingCollections = new Set();
+    }
+    
+    // Save pending writes when the page is hidden or closed, so a quick close doesn't lose them
+    // Scripts without a page call flushWrites() themselves before exiting
+    function registerExitFlush() {
+        if (exitFlushRegistered || typeof window === 'undefined') {
+            return;
+        }
+        exitFlushRegistered = true;
+        
+        window.addEventListener('pagehide', flushWrites);
+        document.addEventListener('visibilitychange', function() {
+            if (document.visibilityState === 'hidden') {
+                flushWrites();
+            }
+        });
+    }
+    
+    // Tell every mutation listener about a set of changes (or add them to the open batch)
+    function notifyMutation(changes, options) {
+        if (activeBatch) {
+            activeBatch.changes.push(...changes);
+            activeBatch.destructive = activeBatch.destructive || Boolean(options.destructive);
+            return;
+        }
+        
+        const mutation = {
+            label: options.label || 'Data changed',
+            source: options.source || 'local', // 'local' for user edits, 'history' for undo/redo, 'remote' for other tabs, 'sync' for other devices
+            destructive: Boolean(options.destructive),
+            reset: Boolean(options.reset), // True when every collection was replaced at once
+            replaced: Boolean(options.replaced), // True when the data was replaced as a whole, so anything not in it is gone
+            changes // For a reset, just the { collection, key } of each record that differs
+        };
+        
+        // Let other open tabs catch up (changes that came from them are already there)
+        if (mutation.source !== 'remote') {
+            postToTabs(mutation.reset ? { type: 'reset' } : { type: 'changes', changes });
+        }
+        
+        mutationListeners.forEach(listener => {
+            try {
+                listener(mutation);
+            } catch (error) {
+                ErrorHandler.handleError(
+                    ErrorHandler.ERROR_CODES.UNKNOWN_ERROR,
+                    'A data change listener failed',
+                    error.message
+                );
+            }
+        });
+        
+        emitChangeEvents(mutation);
+    }
+    
+    // Call every handler registered for an event
+    function emit(eventName, detail) {
+        (eventHandlers[eventName] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                ErrorHandler.handleError(
+                    ErrorHandler.ERROR_CODES.UNKNOWN_ERROR,
+                    `A handler for ${eventName} failed`,
+                    error.message
+                );
+            }
+        });
+    }
+    
+    // Turn a mutation into typed events: one per changed day, one per changed list or setting
+    function emitChangeEvents(mutation) {
+        const { source } = mutation;
+        
+        if (mutation.reset) {
+            emit(RESET_EVENT, { source });
+            return;
+        }
+        
+        const changedKeys = {};
+        mutation.changes.forEach(change => {
+            changedKeys[change.collection] = changedKeys[change.collection] || new Set();
+            changedKeys[change.collection].add(String(change.key));
+        });
+        
+        Object.keys(changedKeys).forEach(collection => {
+            const keys = [...changedKeys[collection]];
+            const { kind } = COLLECTIONS[collection];
+            
+            if (kind === 'days') {
+                keys.forEach(key => {
+                    const { date, memberId } = parseDayKey(key);
+                    emit(CHANGE_EVENTS[collection], { date, memberId, key, source });
+                });
+            } else if (kind === 'list') {
+                emit(CHANGE_EVENTS[collection], { ids: keys, source });
+            } else {
+                emit(CHANGE_EVENTS[collection], { [collection]: clone(cache[collection]), source });
+            }
+        });
+    }
+    
+    // Subscribe to a change event, e.g. on('meals:changed', ({ date, memberId }) => ...)
+    // Returns a function that removes the handler again
+    function on(eventName, handler) {
+        eventHandlers[eventName] = eventHandlers[eventName] || [];
+        eventHandlers[eventName].push(handler);
+        return function() {
+            off(eventName, handler);
+        };
+    }
+    
+    // Remove a handler added with on()
+    function off(eventName, handler) {
+        if (eventHandlers[eventName]) {
+            eventHandlers[eventName] = eventHandlers[eventName].filter(registered => registered !== handler);
+        }
+    }
+    
+    // Apply changes to one collection, write them through and notify listeners
+    // Each change is { key, value }; an undefined value deletes the record
+    function commitChanges(collection, changes, options = {}) {
+        if (!changes.length) {
+            return true;
+        }
+        
+        // Record what each record looked like before and after, for undo
+        const recorded = changes.map(change => {
+            const before = clone(getRecord(collection, cache[collection], change.key));
+            setRecord(collection, change.key, clone(change.value));
+            return { collection, key: change.key, before, after: clone(change.value) };
+        });
+        
+        const persisted = persist(collection, changes);
+        notifyMutation(recorded, options);
+        return persisted;
+    }
+    
+    // Group the writes made by fn into a single mutation with one label
+    // options: { destructive, source } - destructive changes offer an undo prompt
+    function batch(label, fn, options = {}) {
+        // Nested batches simply join the outer one
+        if (activeBatch) {
+            return fn();
+        }
+        
+        activeBatch = { label, source: options.source, destructive: Boolean(options.destructive), changes: [] };
+        try {
+            return fn();
+        } finally {
+            const finished = activeBatch;
+            activeBatch = null;
+            if (finished.changes.length) {
+                notifyMutation(finished.changes, finished);
+            }
+        }
+    }
+    
+    // Write a set of records across collections, e.g. to undo or redo a change
+    // Each record is { collection, key, value }; an undefined value deletes the record
+    function applyRecords(records, options = {}) {
+        return batch(options.label || 'Data restored', () => {
+            return records.every(record => commitChanges(record.collection, [{ key: record.key, value: record.value }]));
+        }, options);
+    }
+    
+    // Resolve list records that share an id: 'renumber' gives every copy after the first a new id,
+    // 'delete' keeps only the first copy
+    // Writes are keyed by id and can't tell the copies apart, so this replaces the collection like an import
+    async function fixDuplicateIds(collection, id, action) {
+        const copies = cache[collection].filter(item => item.id === id);
+        if (COLLECTIONS[collection].kind !== 'list' || copies.length < 2) {
+            return false;
+        }
+        
+        const kept = action === 'renumber'
+            ? copies.map((item, index) => (index === 0 ? item : { ...item, id: generateId() }))
+            : copies.slice(0, 1);
+        
+        // Replace the list (rather than editing it in place) so the food lookup is rebuilt
+        let inserted = false;
+        cache[collection] = cache[collection].reduce((items, item) => {
+            if (item.id !== id) {
+                items.push(item);
+            } else if (!inserted) {
+                items.push(...kept);
+                inserted = true;
+            }
+            return items;
+        }, []);
+        
+        // Save before telling other tabs, since they reload everything from storage
+        if (!persist(collection, kept.map(item => ({ key: item.id, value: item }))) || !await flushWrites()) {
+            return false;
+        }
+        const changes = kept.map(item => ({ collection, key: item.id }));
+        notifyMutation(changes, { label: action === 'renumber' ? 'Duplicate ids renumbered' : 'Duplicate records deleted', reset: true });
+        return true;
+    }
+    
+    // Register a listener called with { label, source, destructive, reset, replaced, changes } after every write
+    // Returns a function that removes the listener again
+    function onMutation(listener) {
+        mutationListeners.push(listener);
+        return function() {
+            mutationListeners = mutationListeners.filter(registered => registered !== listener);
+        };
+    }
+    
+    // Compare two JSON-compatible values
+    function isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    
+    // Identify a meal item across copies of the same day (items get an id when they are created)
+    function getItemKey(item) {
+        if (item.id !== undefined) {
+            return item.id;
+        }
+        return item.timestamp !== undefined ? `${item.timestamp}_${item.foodId}` : JSON.stringify(item);
+    }
+    
+    // Three-way merge of one meal type's items, given the common base and two concurrent edits
+    // The result is the same whichever side is "mine", so every tab ends up with identical data
+    function mergeItems(baseItems, myItems, theirItems) {
+        const toMap = items => new Map((items || []).map(item => [getItemKey(item), item]));
+        const base = toMap(baseItems);
+        const mine = toMap(myItems);
+        const theirs = toMap(theirItems);
+        const merged = [];
+        
+        new Set([...mine.keys(), ...theirs.keys()]).forEach(key => {
+            const inBase = base.has(key);
+            
+            // Removed on either side wins over leaving it untouched
+            if (inBase && (!mine.has(key) || !theirs.has(key))) {
+                const survivor = mine.get(key) || theirs.get(key);
+                if (isEqual(survivor, base.get(key))) {
+                    return;
+                }
+                // Edited on one side while removed on the other - keep the edit
+                merged.push(survivor);
+                return;
+            }
+            
+            const myItem = mine.get(key);
+            const theirItem = theirs.get(key);
+            if (!myItem || !theirItem || isEqual(myItem, theirItem)) {
+                merged.push(myItem || theirItem);
+            } else if (inBase && isEqual(myItem, base.get(key))) {
+                merged.push(theirItem);
+            } else if (inBase && isEqual(theirItem, base.get(key))) {
+                merged.push(myItem);
+            } else {
+                // Both sides edited the same item - pick one deterministically
+                merged.push(JSON.stringify(myItem) > JSON.stringify(theirItem) ? myItem : theirItem);
+            }
+        });
+        
+        return merged.sort(compareLoggedOrder);
+    }
+    
+    // Keep items in the order they were logged
+    function compareLoggedOrder(a, b) {
+        return (a.timestamp || 0) - (b.timestamp || 0) || (getItemKey(a) < getItemKey(b) ? -1 : 1);
+    }
+    
+    // Three-way merge of a day record (meal type -> items)
+    function mergeDay(base, mine, theirs) {
+        base = base || {};
+        mine = mine || {};
+        theirs = theirs || {};
+        
+        const merged = {};
+        new Set([...Object.keys(mine), ...Object.keys(theirs)]).forEach(mealType => {
+            merged[mealType] = mergeItems(base[mealType], mine[mealType], theirs[mealType]);
+        });
+        return merged;
+    }
+    
+    // Apply changes another tab made, merging concurrent edits to the same day
+    function applyRemoteChanges(changes) {
+        const applied = [];
+        const merges = {};
+        
+        changes.forEach(change => {
+            const { collection, key, before, after } = change;
+            if (!COLLECTIONS[collection]) return;
+            
+            const mine = getRecord(collection, cache[collection], key);
+            let value = after;
+            
+            // We changed this day too since the other tab last saw it - combine both edits
+            if (COLLECTIONS[collection].kind === 'days' && !isEqual(mine, before) && !isEqual(mine, after) &&
+                mine !== undefined && after !== undefined) {
+                value = mergeDay(before, mine, after);
+                if (!isEqual(value, after)) {
+                    merges[collection] = merges[collection] || [];
+                    merges[collection].push({ key, value });
+                }
+            }
+            // Everything else is last writer wins
+            
+            if (isEqual(mine, value)) return;
+            
+            setRecord(collection, key, clone(value));
+            applied.push({ collection, key, before: clone(mine), after: clone(value) });
+        });
+        
+        // The other tab saved its own version, so store the merged one and tell everyone about it
+        const mergedChanges = [];
+        Object.keys(merges).forEach(collection => {
+            persist(collection, merges[collection]);
+            merges[collection].forEach(change => {
+                const record = applied.find(item => item.collection === collection && item.key === change.key);
+                mergedChanges.push(record);
+            });
+        });
+        if (mergedChanges.length) {
+            postToTabs({ type: 'changes', changes: mergedChanges });
+        }
+        
+        if (applied.length) {
+            notifyMutation(applied, { label: 'Changed in another tab', source: 'remote' });
+        }
+    }
+    
+    // Re-read everything from storage after another tab replaced all data (import or reset)
+    async function reloadFromStorage() {
+        try {
+            // Anything we hadn't saved yet belongs to the data that was just replaced
+            cancelPendingWrites();
+            
+            // A reset removes the encryption settings along with the data, so stop encrypting too
+            encryptionConfig = await readEncryptionConfig();
+            if (!encryptionConfig) {
+                vaultKey = null;
+            }
+            
+            if (usesRecords()) {
+                cache = await loadFromRecordStore();
+            } else {
+                const loaded = await loadFromKeyValueStore();
+                cache = createEmptyCache();
+                for (const collection in loaded) {
+                    if (loaded[collection] !== null) {
+                        cache[collection] = loaded[collection];
+                    }
+                }
+            }
+            await loadArchiveIndex();
+            notifyMutation([], { label: 'Replaced in another tab', source: 'remote', reset: true });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+                'Failed to load data changed in another tab',
+                error ? error.message : 'Unknown storage error'
+            );
+        }
+    }
+    
+    // Send a message to DataStore in other tabs, tagged with our profile
+    function postToTabs(message) {
+        // Nothing shares our storage outside a browser
+        if (!tabSyncStarted) {
+            return;
+        }
+        TabChannel.post({ ...message, profileId });
+    }
+    
+    // Handle a message sent by DataStore in another tab
+    function handleTabMessage(message) {
+        // Tabs working on another household have nothing to tell us
+        if (message.profileId !== profileId) {
+            return;
+        }
+        
+        if (message.type === 'changes') {
+            applyRemoteChanges(message.changes || []);
+        } else if (message.type === 'reset') {
+            reloadFromStorage();
+        } else if (message.type === 'encryption') {
+            // Our key no longer matches what is stored - drop it and let the page unlock again
+            cancelPendingWrites();
+            dropKey('remote');
+        }
+    }
+    
+    // Start receiving changes from other tabs (once per page)
+    function startTabSync() {
+        if (tabSyncStarted || typeof window === 'undefined') {
+            return;
+        }
+        tabSyncStarted = true;
+        
+        TabChannel.open();
+        TabChannel.subscribe(handleTabMessage);
+    }
+    
+    // Load every collection from a records adapter (IndexedDB) into the cache
+    async function loadFromRecordStore() {
+        const loaded = createEmptyCache();
+        
+        for (const collection in COLLECTIONS) {
+            const { kind, store } = COLLECTIONS[collection];
+            if (kind === 'days') {
+                const records = await Promise.all((await backend.getAll(store)).map(unseal));
+                records.forEach(record => {
+                    loaded[collection][record.key] = record.data;
+                });
+            } else if (kind === 'list') {
+                loaded[collection] = await Promise.all((await backend.getAll(store)).map(unseal));
+            } else {
+                const record = await unseal(await backend.get(store, collection));
+                if (record) {
+                    loaded[collection] = record.value;
+                }
+            }
+        }
+        
+        return loaded;
+    }
+    
+    // Load every collection from key-value storage, leaving null where a key is missing
+    async function loadFromKeyValueStore() {
+        const loaded = {};
+        for (const collection in COLLECTIONS) {
+            loaded[collection] = await unseal(getData(COLLECTIONS[collection].storageKey));
+        }
+        return loaded;
+    }
+    
+    // Build the record operations that store a whole collection
+    function collectionToOperations(collection, value) {
+        const { kind, store } = COLLECTIONS[collection];
+        if (kind === 'days') {
+            return Object.keys(value).map(key => ({ store, type: 'put', value: toRecord(collection, key, value[key]) }));
+        }
+        if (kind === 'list') {
+            return value.map(item => ({ store, type: 'put', value: item }));
+        }
+        return [{ store, type: 'put', value: toRecord(collection, collection, value) }];
+    }
+    
+    // Copy data saved by older versions from localStorage into IndexedDB (runs once)
+    async function migrateFromLocalStorage() {
+        const STORES = IndexedDBStorage.STORES;
+        if (!keyValueStore || await backend.get(STORES.SETTINGS, SETTINGS_KEYS.MIGRATED_FROM_LOCAL_STORAGE)) {
+            return;
+        }
+        
+        const legacy = await loadFromKeyValueStore();
+        const operations = [];
+        let foundLegacyData = false;
+        
+        for (const collection in legacy) {
+            if (legacy[collection] !== null) {
+                foundLegacyData = true;
+                operations.push(...collectionToOperations(collection, legacy[collection]));
+            }
+        }
+        
+        // Archives are copied record by record
+        const legacyArchives = await unseal(getData(STORAGE_KEYS.ARCHIVES));
+        if (legacyArchives) {
+            foundLegacyData = true;
+            Object.values(legacyArchives).forEach(record => {
+                operations.push({ store: STORES.ARCHIVES, type: 'put', value: record });
+            });
+        }
+        
+        // Data encrypted in localStorage stays encrypted (with the same passphrase) in IndexedDB
+        if (encryptionConfig) {
+            operations.push({ store: STORES.SETTINGS, type: 'put', value: { key: SETTINGS_KEYS.ENCRYPTION, value: encryptionConfig } });
+        }
+        
+        // Legacy installs were already initialized, so don't seed sample data over them
+        if (foundLegacyData) {
+            operations.push({ store: STORES.SETTINGS, type: 'put', value: { key: SETTINGS_KEYS.INITIALIZED, value: true } });
+        }
+        operations.push({
+            store: STORES.SETTINGS,
+            type: 'put',
+            value: { key: SETTINGS_KEYS.MIGRATED_FROM_LOCAL_STORAGE, value: new Date().toISOString() }
+        });
+        
+        await writeOperations(operations);
+        
+        // Only free the localStorage quota once the copy has committed
+        if (foundLegacyData) {
+            Object.values(STORAGE_KEYS).forEach(key => keyValueStore.removeItem(profileKey(key)));
+            console.log('Migrated existing data from localStorage to IndexedDB');
+        }
+    }
+    
+    // Seed empty collections with the initial data on first use
+    async function seedInitialData() {
+        if (usesRecords()) {
+            const STORES = IndexedDBStorage.STORES;
+            if (await backend.get(STORES.SETTINGS, SETTINGS_KEYS.INITIALIZED)) {
+                return;
+            }
+            
+            const operations = [];
+            for (const collection in COLLECTIONS) {
+                if (COLLECTIONS[collection].kind === 'list' && cache[collection].length === 0) {
+                    cache[collection] = clone(initialData[collection]);
+                    operations.push(...collectionToOperations(collection, cache[collection]));
+                }
+            }
+            operations.push({ store: STORES.SETTINGS, type: 'put', value: { key: SETTINGS_KEYS.INITIALIZED, value: true } });
+            await writeOperations(operations);
+            return;
+        }
+        
+        // For key-value storage, check if each key exists and initialize it if not
+        for (const collection in COLLECTIONS) {
+            if (!getData(COLLECTIONS[collection].storageKey)) {
+                cache[collection] = clone(initialData[collection]);
+                await saveCollection(COLLECTIONS[collection].storageKey, cache[collection]);
+            }
+        }
+    }
+    
+    // Read the schema version the stored data was written with (0 if it predates versioning)
+    async function readSchemaVersion() {
+        if (usesRecords()) {
+            const record = await backend.get(IndexedDBStorage.STORES.SETTINGS, SETTINGS_KEYS.SCHEMA_VERSION);
+            return record ? record.value : 0;
+        }
+        return getData(STORAGE_KEYS.SCHEMA_VERSION) || 0;
+    }
+    
+    // Replace every stored collection, the schema version and the encryption settings in one go
+    // archives: archive records to replace the stored ones with (left as they are when omitted)
+    async function saveAllCollections(data, version, archives) {
+        if (usesRecords()) {
+            const operations = [];
+            for (const collection in COLLECTIONS) {
+                // The settings store holds more than this collection, so only clear record stores
+                if (COLLECTIONS[collection].kind !== 'setting') {
+                    operations.push({ store: COLLECTIONS[collection].store, type: 'clear' });
+                }
+                operations.push(...collectionToOperations(collection, data[collection]));
+            }
+            operations.push({
+                store: IndexedDBStorage.STORES.SETTINGS,
+                type: 'put',
+                value: { key: SETTINGS_KEYS.SCHEMA_VERSION, value: version }
+            });
+            operations.push(encryptionConfig
+                ? { store: IndexedDBStorage.STORES.SETTINGS, type: 'put', value: { key: SETTINGS_KEYS.ENCRYPTION, value: encryptionConfig } }
+                : { store: IndexedDBStorage.STORES.SETTINGS, type: 'delete', key: SETTINGS_KEYS.ENCRYPTION });
+            if (archives) {
+                operations.push({ store: IndexedDBStorage.STORES.ARCHIVES, type: 'clear' });
+                archives.forEach(record => operations.push({ store: IndexedDBStorage.STORES.ARCHIVES, type: 'put', value: record }));
+            }
+            // A single transaction, so a failure leaves the old data intact
+            await writeOperations(operations);
+            return true;
+        }
+        
+        for (const collection in COLLECTIONS) {
+            if (!await saveCollection(COLLECTIONS[collection].storageKey, data[collection])) {
+                return false;
+            }
+        }
+        if (archives && !await saveArchiveRecords(archives, true)) {
+            return false;
+        }
+        if (encryptionConfig) {
+            saveData(STORAGE_KEYS.ENCRYPTION, encryptionConfig);
+        } else {
+            keyValueStore.removeItem(profileKey(STORAGE_KEYS.ENCRYPTION));
+        }
+        return saveData(STORAGE_KEYS.SCHEMA_VERSION, version);
+    }
+    
+    // Read the encryption settings for the stored data (null when it isn't encrypted)
+    async function readEncryptionConfig() {
+        if (usesRecords()) {
+            const record = await backend.get(IndexedDBStorage.STORES.SETTINGS, SETTINGS_KEYS.ENCRYPTION);
+            if (record) {
+                return record.value;
+            }
+            if (await backend.get(IndexedDBStorage.STORES.SETTINGS, SETTINGS_KEYS.MIGRATED_FROM_LOCAL_STORAGE)) {
+                return null;
+            }
+        }
+        // Also covers encrypted localStorage data that hasn't been copied into IndexedDB yet
+        return getData(STORAGE_KEYS.ENCRYPTION);
+    }
+    
+    // Ask for the passphrase until it unlocks the stored data (nothing to do when encryption is off)
+    // requestPassphrase({ failed }) resolves to the passphrase entered, or null if the user gave up
+    // Resolves to false if the data stays locked
+    async function unlockStorage(requestPassphrase) {
+        vaultKey = null;
+        encryptionConfig = await readEncryptionConfig();
+        if (!encryptionConfig) {
+            return true;
+        }
+        
+        if (!CryptoVault.isSupported() || !requestPassphrase) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_ENCRYPTION_ERROR,
+                'Saved data is encrypted and cannot be unlocked here',
+                CryptoVault.isSupported() ? 'No passphrase prompt available' : 'Web Crypto is unavailable (the app must be served over https or from localhost)'
+            );
+            return false;
+        }
+        
+        let failed = false;
+        for (;;) {
+            const passphrase = await requestPassphrase({ failed });
+            if (passphrase === null || passphrase === undefined) {
+                ErrorHandler.handleError(
+                    ErrorHandler.ERROR_CODES.DATA_ENCRYPTION_ERROR,
+                    'Data is locked; reload the page to enter the passphrase',
+                    'Unlock cancelled'
+                );
+                return false;
+            }
+            vaultKey = await CryptoVault.unlock(passphrase, encryptionConfig);
+            if (vaultKey) {
+                return true;
+            }
+            failed = true;
+        }
+    }
+    
+    // Upgrade the cached data to the current schema version, saving it only if every step succeeds
+    async function runPendingMigrations() {
+        const storedVersion = await readSchemaVersion();
+        
+        if (storedVersion > Migrations.CURRENT_VERSION) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_MIGRATION_ERROR,
+                'Saved data was written by a newer version of the app; refusing to start',
+                `Stored schema version ${storedVersion}, supported version ${Migrations.CURRENT_VERSION}`
+            );
+            return false;
+        }
+        
+        if (!Migrations.needsMigration(storedVersion)) {
+            return true;
+        }
+        
+        try {
+            const result = Migrations.runMigrations(cache, storedVersion);
+            if (!await saveAllCollections(result.data, result.version)) {
+                throw new Error('Could not save the upgraded data');
+            }
+            cache = result.data;
+            
+            if (result.applied.length) {
+                console.log(`Upgraded saved data to schema version ${result.version}: ${result.applied.join('; ')}`);
+            }
+            return true;
+        } catch (error) {
+            // Leave the stored data exactly as it was and stop the app from using it
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_MIGRATION_ERROR,
+                'Saved data could not be upgraded; the app was stopped to protect it',
+                error ? error.message : 'Unknown migration error'
+            );
+            return false;
+        }
+    }
+    
+    // Initialize storage: pick a backend, unlock encrypted data, migrate old data and load everything into memory
+    // options: {
+    //   requestPassphrase - asked for the passphrase when the data is encrypted (see unlockStorage)
+    //   adapter - storage adapter to use (see StorageAdapters); by default IndexedDB, falling back to localStorage
+    //   profileId - household profile to open; defaults to the active one, which is only known in a browser
+    // }
+    // Resolves to false if the data could not be prepared and the app must not start
+    async function initializeStorage(options = {}) {
+        storageOptions = options;
+        cache = createEmptyCache();
+        locked = false;
+        
+        // Each household profile keeps its data in its own database and storage keys
+        profileId = options.profileId || Profiles.getActiveProfile().id;
+        storageKeySuffix = Profiles.getStorageSuffix(profileId);
+        
+        // A supplied adapter is used on its own; in the browser localStorage is the fallback for IndexedDB
+        // and may still hold data saved by older versions
+        let recordStore = null;
+        if (options.adapter && options.adapter.kind === StorageAdapters.KINDS.RECORDS) {
+            recordStore = options.adapter;
+            keyValueStore = null;
+        } else if (options.adapter) {
+            keyValueStore = options.adapter;
+        } else {
+            keyValueStore = StorageAdapters.isLocalStorageSupported() ? StorageAdapters.createLocalStorageAdapter() : null;
+            if (IndexedDBStorage.isSupported()) {
+                recordStore = StorageAdapters.createIndexedDBAdapter(Profiles.getDatabaseName(profileId));
+            }
+        }
+        
+        backend = keyValueStore;
+        if (recordStore) {
+            try {
+                await recordStore.open();
+                backend = recordStore;
+            } catch (error) {
+                if (keyValueStore) {
+                    reportIndexedDBFallback(error);
+                } else {
+                    backend = null;
+                    reportNoStorage(error ? error.message : 'Unknown storage error');
+                    return false;
+                }
+            }
+        }
+        if (!backend) {
+            reportNoStorage('Neither IndexedDB nor localStorage is available');
+            return false;
+        }
+        
+        // Encrypted data can't be migrated, loaded or seeded until the passphrase has been entered
+        if (!await unlockStorage(options.requestPassphrase)) {
+            return false;
+        }
+        
+        try {
+            if (usesRecords()) {
+                try {
+                    await migrateFromLocalStorage();
+                    cache = await loadFromRecordStore();
+                } catch (error) {
+                    // Encrypted data we failed to read must not be replaced by a fresh localStorage copy
+                    if (vaultKey || !keyValueStore) {
+                        throw error;
+                    }
+                    reportIndexedDBFallback(error);
+                    backend = keyValueStore;
+                    cache = createEmptyCache();
+                }
+            }
+            
+            if (!usesRecords()) {
+                const legacy = await loadFromKeyValueStore();
+                for (const collection in legacy) {
+                    if (legacy[collection] !== null) {
+                        cache[collection] = legacy[collection];
+                    }
+                }
+            }
+            
+            await loadArchiveIndex();
+        } catch (error) {
+            ErrorHandler.handleError(
+                vaultKey ? ErrorHandler.ERROR_CODES.DATA_ENCRYPTION_ERROR : ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+                vaultKey ? 'Encrypted data could not be read; the app was stopped to protect it' : 'Saved data could not be read; the app was stopped to protect it',
+                error ? error.message : 'Unknown storage error'
+            );
+            return false;
+        }
+        
+        // Seed first so a fresh install is stamped with the schema version along with its sample data
+        await seedInitialData();
+        
+        if (!await runPendingMigrations()) {
+            return false;
+        }
+        
+        registerExitFlush();
+        startTabSync();
+        return true;
+    }
+    
+    // Without anywhere to save, the app must not start (edits would silently be lost)
+    function reportNoStorage(details) {
+        ErrorHandler.handleError(
+            ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+            'No storage is available, so data cannot be saved; the app was stopped',
+            details
+        );
+    }
+    
+    // Private browsing modes can refuse IndexedDB - keep working from localStorage
+    function reportIndexedDBFallback(error) {
+        ErrorHandler.handleError(
+            ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+            'IndexedDB is unavailable, falling back to localStorage',
+            error ? error.message : 'Unknown IndexedDB error'
+        );
+    }
+    
+    // Check whether the stored data is encrypted with a passphrase
+    function isEncrypted() {
+        return Boolean(encryptionConfig);
+    }
+    
+    // Check a passphrase against the stored data, e.g. before changing it or turning encryption off
+    async function checkPassphrase(passphrase) {
+        return Boolean(encryptionConfig) && Boolean(await CryptoVault.unlock(passphrase, encryptionConfig));
+    }
+    
+    // Turn encryption on, re-saving every collection encrypted with a key derived from the passphrase
+    async function enableEncryption(passphrase) {
+        const vault = await CryptoVault.createVault(passphrase);
+        return rewriteStorage(vault.key, vault.config, 'Failed to encrypt data');
+    }
+    
+    // Re-encrypt every collection with a new passphrase (check the current one with checkPassphrase() first)
+    async function changePassphrase(newPassphrase) {
+        const vault = await CryptoVault.createVault(newPassphrase);
+        return rewriteStorage(vault.key, vault.config, 'Failed to change the passphrase');
+    }
+    
+    // Turn encryption off, re-saving every collection in plain text
+    async function disableEncryption() {
+        return rewriteStorage(null, null, 'Failed to turn off encryption');
+    }
+    
+    // Re-save every collection under a new key (null to store it plainly) along with its encryption settings
+    async function rewriteStorage(key, config, failureMessage) {
+        const previous = { key: vaultKey, config: encryptionConfig };
+        let archives = null;
         try {
-            // Convert data to JSON string and save to localStorage
-            localStorage.setItem(key, JSON.stringify(data));
+            // Archives are read with the old key before switching to the new one
+            archives = await readArchiveRecords();
+            
+            // Anything not yet saved is included in the full re-save
+            cancelPendingWrites();
+            vaultKey = key;
+            encryptionConfig = config;
+            if (!await saveAllCollections(clone(cache), Migrations.CURRENT_VERSION, archives)) {
+                throw new Error('Could not save the re-encrypted data');
+            }
+            
+            // Other tabs still hold the old key
+            postToTabs({ type: 'encryption' });
             return true;
         } catch (error) {
-            // Handle storage errors
+            vaultKey = previous.key;
+            encryptionConfig = previous.config;
+            // Key-value collections are saved one by one, so put back whatever was already rewritten
+            if (!usesRecords() && archives) {
+                await saveAllCollections(clone(cache), Migrations.CURRENT_VERSION, archives).catch(() => {});
+            }
             ErrorHandler.handleError(
-                ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
-                `Failed to save data for key: ${key}`,
-                error.message
+                ErrorHandler.ERROR_CODES.DATA_ENCRYPTION_ERROR,
+                failureMessage,
+                error ? error.message : 'Unknown encryption error'
             );
             return false;
         }
     }
     
-    // Initialize storage with default data if needed
-    function initializeStorage() {
-        // For each data type, check if it exists and initialize if not
-        if (!getData(STORAGE_KEYS.MEALS)) {
-            saveData(STORAGE_KEYS.MEALS, initialData.meals);
-        }
-        
-        if (!getData(STORAGE_KEYS.MEAL_PLANS)) {
-            saveData(STORAGE_KEYS.MEAL_PLANS, initialData.mealPlans);
-        }
-        
-        if (!getData(STORAGE_KEYS.FAMILY_MEMBERS)) {
-            saveData(STORAGE_KEYS.FAMILY_MEMBERS, initialData.familyMembers);
-        }
-        
-        if (!getData(STORAGE_KEYS.BUDGET)) {
-            saveData(STORAGE_KEYS.BUDGET, initialData.budget);
-        }
-        
-        if (!getData(STORAGE_KEYS.EXPENSES)) {
-            saveData(STORAGE_KEYS.EXPENSES, initialData.expenses);
-        }
-        
-        if (!getData(STORAGE_KEYS.FOOD_DATABASE)) {
-            saveData(STORAGE_KEYS.FOOD_DATABASE, initialData.foodDatabase);
-        }
+    // Save pending changes, then forget the key and the decrypted data
+    // Nothing can be read or written afterwards, so listeners to LOCK_EVENT reload the page to unlock again
+    async function lock() {
+        await flushWrites();
+        dropKey('local');
+    }
+    
+    // Forget the key and the decrypted data, and stop any further writes
+    function dropKey(source) {
+        vaultKey = null;
+        locked = true;
+        cache = createEmptyCache();
+        emit(LOCK_EVENT, { source });
     }
     
     // Get meals for a specific date and family member
     function getMeals(date, familyMemberId) {
-        // Get all meals data
-        const allMeals = getData(STORAGE_KEYS.MEALS) || {};
         // Create unique key for the date and family member
         const key = `${date}_${familyMemberId}`;
-        // Return meals for this key or empty object if none exist
-        return allMeals[key] || {
+        // Return a copy of the meals for this key or empty object if none exist
+        return clone(cache.meals[key]) || {
             breakfast: [],
             lunch: [],
             dinner: [],
@@ -142,25 +1402,71 @@ const DataStore = (function() {
     }
     
     // Save meals for a specific date and family member
+    // Newly logged items get a snapshot of their food's values (see Snapshots); existing snapshots are kept
     function saveMeals(date, familyMemberId, meals) {
-        // Get all existing meals
-        const allMeals = getData(STORAGE_KEYS.MEALS) || {};
         // Create unique key for the date and family member
         const key = `${date}_${familyMemberId}`;
-        // Update meals for this key
-        allMeals[key] = meals;
-        // Save all meals back to storage
-        return saveData(STORAGE_KEYS.MEALS, allMeals);
+        // Update and write back only this day's record
+        return commitChanges('meals', [{ key, value: snapshotDay(meals, date) }], { label: 'Meals updated' });
+    }
+    
+    // Give each item of a day of logged meals a snapshot of its food, unless it already has one
+    // refresh: a function (item) => boolean choosing items to take a new snapshot for even if they have one
+    function snapshotDay(day, date, refresh = () => false) {
+        const foodsById = getFoodIndex();
+        const updated = {};
+        Object.keys(day || {}).forEach(mealType => {
+            updated[mealType] = Array.isArray(day[mealType])
+                ? day[mealType].map(item => {
+                    const food = foodsById.get(item.foodId);
+                    if (!food || (Snapshots.hasSnapshot(item) && !refresh(item))) {
+                        return item;
+                    }
+                    return { ...item, snapshot: Snapshots.takeSnapshot(food, date, foodsById) };
+                })
+                : day[mealType];
+        });
+        return updated;
+    }
+    
+    // Replace the snapshots of logged meal items with the current values of their foods, for correcting history
+    // filters: { foodId, from, to, memberIds } - all optional; archived years are not changed
+    // Returns the number of items updated, or false if saving failed
+    function reapplyCurrentValues(filters = {}) {
+        const { foodId, from, to, memberIds } = filters;
+        const members = memberIds ? new Set(memberIds.map(String)) : null;
+        const foodsById = getFoodIndex();
+        const matches = item => (!foodId || item.foodId === foodId) && foodsById.has(item.foodId);
+        
+        let count = 0;
+        const changes = [];
+        Object.keys(cache.meals).forEach(key => {
+            const separator = key.indexOf('_');
+            const date = key.slice(0, separator);
+            if ((from && date < from) || (to && date > to) || (members && !members.has(key.slice(separator + 1)))) return;
+            
+            const day = cache.meals[key];
+            const refreshed = snapshotDay(day, date, matches);
+            const changed = Object.keys(day).reduce((total, mealType) => total + (day[mealType] || [])
+                .filter((item, index) => matches(item) && JSON.stringify(item.snapshot) !== JSON.stringify(refreshed[mealType][index].snapshot)).length, 0);
+            if (changed) {
+                count += changed;
+                changes.push({ key, value: refreshed });
+            }
+        });
+        
+        if (!changes.length) {
+            return 0;
+        }
+        return commitChanges('meals', changes, { label: 'Current food values applied to past meals' }) ? count : false;
     }
     
     // Get planned meals for a specific date and family member
     function getMealPlans(date, familyMemberId) {
-        // Get all meal plans data
-        const allMealPlans = getData(STORAGE_KEYS.MEAL_PLANS) || {};
         // Create unique key for the date and family member
         const key = `${date}_${familyMemberId}`;
-        // Return meal plans for this key or empty object if none exist
-        return allMealPlans[key] || {
+        // Return a copy of the meal plans for this key or empty object if none exist
+        return clone(cache.mealPlans[key]) || {
             breakfast: [],
             lunch: [],
             dinner: [],
@@ -170,55 +1476,119 @@ const DataStore = (function() {
     
     // Save meal plans for a specific date and family member
     function saveMealPlans(date, familyMemberId, mealPlans) {
-        // Get all existing meal plans
-        const allMealPlans = getData(STORAGE_KEYS.MEAL_PLANS) || {};
         // Create unique key for the date and family member
         const key = `${date}_${familyMemberId}`;
-        // Update meal plans for this key
-        allMealPlans[key] = mealPlans;
-        // Save all meal plans back to storage
-        return saveData(STORAGE_KEYS.MEAL_PLANS, allMealPlans);
+        // Update and write back only this day's record
+        return commitChanges('mealPlans', [{ key, value: mealPlans }], { label: 'Meal plan updated' });
     }
     
-    // Get all meal costs for a date range
-    function getMealCostsForDateRange(startDate, endDate, familyMemberId = null) {
-        const allMeals = getData(STORAGE_KEYS.MEALS) || {};
-        const foodDb = getFoodDatabase();
-        const costs = [];
-        
-        // Convert dates to comparable format
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        // Iterate through all meal entries
-        for (const key in allMeals) {
-            const [date, memberId] = key.split('_');
-            const mealDate = new Date(date);
-            
-            // Check if the date is in range and matches the family member (if specified)
-            if (mealDate >= start && mealDate <= end && (!familyMemberId || memberId === familyMemberId)) {
-                const dayMeals = allMeals[key];
-                let dayCost = 0;
-                
-                // Calculate cost for each meal type
-                ['breakfast', 'lunch', 'dinner', 'snacks'].forEach(mealType => {
-                    if (dayMeals[mealType] && dayMeals[mealType].length > 0) {
-                        dayMeals[mealType].forEach(item => {
-                            const food = foodDb.find(f => f.id.toString() === item.foodId.toString());
-                            if (food && food.costPerServing) {
-                                dayCost += food.costPerServing * (parseFloat(item.servings) || 1);
-                            }
-                        });
-                    }
-                });
+    // Find logged and/or planned meal items in a date range using the date index
+    // filters: { from, to } as YYYY-MM-DD (inclusive, either may be omitted),
+    //          memberIds to limit the family members, status 'consumed' or 'planned' (both if omitted)
+    // Archived years are included once they have been loaded with loadArchives()
+    // Returns one row per item, ordered by date: { date, memberId, status, mealType, item }
+    function queryMeals(filters = {}) {
+        const { from, to, memberIds, status } = filters;
+        const members = memberIds ? new Set(memberIds.map(String)) : null;
+        const sources = [];
+        if (status !== 'planned') sources.push({ collection: 'meals', status: 'consumed' });
+        if (status !== 'consumed') sources.push({ collection: 'mealPlans', status: 'planned' });
+        
+        const rows = [];
+        sources.forEach(source => {
+            const index = getDateIndex(source.collection);
+            
+            // Jump straight to the first date in range instead of scanning every day
+            for (let i = from ? findDatePosition(index.dates, from) : 0; i < index.dates.length; i++) {
+                const date = index.dates[i];
+                if (to && date > to) break;
                 
-                costs.push({
-                    date,
-                    memberId,
-                    cost: dayCost
+                index.keysByDate.get(date).forEach(key => {
+                    const { memberId } = parseDayKey(key);
+                    if (members && !members.has(memberId)) return;
+                    addDayRows(rows, date, memberId, source.status, cache[source.collection][key]);
                 });
             }
+            
+            // Archives are small in number, so their days are simply scanned
+            loadedArchives.forEach(archive => {
+                Object.keys(archive[source.collection]).forEach(key => {
+                    const { date, memberId } = parseDayKey(key);
+                    if ((from && date < from) || (to && date > to) || (members && !members.has(memberId))) return;
+                    addDayRows(rows, date, memberId, source.status, archive[source.collection][key]);
+                });
+            });
+        });
+        
+        // Consumed, planned and archived rows were collected separately, so interleave them by date (the sort is stable)
+        if (sources.length > 1 || loadedArchives.size) {
+            rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
         }
+        return rows;
+    }
+    
+    // Add one query row per item logged or planned on a day
+    function addDayRows(rows, date, memberId, status, day) {
+        Object.keys(day).forEach(mealType => {
+            (day[mealType] || []).forEach(item => {
+                rows.push({ date, memberId, status, mealType, item: clone(item) });
+            });
+        });
+    }
+    
+    // Get all meal costs for a date range, one entry per day and family member with meals logged
+    // Each meal is costed at its snapshot's price, or (without one) the price in effect on its date
+    function getMealCostsForDateRange(startDate, endDate, familyMemberId = null) {
+        const costsByDay = new Map();
+        const foodsById = getFoodIndex();
+        
+        queryMeals({
+            from: startDate,
+            to: endDate,
+            memberIds: familyMemberId ? [familyMemberId] : null,
+            status: 'consumed'
+        }).forEach(row => {
+            const key = `${row.date}_${row.memberId}`;
+            if (!costsByDay.has(key)) {
+                costsByDay.set(key, { date: row.date, memberId: row.memberId, cost: 0 });
+            }
+            
+            const food = foodsById.get(row.item.foodId);
+            const costPerServing = Snapshots.getItemCost(row.item, food, row.date, foodsById);
+            if (costPerServing) {
+                costsByDay.get(key).cost += costPerServing * Units.getServings(row.item, Snapshots.getFoodForItem(row.item, food));
+            }
+        });
+        
+        return [...costsByDay.values()];
+    }
+    
+    // Get the number of consumed items and their total cost per meal type for a date range
+    // Returns { breakfast: { count, totalCost }, lunch: ..., dinner: ..., snacks: ... }
+    function getMealTypeCosts(startDate, endDate, familyMemberId = null) {
+        const costs = {
+            breakfast: { count: 0, totalCost: 0 },
+            lunch: { count: 0, totalCost: 0 },
+            dinner: { count: 0, totalCost: 0 },
+            snacks: { count: 0, totalCost: 0 }
+        };
+        const foodsById = getFoodIndex();
+        
+        queryMeals({
+            from: startDate,
+            to: endDate,
+            memberIds: familyMemberId ? [familyMemberId] : null,
+            status: 'consumed'
+        }).forEach(row => {
+            if (!costs[row.mealType]) return;
+            
+            costs[row.mealType].count++;
+            const food = foodsById.get(row.item.foodId);
+            const costPerServing = Snapshots.getItemCost(row.item, food, row.date, foodsById);
+            if (costPerServing) {
+                costs[row.mealType].totalCost += costPerServing * Units.getServings(row.item, Snapshots.getFoodForItem(row.item, food));
+            }
+        });
         
         return costs;
     }
@@ -226,41 +1596,8 @@ const DataStore = (function() {
     // Convert a meal plan to consumed meal
     function convertPlanToMeal(date, familyMemberId, mealType, planIndex) {
         try {
-            // Get the meal plan
-            const mealPlans = getMealPlans(date, familyMemberId);
-            if (!mealPlans[mealType] || !mealPlans[mealType][planIndex]) {
-                return false;
-            }
-            
-            // Get the specific meal plan item
-            const planItem = mealPlans[mealType][planIndex];
-            
-            // Get current consumed meals
-            const meals = getMeals(date, familyMemberId);
-            
-            // Ensure the meal type array exists
-            if (!meals[mealType]) {
-                meals[mealType] = [];
-            }
-            
-            // Add plan item to consumed meals with consumed status
-            meals[mealType].push({
-                foodId: planItem.foodId,
-                servings: planItem.servings,
-                notes: planItem.notes,
-                timestamp: Date.now(),
-                planned: true, // Flag that this was from a plan
-                consumedAt: Date.now() // When it was marked as consumed
-            });
-            
-            // Save the updated meals
-            saveMeals(date, familyMemberId, meals);
-            
-            // Remove the item from meal plans
-            mealPlans[mealType].splice(planIndex, 1);
-            saveMealPlans(date, familyMemberId, mealPlans);
-            
-            return true;
+            // Both writes below are undone together
+            return batch('Meal marked as consumed', () => convertPlanItem(date, familyMemberId, mealType, planIndex), { destructive: true });
         } catch (error) {
             ErrorHandler.handleError(
                 ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
@@ -271,18 +1608,58 @@ const DataStore = (function() {
         }
     }
     
+    // Move one planned item into the consumed meals for the same day
+    function convertPlanItem(date, familyMemberId, mealType, planIndex) {
+        // Get the meal plan
+        const mealPlans = getMealPlans(date, familyMemberId);
+        if (!mealPlans[mealType] || !mealPlans[mealType][planIndex]) {
+            return false;
+        }
+        
+        // Get the specific meal plan item
+        const planItem = mealPlans[mealType][planIndex];
+        
+        // Get current consumed meals
+        const meals = getMeals(date, familyMemberId);
+        
+        // Ensure the meal type array exists
+        if (!meals[mealType]) {
+            meals[mealType] = [];
+        }
+        
+        // Add plan item to consumed meals with consumed status
+        meals[mealType].push({
+            id: generateId(),
+            foodId: planItem.foodId,
+            servings: planItem.servings,
+            amount: planItem.amount,
+            unit: planItem.unit,
+            notes: planItem.notes,
+            timestamp: Date.now(),
+            planned: true, // Flag that this was from a plan
+            consumedAt: Date.now() // When it was marked as consumed
+        });
+        
+        // Save the updated meals
+        saveMeals(date, familyMemberId, meals);
+        
+        // Remove the item from meal plans
+        mealPlans[mealType].splice(planIndex, 1);
+        saveMealPlans(date, familyMemberId, mealPlans);
+        
+        return true;
+    }
+    
     // Get all family members
     function getFamilyMembers() {
-        return getData(STORAGE_KEYS.FAMILY_MEMBERS) || [];
+        return clone(cache.familyMembers);
     }
     
     // Add a new family member
     function addFamilyMember(name, age, weight, height, activityLevel) {
-        // Get current family members
-        const members = getFamilyMembers();
         // Create new member object with unique ID
         const newMember = {
-            id: Date.now().toString(), // Use timestamp as unique ID
+            id: generateId(),
             name,
             age,
             weight,
@@ -290,88 +1667,676 @@ const DataStore = (function() {
             activityLevel
         };
         // Add to array and save
-        members.push(newMember);
-        return saveFamilyMembers(members) ? newMember : null;
+        const saved = commitChanges('familyMembers', [{ key: newMember.id, value: newMember }], { label: 'Family member added' });
+        return saved ? clone(newMember) : null;
     }
     
     // Save all family members
     function saveFamilyMembers(familyMembers) {
-        return saveData(STORAGE_KEYS.FAMILY_MEMBERS, familyMembers);
+        // Members missing from the new list have been removed
+        const keptIds = new Set(familyMembers.map(member => member.id));
+        const removed = cache.familyMembers
+            .filter(member => !keptIds.has(member.id))
+            .map(member => ({ key: member.id, value: undefined }));
+        
+        // Only write the members that actually changed
+        const changed = familyMembers
+            .filter(member => JSON.stringify(member) !== JSON.stringify(getRecord('familyMembers', cache.familyMembers, member.id)))
+            .map(member => ({ key: member.id, value: member }));
+        
+        return commitChanges('familyMembers', changed.concat(removed), { label: 'Family members updated' });
     }
     
     // Get budget information
     function getBudget() {
-        return getData(STORAGE_KEYS.BUDGET) || initialData.budget;
+        return clone(cache.budget);
     }
     
     // Update budget amount
     function updateBudget(amount) {
-        const budget = getBudget();
-        budget.monthly = amount;
-        return saveData(STORAGE_KEYS.BUDGET, budget);
+        const budget = { ...cache.budget, monthly: amount };
+        return commitChanges('budget', [{ key: 'budget', value: budget }], { label: 'Budget updated' });
     }
     
     // Get all expenses
     function getExpenses() {
-        return getData(STORAGE_KEYS.EXPENSES) || [];
+        return clone(cache.expenses);
     }
     
     // Add a new expense
     function addExpense(date, description, amount) {
-        const expenses = getExpenses();
         const newExpense = {
-            id: Date.now().toString(), // Use timestamp as unique ID
+            id: generateId(),
             date,
             description,
             amount
         };
-        expenses.push(newExpense);
-        return saveData(STORAGE_KEYS.EXPENSES, expenses) ? newExpense : null;
+        const saved = commitChanges('expenses', [{ key: newExpense.id, value: newExpense }], { label: 'Expense added' });
+        return saved ? clone(newExpense) : null;
     }
     
     // Delete an expense
     function deleteExpense(expenseId) {
-        const expenses = getExpenses();
-        const updatedExpenses = expenses.filter(expense => expense.id !== expenseId);
-        return saveData(STORAGE_KEYS.EXPENSES, updatedExpenses);
+        if (!getRecord('expenses', cache.expenses, expenseId)) {
+            return false;
+        }
+        return commitChanges('expenses', [{ key: expenseId, value: undefined }], { label: 'Expense deleted', destructive: true });
     }
     
     // Get food database
     function getFoodDatabase() {
-        return getData(STORAGE_KEYS.FOOD_DATABASE) || [];
+        return clone(cache.foodDatabase);
     }
     
     // Add food to database
+    // Recipes get their nutrition and cost from their ingredients (see Recipes); a cost starts the price history
     function addFoodToDatabase(food) {
-        const foodDb = getFoodDatabase();
-        const newFood = {
-            id: Date.now().toString(), // Use timestamp as unique ID
+        const newFood = Prices.recordPriceChange(Recipes.deriveFood({
+            id: generateId(),
             ...food
-        };
-        foodDb.push(newFood);
-        return saveData(STORAGE_KEYS.FOOD_DATABASE, foodDb) ? newFood : null;
+        }, getFoodIndex()), null, new Date().toISOString().split('T')[0]);
+        const saved = commitChanges('foodDatabase', [{ key: newFood.id, value: newFood }], { label: 'Food added' });
+        return saved ? clone(newFood) : null;
     }
     
     // Find food by ID
     function getFoodById(foodId) {
-        const foodDb = getFoodDatabase();
-        return foodDb.find(food => food.id === foodId);
+        const food = getFoodIndex().get(foodId);
+        return food ? clone(food) : undefined;
     }
     
-    // Reset all data (for development or user reset request)
-    function resetAllData() {
+    // Read-only lookup of foods by id ({ get, has }, like a Map), for costing recipes from their ingredients
+    // Uses the id map instead of copying the whole database; each food is copied once, when first looked up
+    function getFoodLookup() {
+        const index = getFoodIndex();
+        const copies = new Map();
+        return {
+            has: foodId => index.has(foodId),
+            get: foodId => {
+                if (!copies.has(foodId)) copies.set(foodId, index.has(foodId) ? clone(index.get(foodId)) : undefined);
+                return copies.get(foodId);
+            }
+        };
+    }
+    
+    // Change fields of a food in the database; fields set to undefined are removed (the id can't be changed)
+    // Recipes using the food are re-derived in the same change, so their nutrition and cost follow it
+    // A new cost is added to the food's price history as today's price (see Prices)
+    function updateFood(foodId, changes) {
+        const food = getFoodIndex().get(foodId);
+        if (!food) {
+            return false;
+        }
+        const updated = Prices.recordPriceChange(clone({ ...food, ...changes, id: foodId }), food, new Date().toISOString().split('T')[0]);
+        if (Recipes.isRecipe(updated) && updated.recipe.ingredients.some(ingredient => Recipes.createsCycle(foodId, ingredient.foodId, cache.foodDatabase))) {
+            return false;
+        }
+        
+        const changed = Recipes.updateRecipes([updated], cache.foodDatabase);
+        return commitChanges('foodDatabase', changed.map(value => ({ key: value.id, value })), { label: 'Food updated' });
+    }
+    
+    // Count the logged and planned meal items, and the recipes, that use a food
+    // Archived years are not counted, and keep pointing at the food if it is deleted
+    function getFoodUsage(foodId) {
+        const usage = { meals: 0, mealPlans: 0, days: 0, recipes: 0 };
+        usage.recipes = cache.foodDatabase.filter(food => Recipes.isRecipe(food) && food.recipe.ingredients.some(ingredient => ingredient.foodId === foodId)).length;
+        ['meals', 'mealPlans'].forEach(collection => {
+            Object.values(cache[collection]).forEach(day => {
+                const count = Object.values(day).reduce((total, items) => {
+                    return total + (items || []).filter(item => item.foodId === foodId).length;
+                }, 0);
+                usage[collection] += count;
+                if (count) usage.days++;
+            });
+        });
+        return usage;
+    }
+    
+    // Delete a food, pointing the meal items and recipe ingredients that use it at replacementId instead
+    // Without a replacement those meal items and ingredients are deleted too; either way it is a single undoable change
+    function deleteFood(foodId, replacementId = null) {
+        if (!getFoodIndex().has(foodId) || replacementId === foodId || (replacementId && !getFoodIndex().has(replacementId))) {
+            return false;
+        }
+        // A recipe made with the food can't replace it - the recipe would end up containing itself
+        if (replacementId && Recipes.findDependents([foodId], cache.foodDatabase).some(recipe => recipe.id === replacementId)) {
+            return false;
+        }
+        
+        const records = [];
+        ['meals', 'mealPlans'].forEach(collection => {
+            Object.keys(cache[collection]).forEach(key => {
+                const day = cache[collection][key];
+                const usesFood = Object.values(day).some(items => (items || []).some(item => item.foodId === foodId));
+                if (!usesFood) return;
+                
+                const updated = {};
+                Object.keys(day).forEach(mealType => {
+                    updated[mealType] = replacementId
+                        ? (day[mealType] || []).map(item => (item.foodId === foodId ? { ...item, foodId: replacementId } : item))
+                        : (day[mealType] || []).filter(item => item.foodId !== foodId);
+                });
+                // Logged items now on the replacement take its values, as if they had been logged with it
+                records.push({ collection, key, value: collection === 'meals' ? snapshotDay(updated, key.split('_')[0]) : updated });
+            });
+        });
+        
+        // Recipes lose or swap the ingredient, then their nutrition and cost are worked out again
+        const remaining = cache.foodDatabase.filter(food => food.id !== foodId);
+        const recipes = remaining
+            .filter(food => Recipes.isRecipe(food) && food.recipe.ingredients.some(ingredient => ingredient.foodId === foodId))
+            .map(food => ({
+                ...food,
+                recipe: {
+                    ...food.recipe,
+                    ingredients: replacementId
+                        ? food.recipe.ingredients.map(ingredient => (ingredient.foodId === foodId ? { ...ingredient, foodId: replacementId } : ingredient))
+                        : food.recipe.ingredients.filter(ingredient => ingredient.foodId !== foodId)
+                }
+            }));
+        Recipes.updateRecipes(recipes, remaining).forEach(food => {
+            records.push({ collection: 'foodDatabase', key: food.id, value: food });
+        });
+        records.push({ collection: 'foodDatabase', key: foodId, value: undefined });
+        
+        return applyRecords(records, { label: 'Food deleted', destructive: true });
+    }
+    
+    // Read every stored archive record, compressed data included
+    async function readArchiveRecords() {
+        if (usesRecords()) {
+            return Promise.all((await backend.getAll(IndexedDBStorage.STORES.ARCHIVES)).map(unseal));
+        }
+        return Object.values(await unseal(getData(STORAGE_KEYS.ARCHIVES)) || {});
+    }
+    
+    // Read the stored archive record for one year
+    async function readArchiveRecord(year) {
+        if (usesRecords()) {
+            return unseal(await backend.get(IndexedDBStorage.STORES.ARCHIVES, year));
+        }
+        return (await unseal(getData(STORAGE_KEYS.ARCHIVES)) || {})[year];
+    }
+    
+    // Save archive records to key-value storage, which keeps them all under one key
+    // replace: true to drop any stored archives not in the list
+    async function saveArchiveRecords(records, replace) {
+        const stored = replace ? {} : await unseal(getData(STORAGE_KEYS.ARCHIVES)) || {};
+        records.forEach(record => {
+            stored[record.year] = record;
+        });
+        
+        if (!Object.keys(stored).length) {
+            keyValueStore.removeItem(profileKey(STORAGE_KEYS.ARCHIVES));
+            return true;
+        }
+        return saveCollection(STORAGE_KEYS.ARCHIVES, stored);
+    }
+    
+    // Describe an archive record without its data
+    function summarizeArchive(record) {
+        const { data, ...summary } = record;
+        return { ...summary, size: data.length };
+    }
+    
+    // Note what each stored archive holds, leaving the archived data itself to be read on demand
+    async function loadArchiveIndex() {
+        archiveIndex = new Map();
+        loadedArchives = new Map();
+        (await readArchiveRecords()).forEach(record => {
+            archiveIndex.set(record.year, summarizeArchive(record));
+        });
+    }
+    
+    // Compress one year's archived collections into a record for storage
+    async function encodeArchive(year, collections) {
+        const json = JSON.stringify(collections);
+        const compressed = Compression.isSupported();
+        
+        return {
+            year,
+            createdAt: new Date().toISOString(),
+            schemaVersion: Migrations.CURRENT_VERSION,
+            encoding: compressed ? 'gzip' : 'json',
+            counts: {
+                meals: Object.keys(collections.meals).length,
+                mealPlans: Object.keys(collections.mealPlans).length,
+                expenses: collections.expenses.length
+            },
+            data: compressed ? await Compression.compress(json) : json
+        };
+    }
+    
+    // Decompress an archive record, upgrading data archived by an older version of the app
+    async function decodeArchive(record) {
+        const collections = JSON.parse(record.encoding === 'gzip' ? await Compression.decompress(record.data) : record.data);
+        
+        if (!Migrations.needsMigration(record.schemaVersion)) {
+            return collections;
+        }
+        const migrated = Migrations.runMigrations({ ...createEmptyCache(), ...collections }, record.schemaVersion).data;
+        return { meals: migrated.meals, mealPlans: migrated.mealPlans, expenses: migrated.expenses };
+    }
+    
+    // Get the archived collections for a year, reading and decompressing them on first use
+    async function getArchiveContents(year) {
+        if (!loadedArchives.has(year)) {
+            loadedArchives.set(year, await decodeArchive(await readArchiveRecord(year)));
+        }
+        return loadedArchives.get(year);
+    }
+    
+    // Add newly archived records to the ones already archived for the same year
+    function combineArchive(existing, additions) {
+        const combined = { meals: { ...existing.meals }, mealPlans: { ...existing.mealPlans }, expenses: [] };
+        ARCHIVED_DAY_COLLECTIONS.forEach(collection => {
+            Object.keys(additions[collection]).forEach(key => {
+                // A day logged again after its year was archived keeps the items from both
+                const archived = combined[collection][key];
+                combined[collection][key] = archived ? mergeDay({}, archived, additions[collection][key]) : additions[collection][key];
+            });
+        });
+        
+        const addedIds = new Set(additions.expenses.map(expense => expense.id));
+        combined.expenses = existing.expenses
+            .filter(expense => !addedIds.has(expense.id))
+            .concat(additions.expenses);
+        return combined;
+    }
+    
+    // Combine collections with the archived records loaded so far, e.g. for a backup
+    function withArchives(data) {
+        const combined = clone(data);
+        loadedArchives.forEach(archive => {
+            const withArchive = combineArchive(archive, combined);
+            ARCHIVED_COLLECTIONS.forEach(collection => {
+                combined[collection] = clone(withArchive[collection]);
+            });
+        });
+        return combined;
+    }
+    
+    // Load the archives for the years a date range touches, so queryMeals() and getArchivedExpenses() include them
+    // from/to as YYYY-MM-DD (either may be omitted; with neither, every archive is loaded)
+    // Resolves to true if anything new was loaded
+    async function loadArchives(from, to) {
+        const years = [...archiveIndex.keys()].filter(year => {
+            return !loadedArchives.has(year) && (!from || year >= from.slice(0, 4)) && (!to || year <= to.slice(0, 4));
+        });
+        
+        try {
+            for (const year of years) {
+                await getArchiveContents(year);
+            }
+            return years.length > 0;
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_PARSE_ERROR,
+                'Failed to read archived data',
+                error ? error.message : 'Unknown archive error'
+            );
+            return false;
+        }
+    }
+    
+    // Get the expenses from archives loaded so far, marked as archived since they can no longer be changed
+    function getArchivedExpenses() {
+        const archived = [];
+        loadedArchives.forEach(archive => {
+            archive.expenses.forEach(expense => {
+                archived.push({ ...clone(expense), archived: true });
+            });
+        });
+        return archived;
+    }
+    
+    // Get what each archived year holds: { year, createdAt, counts: { meals, mealPlans, expenses }, size }
+    function getArchives() {
+        return [...archiveIndex.values()]
+            .sort((a, b) => (a.year < b.year ? -1 : 1))
+            .map(summary => clone(summary));
+    }
+    
+    // Move meals, planned meals and expenses dated before a year into compressed per-year archives
+    // Archived records disappear from the daily views but are still read by reports (see loadArchives)
+    // Resolves to the number of records archived, or -1 if archiving failed
+    async function archiveBefore(year) {
+        const cutoff = `${year}-01-01`;
+        
+        try {
+            // Start from what is stored, so the records removed below are the ones being archived
+            await flushWrites();
+            
+            // Sort old records into one bucket per year
+            const buckets = new Map();
+            const getBucket = date => {
+                const bucketYear = date.slice(0, 4);
+                if (!buckets.has(bucketYear)) {
+                    buckets.set(bucketYear, { meals: {}, mealPlans: {}, expenses: [] });
+                }
+                return buckets.get(bucketYear);
+            };
+            const removed = { meals: [], mealPlans: [], expenses: [] };
+            const removedExpenseIds = new Set();
+            
+            ARCHIVED_DAY_COLLECTIONS.forEach(collection => {
+                Object.keys(cache[collection]).forEach(key => {
+                    const { date } = parseDayKey(key);
+                    if (date < cutoff) {
+                        getBucket(date)[collection][key] = cache[collection][key];
+                        removed[collection].push(key);
+                    }
+                });
+            });
+            cache.expenses.forEach(expense => {
+                if (String(expense.date) < cutoff) {
+                    getBucket(String(expense.date)).expenses.push(expense);
+                    removed.expenses.push(expense.id);
+                    removedExpenseIds.add(expense.id);
+                }
+            });
+            
+            const count = ARCHIVED_COLLECTIONS.reduce((total, collection) => total + removed[collection].length, 0);
+            if (!count) {
+                return 0;
+            }
+            
+            // Years archived before are extended rather than replaced
+            const contents = new Map();
+            const records = [];
+            for (const [bucketYear, bucket] of buckets) {
+                const combined = archiveIndex.has(bucketYear)
+                    ? combineArchive(await getArchiveContents(bucketYear), bucket)
+                    : bucket;
+                contents.set(bucketYear, combined);
+                records.push(await encodeArchive(bucketYear, combined));
+            }
+            
+            // What stays in the live collections
+            const remaining = {
+                meals: { ...cache.meals },
+                mealPlans: { ...cache.mealPlans },
+                expenses: cache.expenses.filter(expense => !removedExpenseIds.has(expense.id))
+            };
+            ARCHIVED_DAY_COLLECTIONS.forEach(collection => {
+                removed[collection].forEach(key => delete remaining[collection][key]);
+            });
+            
+            if (usesRecords()) {
+                // One transaction, so records are never both archived and live, or neither
+                const operations = records.map(record => ({ store: IndexedDBStorage.STORES.ARCHIVES, type: 'put', value: record }));
+                ARCHIVED_COLLECTIONS.forEach(collection => {
+                    removed[collection].forEach(key => {
+                        operations.push({ store: COLLECTIONS[collection].store, type: 'delete', key });
+                    });
+                });
+                await writeOperations(operations);
+            } else {
+                // Save the archives first: if the collections then fail to save, records are archived and still live
+                if (!await saveArchiveRecords(records, false)) {
+                    throw new Error('There is not enough space to save the archive');
+                }
+                for (const collection of ARCHIVED_COLLECTIONS) {
+                    await saveCollection(COLLECTIONS[collection].storageKey, remaining[collection]);
+                    pendingCollections.delete(collection);
+                }
+            }
+            
+            ARCHIVED_COLLECTIONS.forEach(collection => {
+                cache[collection] = remaining[collection];
+            });
+            records.forEach(record => archiveIndex.set(record.year, summarizeArchive(record)));
+            contents.forEach((combined, bucketYear) => loadedArchives.set(bucketYear, combined));
+            
+            // Views reload, and undo history can't restore records that have moved into an archive
+            // No record changed, only where it is kept, so there is nothing for sync to send
+            notifyMutation([], { label: 'Old data archived', reset: true });
+            return count;
+        } catch (error) {
+            reportSaveFailure('Failed to archive old data', error);
+            return -1;
+        }
+    }
+    
+    // Measure how much space the stored data takes, for the storage health panel
+    // Resolves to { backend, usage, quota, collections: { [name]: { records, size } }, archives, oldestDate, unsavedChanges }
+    // Sizes are approximate bytes for IndexedDB and characters for key-value storage, which is what localStorage's limit counts
+    // usage and quota are null when the browser can't tell
+    async function getStorageUsage() {
+        const collections = {};
+        for (const collection in COLLECTIONS) {
+            const value = cache[collection];
+            const size = usesRecords()
+                ? JSON.stringify(value).length
+                : (keyValueStore.getItem(profileKey(COLLECTIONS[collection].storageKey)) || '').length;
+            collections[collection] = { records: getRecordKeys(collection, value).length, size };
+        }
+        
+        let usage = null;
+        let quota = null;
+        if (!usesRecords()) {
+            // Every key counts towards the limit, including other households and preferences
+            usage = keyValueStore.keys().reduce((total, key) => total + key.length + (keyValueStore.getItem(key) || '').length, 0);
+            quota = backend.quota;
+        } else if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usage = estimate.usage;
+            quota = estimate.quota;
+        }
+        
+        // The earliest date still in the live collections, i.e. the oldest data that could be archived
+        const firstDates = ARCHIVED_DAY_COLLECTIONS.map(collection => getDateIndex(collection).dates[0])
+            .concat(cache.expenses.map(expense => String(expense.date)))
+            .filter(Boolean)
+            .sort();
+        
+        return {
+            backend: backend.name,
+            usage,
+            quota,
+            collections,
+            archives: getArchives(),
+            oldestDate: firstDates[0] || null,
+            unsavedChanges: pendingCollections.size + pendingOperations.size > 0
+        };
+    }
+    
+    // Get the schema version that exported data is written with
+    function getSchemaVersion() {
+        return Migrations.CURRENT_VERSION;
+    }
+    
+    // Get a copy of a single record by collection and key (undefined if there is none), e.g. to sync it
+    function getRecordValue(collection, key) {
+        return clone(getRecord(collection, cache[collection], key));
+    }
+    
+    // Get the key of every record in a collection
+    function getCollectionKeys(collection) {
+        return getRecordKeys(collection, cache[collection]);
+    }
+    
+    // Get a copy of one collection exactly as it is held, e.g. to check it for damaged records
+    // Unlike exportData(), archived records are never included
+    function getCollection(collection) {
+        return clone(cache[collection]);
+    }
+    
+    // Get a copy of every collection, e.g. for a backup file
+    // Archived records are included once they have been loaded with loadArchives()
+    function exportData() {
+        return withArchives(cache);
+    }
+    
+    // List the records that differ between two copies of every collection, as { collection, key } changes
+    // Mutations that replace everything at once report these, so listeners such as sync see what actually changed
+    function diffCollections(before, after) {
+        const changes = [];
+        for (const collection in COLLECTIONS) {
+            const keys = new Set(getRecordKeys(collection, before[collection]).concat(getRecordKeys(collection, after[collection])));
+            keys.forEach(key => {
+                if (!isEqual(getRecord(collection, before[collection] || {}, key), getRecord(collection, after[collection] || {}, key))) {
+                    changes.push({ collection, key });
+                }
+            });
+        }
+        return changes;
+    }
+    
+    // Merge an imported day into the one held, meal type by meal type: an imported item replaces the held item
+    // with the same id, and held items the import doesn't have are kept
+    function mergeImportedDay(current, incoming) {
+        const merged = { ...current };
+        Object.keys(incoming).forEach(mealType => {
+            const incomingItems = incoming[mealType] || [];
+            const incomingKeys = new Set(incomingItems.map(getItemKey));
+            merged[mealType] = (current[mealType] || [])
+                .filter(item => !incomingKeys.has(getItemKey(item)))
+                .concat(incomingItems)
+                .sort(compareLoggedOrder);
+        });
+        return merged;
+    }
+    
+    // Combine existing and incoming collections: 'replace' takes the incoming data as-is,
+    // 'merge' keeps existing records and overwrites those with a matching id; days held on both sides
+    // are merged item by item (see mergeImportedDay)
+    function combineCollections(incoming, mode) {
+        if (mode === 'replace') {
+            return clone(incoming);
+        }
+        
+        const existing = withArchives(cache);
+        const combined = {};
+        for (const collection in COLLECTIONS) {
+            const { kind } = COLLECTIONS[collection];
+            const current = existing[collection];
+            const additions = clone(incoming[collection]);
+            
+            if (kind === 'days') {
+                combined[collection] = { ...current };
+                Object.keys(additions).forEach(key => {
+                    combined[collection][key] = current[key] ? mergeImportedDay(current[key], additions[key]) : additions[key];
+                });
+            } else if (kind === 'list') {
+                const incomingIds = new Set(additions.map(item => item.id));
+                combined[collection] = current
+                    .filter(item => !incomingIds.has(item.id))
+                    .concat(additions);
+            } else {
+                combined[collection] = additions;
+            }
+        }
+        return combined;
+    }
+    
+    // Summarize what an import would change, per collection (load archives first so archived records are compared too)
+    // Returns { [collection]: { added, updated, unchanged, removed } }; day collections also count the meal items
+    // held now that the import overwrites with its own version (itemsOverwritten) or drops (itemsRemoved)
+    function previewImport(incoming, mode) {
+        const result = combineCollections(incoming, mode);
+        const existing = withArchives(cache);
+        const summary = {};
+        
+        for (const collection in COLLECTIONS) {
+            const counts = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+            if (COLLECTIONS[collection].kind === 'days') {
+                Object.assign(counts, countItemChanges(existing[collection], result[collection]));
+            }
+            const currentKeys = new Set(getRecordKeys(collection, existing[collection]));
+            const resultKeys = getRecordKeys(collection, result[collection]);
+            
+            resultKeys.forEach(key => {
+                if (!currentKeys.has(key)) {
+                    counts.added++;
+                } else if (JSON.stringify(getRecord(collection, existing[collection], key)) ===
+                           JSON.stringify(getRecord(collection, result[collection], key))) {
+                    counts.unchanged++;
+                } else {
+                    counts.updated++;
+                }
+            });
+            counts.removed = [...currentKeys].filter(key => !resultKeys.includes(key)).length;
+            
+            summary[collection] = counts;
+        }
+        
+        return summary;
+    }
+    
+    // Count the held meal items an import overwrites or drops, across every day of a day collection
+    function countItemChanges(currentDays, resultDays) {
+        const counts = { itemsOverwritten: 0, itemsRemoved: 0 };
+        Object.keys(currentDays).forEach(key => {
+            const resultDay = resultDays[key] || {};
+            Object.keys(currentDays[key]).forEach(mealType => {
+                const resultItems = new Map((resultDay[mealType] || []).map(item => [getItemKey(item), item]));
+                (currentDays[key][mealType] || []).forEach(item => {
+                    const resultItem = resultItems.get(getItemKey(item));
+                    if (!resultItem) {
+                        counts.itemsRemoved++;
+                    } else if (!isEqual(item, resultItem)) {
+                        counts.itemsOverwritten++;
+                    }
+                });
+            });
+        });
+        return counts;
+    }
+    
+    // Import previously exported data, either replacing everything or merging by id
+    // Archived records are brought back into the live collections, since the backup may hold them too
+    // The data must already be at the current schema version
+    async function importData(incoming, mode) {
         try {
-            // Remove all stored data
-            localStorage.removeItem(STORAGE_KEYS.MEALS);
-            localStorage.removeItem(STORAGE_KEYS.MEAL_PLANS);
-            localStorage.removeItem(STORAGE_KEYS.FAMILY_MEMBERS);
-            localStorage.removeItem(STORAGE_KEYS.BUDGET);
-            localStorage.removeItem(STORAGE_KEYS.EXPENSES);
-            localStorage.removeItem(STORAGE_KEYS.FOOD_DATABASE);
-            
-            // Re-initialize with default data
-            initializeStorage();
+            if (!await loadArchives()) {
+                // Nothing new to load, or an archive couldn't be read - the latter must not be dropped
+                if ([...archiveIndex.keys()].some(year => !loadedArchives.has(year))) {
+                    throw new Error('Archived data could not be read');
+                }
+            }
+            
+            // The combined data already includes anything not yet saved
+            const result = combineCollections(incoming, mode);
+            const changes = diffCollections(withArchives(cache), result);
+            cancelPendingWrites();
+            if (!await saveAllCollections(result, Migrations.CURRENT_VERSION, [])) {
+                throw new Error('Could not save the imported data');
+            }
+            cache = result;
+            archiveIndex = new Map();
+            loadedArchives = new Map();
+            notifyMutation(changes, { label: 'Data imported', reset: true, replaced: mode === 'replace' });
             return true;
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_IMPORT_ERROR,
+                'Failed to import data',
+                error ? error.message : 'Unknown import error'
+            );
+            return false;
+        }
+    }
+    
+    // Reset all data (for development or user reset request)
+    async function resetAllData() {
+        try {
+            const before = withArchives(cache);
+            
+            // Remove all stored data from both backends (encryption is turned off with it)
+            cancelPendingWrites();
+            if (usesRecords()) {
+                await backend.clearAll();
+            }
+            if (keyValueStore) {
+                Object.values(STORAGE_KEYS).forEach(key => keyValueStore.removeItem(profileKey(key)));
+            }
+            
+            // Re-initialize with default data, in the same storage
+            const ready = await initializeStorage(storageOptions);
+            notifyMutation(diffCollections(before, cache), { label: 'All data reset', reset: true, replaced: true });
+            return ready;
         } catch (error) {
             ErrorHandler.handleError(
                 ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
@@ -387,10 +2352,13 @@ const DataStore = (function() {
         initializeStorage,
         getMeals,
         saveMeals,
+        reapplyCurrentValues,
         getMealPlans,
         saveMealPlans,
         convertPlanToMeal,
+        queryMeals,
         getMealCostsForDateRange,
+        getMealTypeCosts,
         getFamilyMembers,
         addFamilyMember,
         saveFamilyMembers,
@@ -402,6 +2370,44 @@ const DataStore = (function() {
         getFoodDatabase,
         addFoodToDatabase,
         getFoodById,
-        resetAllData
+        getFoodLookup,
+        updateFood,
+        getFoodUsage,
+        deleteFood,
+        resetAllData,
+        flushWrites,
+        batch,
+        applyRecords,
+        fixDuplicateIds,
+        onMutation,
+        on,
+        off,
+        CHANGE_EVENTS,
+        RESET_EVENT,
+        LOCK_EVENT,
+        STORAGE_FULL_EVENT,
+        isEncrypted,
+        checkPassphrase,
+        enableEncryption,
+        changePassphrase,
+        disableEncryption,
+        lock,
+        loadArchives,
+        getArchivedExpenses,
+        getArchives,
+        archiveBefore,
+        getStorageUsage,
+        getSchemaVersion,
+        getRecordValue,
+        getCollectionKeys,
+        getCollection,
+        exportData,
+        previewImport,
+        importData
     };
 })();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataStore;
+}
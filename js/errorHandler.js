@@ -8,9 +8,13 @@ const ErrorHandler = (function() {
     // Private error code mapping for different types of errors
     const ERROR_CODES = {
         // Data errors (1000-1999)
-        DATA_STORAGE_ERROR: 1001, // Error with localStorage operations
+        DATA_STORAGE_ERROR: 1001, // Error with IndexedDB or localStorage operations
         DATA_PARSE_ERROR: 1002, // Error parsing JSON data
         DATA_NOT_FOUND: 1003, // Requested data not found
+        DATA_IMPORT_ERROR: 1004, // Error reading or applying a backup file
+        DATA_EXPORT_ERROR: 1005, // Error creating a backup file
+        DATA_ENCRYPTION_ERROR: 1006, // Error encrypting, decrypting or unlocking saved data
+        DATA_SYNC_ERROR: 1007, // Error syncing with the sync server (being offline is not an error)
         
         // UI errors (2000-2999)
         UI_RENDER_ERROR: 2001, // Error rendering UI components
@@ -29,10 +33,20 @@ const ErrorHandler = (function() {
         // Nutrition calculation errors (5000-5999)
         NUTRITION_CALC_ERROR: 5001, // Error calculating nutrition values
         
+        // Food database errors (6000-6999)
+        FOOD_SAVE_ERROR: 6001, // Error adding or updating a food
+        FOOD_DELETE_ERROR: 6002, // Error deleting a food
+        
         // System errors (9000-9999)
+        DATA_MIGRATION_ERROR: 9001, // Saved data could not be upgraded, so the app refuses to start
+        STORAGE_QUOTA_ERROR: 9002, // Storage is full, so changes can't be saved until space is freed
         UNKNOWN_ERROR: 9999 // Unknown or unspecified error
     };
     
+    // Shows each handled error to the user - the error banner in the browser, nothing without a page
+    // (replace it with setDisplay(), e.g. to print errors from a script)
+    let display = typeof document !== 'undefined' ? displayError : null;
+    
     // Error logging function - logs to console and optionally to a server
     function logError(code, message, details) {
         // Create error object with timestamp
@@ -87,10 +101,17 @@ const ErrorHandler = (function() {
     // Handle an error - logs it and displays to user
     function handleError(code, message, details = null) {
         const errorObj = logError(code, message, details);
-        displayError(errorObj);
+        if (display) {
+            display(errorObj);
+        }
         return errorObj;
     }
     
+    // Choose how handled errors are shown: a function called with each error object, or null for none
+    function setDisplay(handler) {
+        display = handler || null;
+    }
+    
     // Try-catch wrapper for functions
     function tryCatch(fn, errorCode, errorMessage) {
         return function(...args) {
@@ -106,6 +127,12 @@ const ErrorHandler = (function() {
     return {
         ERROR_CODES: ERROR_CODES,
         handleError: handleError,
+        setDisplay: setDisplay,
         tryCatch: tryCatch
     };
 })();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErrorHandler;
+}
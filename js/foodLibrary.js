@@ -0,0 +1,672 @@
+/**
+ * Food Library Module
+ * Lists the food database and lets the household add, edit, duplicate and delete foods
+ */
+
+const FoodLibrary = (function() {
+    // Categories offered for new foods (categories already used by saved foods are offered too)
+    const CATEGORIES = ['breakfast', 'protein', 'vegetable', 'fruit', 'grain', 'dairy', 'snack', 'beverage', 'other'];
+    
+    // Current filters
+    let searchText = '';
+    let categoryFilter = 'all';
+    
+    // Price history of the food in the modal: { date, costPerServing, store } entries, oldest first
+    let priceEntries = [];
+    
+    /**
+     * Initialize the food library tab
+     */
+    function initialize() {
+        try {
+            // Set up search and category filter
+            const searchInput = document.getElementById('food-search');
+            if (searchInput) {
+                searchInput.addEventListener('input', function() {
+                    searchText = this.value.trim().toLowerCase();
+                    renderFoods();
+                });
+            }
+            
+            const categorySelect = document.getElementById('food-category-filter');
+            if (categorySelect) {
+                categorySelect.addEventListener('change', function() {
+                    categoryFilter = this.value;
+                    renderFoods();
+                });
+            }
+            
+            // Set up add food button
+            const addFoodBtn = document.getElementById('add-food');
+            if (addFoodBtn) {
+                addFoodBtn.addEventListener('click', function() {
+                    showFoodModal(null, 'add');
+                });
+            }
+            
+            // Render initial data
+            renderFoods();
+            
+            // Keep the list in step with changes made by undo, imports or another tab
+            DataStore.on('foods:changed', renderFoods);
+            DataStore.on('data:reset', renderFoods);
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize food library",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Get every category in use or on offer, in display order
+     * @param {Array} foods - Foods in the database
+     * @returns {Array} Category names
+     */
+    function getCategories(foods) {
+        const used = foods.map(food => food.category).filter(category => category && !CATEGORIES.includes(category));
+        return CATEGORIES.concat([...new Set(used)].sort());
+    }
+    
+    /**
+     * Refresh the category filter options, keeping the current choice if it still exists
+     * @param {Array} foods - Foods in the database
+     */
+    function populateCategoryFilter(foods) {
+        const categorySelect = document.getElementById('food-category-filter');
+        if (!categorySelect) return;
+        
+        const categories = getCategories(foods);
+        categorySelect.innerHTML = `
+            <option value="all">All Categories</option>
+            ${categories.map(category => `<option value="${Html.escape(category)}">${Html.escape(formatCategory(category))}</option>`).join('')}
+        `;
+        
+        if (categoryFilter !== 'all' && !categories.includes(categoryFilter)) {
+            categoryFilter = 'all';
+        }
+        categorySelect.value = categoryFilter;
+    }
+    
+    /**
+     * Render the foods matching the current filters
+     */
+    function renderFoods() {
+        try {
+            const foodsBody = document.getElementById('foods-body');
+            if (!foodsBody) return;
+            
+            const foods = DataStore.getFoodDatabase();
+            populateCategoryFilter(foods);
+            
+            // Filter and sort by name
+            const filteredFoods = foods
+                .filter(food => categoryFilter === 'all' || food.category === categoryFilter)
+                .filter(food => !searchText || matchesSearch(food))
+                .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+            
+            // Clear existing content
+            foodsBody.innerHTML = '';
+            
+            if (filteredFoods.length === 0) {
+                // Show empty state
+                foodsBody.innerHTML = `
+                    <tr><td colspan="7" class="empty-state">${foods.length ? 'No foods match the filter.' : 'No foods yet. Add one to start logging meals.'}</td></tr>
+                `;
+                return;
+            }
+            
+            // Render each food
+            filteredFoods.forEach(food => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${Html.escape(food.name)}${Recipes.isRecipe(food) ? ' <span class="recipe-tag">Recipe</span>' : ''}</td>
+                    <td>${Html.escape(food.servingSize || '')}</td>
+                    <td>${formatNumber(food.calories)}</td>
+                    <td>${formatNumber(food.protein)}g / ${formatNumber(food.carbs)}g / ${formatNumber(food.fat)}g</td>
+                    <td>${food.costPerServing ? `$${parseFloat(food.costPerServing).toFixed(2)}${formatTrend(food)}` : '-'}</td>
+                    <td>${Html.escape(formatCategory(food.category || ''))}</td>
+                    <td class="food-actions">
+                        <button class="edit-food" data-food-id="${Html.escape(food.id)}" title="Edit" aria-label="Edit ${Html.escape(food.name)}">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="duplicate-food" data-food-id="${Html.escape(food.id)}" title="Duplicate" aria-label="Duplicate ${Html.escape(food.name)}">
+                            <i class="fas fa-copy"></i>
+                        </button>
+                        <button class="delete-food" data-food-id="${Html.escape(food.id)}" title="Delete" aria-label="Delete ${Html.escape(food.name)}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                `;
+                foodsBody.appendChild(row);
+                
+                // Add event listeners to the action buttons
+                row.querySelector('.edit-food').addEventListener('click', function() {
+                    showFoodModal(this.getAttribute('data-food-id'), 'edit');
+                });
+                row.querySelector('.duplicate-food').addEventListener('click', function() {
+                    showFoodModal(this.getAttribute('data-food-id'), 'duplicate');
+                });
+                row.querySelector('.delete-food').addEventListener('click', function() {
+                    deleteFood(this.getAttribute('data-food-id'));
+                });
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to render food library",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Check whether a food matches the search box by name, other name or barcode
+     * @param {Object} food - Food to check
+     * @returns {boolean} True if it matches
+     */
+    function matchesSearch(food) {
+        const names = [food.name].concat(food.synonyms || []);
+        return names.some(name => String(name).toLowerCase().includes(searchText))
+            || Boolean(food.barcode && food.barcode.includes(searchText));
+    }
+    
+    /**
+     * Show the modal for adding, editing or duplicating a food
+     * @param {string|null} foodId - Food to edit or copy (null when adding)
+     * @param {string} mode - 'add', 'edit' or 'duplicate'
+     * @param {Object} options - values: fields to prefill; onSaved: called with the saved food instead of just closing
+     */
+    function showFoodModal(foodId, mode, options = {}) {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const foodModal = document.getElementById('food-modal');
+            
+            if (!modalOverlay || !foodModal) return;
+            
+            const food = foodId ? DataStore.getFoodById(foodId) : null;
+            if (mode !== 'add' && !food) return;
+            
+            // Recipes get their nutrition from their ingredients, so they have their own editor
+            if (Recipes.isRecipe(food)) {
+                RecipeBuilder.showRecipeModal(foodId, mode);
+                return;
+            }
+            
+            const values = food ? { ...food } : { ...options.values };
+            if (mode === 'duplicate') {
+                // A barcode identifies one food, so the copy starts without it, and its prices start from today
+                values.name = `Copy of ${food.name}`;
+                delete values.barcode;
+                delete values.prices;
+            }
+            priceEntries = Prices.getHistory(values);
+            
+            const titles = { add: 'Add Food', edit: `Edit ${food ? food.name : ''}`, duplicate: `Duplicate ${food ? food.name : ''}` };
+            
+            // Logged meals keep the values they were logged with, so correcting a food can optionally fix them too
+            const loggedCount = mode === 'edit' ? DataStore.getFoodUsage(foodId).meals : 0;
+            const categories = getCategories(DataStore.getFoodDatabase());
+            
+            // Weight of a serving, in grams or (for drinks) milliliters, and of the household measures
+            const baseUnit = Units.getBaseUnit(values) || 'g';
+            const servingWeight = baseUnit === 'g' ? values.servingGrams : values.servingMl;
+            const measures = values.measures || {};
+            const measureInputs = Units.MEASURES.map(unit => `
+                <div>
+                    <label for="food-measure-${unit}">1 ${unit} weighs (<span class="food-base-unit">${baseUnit}</span>) - optional:</label>
+                    <input type="number" id="food-measure-${unit}" min="0" step="any" value="${measures[unit] !== undefined ? Html.escape(measures[unit]) : ''}">
+                </div>
+            `).join('');
+            
+            const nutrientInputs = Nutrients.NUTRIENTS.map(field => `
+                <div>
+                    <label for="food-${field.key}">${field.label} (${field.unit})${field.required ? '' : ' - optional'}:</label>
+                    <input type="number" id="food-${field.key}" min="0" step="any" value="${values[field.key] !== undefined ? Html.escape(values[field.key]) : ''}" ${field.required ? 'required' : ''}>
+                </div>
+            `).join('');
+            
+            // Create modal content
+            foodModal.innerHTML = `
+                <h3>${Html.escape(titles[mode])}</h3>
+                <form id="food-form" class="modal-form food-form">
+                    <div>
+                        <label for="food-name">Name:</label>
+                        <input type="text" id="food-name" value="${Html.escape(values.name || '')}" required>
+                    </div>
+                    <div>
+                        <label for="food-synonyms">Other names, separated by commas - optional:</label>
+                        <input type="text" id="food-synonyms" placeholder="e.g. porridge, oats" value="${Html.escape((values.synonyms || []).join(', '))}">
+                    </div>
+                    <div class="food-form-grid">
+                        <div>
+                            <label for="food-serving-size">Serving size:</label>
+                            <input type="text" id="food-serving-size" placeholder="1 cup" value="${Html.escape(values.servingSize || '')}" required>
+                        </div>
+                        <div>
+                            <label for="food-category">Category:</label>
+                            <select id="food-category">
+                                ${categories.map(category => `<option value="${Html.escape(category)}" ${category === (values.category || 'other') ? 'selected' : ''}>${Html.escape(formatCategory(category))}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label for="food-cost">Current cost per serving ($) - optional:</label>
+                            <input type="number" id="food-cost" min="0" step="0.01" value="${values.costPerServing !== undefined ? Html.escape(values.costPerServing) : ''}">
+                        </div>
+                        <div>
+                            <label for="food-barcode">Barcode (UPC/EAN) - optional:</label>
+                            <input type="text" id="food-barcode" inputmode="numeric" pattern="[0-9 \-]{8,17}" title="8 to 14 digits" value="${Html.escape(values.barcode || '')}">
+                        </div>
+                    </div>
+                    <h4>Serving weight and household measures</h4>
+                    <p class="food-hint">Lets meals be entered in grams, ounces, cups, tablespoons or pieces.</p>
+                    <div class="food-form-grid">
+                        <div>
+                            <label for="food-serving-weight">1 serving weighs - optional:</label>
+                            <div class="amount-row">
+                                <input type="number" id="food-serving-weight" min="0" step="any" value="${servingWeight !== undefined ? Html.escape(servingWeight) : ''}">
+                                <select id="food-serving-unit" aria-label="Serving weight unit">
+                                    <option value="g" ${baseUnit === 'g' ? 'selected' : ''}>g</option>
+                                    <option value="ml" ${baseUnit === 'ml' ? 'selected' : ''}>ml</option>
+                                </select>
+                            </div>
+                        </div>
+                        ${measureInputs}
+                    </div>
+                    <h4>Nutrition per serving</h4>
+                    <div class="food-form-grid">
+                        ${nutrientInputs}
+                    </div>
+                    <h4>Price history</h4>
+                    <p class="food-hint">Meals are costed at the price in effect on their date. Changing the current cost adds it as today's price.</p>
+                    <div id="food-price-trend"></div>
+                    <table class="price-history">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Store</th>
+                                <th>Cost per serving</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="food-prices-body"></tbody>
+                    </table>
+                    <div class="amount-row price-add-row">
+                        <input type="date" id="food-price-date" value="${new Date().toISOString().split('T')[0]}" aria-label="Price date">
+                        <input type="text" id="food-price-store" list="food-price-stores" placeholder="Store - optional" aria-label="Store">
+                        <input type="number" id="food-price-value" min="0" step="0.01" placeholder="$ per serving" aria-label="Cost per serving">
+                        <button type="button" id="add-price">Add Price</button>
+                    </div>
+                    <datalist id="food-price-stores">
+                        ${Prices.getStores(DataStore.getFoodDatabase()).map(store => `<option value="${Html.escape(store)}">`).join('')}
+                    </datalist>
+                    ${loggedCount ? `
+                        <div>
+                            <label class="radio-option">
+                                <input type="checkbox" id="food-reapply">
+                                Also apply these values to the ${loggedCount} meal item${loggedCount === 1 ? '' : 's'} already logged with this food
+                            </label>
+                            <p class="food-hint">Otherwise past meals keep the nutrition and price they were logged with.</p>
+                        </div>
+                    ` : ''}
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-food">Cancel</button>
+                        <button type="submit">${mode === 'edit' ? 'Save Changes' : 'Add Food'}</button>
+                    </div>
+                </form>
+            `;
+            
+            renderPriceHistory();
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            foodModal.classList.remove('hidden');
+            document.getElementById('food-name').focus();
+            
+            // Set up event listeners
+            document.getElementById('add-price').addEventListener('click', addPriceEntry);
+            document.getElementById('food-price-value').addEventListener('keydown', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addPriceEntry();
+                }
+            });
+            document.getElementById('food-serving-unit').addEventListener('change', function() {
+                foodModal.querySelectorAll('.food-base-unit').forEach(el => {
+                    el.textContent = this.value;
+                });
+            });
+            document.getElementById('food-serving-size').addEventListener('change', function() {
+                // Fill in the weight when the serving size gives one, e.g. "3 oz" or "1 cup"
+                const weightInput = document.getElementById('food-serving-weight');
+                if (weightInput.value !== '') return;
+                const parsed = Units.parseServingSize(this.value);
+                if (parsed.servingGrams || parsed.servingMl) {
+                    weightInput.value = parsed.servingGrams || parsed.servingMl;
+                    const unitSelect = document.getElementById('food-serving-unit');
+                    unitSelect.value = parsed.servingGrams ? 'g' : 'ml';
+                    unitSelect.dispatchEvent(new Event('change'));
+                }
+            });
+            document.getElementById('cancel-food').addEventListener('click', Html.closeModal);
+            document.getElementById('food-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                const saved = saveFood(mode === 'edit' ? foodId : null, readFoodForm());
+                if (saved) {
+                    const reapplyInput = document.getElementById('food-reapply');
+                    if (reapplyInput && reapplyInput.checked) {
+                        DataStore.reapplyCurrentValues({ foodId: saved.id });
+                    }
+                    Html.closeModal();
+                    if (options.onSaved) options.onSaved(saved);
+                }
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show food form",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Add the price typed below the price history to it
+     */
+    function addPriceEntry() {
+        const date = document.getElementById('food-price-date').value;
+        const cost = parseFloat(document.getElementById('food-price-value').value);
+        const store = document.getElementById('food-price-store').value.trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !(cost >= 0)) {
+            document.getElementById('food-price-value').focus();
+            return;
+        }
+        
+        // One price per store per day: a new one replaces the old
+        const entry = { date, costPerServing: cost };
+        if (store) entry.store = store;
+        priceEntries = Prices.getHistory({
+            prices: priceEntries.filter(other => other.date !== date || (other.store || '') !== store).concat(entry)
+        });
+        document.getElementById('food-price-value').value = '';
+        renderPriceHistory();
+    }
+    
+    /**
+     * Render the price history in the food modal, newest first, with a bar for each price
+     */
+    function renderPriceHistory() {
+        const pricesBody = document.getElementById('food-prices-body');
+        const trendEl = document.getElementById('food-price-trend');
+        if (!pricesBody || !trendEl) return;
+        
+        if (!priceEntries.length) {
+            pricesBody.innerHTML = '<tr><td colspan="4" class="empty-state">No prices recorded yet.</td></tr>';
+            trendEl.innerHTML = '';
+            return;
+        }
+        
+        pricesBody.innerHTML = priceEntries.map((entry, index) => `
+            <tr>
+                <td>${Html.escape(entry.date)}</td>
+                <td>${Html.escape(entry.store || '-')}</td>
+                <td>$${entry.costPerServing.toFixed(2)}</td>
+                <td>
+                    <button type="button" class="remove-price" data-index="${index}" title="Remove" aria-label="Remove the price from ${Html.escape(entry.date)}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </td>
+            </tr>
+        `).reverse().join('');
+        pricesBody.querySelectorAll('.remove-price').forEach(button => {
+            button.addEventListener('click', function() {
+                priceEntries.splice(Number(this.getAttribute('data-index')), 1);
+                renderPriceHistory();
+            });
+        });
+        
+        // Trend: a bar per price, oldest on the left, and the change since the first
+        const trend = Prices.getTrend({ prices: priceEntries });
+        const maxCost = Math.max(...priceEntries.map(entry => entry.costPerServing), 0.01);
+        const bars = priceEntries.map(entry => `
+            <div class="chart-item" title="${Html.escape(`${entry.date}${entry.store ? ` at ${entry.store}` : ''}: $${entry.costPerServing.toFixed(2)}`)}">
+                <div class="chart-bar-container">
+                    <div class="chart-bar" style="height: ${(entry.costPerServing / maxCost) * 100}%"></div>
+                </div>
+                <div class="chart-label">${Html.escape(entry.date.slice(5))}</div>
+            </div>
+        `).join('');
+        const summary = trend && trend.change !== null
+            ? `${trend.change >= 0 ? 'Up' : 'Down'} ${Math.abs(Math.round(trend.change * 100))}% since ${trend.first.date}
+               ($${trend.first.costPerServing.toFixed(2)} to $${trend.latest.costPerServing.toFixed(2)}).`
+            : '';
+        trendEl.innerHTML = `
+            <div class="simple-chart price-trend">
+                <div class="chart-bars">${bars}</div>
+            </div>
+            <p class="food-hint">${Html.escape(summary)}</p>
+        `;
+    }
+    
+    /**
+     * Describe a food's price trend for the list
+     * @param {Object} food - Food from the database
+     * @returns {string} HTML arrow showing whether the price rose or fell since its first recorded price
+     */
+    function formatTrend(food) {
+        const trend = Prices.getTrend(food);
+        if (!trend || !trend.change) return '';
+        const percent = Math.abs(Math.round(trend.change * 100));
+        const direction = trend.change > 0 ? 'up' : 'down';
+        return ` <span class="price-trend-${direction}" title="${direction === 'up' ? 'Up' : 'Down'} ${percent}% since ${Html.escape(trend.first.date)}">${direction === 'up' ? '&#9650;' : '&#9660;'}</span>`;
+    }
+    
+    /**
+     * Read the food form
+     * Optional fields left empty come back undefined, so editing a food can clear them
+     * @returns {Object} Food fields
+     */
+    function readFoodForm() {
+        const readNumber = id => {
+            const value = document.getElementById(id).value;
+            return value === '' ? undefined : parseFloat(value);
+        };
+        
+        const synonyms = document.getElementById('food-synonyms').value
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        
+        const food = {
+            name: document.getElementById('food-name').value.trim(),
+            synonyms: synonyms.length ? synonyms : undefined,
+            servingSize: document.getElementById('food-serving-size').value.trim(),
+            category: document.getElementById('food-category').value,
+            costPerServing: readNumber('food-cost'),
+            prices: priceEntries.length ? priceEntries : undefined,
+            barcode: BarcodeLookup.normalizeBarcode(document.getElementById('food-barcode').value) || undefined
+        };
+        Nutrients.NUTRIENTS.forEach(field => {
+            food[field.key] = readNumber(`food-${field.key}`);
+        });
+        
+        // Only one of grams or milliliters is kept, so switching unit clears the other
+        const servingWeight = readNumber('food-serving-weight');
+        const weightUnit = document.getElementById('food-serving-unit').value;
+        food.servingGrams = servingWeight > 0 && weightUnit === 'g' ? servingWeight : undefined;
+        food.servingMl = servingWeight > 0 && weightUnit === 'ml' ? servingWeight : undefined;
+        
+        const measures = {};
+        Units.MEASURES.forEach(unit => {
+            const weight = readNumber(`food-measure-${unit}`);
+            if (weight > 0) measures[unit] = weight;
+        });
+        food.measures = Object.keys(measures).length ? measures : undefined;
+        return food;
+    }
+    
+    /**
+     * Add a new food or save changes to an existing one
+     * @param {string|null} foodId - Food being edited, or null to add a new one
+     * @param {Object} fields - Food fields from the form
+     * @returns {Object|null} The saved food, or null if it wasn't saved
+     */
+    function saveFood(foodId, fields) {
+        try {
+            if (!fields.name || !fields.servingSize) {
+                return null;
+            }
+            
+            if (foodId) {
+                return DataStore.updateFood(foodId, fields) ? DataStore.getFoodById(foodId) : null;
+            }
+            
+            // New foods don't need empty optional fields
+            const newFood = {};
+            Object.keys(fields).forEach(key => {
+                if (fields[key] !== undefined) newFood[key] = fields[key];
+            });
+            return DataStore.addFoodToDatabase(newFood) || null;
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.FOOD_SAVE_ERROR,
+                "Failed to save food",
+                error.message
+            );
+            return null;
+        }
+    }
+    
+    /**
+     * Delete a food, asking first if any meals use it
+     * @param {string} foodId - ID of the food to delete
+     */
+    function deleteFood(foodId) {
+        try {
+            const usage = DataStore.getFoodUsage(foodId);
+            
+            // Nothing refers to the food, so it can go straight away (the toast offers undo)
+            if (usage.meals + usage.mealPlans + usage.recipes === 0) {
+                DataStore.deleteFood(foodId);
+                return;
+            }
+            
+            showDeleteFoodModal(foodId, usage);
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.FOOD_DELETE_ERROR,
+                "Failed to delete food",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Show the modal confirming deletion of a food that meals or recipes use, with a replacement to choose
+     * @param {string} foodId - ID of the food to delete
+     * @param {Object} usage - Meal items using the food (see DataStore.getFoodUsage)
+     */
+    function showDeleteFoodModal(foodId, usage) {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const foodModal = document.getElementById('food-modal');
+            const food = DataStore.getFoodById(foodId);
+            
+            if (!modalOverlay || !foodModal || !food) return;
+            
+            // Recipes made with the food can't stand in for it
+            const foods = DataStore.getFoodDatabase();
+            const dependentIds = new Set(Recipes.findDependents([foodId], foods).map(recipe => recipe.id));
+            const replacements = foods
+                .filter(other => other.id !== foodId && !dependentIds.has(other.id))
+                .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+            
+            const used = [];
+            const items = usage.meals + usage.mealPlans;
+            if (items) {
+                const kinds = [];
+                if (usage.meals) kinds.push(`${usage.meals} logged`);
+                if (usage.mealPlans) kinds.push(`${usage.mealPlans} planned`);
+                used.push(`${kinds.join(' and ')} meal item${items === 1 ? '' : 's'} on ${usage.days} day${usage.days === 1 ? '' : 's'}`);
+            }
+            if (usage.recipes) used.push(`${usage.recipes} recipe${usage.recipes === 1 ? '' : 's'}`);
+            
+            // Create modal content
+            foodModal.innerHTML = `
+                <h3>Delete ${Html.escape(food.name)}</h3>
+                <form id="delete-food-form" class="modal-form">
+                    <p class="food-hint">
+                        ${used.join(' and ')} use${items + usage.recipes === 1 ? 's' : ''} this food.
+                        Choose a food to put in its place, or remove it from those meals and recipes too. Archived years are not changed.
+                    </p>
+                    <div>
+                        <label for="replacement-food">Replace with:</label>
+                        <select id="replacement-food">
+                            <option value="">Nothing - remove it from meals and recipes</option>
+                            ${replacements.map(other => `<option value="${Html.escape(other.id)}">${Html.escape(other.name)} (${Html.escape(other.servingSize || '')})</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-delete-food">Cancel</button>
+                        <button type="submit">Delete Food</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            foodModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('cancel-delete-food').addEventListener('click', Html.closeModal);
+            document.getElementById('delete-food-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                try {
+                    const replacementId = document.getElementById('replacement-food').value || null;
+                    DataStore.deleteFood(foodId, replacementId);
+                    Html.closeModal();
+                } catch (error) {
+                    ErrorHandler.handleError(
+                        ErrorHandler.ERROR_CODES.FOOD_DELETE_ERROR,
+                        "Failed to delete food",
+                        error.message
+                    );
+                }
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show delete food dialog",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Format a category name for display
+     * @param {string} category - Category as stored
+     * @returns {string} Capitalized category
+     */
+    function formatCategory(category) {
+        return category.charAt(0).toUpperCase() + category.slice(1);
+    }
+    
+    /**
+     * Format a nutrition amount for the table
+     * @param {*} value - Stored amount
+     * @returns {string} Amount rounded to one decimal, or '-' if missing
+     */
+    function formatNumber(value) {
+        const number = parseFloat(value);
+        return isNaN(number) ? '-' : String(Math.round(number * 10) / 10);
+    }
+    
+    // Public API
+    return {
+        initialize,
+        renderFoods,
+        showFoodModal,
+        CATEGORIES
+    };
+})();
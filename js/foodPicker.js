@@ -0,0 +1,460 @@
+/**
+ * Food Picker Module
+ * Type-ahead food chooser for the meal forms: fuzzy search on food names and other names,
+ * a category filter, the member's recent and frequent foods first, and a nutrition and cost preview
+ *
+ * The chosen food id is kept in a hidden input, so forms read it like the select it replaces.
+ */
+
+const FoodPicker = (function() {
+    // Most foods listed at once; narrowing the search shows the rest
+    const MAX_RESULTS = 50;
+    
+    // Number of recent and frequent foods listed before the others when nothing is typed
+    const MAX_FAVORITES = 8;
+    
+    // Days of logged meals looked at for recent and frequent foods
+    const HISTORY_DAYS = 60;
+    
+    // Weight of uses at another meal (a food eaten at lunch is less likely at breakfast)
+    const OTHER_MEAL_WEIGHT = 0.25;
+    
+    // Scores for how a typed word matches a word of a food name
+    const MATCH_SCORES = {
+        exact: 10,
+        prefix: 8,
+        substring: 5,
+        typo: 3,
+        subsequence: 1
+    };
+    
+    // Other names count a little less than the food's own name
+    const SYNONYM_WEIGHT = 0.9;
+    
+    // Counter for element ids, so two pickers never share one
+    let pickerCount = 0;
+    
+    /**
+     * Create a food picker
+     * @param {HTMLElement} container - Element to render the picker into
+     * @param {Object} options - Picker options
+     * @param {string} options.inputId - Id for the hidden input holding the chosen food id
+     * @param {string} options.searchId - Id for the search box (for its label)
+     * @param {string} options.memberId - Family member whose history orders the foods
+     * @param {string} options.mealType - Meal being added, for ordering by history
+     * @param {string} options.selectedId - Food chosen to begin with
+     * @param {Function} options.getServings - Called with a food, returns the servings to preview (1 if omitted)
+     * @param {Function} options.onSelect - Called with the chosen food
+     * @param {Function} options.filter - Returns false for foods that mustn't be offered
+     * @returns {Object} Picker: { getSelectedId, select, refreshPreview, focus }
+     */
+    function create(container, options = {}) {
+        const id = `food-picker-${++pickerCount}`;
+        const getFoods = () => DataStore.getFoodDatabase().filter(food => !options.filter || options.filter(food));
+        let foods = getFoods();
+        const usage = getUsageScores(options.memberId, options.mealType);
+        let selectedId = options.selectedId || '';
+        let activeIndex = -1;
+        let results = [];
+        
+        container.innerHTML = `
+            <div class="food-picker">
+                <div class="food-picker-controls">
+                    <input type="text" id="${options.searchId || `${id}-search`}" class="food-picker-search" placeholder="Search foods" autocomplete="off"
+                        role="combobox" aria-autocomplete="list" aria-expanded="true" aria-controls="${id}-list" aria-label="Search foods">
+                    <select id="${id}-category" class="food-picker-category" aria-label="Category">
+                        ${getCategoryOptions(foods)}
+                    </select>
+                </div>
+                <ul id="${id}-list" class="food-picker-list" role="listbox" aria-label="Foods"></ul>
+                <div id="${id}-preview" class="food-picker-preview" aria-live="polite"></div>
+                <input type="hidden" id="${options.inputId || `${id}-value`}" value="${Html.escape(selectedId)}">
+            </div>
+        `;
+        
+        const searchInput = container.querySelector('.food-picker-search');
+        const categorySelect = container.querySelector(`#${id}-category`);
+        const list = container.querySelector(`#${id}-list`);
+        const preview = container.querySelector(`#${id}-preview`);
+        const valueInput = container.querySelector('input[type="hidden"]');
+        
+        /**
+         * Rebuild the list for the current search and category
+         */
+        function render() {
+            results = findFoods(foods, searchInput.value, categorySelect.value, usage);
+            
+            if (!results.length) {
+                list.innerHTML = `<li class="food-picker-empty">${foods.length ? 'No foods match.' : 'No foods yet - add some in the Food Library.'}</li>`;
+                activeIndex = -1;
+                searchInput.removeAttribute('aria-activedescendant');
+                renderPreview();
+                return;
+            }
+            
+            let html = '';
+            results.forEach((result, index) => {
+                // Label the recent and frequent group, and where the rest begin
+                if (index === 0 && result.favorite) {
+                    html += '<li class="food-picker-heading" role="presentation">Recent &amp; frequent</li>';
+                } else if (index > 0 && results[index - 1].favorite && !result.favorite) {
+                    html += '<li class="food-picker-heading" role="presentation">All foods</li>';
+                }
+                
+                const food = result.food;
+                html += `
+                    <li id="${id}-option-${index}" class="food-picker-option" role="option" data-index="${index}"
+                        aria-selected="${food.id === selectedId}">
+                        <span class="food-picker-name">${Html.escape(food.name)}</span>
+                        <span class="food-picker-detail">${Html.escape(food.servingSize || '')} - ${formatNumber(food.calories)} kcal${result.matchedSynonym ? ` - also "${Html.escape(result.matchedSynonym)}"` : ''}</span>
+                    </li>
+                `;
+            });
+            list.innerHTML = html;
+            
+            // Start on the chosen food if it's listed, otherwise the best match
+            const selectedIndex = results.findIndex(result => result.food.id === selectedId);
+            setActive(searchInput.value.trim() || selectedIndex === -1 ? 0 : selectedIndex);
+        }
+        
+        /**
+         * Highlight a listed food
+         * @param {number} index - Position in the results
+         */
+        function setActive(index) {
+            if (!results.length) return;
+            activeIndex = Math.max(0, Math.min(index, results.length - 1));
+            
+            list.querySelectorAll('.food-picker-option').forEach(option => {
+                option.classList.toggle('active', Number(option.getAttribute('data-index')) === activeIndex);
+            });
+            const activeOption = list.querySelector(`#${id}-option-${activeIndex}`);
+            searchInput.setAttribute('aria-activedescendant', activeOption.id);
+            if (activeOption.scrollIntoView) {
+                activeOption.scrollIntoView({ block: 'nearest' });
+            }
+            renderPreview();
+        }
+        
+        /**
+         * Choose a food
+         * @param {string} foodId - Food to choose
+         */
+        function select(foodId) {
+            let food = foods.find(candidate => candidate.id === foodId);
+            if (!food) {
+                // Added since the picker opened (e.g. by a barcode lookup)
+                foods = getFoods();
+                food = foods.find(candidate => candidate.id === foodId);
+            }
+            if (!food) return;
+            
+            selectedId = food.id;
+            valueInput.value = food.id;
+            list.querySelectorAll('.food-picker-option').forEach(option => {
+                const result = results[Number(option.getAttribute('data-index'))];
+                option.setAttribute('aria-selected', String(result.food.id === selectedId));
+            });
+            if (!results.some(result => result.food.id === selectedId)) {
+                // Clear the filters so the chosen food is listed
+                searchInput.value = '';
+                categorySelect.innerHTML = getCategoryOptions(foods);
+                render();
+            }
+            renderPreview();
+            if (options.onSelect) options.onSelect(food);
+        }
+        
+        /**
+         * Show what the chosen (or highlighted) food adds to the meal
+         */
+        function renderPreview() {
+            const active = results[activeIndex];
+            const food = foods.find(candidate => candidate.id === selectedId) || (active && active.food);
+            if (!food) {
+                preview.textContent = 'Choose a food from the list.';
+                return;
+            }
+            
+            const servings = (options.getServings && parseFloat(options.getServings(food))) || 1;
+            const totals = NutritionCalculator.calculateMealNutrition([{ foodId: food.id, servings }], [food]);
+            preview.innerHTML = `
+                <strong>${food.id === selectedId ? '' : 'Highlighted: '}${Html.escape(food.name)}</strong>
+                ${Math.round(servings * 100) / 100} x ${Html.escape(food.servingSize || 'serving')}:
+                ${totals.calories} kcal - protein ${totals.protein}g, carbs ${totals.carbs}g, fat ${totals.fat}g
+                - ${food.costPerServing ? `$${totals.cost.toFixed(2)}` : 'no cost set'}
+            `;
+        }
+        
+        // Keyboard navigation: arrows move, Enter chooses, Escape clears the search
+        searchInput.addEventListener('keydown', function(e) {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    setActive(activeIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    setActive(activeIndex - 1);
+                    break;
+                case 'PageDown':
+                    e.preventDefault();
+                    setActive(activeIndex + 5);
+                    break;
+                case 'PageUp':
+                    e.preventDefault();
+                    setActive(activeIndex - 5);
+                    break;
+                case 'Enter': {
+                    // Enter on the food already chosen submits the form as usual
+                    const active = results[activeIndex];
+                    if (active && active.food.id !== selectedId) {
+                        e.preventDefault();
+                        select(active.food.id);
+                    }
+                    break;
+                }
+                case 'Escape':
+                    if (searchInput.value) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        searchInput.value = '';
+                        render();
+                    }
+                    break;
+            }
+        });
+        searchInput.addEventListener('input', render);
+        categorySelect.addEventListener('change', render);
+        
+        // Alt+Down on the category filter is left to the select; other arrows there move through the list
+        categorySelect.addEventListener('keydown', function(e) {
+            if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !e.altKey) {
+                e.preventDefault();
+                setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                searchInput.focus();
+            }
+        });
+        
+        list.addEventListener('mousedown', function(e) {
+            // Keep focus in the search box so the keyboard keeps working after a click
+            e.preventDefault();
+        });
+        list.addEventListener('click', function(e) {
+            const option = e.target.closest('.food-picker-option');
+            if (option) {
+                setActive(Number(option.getAttribute('data-index')));
+                select(results[activeIndex].food.id);
+                searchInput.focus();
+            }
+        });
+        
+        render();
+        
+        return {
+            getSelectedId: () => selectedId,
+            select,
+            refreshPreview: renderPreview,
+            focus: () => searchInput.focus()
+        };
+    }
+    
+    /**
+     * Build the category filter options from the categories in use
+     * @param {Array} foods - Foods in the database
+     * @returns {string} Options HTML
+     */
+    function getCategoryOptions(foods) {
+        const categories = [...new Set(foods.map(food => food.category).filter(Boolean))].sort();
+        return `
+            <option value="all">All categories</option>
+            ${categories.map(category => `<option value="${Html.escape(category)}">${Html.escape(category.charAt(0).toUpperCase() + category.slice(1))}</option>`).join('')}
+        `;
+    }
+    
+    /**
+     * Score how recently and often a member has had each food, favoring the meal being added
+     * @param {string} memberId - Family member
+     * @param {string} mealType - Meal being added
+     * @returns {Map} Score by food id (foods never logged are absent)
+     */
+    function getUsageScores(memberId, mealType) {
+        const scores = new Map();
+        if (!memberId) return scores;
+        
+        const today = new Date();
+        const from = new Date(today.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        DataStore.queryMeals({ from, memberIds: [memberId], status: 'consumed' }).forEach(row => {
+            // Newer uses count more, fading to a small weight at the start of the window
+            const daysAgo = Math.max(0, (today - new Date(row.date)) / (24 * 60 * 60 * 1000));
+            const recency = 1 - daysAgo / (HISTORY_DAYS + 1);
+            const weight = (row.mealType === mealType ? 1 : OTHER_MEAL_WEIGHT) * recency;
+            scores.set(row.item.foodId, (scores.get(row.item.foodId) || 0) + weight);
+        });
+        return scores;
+    }
+    
+    /**
+     * List the foods to show for a search
+     * With nothing typed: recent and frequent foods, then the rest by name
+     * Otherwise: fuzzy matches, best first, with history breaking near-ties
+     * @param {Array} foods - Foods in the database
+     * @param {string} query - Typed search
+     * @param {string} category - Category filter ('all' for every category)
+     * @param {Map} usage - Scores from getUsageScores()
+     * @returns {Array} Up to MAX_RESULTS of { food, favorite, matchedSynonym }
+     */
+    function findFoods(foods, query, category, usage) {
+        const candidates = foods.filter(food => category === 'all' || food.category === category);
+        const tokens = tokenize(query);
+        
+        if (!tokens.length) {
+            const favorites = candidates
+                .filter(food => usage.has(food.id))
+                .sort((a, b) => usage.get(b.id) - usage.get(a.id))
+                .slice(0, MAX_FAVORITES);
+            const favoriteIds = new Set(favorites.map(food => food.id));
+            const others = candidates
+                .filter(food => !favoriteIds.has(food.id))
+                .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+            
+            return favorites.map(food => ({ food, favorite: true }))
+                .concat(others.map(food => ({ food, favorite: false })))
+                .slice(0, MAX_RESULTS);
+        }
+        
+        return candidates
+            .map(food => {
+                const match = matchFood(tokens, food);
+                if (!match) return null;
+                
+                // Usage adds at most a couple of points, enough to order similar matches
+                const history = usage.get(food.id) || 0;
+                return { food, favorite: false, matchedSynonym: match.synonym, score: match.score + Math.min(2, history / 2) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || String(a.food.name).localeCompare(String(b.food.name)))
+            .slice(0, MAX_RESULTS);
+    }
+    
+    /**
+     * Match typed words against a food's name and other names
+     * Every typed word has to match a word somewhere
+     * @param {Array} tokens - Typed words from tokenize()
+     * @param {Object} food - Food to match
+     * @returns {Object|null} { score, synonym } (synonym is set when only another name matched), or null
+     */
+    function matchFood(tokens, food) {
+        const names = [{ text: food.name, weight: 1 }]
+            .concat((food.synonyms || []).map(synonym => ({ text: synonym, weight: SYNONYM_WEIGHT, synonym })));
+        
+        let best = null;
+        names.forEach(name => {
+            const words = tokenize(name.text);
+            let score = 0;
+            for (const token of tokens) {
+                const tokenScore = Math.max(0, ...words.map(word => scoreWord(token, word)));
+                if (!tokenScore) return;
+                score += tokenScore;
+            }
+            
+            // Typing the start of the whole name ranks it above names that merely contain the words
+            if (words.join(' ').startsWith(tokens.join(' '))) {
+                score += MATCH_SCORES.prefix;
+            }
+            score *= name.weight;
+            if (!best || score > best.score) {
+                best = { score, synonym: name.synonym };
+            }
+        });
+        return best;
+    }
+    
+    /**
+     * Score one typed word against one word of a name
+     * @param {string} token - Typed word
+     * @param {string} word - Word of the name
+     * @returns {number} Score from MATCH_SCORES, or 0 if they don't match
+     */
+    function scoreWord(token, word) {
+        if (word === token) return MATCH_SCORES.exact;
+        if (word.startsWith(token)) return MATCH_SCORES.prefix;
+        if (token.length >= 3 && word.includes(token)) return MATCH_SCORES.substring;
+        
+        // Allow one slip in longer words, whether the word is typed in full or only begun
+        if (token.length >= 4 && (isOneEditApart(token, word) || isOneEditApart(token, word.slice(0, token.length)))) {
+            return MATCH_SCORES.typo;
+        }
+        if (token.length >= 3 && isSubsequence(token, word)) return MATCH_SCORES.subsequence;
+        return 0;
+    }
+    
+    /**
+     * Check whether two words differ by at most one inserted, removed, changed or swapped letter
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {boolean} True if they are at most one edit apart
+     */
+    function isOneEditApart(a, b) {
+        if (Math.abs(a.length - b.length) > 1) return false;
+        
+        let i = 0;
+        while (i < a.length && i < b.length && a[i] === b[i]) i++;
+        if (i === a.length && i === b.length) return true;
+        
+        const restA = a.slice(i + 1);
+        const restB = b.slice(i + 1);
+        return restA === restB // changed letter
+            || a.slice(i) === b.slice(i + 1) // letter missing from a
+            || a.slice(i + 1) === b.slice(i) // extra letter in a
+            || (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2)); // swapped letters
+    }
+    
+    /**
+     * Check whether the letters of a word appear in order in another (e.g. "chkn" in "chicken")
+     * @param {string} token - Typed word
+     * @param {string} word - Word of the name
+     * @returns {boolean} True if every letter of the token appears in order
+     */
+    function isSubsequence(token, word) {
+        let position = 0;
+        for (const char of word) {
+            if (char === token[position]) position++;
+            if (position === token.length) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Split text into lower-case words without accents or punctuation
+     * @param {string} text - Text to split
+     * @returns {Array} Words
+     */
+    function tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+    
+    /**
+     * Format a nutrition amount for the list
+     * @param {*} value - Stored amount
+     * @returns {string} Amount rounded to a whole number, or '-' if missing
+     */
+    function formatNumber(value) {
+        const number = parseFloat(value);
+        return isNaN(number) ? '-' : String(Math.round(number));
+    }
+    
+    // Public API
+    return {
+        create,
+        findFoods,
+        matchFood
+    };
+})();
@@ -0,0 +1,48 @@
+/**
+ * Html Module
+ * Helpers shared by the views that build their markup as HTML strings
+ */
+
+// Creating an immediate function to encapsulate the HTML helpers in their own scope
+const Html = (function() {
+    /**
+     * Escape text for use inside HTML attributes and content
+     * Anything that came from the user or from outside the app (backups, sync, imported files) goes through this
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+    
+    /**
+     * Close any open modal
+     */
+    function closeModal() {
+        const modalOverlay = document.getElementById('modal-overlay');
+        if (modalOverlay) {
+            // Hide all modals
+            modalOverlay.classList.add('hidden');
+            
+            const modals = document.querySelectorAll('.modal');
+            modals.forEach(modal => {
+                modal.classList.add('hidden');
+            });
+        }
+    }
+    
+    // Public API
+    return {
+        escape,
+        closeModal
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Html;
+}
@@ -0,0 +1,111 @@
+/**
+ * Ids Module
+ * Collision-free record identifiers (UUIDs)
+ */
+
+// Creating an immediate function to encapsulate id generation in its own scope
+const Ids = (function() {
+    // Canonical UUID text form, any version
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    
+    /**
+     * Create a new random (version 4) UUID
+     * @returns {string} e.g. "3b241101-e2bb-4255-8caf-4136c566a962"
+     */
+    function create() {
+        const cryptoApi = typeof crypto !== 'undefined' ? crypto : null;
+        if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+            return cryptoApi.randomUUID();
+        }
+        
+        const bytes = new Uint8Array(16);
+        if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') {
+            cryptoApi.getRandomValues(bytes);
+        } else {
+            // Very old browsers only - still unique enough for one household's records
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        return formatUuid(bytes, 4);
+    }
+    
+    /**
+     * Derive the UUID that replaces an old-style id
+     * The same namespace and old id always give the same UUID, so every device, backup and archive
+     * that upgrades the same data ends up with matching ids and references
+     * @param {string} namespace - Collection the id belongs to, e.g. "foodDatabase"
+     * @param {string|number} legacyId - The old id
+     * @returns {string} A version 8 (custom) UUID
+     */
+    function fromLegacy(namespace, legacyId) {
+        return formatUuid(hash128(`${namespace}:${legacyId}`), 8);
+    }
+    
+    /**
+     * Check whether a value is a UUID
+     * @param {*} value - Value to check
+     * @returns {boolean} True for a canonical UUID string
+     */
+    function isUuid(value) {
+        return typeof value === 'string' && UUID_PATTERN.test(value);
+    }
+    
+    /**
+     * Hash a string to 16 bytes (cyrb128 - not cryptographic, just well mixed and stable)
+     * @param {string} text - Text to hash
+     * @returns {Uint8Array} 16 bytes
+     */
+    function hash128(text) {
+        let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = h2 ^ Math.imul(h1 ^ code, 597399067);
+            h2 = h3 ^ Math.imul(h2 ^ code, 2869860233);
+            h3 = h4 ^ Math.imul(h3 ^ code, 951274213);
+            h4 = h1 ^ Math.imul(h4 ^ code, 2716044179);
+        }
+        h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+        h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+        h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+        h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+        h1 ^= (h2 ^ h3 ^ h4);
+        h2 ^= h1;
+        h3 ^= h1;
+        h4 ^= h1;
+        
+        const bytes = new Uint8Array(16);
+        [h1, h2, h3, h4].forEach((word, index) => {
+            for (let i = 0; i < 4; i++) {
+                bytes[index * 4 + i] = (word >>> (24 - i * 8)) & 0xff;
+            }
+        });
+        return bytes;
+    }
+    
+    /**
+     * Format 16 bytes as a UUID, stamping in the version and the RFC 4122 variant
+     * @param {Uint8Array} bytes - 16 bytes (modified in place)
+     * @param {number} version - UUID version to stamp
+     * @returns {string} Canonical UUID text
+     */
+    function formatUuid(bytes, version) {
+        bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+    
+    // Public API
+    return {
+        create,
+        fromLegacy,
+        isUuid
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ids;
+}
@@ -0,0 +1,214 @@
+/**
+ * IndexedDB Storage Module
+ * Thin promise-based wrapper around the IndexedDB object stores used by DataStore
+ */
+
+// Creating an immediate function to encapsulate the IndexedDB access in its own scope
+const IndexedDBStorage = (function() {
+    // Default database name and schema version (bump the version when object stores change)
+    const DB_NAME = 'family-meal-tracker';
+    const DB_VERSION = 2;
+    
+    // Object store names, one per collection
+    const STORES = {
+        MEALS: 'meals', // Consumed meals, one record per date and family member
+        MEAL_PLANS: 'plans', // Planned meals, one record per date and family member
+        FAMILY_MEMBERS: 'members', // One record per family member
+        EXPENSES: 'expenses', // One record per expense
+        FOOD_DATABASE: 'foods', // One record per food
+        SETTINGS: 'settings', // Single values such as the budget and storage markers
+        ARCHIVES: 'archives' // Compressed meals and expenses from past years, one record per year (added in version 2)
+    };
+    
+    // Key path used by each object store (DataStore keeps it readable on encrypted records)
+    const KEY_PATHS = {
+        [STORES.MEALS]: 'key',
+        [STORES.MEAL_PLANS]: 'key',
+        [STORES.FAMILY_MEMBERS]: 'id',
+        [STORES.EXPENSES]: 'id',
+        [STORES.FOOD_DATABASE]: 'id',
+        [STORES.SETTINGS]: 'key',
+        [STORES.ARCHIVES]: 'year'
+    };
+    
+    // Database in use (each household profile has its own) and its open connection (null until open() resolves)
+    let databaseName = DB_NAME;
+    let db = null;
+    
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    function isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+    
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - The request to wrap
+     * @returns {Promise} Resolves with the request result
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Open the database, creating the object stores on first use
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    function open() {
+        if (db) {
+            return Promise.resolve(db);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, DB_VERSION);
+            
+            // Create any object stores that don't exist yet
+            request.onupgradeneeded = function() {
+                const database = request.result;
+                Object.values(STORES).forEach(storeName => {
+                    if (!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName, { keyPath: KEY_PATHS[storeName] });
+                    }
+                });
+            };
+            
+            request.onsuccess = function() {
+                db = request.result;
+                
+                // Another tab upgraded the schema - release our connection so it isn't blocked
+                db.onversionchange = function() {
+                    db.close();
+                    db = null;
+                };
+                
+                resolve(db);
+            };
+            
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+    }
+    
+    /**
+     * Choose which database open() connects to, closing any connection to another one
+     * @param {string} name - Database name
+     */
+    function useDatabase(name) {
+        if (name === databaseName) {
+            return;
+        }
+        if (db) {
+            db.close();
+            db = null;
+        }
+        databaseName = name;
+    }
+    
+    /**
+     * Delete a whole database, e.g. when its household profile is removed
+     * @param {string} name - Database name (must not be the one in use)
+     * @returns {Promise} Resolves once the database is gone
+     */
+    function deleteDatabase(name) {
+        if (name === databaseName && db) {
+            return Promise.reject(new Error('Cannot delete the database in use'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(name);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            // If another tab has it open, its versionchange handler closes it and the delete carries on
+        });
+    }
+    
+    /**
+     * Read every record from an object store
+     * @param {string} storeName - Name of the object store
+     * @returns {Promise<Array>} All records in key order
+     */
+    async function getAll(storeName) {
+        const database = await open();
+        const transaction = database.transaction(storeName, 'readonly');
+        return promisifyRequest(transaction.objectStore(storeName).getAll());
+    }
+    
+    /**
+     * Read a single record by key
+     * @param {string} storeName - Name of the object store
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} The record, if found
+     */
+    async function get(storeName, key) {
+        const database = await open();
+        const transaction = database.transaction(storeName, 'readonly');
+        return promisifyRequest(transaction.objectStore(storeName).get(key));
+    }
+    
+    /**
+     * Apply a batch of write operations in a single transaction
+     * Each operation is { store, type: 'put' | 'delete' | 'clear', value?, key? }
+     * @param {Array} operations - Operations to apply
+     * @returns {Promise} Resolves when the transaction has committed
+     */
+    async function write(operations) {
+        if (!operations.length) {
+            return;
+        }
+        
+        const database = await open();
+        const storeNames = [...new Set(operations.map(op => op.store))];
+        
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeNames, 'readwrite');
+            
+            operations.forEach(op => {
+                const store = transaction.objectStore(op.store);
+                if (op.type === 'put') {
+                    store.put(op.value);
+                } else if (op.type === 'delete') {
+                    store.delete(op.key);
+                } else if (op.type === 'clear') {
+                    store.clear();
+                }
+            });
+            
+            // Only resolve once everything is durably written
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    /**
+     * Remove every record from every object store
+     * @returns {Promise} Resolves when all stores are empty
+     */
+    function clearAll() {
+        return write(Object.values(STORES).map(store => ({ store, type: 'clear' })));
+    }
+    
+    // Public API
+    return {
+        STORES,
+        KEY_PATHS,
+        isSupported,
+        useDatabase,
+        deleteDatabase,
+        open,
+        getAll,
+        get,
+        write,
+        clearAll
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBStorage;
+}
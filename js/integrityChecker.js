@@ -0,0 +1,461 @@
+/**
+ * Integrity Checker Module
+ * Scans saved data for broken references and malformed values, and offers a guided fix for each problem
+ */
+
+const IntegrityChecker = (function() {
+    // Meal slots held by every day record
+    const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snacks'];
+    
+    // How each day collection is described in problem messages
+    const DAY_LABELS = {
+        meals: 'Logged meals',
+        mealPlans: 'Planned meals'
+    };
+    
+    // How each list collection is described in duplicate id messages
+    const LIST_LABELS = {
+        familyMembers: 'family members',
+        expenses: 'expenses',
+        foodDatabase: 'foods'
+    };
+    
+    // Problems found by the last scan, in the order they are listed
+    let problems = [];
+    
+    /**
+     * Initialize the data check link and check saved data once on startup
+     */
+    function initialize() {
+        try {
+            const checkLink = document.getElementById('check-data');
+            if (checkLink) {
+                checkLink.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    showIntegrityModal();
+                });
+            }
+            
+            // Problems are otherwise invisible - missing foods are skipped and count as zero
+            const found = scan();
+            if (found.length) {
+                UndoHistory.showToast(
+                    `Found ${found.length} problem${found.length === 1 ? '' : 's'} in saved data`,
+                    { label: 'Review', action: showIntegrityModal }
+                );
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize data check",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Check whether text is a real calendar date in YYYY-MM-DD form
+     * @param {*} value - Value to check
+     * @returns {boolean} True for a valid date
+     */
+    function isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return false;
+        }
+        // Rolls over for dates like 2024-02-30, which then no longer match
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    }
+    
+    /**
+     * Check whether a value is a usable number (numeric strings from older saves count)
+     * @param {*} value - Value to check
+     * @returns {boolean} True if the value is a finite number
+     */
+    function isNumeric(value) {
+        return value !== null && value !== '' && typeof value !== 'boolean' && isFinite(Number(value));
+    }
+    
+    /**
+     * Split a `${date}_${memberId}` day key into its parts
+     * @param {string} key - Day key
+     * @returns {Object} { date, memberId } (memberId is '' if the key has no separator)
+     */
+    function parseDayKey(key) {
+        const separatorIndex = key.indexOf('_');
+        if (separatorIndex === -1) {
+            return { date: key, memberId: '' };
+        }
+        return { date: key.slice(0, separatorIndex), memberId: key.slice(separatorIndex + 1) };
+    }
+    
+    /**
+     * Scan every collection for problems
+     * Archived years are left out - they are read-only and were checked when they were archived
+     * @returns {Array} Problems as { type, collection, key, message, ... }
+     */
+    function scan() {
+        const members = DataStore.getCollection('familyMembers');
+        const foods = DataStore.getCollection('foodDatabase');
+        const expenses = DataStore.getCollection('expenses');
+        const memberNames = new Map(members.map(member => [member.id, member.name]));
+        const foodIds = new Set(foods.map(food => food.id));
+        
+        problems = [];
+        
+        // Meal days: the key must name a real date and member, and every item a real food and amount
+        Object.keys(DAY_LABELS).forEach(collection => {
+            const days = DataStore.getCollection(collection);
+            Object.keys(days).sort().forEach(key => {
+                const { date, memberId } = parseDayKey(key);
+                const memberName = memberNames.get(memberId);
+                const dayLabel = `${DAY_LABELS[collection]} on ${date || '(no date)'} for ${memberName || 'an unknown member'}`;
+                
+                if (!memberName) {
+                    problems.push({
+                        type: 'missing-member',
+                        collection,
+                        key,
+                        message: `${DAY_LABELS[collection]} on ${date || '(no date)'} belong to a family member who no longer exists (id "${memberId}").`
+                    });
+                }
+                if (!isValidDate(date)) {
+                    problems.push({
+                        type: 'bad-date',
+                        collection,
+                        key,
+                        message: `${DAY_LABELS[collection]} for ${memberName || 'an unknown member'} are filed under an invalid date ("${date}").`
+                    });
+                }
+                
+                const day = days[key] || {};
+                MEAL_TYPES.forEach(mealType => {
+                    (Array.isArray(day[mealType]) ? day[mealType] : []).forEach((item, index) => {
+                        if (!foodIds.has(item.foodId)) {
+                            problems.push({
+                                type: 'missing-food',
+                                collection,
+                                key,
+                                mealType,
+                                index,
+                                message: `${dayLabel} (${mealType}) include a food that no longer exists (id "${item.foodId}").`
+                            });
+                        }
+                        if (!isNumeric(item.servings) || Number(item.servings) <= 0) {
+                            problems.push({
+                                type: 'bad-servings',
+                                collection,
+                                key,
+                                mealType,
+                                index,
+                                message: `${dayLabel} (${mealType}) include an item with invalid servings ("${item.servings}").`
+                            });
+                        }
+                    });
+                });
+            });
+        });
+        
+        // Expenses need a real date and a numeric amount
+        expenses.forEach(expense => {
+            const name = expense.description ? `Expense "${expense.description}"` : 'An expense';
+            if (!isValidDate(expense.date)) {
+                problems.push({
+                    type: 'bad-date',
+                    collection: 'expenses',
+                    key: expense.id,
+                    message: `${name} has an invalid date ("${expense.date}").`
+                });
+            }
+            if (!isNumeric(expense.amount)) {
+                problems.push({
+                    type: 'bad-amount',
+                    collection: 'expenses',
+                    key: expense.id,
+                    message: `${name} has an amount that isn't a number ("${expense.amount}").`
+                });
+            }
+        });
+        
+        // Records sharing an id can't be told apart, so edits and deletes hit the wrong one
+        [['familyMembers', members], ['expenses', expenses], ['foodDatabase', foods]].forEach(([collection, items]) => {
+            const byId = new Map();
+            items.forEach(item => {
+                byId.set(item.id, (byId.get(item.id) || []).concat(item));
+            });
+            byId.forEach((copies, id) => {
+                if (copies.length < 2) return;
+                const names = copies.map(item => `"${item.name || item.description || '?'}"`).join(', ');
+                problems.push({
+                    type: 'duplicate-id',
+                    collection,
+                    key: id,
+                    message: `${copies.length} ${LIST_LABELS[collection]} share the id "${id}" (${names}).`
+                });
+            });
+        });
+        
+        return problems;
+    }
+    
+    /**
+     * Merge the meals of one day record into another (for moving a day onto a key that is already used)
+     * @param {Object} target - Day record already at the new key, if any
+     * @param {Object} source - Day record being moved
+     * @returns {Object} Combined day record
+     */
+    function combineDays(target, source) {
+        const combined = {};
+        MEAL_TYPES.forEach(mealType => {
+            combined[mealType] = ((target && target[mealType]) || []).concat((source && source[mealType]) || []);
+        });
+        return combined;
+    }
+    
+    /**
+     * Build the records that move a day to a new date or member key
+     * @param {Object} problem - Problem being fixed
+     * @param {string} newKey - Key to move the day to
+     * @returns {Array|null} Records for DataStore.applyRecords, or null if the day is gone
+     */
+    function moveDay(problem, newKey) {
+        const days = DataStore.getCollection(problem.collection);
+        if (!days[problem.key]) return null;
+        if (newKey === problem.key) return [];
+        
+        return [
+            { collection: problem.collection, key: newKey, value: combineDays(days[newKey], days[problem.key]) },
+            { collection: problem.collection, key: problem.key, value: undefined }
+        ];
+    }
+    
+    /**
+     * Build the record that changes one item of a day (or, with no changes, removes it)
+     * @param {Object} problem - Problem being fixed
+     * @param {Object|null} changes - Fields to set on the item, or null to delete it
+     * @returns {Array|null} Records for DataStore.applyRecords, or null if the item is gone
+     */
+    function updateItem(problem, changes) {
+        const days = DataStore.getCollection(problem.collection);
+        const day = days[problem.key];
+        if (!day || !Array.isArray(day[problem.mealType]) || !day[problem.mealType][problem.index]) return null;
+        
+        if (changes) {
+            day[problem.mealType][problem.index] = { ...day[problem.mealType][problem.index], ...changes };
+        } else {
+            day[problem.mealType].splice(problem.index, 1);
+        }
+        return [{ collection: problem.collection, key: problem.key, value: day }];
+    }
+    
+    /**
+     * Build the record that changes one field of an expense
+     * @param {Object} problem - Problem being fixed
+     * @param {Object} changes - Fields to set on the expense
+     * @returns {Array|null} Records for DataStore.applyRecords, or null if the expense is gone
+     */
+    function updateExpense(problem, changes) {
+        const expense = DataStore.getCollection('expenses').find(item => item.id === problem.key);
+        if (!expense) return null;
+        return [{ collection: 'expenses', key: expense.id, value: { ...expense, ...changes } }];
+    }
+    
+    /**
+     * Apply a fix to a problem found by scan()
+     * @param {Object} problem - Problem from scan()
+     * @param {string} fix - 'remap', 'reassign', 'set' (date, servings or amount), 'renumber' or 'delete'
+     * @param {string} value - New food id, member id, date or number, for the fixes that need one
+     * @returns {Promise<boolean>} True if the data was changed
+     */
+    async function applyFix(problem, fix, value) {
+        if (problem.type === 'duplicate-id') {
+            return DataStore.fixDuplicateIds(problem.collection, problem.key, fix);
+        }
+        
+        const { date, memberId } = parseDayKey(problem.key);
+        let records = null;
+        let label = 'Data repaired';
+        let destructive = false;
+        
+        if (fix === 'delete') {
+            destructive = true;
+            if (problem.mealType) {
+                records = updateItem(problem, null);
+                label = 'Damaged meal item deleted';
+            } else if (problem.collection === 'expenses') {
+                records = [{ collection: 'expenses', key: problem.key, value: undefined }];
+                label = 'Damaged expense deleted';
+            } else {
+                records = [{ collection: problem.collection, key: problem.key, value: undefined }];
+                label = 'Damaged meal day deleted';
+            }
+        } else if (fix === 'remap') {
+            records = updateItem(problem, { foodId: value });
+            label = 'Food reference remapped';
+        } else if (fix === 'reassign') {
+            records = moveDay(problem, `${date}_${value}`);
+            label = 'Meals reassigned';
+        } else if (fix === 'set' && problem.type === 'bad-date') {
+            if (!isValidDate(value)) return false;
+            records = problem.collection === 'expenses'
+                ? updateExpense(problem, { date: value })
+                : moveDay(problem, `${value}_${memberId}`);
+            label = 'Date corrected';
+        } else if (fix === 'set' && isNumeric(value)) {
+            if (problem.type === 'bad-servings' && Number(value) > 0) {
+                records = updateItem(problem, { servings: parseFloat(value) });
+                label = 'Servings corrected';
+            } else if (problem.type === 'bad-amount') {
+                records = updateExpense(problem, { amount: parseFloat(value) });
+                label = 'Amount corrected';
+            }
+        }
+        
+        if (!records) return false;
+        return DataStore.applyRecords(records, { label, destructive });
+    }
+    
+    /**
+     * Build the fix controls for one problem
+     * @param {Object} problem - Problem from scan()
+     * @param {Array} foods - Foods to offer for remapping
+     * @param {Array} members - Family members to offer for reassigning
+     * @returns {string} HTML for the controls
+     */
+    function renderFixControls(problem, foods, members) {
+        const deleteLabel = problem.type === 'duplicate-id' ? 'Delete copies' : 'Delete';
+        let controls = '';
+        
+        if (problem.type === 'missing-food') {
+            controls = foods.length ? `
+                <select class="fix-value" aria-label="Replacement food">
+                    ${foods.map(food => `<option value="${Html.escape(food.id)}">${Html.escape(food.name)}</option>`).join('')}
+                </select>
+                <button type="button" data-fix="remap">Remap</button>
+            ` : '';
+        } else if (problem.type === 'missing-member') {
+            controls = members.length ? `
+                <select class="fix-value" aria-label="Family member">
+                    ${members.map(member => `<option value="${Html.escape(member.id)}">${Html.escape(member.name)}</option>`).join('')}
+                </select>
+                <button type="button" data-fix="reassign">Reassign</button>
+            ` : '';
+        } else if (problem.type === 'bad-date') {
+            controls = `
+                <input type="date" class="fix-value" aria-label="Correct date">
+                <button type="button" data-fix="set">Set date</button>
+            `;
+        } else if (problem.type === 'bad-servings' || problem.type === 'bad-amount') {
+            controls = `
+                <input type="number" class="fix-value" min="0" step="${problem.type === 'bad-servings' ? '0.25' : '0.01'}" aria-label="Correct value">
+                <button type="button" data-fix="set">Set</button>
+            `;
+        } else if (problem.type === 'duplicate-id') {
+            controls = '<button type="button" data-fix="renumber">Give copies new ids</button>';
+        }
+        
+        return `${controls}<button type="button" data-fix="delete">${deleteLabel}</button>`;
+    }
+    
+    /**
+     * Scan the data and show the problems found, each with its fixes
+     */
+    function showIntegrityModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const integrityModal = document.getElementById('integrity-modal');
+            
+            if (!modalOverlay || !integrityModal) return;
+            
+            scan();
+            const foods = DataStore.getFoodDatabase().sort((a, b) => String(a.name).localeCompare(String(b.name)));
+            const members = DataStore.getFamilyMembers();
+            
+            const rows = problems.map((problem, index) => `
+                <li class="integrity-problem" data-problem-index="${index}">
+                    <p>${Html.escape(problem.message)}</p>
+                    <div class="integrity-fix">${renderFixControls(problem, foods, members)}</div>
+                </li>
+            `).join('');
+            
+            // Create modal content
+            integrityModal.innerHTML = `
+                <h3>Check Data</h3>
+                <p class="integrity-summary">
+                    ${problems.length
+                        ? `Found ${problems.length} problem${problems.length === 1 ? '' : 's'}. Fix each one below.`
+                        : 'No problems found.'}
+                </p>
+                ${rows ? `<ul class="integrity-list">${rows}</ul>` : ''}
+                <div class="modal-buttons">
+                    <button type="button" id="close-integrity">Close</button>
+                    <button type="button" id="rescan-integrity">Scan again</button>
+                </div>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            integrityModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('close-integrity').addEventListener('click', Html.closeModal);
+            document.getElementById('rescan-integrity').addEventListener('click', showIntegrityModal);
+            integrityModal.querySelectorAll('[data-fix]').forEach(button => {
+                button.addEventListener('click', function() {
+                    const row = this.closest('.integrity-problem');
+                    const input = row.querySelector('.fix-value');
+                    fixProblem(
+                        problems[parseInt(row.getAttribute('data-problem-index'), 10)],
+                        this.getAttribute('data-fix'),
+                        input ? input.value : ''
+                    );
+                });
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show data check",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Apply a fix chosen in the modal and list what is left
+     * @param {Object} problem - Problem being fixed
+     * @param {string} fix - Fix chosen (see applyFix)
+     * @param {string} value - Value entered or selected for the fix
+     */
+    async function fixProblem(problem, fix, value) {
+        try {
+            const question = problem.type === 'duplicate-id'
+                ? 'Delete every copy but the first? This action cannot be undone.'
+                : 'Delete this data? You can undo this afterwards.';
+            if (fix === 'delete' && !confirm(question)) {
+                return;
+            }
+            
+            if (!await applyFix(problem, fix, value)) {
+                UndoHistory.showToast(fix === 'set' ? 'Enter a valid value first' : 'Nothing was changed');
+                return;
+            }
+            
+            // Indexes of the remaining problems may have shifted, so scan again
+            showIntegrityModal();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+                "Failed to repair data",
+                error.message
+            );
+        }
+    }
+    
+    // Public API
+    return {
+        initialize,
+        scan,
+        applyFix,
+        showIntegrityModal
+    };
+})();
@@ -0,0 +1,367 @@
+/**
+ * Lock Screen Module
+ * Unlock prompt, encryption settings and auto-lock for passphrase-encrypted data
+ */
+
+const LockScreen = (function() {
+    // Auto-lock delay for each household, in minutes (0 = never)
+    const AUTO_LOCK_KEY = 'family-meal-tracker-auto-lock';
+    const DEFAULT_AUTO_LOCK_MINUTES = 5;
+    const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60, 0];
+    
+    // Shortest passphrase we accept when encryption is turned on or the passphrase is changed
+    const MIN_PASSPHRASE_LENGTH = 8;
+    
+    // Anything that counts as someone using the app
+    const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+    
+    // How often inactivity is checked
+    const INACTIVITY_CHECK_INTERVAL = 15000;
+    
+    // When the app was last used, and the timer that checks it
+    let lastActivity = Date.now();
+    let inactivityTimer = null;
+    
+    /**
+     * Initialize the encryption settings link and auto-lock
+     */
+    function initialize() {
+        try {
+            const settingsLink = document.getElementById('encryption-settings');
+            if (settingsLink) {
+                settingsLink.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    showEncryptionModal();
+                });
+            }
+            
+            // Once the key is gone nothing can be shown or saved, so start over with the unlock prompt
+            DataStore.on(DataStore.LOCK_EVENT, function() {
+                window.location.reload();
+            });
+            
+            ACTIVITY_EVENTS.forEach(eventName => {
+                document.addEventListener(eventName, recordActivity, { passive: true });
+            });
+            startAutoLock();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize encryption settings",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Ask for the passphrase that unlocks this household's data
+     * Passed to DataStore.initializeStorage(), which asks again until the passphrase is right
+     * @param {Object} attempt - { failed } - true if the previous passphrase was wrong
+     * @returns {Promise<string|null>} The passphrase, or null if the user cancelled
+     */
+    function requestPassphrase(attempt = {}) {
+        return new Promise(resolve => {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const unlockModal = document.getElementById('unlock-modal');
+            
+            if (!modalOverlay || !unlockModal) {
+                resolve(null);
+                return;
+            }
+            
+            const profile = Profiles.getActiveProfile();
+            
+            // Create modal content
+            unlockModal.innerHTML = `
+                <h3>Unlock ${Html.escape(profile.name)}</h3>
+                <form id="unlock-form" class="modal-form">
+                    <p class="lock-hint">This household's data is encrypted. Enter its passphrase to open it.</p>
+                    <div>
+                        <label for="unlock-passphrase">Passphrase:</label>
+                        <input type="password" id="unlock-passphrase" autocomplete="current-password" required>
+                    </div>
+                    ${attempt.failed ? '<p class="lock-error" role="alert">That passphrase is incorrect.</p>' : ''}
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-unlock">Cancel</button>
+                        <button type="submit">Unlock</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            unlockModal.classList.remove('hidden');
+            document.getElementById('unlock-passphrase').focus();
+            
+            // Set up event listeners
+            document.getElementById('cancel-unlock').addEventListener('click', function() {
+                Html.closeModal();
+                resolve(null);
+            });
+            document.getElementById('unlock-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                const passphrase = document.getElementById('unlock-passphrase').value;
+                Html.closeModal();
+                resolve(passphrase);
+            });
+        });
+    }
+    
+    /**
+     * Show modal for turning encryption on or off, changing the passphrase and the auto-lock delay
+     */
+    function showEncryptionModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const encryptionModal = document.getElementById('encryption-modal');
+            
+            if (!modalOverlay || !encryptionModal) return;
+            
+            const encrypted = DataStore.isEncrypted();
+            const minutes = getAutoLockMinutes();
+            const lockOptions = AUTO_LOCK_OPTIONS.map(option => `
+                <option value="${option}" ${option === minutes ? 'selected' : ''}>
+                    ${option ? `After ${option} minute${option === 1 ? '' : 's'} without activity` : 'Never'}
+                </option>
+            `).join('');
+            
+            // Create modal content
+            encryptionModal.innerHTML = `
+                <h3>Encryption</h3>
+                <form id="encryption-form" class="modal-form">
+                    ${encrypted ? `
+                        <p class="lock-hint">This household's data is encrypted. Enter the current passphrase to change it or to turn encryption off.</p>
+                        <div>
+                            <label for="current-passphrase">Current passphrase:</label>
+                            <input type="password" id="current-passphrase" autocomplete="current-password">
+                        </div>
+                    ` : `
+                        <p class="lock-hint">Encrypt this household's meals, members, budget, expenses and foods with a passphrase. Anyone opening the app will need it.</p>
+                        <p class="lock-warning">If the passphrase is forgotten the data cannot be recovered. Export a backup first.</p>
+                    `}
+                    <div>
+                        <label for="new-passphrase">${encrypted ? 'New passphrase (leave blank to keep it):' : 'Passphrase:'}</label>
+                        <input type="password" id="new-passphrase" autocomplete="new-password" minlength="${MIN_PASSPHRASE_LENGTH}" ${encrypted ? '' : 'required'}>
+                    </div>
+                    <div>
+                        <label for="confirm-passphrase">Repeat the ${encrypted ? 'new ' : ''}passphrase:</label>
+                        <input type="password" id="confirm-passphrase" autocomplete="new-password" ${encrypted ? '' : 'required'}>
+                    </div>
+                    <div>
+                        <label for="auto-lock-minutes">Lock automatically:</label>
+                        <select id="auto-lock-minutes">${lockOptions}</select>
+                    </div>
+                    <p id="encryption-error" class="lock-error hidden" role="alert"></p>
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-encryption">Cancel</button>
+                        ${encrypted ? `
+                            <button type="button" id="lock-now">Lock now</button>
+                            <button type="button" id="disable-encryption">Turn off encryption</button>
+                            <button type="submit">Save</button>
+                        ` : `
+                            <button type="submit">Turn on encryption</button>
+                        `}
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            encryptionModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('cancel-encryption').addEventListener('click', Html.closeModal);
+            if (encrypted) {
+                document.getElementById('lock-now').addEventListener('click', lock);
+                document.getElementById('disable-encryption').addEventListener('click', turnOffEncryption);
+            }
+            document.getElementById('encryption-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                saveEncryptionForm();
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show encryption settings",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Turn encryption on or change the passphrase, and save the auto-lock delay
+     */
+    async function saveEncryptionForm() {
+        try {
+            const encrypted = DataStore.isEncrypted();
+            const newPassphrase = document.getElementById('new-passphrase').value;
+            const confirmPassphrase = document.getElementById('confirm-passphrase').value;
+            
+            if (newPassphrase || !encrypted) {
+                // Validate the new passphrase
+                if (newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+                    showFormError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+                    return;
+                }
+                if (newPassphrase !== confirmPassphrase) {
+                    showFormError('The passphrases do not match.');
+                    return;
+                }
+                
+                if (encrypted && !await checkCurrentPassphrase()) {
+                    return;
+                }
+                
+                setFormBusy(true);
+                const saved = encrypted
+                    ? await DataStore.changePassphrase(newPassphrase)
+                    : await DataStore.enableEncryption(newPassphrase);
+                setFormBusy(false);
+                if (!saved) {
+                    // DataStore has already reported why
+                    return;
+                }
+                
+                // Undo history is kept in plain text for the session, so start it afresh
+                UndoHistory.clear();
+                UndoHistory.showToast(encrypted ? 'Passphrase changed' : 'Encryption turned on');
+            }
+            
+            setAutoLockMinutes(parseInt(document.getElementById('auto-lock-minutes').value, 10));
+            Html.closeModal();
+        } catch (error) {
+            setFormBusy(false);
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_ENCRYPTION_ERROR,
+                "Failed to save encryption settings",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Turn encryption off after checking the current passphrase
+     */
+    async function turnOffEncryption() {
+        try {
+            if (!await checkCurrentPassphrase()) {
+                return;
+            }
+            if (!confirm('Turn off encryption? Everyone using this computer will be able to read this household\'s data.')) {
+                return;
+            }
+            
+            setFormBusy(true);
+            const saved = await DataStore.disableEncryption();
+            setFormBusy(false);
+            if (saved) {
+                Html.closeModal();
+                UndoHistory.showToast('Encryption turned off');
+            }
+        } catch (error) {
+            setFormBusy(false);
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_ENCRYPTION_ERROR,
+                "Failed to turn off encryption",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Check the current passphrase entered in the encryption modal
+     * @returns {Promise<boolean>} True if it is right (an error is shown otherwise)
+     */
+    async function checkCurrentPassphrase() {
+        const passphrase = document.getElementById('current-passphrase').value;
+        setFormBusy(true);
+        const valid = passphrase && await DataStore.checkPassphrase(passphrase);
+        setFormBusy(false);
+        
+        if (!valid) {
+            showFormError('The current passphrase is incorrect.');
+        }
+        return Boolean(valid);
+    }
+    
+    /**
+     * Show a problem with the encryption form
+     * @param {string} message - Message to show
+     */
+    function showFormError(message) {
+        const errorText = document.getElementById('encryption-error');
+        if (errorText) {
+            errorText.textContent = message;
+            errorText.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Disable the encryption form's buttons while keys are derived and data is re-saved
+     * @param {boolean} busy - True while working
+     */
+    function setFormBusy(busy) {
+        document.querySelectorAll('#encryption-form button').forEach(button => {
+            button.disabled = busy;
+        });
+        if (busy) {
+            const errorText = document.getElementById('encryption-error');
+            if (errorText) errorText.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Get the auto-lock delay for the active household
+     * @returns {number} Minutes without activity before locking (0 = never)
+     */
+    function getAutoLockMinutes() {
+        const saved = localStorage.getItem(AUTO_LOCK_KEY + Profiles.getStorageSuffix());
+        return saved === null ? DEFAULT_AUTO_LOCK_MINUTES : parseInt(saved, 10) || 0;
+    }
+    
+    /**
+     * Save the auto-lock delay for the active household
+     * @param {number} minutes - Minutes without activity before locking (0 = never)
+     */
+    function setAutoLockMinutes(minutes) {
+        localStorage.setItem(AUTO_LOCK_KEY + Profiles.getStorageSuffix(), String(minutes));
+        lastActivity = Date.now();
+    }
+    
+    /**
+     * Note that the app is being used
+     */
+    function recordActivity() {
+        lastActivity = Date.now();
+    }
+    
+    /**
+     * Start checking for inactivity
+     * Comparing timestamps rather than waiting on one long timer also catches time spent asleep
+     */
+    function startAutoLock() {
+        clearInterval(inactivityTimer);
+        inactivityTimer = setInterval(function() {
+            const minutes = getAutoLockMinutes();
+            if (DataStore.isEncrypted() && minutes && Date.now() - lastActivity >= minutes * 60000) {
+                lock();
+            }
+        }, INACTIVITY_CHECK_INTERVAL);
+    }
+    
+    /**
+     * Save pending changes and lock the data (the page reloads to the unlock prompt)
+     */
+    async function lock() {
+        clearInterval(inactivityTimer);
+        Html.closeModal();
+        await DataStore.lock();
+    }
+    
+    // Public API
+    return {
+        initialize,
+        requestPassphrase,
+        lock
+    };
+})();
@@ -10,6 +10,7 @@ const MealTracker = (function() {
     let meals = {}; // Current consumed meals for the selected date and family member
     let mealPlans = {}; // Current planned meals for the selected date and family member
     let viewMode = 'consumed'; // 'consumed' or 'planned'
+    let foodPicker = null; // Food picker in the open meal modal
     
     /**
      * Initialize the meal tracker
@@ -43,6 +44,9 @@ const MealTracker = (function() {
             
             // Set up view mode toggle
             setupViewModeToggle();
+            
+            // Keep the open day in step with changes made anywhere else
+            subscribeToDataChanges();
         } catch (error) {
             ErrorHandler.handleError(
                 ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
@@ -52,6 +56,31 @@ const MealTracker = (function() {
         }
     }
     
+    /**
+     * Subscribe to DataStore change events that affect the meals on screen
+     */
+    function subscribeToDataChanges() {
+        // Reload when the open day changes (e.g. from undo, another tab or a plan being consumed)
+        const reloadIfCurrentDay = function(detail) {
+            if (detail.date === currentDate && detail.memberId === currentFamilyMemberId) {
+                loadMeals();
+            }
+        };
+        DataStore.on('meals:changed', reloadIfCurrentDay);
+        DataStore.on('plans:changed', reloadIfCurrentDay);
+        
+        // Food names, nutrition and costs are looked up while rendering
+        DataStore.on('foods:changed', function() {
+            renderMeals();
+            updateNutritionSummary();
+        });
+        
+        // Nutrition targets depend on the member's age, weight and activity level
+        DataStore.on('members:changed', updateNutritionSummary);
+        
+        DataStore.on('data:reset', loadMeals);
+    }
+    
     /**
      * Set up event listeners for previous and next day buttons
      */
@@ -194,10 +223,12 @@ const MealTracker = (function() {
      */
     function renderMeals() {
         try {
-            const foodDatabase = DataStore.getFoodDatabase();
             const mealTypes = ['breakfast', 'lunch', 'dinner', 'snacks'];
             const dataToRender = viewMode === 'consumed' ? meals : mealPlans;
             
+            // Foods by id, for costing recipes from their ingredients' prices on the day
+            const foodsById = DataStore.getFoodLookup();
+            
             mealTypes.forEach(mealType => {
                 const containerEl = document.getElementById(`${mealType === 'snacks' ? 'snack' : mealType}-items`);
                 if (!containerEl) return;
@@ -209,21 +240,24 @@ const MealTracker = (function() {
                 if (dataToRender[mealType] && dataToRender[mealType].length > 0) {
                     // Render each meal item
                     dataToRender[mealType].forEach((item, index) => {
-                        // Find food details in database
-                        const food = foodDatabase.find(f => f.id.toString() === item.foodId.toString());
+                        // Find food details in database, with the values the item was logged with (see Snapshots)
+                        const liveFood = foodsById.get(item.foodId);
+                        // An item whose food was deleted still counts in the totals through its snapshot, so it is shown too
+                        const food = Snapshots.getFoodForItem(item, liveFood);
                         
                         if (food) {
                             // Calculate nutrition for this item
-                            const servings = parseFloat(item.servings) || 1;
+                            const servings = Units.getServings(item, food);
                             const calories = Math.round(food.calories * servings);
                             const protein = Math.round(food.protein * servings * 10) / 10;
                             const carbs = Math.round(food.carbs * servings * 10) / 10;
                             const fat = Math.round(food.fat * servings * 10) / 10;
                             
-                            // Calculate cost if available
+                            // Calculate cost if available: the logged price, or the price on the day shown
                             let costDisplay = '';
-                            if (food.costPerServing) {
-                                const cost = Math.round(food.costPerServing * servings * 100) / 100;
+                            const costPerServing = Snapshots.getItemCost(item, liveFood, currentDate, foodsById);
+                            if (costPerServing) {
+                                const cost = Math.round(costPerServing * servings * 100) / 100;
                                 costDisplay = `<span class="cost">$${cost.toFixed(2)}</span>`;
                             }
                             
@@ -231,9 +265,15 @@ const MealTracker = (function() {
                             const mealItemEl = document.createElement('div');
                             mealItemEl.className = 'meal-item';
                             
-                            // Different actions for consumed vs planned meals
+                            // Different actions for consumed vs planned meals; a deleted food's item can only be removed
                             let actionsHtml = '';
-                            if (viewMode === 'consumed') {
+                            if (!liveFood) {
+                                actionsHtml = `
+                                    <button class="delete-meal" data-meal-type="${mealType}" data-meal-index="${index}">
+                                        <i class="fas fa-trash"></i>
+                                    </button>
+                                `;
+                            } else if (viewMode === 'consumed') {
                                 actionsHtml = `
                                     <button class="edit-meal" data-meal-type="${mealType}" data-meal-index="${index}">
                                         <i class="fas fa-edit"></i>
@@ -256,19 +296,24 @@ const MealTracker = (function() {
                                 `;
                             }
                             
+                            // Flag items whose food has been corrected since they were logged
+                            const outdatedDisplay = Snapshots.isOutdated(item, liveFood, currentDate, foodsById)
+                                ? '<span class="logged-values" title="This food has changed since it was logged. Edit the item to use its current values.">logged values</span>'
+                                : '';
+                            
                             mealItemEl.innerHTML = `
                                 <div class="actions">
                                     ${actionsHtml}
                                 </div>
-                                <h4>${food.name} ${costDisplay}</h4>
-                                <p class="serving">Serving: ${servings} × ${food.servingSize}</p>
+                                <h4>${liveFood ? Html.escape(food.name) : '<span class="deleted-food">(deleted food)</span>'} ${costDisplay} ${outdatedDisplay}</h4>
+                                <p class="serving">${item.unit && item.unit !== 'serving' ? 'Amount' : 'Serving'}: ${Units.formatPortion(item, food)}</p>
                                 <p class="nutrition">
                                     <span class="calories">${calories} cal</span> | 
                                     <span class="protein">${protein}g protein</span> | 
                                     <span class="carbs">${carbs}g carbs</span> | 
                                     <span class="fat">${fat}g fat</span>
                                 </p>
-                                <p class="notes">${item.notes || ''}</p>
+                                <p class="notes">${Html.escape(item.notes || '')}</p>
                             `;
                             
                             // Add event listeners to buttons
@@ -332,7 +377,7 @@ const MealTracker = (function() {
             
             // Calculate daily nutrition based on view mode
             const dataToUse = viewMode === 'consumed' ? meals : mealPlans;
-            const dailyNutrition = NutritionCalculator.calculateDailyNutrition(dataToUse, foodDatabase);
+            const dailyNutrition = NutritionCalculator.calculateDailyNutrition(dataToUse, foodDatabase, currentDate);
             
             // Get family member details for personalized recommendations
             const familyMembers = DataStore.getFamilyMembers();
@@ -362,47 +407,57 @@ const MealTracker = (function() {
             // Add view mode indicator to the summary
             const viewModeLabel = viewMode === 'consumed' ? 'Consumed Today' : 'Planned for Today';
             
-            // Create the HTML for the nutrition summary
-            let summaryHTML = `
-                <h4 class="summary-mode">${viewModeLabel}</h4>
-                <div class="nutrition-summary-grid">
-                    <div class="nutrition-card">
-                        <h4>Calories</h4>
-                        <div class="nutrition-value">${dailyNutrition.calories}</div>
-                        <div class="nutrition-target">of ${calorieNeeds} kcal (${percentages.calories}%)</div>
-                        <div class="progress-bar">
-                            <div class="progress" style="width: ${Math.min(percentages.calories, 100)}%"></div>
-                        </div>
-                    </div>
-                    
-                    <div class="nutrition-card">
-                        <h4>Protein</h4>
-                        <div class="nutrition-value">${dailyNutrition.protein}g</div>
-                        <div class="nutrition-target">${percentages.protein}% of daily target</div>
-                        <div class="progress-bar">
-                            <div class="progress" style="width: ${Math.min(percentages.protein, 100)}%"></div>
-                        </div>
-                    </div>
-                    
+            // Calories and macronutrients get a card each; the other nutrients are listed below them
+            const cardNutrients = Nutrients.NUTRIENTS.filter(nutrient => nutrient.key === 'calories' || nutrient.macro);
+            const otherNutrients = Nutrients.NUTRIENTS.filter(nutrient => !cardNutrients.includes(nutrient));
+            
+            const cardsHTML = cardNutrients.map(nutrient => {
+                const percent = percentages[nutrient.key];
+                const target = nutrient.key === 'calories'
+                    ? `of ${calorieNeeds} kcal (${percent}%)`
+                    : `${percent}% of daily target`;
+                return `
                     <div class="nutrition-card">
-                        <h4>Carbohydrates</h4>
-                        <div class="nutrition-value">${dailyNutrition.carbs}g</div>
-                        <div class="nutrition-target">${percentages.carbs}% of daily target</div>
+                        <h4>${nutrient.label}</h4>
+                        <div class="nutrition-value">${dailyNutrition[nutrient.key]}${nutrient.key === 'calories' ? '' : nutrient.unit}</div>
+                        <div class="nutrition-target">${target}</div>
                         <div class="progress-bar">
-                            <div class="progress" style="width: ${Math.min(percentages.carbs, 100)}%"></div>
+                            <div class="progress" style="width: ${Math.min(percent, 100)}%"></div>
                         </div>
                     </div>
-                    
-                    <div class="nutrition-card">
-                        <h4>Fat</h4>
-                        <div class="nutrition-value">${dailyNutrition.fat}g</div>
-                        <div class="nutrition-target">${percentages.fat}% of daily target</div>
-                        <div class="progress-bar">
-                            <div class="progress" style="width: ${Math.min(percentages.fat, 100)}%"></div>
-                        </div>
+                `;
+            }).join('');
+            
+            // Nutrients without a daily value show the amount only; ones to stay under (e.g. sodium) show the share of the limit
+            const detailsHTML = otherNutrients.map(nutrient => {
+                const percent = percentages[nutrient.key];
+                const target = percent === undefined
+                    ? ''
+                    : `${percent}% of ${nutrient.limit ? 'daily limit' : 'daily value'}`;
+                const over = nutrient.limit && percent > 100 ? ' over-limit' : '';
+                return `
+                    <div class="nutrient-detail${over}">
+                        <span class="nutrient-name">${nutrient.label}</span>
+                        <span class="nutrient-amount">${dailyNutrition[nutrient.key]} ${nutrient.unit}</span>
+                        <span class="nutrient-percent">${target}</span>
                     </div>
+                `;
+            }).join('');
+            
+            // Create the HTML for the nutrition summary
+            let summaryHTML = `
+                <h4 class="summary-mode">${viewModeLabel}</h4>
+                <div class="nutrition-summary-grid">
+                    ${cardsHTML}
                 </div>
                 
+                <details class="nutrient-details">
+                    <summary>More nutrients</summary>
+                    <div class="nutrient-details-grid">
+                        ${detailsHTML}
+                    </div>
+                </details>
+                
                 <div class="daily-cost">
                     <h4>Estimated Daily Food Cost: $${dailyNutrition.cost.toFixed(2)}</h4>
                 </div>
@@ -421,42 +476,41 @@ const MealTracker = (function() {
     /**
      * Show modal for adding a new meal
      * @param {string} mealType - Type of meal (breakfast, lunch, dinner, snacks)
+     * @param {Object} preset - Form values to start with: foodId, amount, unit, notes, status
      */
-    function showAddMealModal(mealType) {
+    function showAddMealModal(mealType, preset = {}) {
         try {
             const modalOverlay = document.getElementById('modal-overlay');
             const mealModal = document.getElementById('add-meal-modal');
             
             if (!modalOverlay || !mealModal) return;
             
-            // Get food database for select options
-            const foodDatabase = DataStore.getFoodDatabase();
-            
-            // Create food options HTML
-            let foodOptionsHTML = '';
-            foodDatabase.forEach(food => {
-                const costInfo = food.costPerServing ? ` - $${food.costPerServing.toFixed(2)}` : '';
-                foodOptionsHTML += `<option value="${food.id}">${food.name} (${food.servingSize}${costInfo})</option>`;
-            });
-            
             // Create modal content with meal type and mode selection
             mealModal.innerHTML = `
                 <h3>Add ${mealType.charAt(0).toUpperCase() + mealType.slice(1)} Item</h3>
                 <form id="add-meal-form" class="modal-form">
                     <div>
-                        <label for="food-select">Food:</label>
-                        <select id="food-select" required>
-                            <option value="">Select a food</option>
-                            ${foodOptionsHTML}
-                        </select>
+                        <label for="barcode-input">Barcode (optional):</label>
+                        <div class="barcode-row">
+                            <input type="text" id="barcode-input" inputmode="numeric" autocomplete="off" placeholder="Type or paste a UPC/EAN">
+                            <button type="button" id="barcode-lookup">Look Up</button>
+                        </div>
+                        <p id="barcode-status" class="barcode-hint" aria-live="polite"></p>
                     </div>
                     <div>
-                        <label for="servings-input">Servings:</label>
-                        <input type="number" id="servings-input" min="0.25" step="0.25" value="1" required>
+                        <label for="food-search-input">Food:</label>
+                        <div id="food-picker"></div>
+                    </div>
+                    <div>
+                        <label for="amount-input">Amount:</label>
+                        <div class="amount-row">
+                            <input type="number" id="amount-input" min="0.01" step="any" value="${Html.escape(preset.amount || 1)}" required>
+                            <select id="unit-select" aria-label="Unit"></select>
+                        </div>
                     </div>
                     <div>
                         <label for="notes-input">Notes:</label>
-                        <textarea id="notes-input" rows="2"></textarea>
+                        <textarea id="notes-input" rows="2">${Html.escape(preset.notes || '')}</textarea>
                     </div>
                     <div>
                         <label for="meal-status">Add as:</label>
@@ -472,21 +526,42 @@ const MealTracker = (function() {
                 </form>
             `;
             
+            createFoodPicker(mealType, preset.foodId, preset.unit);
+            if (preset.status) {
+                document.getElementById('meal-status').value = preset.status;
+            }
+            
             // Show the modal
             modalOverlay.classList.remove('hidden');
             mealModal.classList.remove('hidden');
+            foodPicker.focus();
             
             // Set up event listeners
-            document.getElementById('cancel-add-meal').addEventListener('click', closeModal);
+            document.getElementById('barcode-lookup').addEventListener('click', function() {
+                lookUpBarcode(mealType);
+            });
+            document.getElementById('barcode-input').addEventListener('keydown', function(e) {
+                // Enter (which scanners send after the code) looks the code up instead of adding the meal
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    lookUpBarcode(mealType);
+                }
+            });
+            document.getElementById('cancel-add-meal').addEventListener('click', Html.closeModal);
             document.getElementById('add-meal-form').addEventListener('submit', function(e) {
                 e.preventDefault();
                 const foodId = document.getElementById('food-select').value;
-                const servings = document.getElementById('servings-input').value;
+                if (!foodId) {
+                    foodPicker.focus();
+                    return;
+                }
+                const amount = document.getElementById('amount-input').value;
+                const unit = document.getElementById('unit-select').value;
                 const notes = document.getElementById('notes-input').value;
                 const status = document.getElementById('meal-status').value;
                 
-                addMeal(mealType, foodId, servings, notes, status);
-                closeModal();
+                addMeal(mealType, foodId, amount, unit, notes, status);
+                Html.closeModal();
             });
         } catch (error) {
             ErrorHandler.handleError(
@@ -497,6 +572,132 @@ const MealTracker = (function() {
         }
     }
     
+    /**
+     * Set up the food picker and the amount's unit choice in the open meal modal
+     * @param {string} mealType - Type of meal, so the member's usual foods for it come first
+     * @param {string} selectedId - Food chosen to begin with
+     * @param {string} unit - Unit chosen to begin with (servings if omitted or the food can't use it)
+     * @param {Object} item - Meal item being edited, whose logged weights its portion is measured with
+     */
+    function createFoodPicker(mealType, selectedId, unit, item = null) {
+        const amountInput = document.getElementById('amount-input');
+        const unitSelect = document.getElementById('unit-select');
+        
+        // Offer the units the chosen food can be measured in
+        const populateUnits = function(food, preferredUnit) {
+            const units = Units.getUnitOptions(food);
+            unitSelect.innerHTML = units.map(key => `<option value="${key}">${Units.UNITS[key].label}</option>`).join('');
+            unitSelect.value = units.includes(preferredUnit) ? preferredUnit : 'serving';
+            if (preferredUnit && unitSelect.value !== preferredUnit && food) {
+                // 8 tbsp of one food says nothing about servings of another, so start again from one serving
+                amountInput.value = 1;
+            }
+            unitSelect.setAttribute('data-unit', unitSelect.value);
+        };
+        
+        foodPicker = FoodPicker.create(document.getElementById('food-picker'), {
+            inputId: 'food-select',
+            searchId: 'food-search-input',
+            memberId: currentFamilyMemberId,
+            mealType,
+            selectedId,
+            getServings: food => Units.toServings(amountInput.value, unitSelect.value, getPortionFood(food.id, item)),
+            onSelect: food => populateUnits(getPortionFood(food.id, item), unitSelect.value)
+        });
+        populateUnits(selectedId ? getPortionFood(selectedId, item) : null, unit);
+        
+        // Switching units keeps the same portion, e.g. 1 serving becomes 234 g
+        unitSelect.addEventListener('change', function() {
+            const food = getPortionFood(foodPicker.getSelectedId(), item);
+            const servings = Units.toServings(amountInput.value, this.getAttribute('data-unit'), food);
+            const amount = servings !== null ? Units.fromServings(servings, this.value, food) : null;
+            if (amount !== null) {
+                amountInput.value = Units.roundAmount(amount, this.value);
+            }
+            this.setAttribute('data-unit', this.value);
+            foodPicker.refreshPreview();
+        });
+        amountInput.addEventListener('input', foodPicker.refreshPreview);
+    }
+    
+    /**
+     * Get the food values a portion is measured with
+     * A logged item that stays on its food keeps the weights it was logged with, as its totals do (see Units.getServings)
+     * @param {string} foodId - ID of the food
+     * @param {Object} item - Meal item being edited, if any
+     * @returns {Object|undefined} The food, with the item's snapshot values in place of its own
+     */
+    function getPortionFood(foodId, item) {
+        const food = DataStore.getFoodById(foodId);
+        return item && item.foodId === foodId ? Snapshots.getFoodForItem(item, food) : food;
+    }
+    
+    /**
+     * Work out what to store for a portion
+     * @param {string} foodId - ID of the food
+     * @param {number} amount - Amount entered
+     * @param {string} unit - Unit key from Units.UNITS
+     * @param {Object} item - Meal item being edited, if its logged weights still apply
+     * @returns {Object} { servings } plus { amount, unit } when entered in another unit
+     */
+    function buildPortion(foodId, amount, unit, item = null) {
+        const value = parseFloat(amount) || 1;
+        const servings = Units.toServings(value, unit, getPortionFood(foodId, item));
+        if (!unit || unit === 'serving' || servings === null) {
+            return { servings: value };
+        }
+        return { servings: Math.round(servings * 10000) / 10000, amount: value, unit };
+    }
+    
+    /**
+     * Look up the barcode typed in the add meal modal and select its food
+     * Unknown barcodes open the food form with the barcode filled in, then come back here with the new food
+     * @param {string} mealType - Type of meal being added
+     */
+    async function lookUpBarcode(mealType) {
+        const statusEl = document.getElementById('barcode-status');
+        try {
+            const result = await BarcodeLookup.resolveBarcode(document.getElementById('barcode-input').value);
+            
+            if (result.food) {
+                foodPicker.select(result.food.id);
+                statusEl.textContent = result.status === 'catalog'
+                    ? `Added ${result.food.name} to the food database from the product data.`
+                    : `Found ${result.food.name}.`;
+                return;
+            }
+            
+            if (result.status === 'invalid') {
+                statusEl.textContent = 'Enter the 8, 12 or 13 digits under the barcode.';
+                return;
+            }
+            if (!result.validCheckDigit) {
+                statusEl.textContent = `${result.code} is not a valid barcode - check the digits for a typo.`;
+                return;
+            }
+            
+            // Unknown product: create the food, keeping what was already entered for the meal
+            const preset = {
+                amount: document.getElementById('amount-input').value,
+                unit: document.getElementById('unit-select').value,
+                notes: document.getElementById('notes-input').value,
+                status: document.getElementById('meal-status').value
+            };
+            Html.closeModal();
+            FoodLibrary.showFoodModal(null, 'add', {
+                values: { barcode: result.code },
+                onSaved: food => showAddMealModal(mealType, { ...preset, foodId: food.id })
+            });
+        } catch (error) {
+            if (statusEl) statusEl.textContent = 'The barcode could not be looked up.';
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.FOOD_SAVE_ERROR,
+                "Failed to look up barcode",
+                error.message
+            );
+        }
+    }
+    
     /**
      * Show modal for editing a meal
      * @param {string} mealType - Type of meal
@@ -515,36 +716,37 @@ const MealTracker = (function() {
             
             if (!mealItem) return;
             
-            // Get food database for select options
-            const foodDatabase = DataStore.getFoodDatabase();
-            
-            // Create food options HTML
-            let foodOptionsHTML = '';
-            foodDatabase.forEach(food => {
-                const selected = food.id.toString() === mealItem.foodId.toString() ? 'selected' : '';
-                const costInfo = food.costPerServing ? ` - $${food.costPerServing.toFixed(2)}` : '';
-                foodOptionsHTML += `<option value="${food.id}" ${selected}>${food.name} (${food.servingSize}${costInfo})</option>`;
-            });
+            // Logged items keep their food's values from when they were logged unless asked to take the current ones
+            const foodsById = DataStore.getFoodLookup();
+            const outdated = Snapshots.isOutdated(mealItem, foodsById.get(mealItem.foodId), currentDate, foodsById);
             
             // Create modal content
             mealModal.innerHTML = `
                 <h3>Edit ${mealType.charAt(0).toUpperCase() + mealType.slice(1)} Item</h3>
                 <form id="edit-meal-form" class="modal-form">
                     <div>
-                        <label for="food-select">Food:</label>
-                        <select id="food-select" required>
-                            <option value="">Select a food</option>
-                            ${foodOptionsHTML}
-                        </select>
+                        <label for="food-search-input">Food:</label>
+                        <div id="food-picker"></div>
                     </div>
                     <div>
-                        <label for="servings-input">Servings:</label>
-                        <input type="number" id="servings-input" min="0.25" step="0.25" value="${mealItem.servings}" required>
+                        <label for="amount-input">Amount:</label>
+                        <div class="amount-row">
+                            <input type="number" id="amount-input" min="0.01" step="any" value="${Html.escape(mealItem.unit ? mealItem.amount : mealItem.servings)}" required>
+                            <select id="unit-select" aria-label="Unit"></select>
+                        </div>
                     </div>
                     <div>
                         <label for="notes-input">Notes:</label>
-                        <textarea id="notes-input" rows="2">${mealItem.notes || ''}</textarea>
+                        <textarea id="notes-input" rows="2">${Html.escape(mealItem.notes || '')}</textarea>
                     </div>
+                    ${outdated ? `
+                        <div>
+                            <label class="radio-option">
+                                <input type="checkbox" id="reapply-values">
+                                Use the food's current nutrition and price (it has changed since this was logged)
+                            </label>
+                        </div>
+                    ` : ''}
                     <div class="modal-buttons">
                         <button type="button" id="cancel-edit-meal">Cancel</button>
                         <button type="submit">Save Changes</button>
@@ -552,20 +754,29 @@ const MealTracker = (function() {
                 </form>
             `;
             
+            createFoodPicker(mealType, mealItem.foodId, mealItem.unit, mealItem);
+            
             // Show the modal
             modalOverlay.classList.remove('hidden');
             mealModal.classList.remove('hidden');
+            foodPicker.focus();
             
             // Set up event listeners
-            document.getElementById('cancel-edit-meal').addEventListener('click', closeModal);
+            document.getElementById('cancel-edit-meal').addEventListener('click', Html.closeModal);
             document.getElementById('edit-meal-form').addEventListener('submit', function(e) {
                 e.preventDefault();
                 const foodId = document.getElementById('food-select').value;
-                const servings = document.getElementById('servings-input').value;
+                if (!foodId) {
+                    foodPicker.focus();
+                    return;
+                }
+                const amount = document.getElementById('amount-input').value;
+                const unit = document.getElementById('unit-select').value;
                 const notes = document.getElementById('notes-input').value;
+                const reapplyInput = document.getElementById('reapply-values');
                 
-                updateMeal(mealType, mealIndex, foodId, servings, notes);
-                closeModal();
+                updateMeal(mealType, mealIndex, foodId, amount, unit, notes, Boolean(reapplyInput && reapplyInput.checked));
+                Html.closeModal();
             });
         } catch (error) {
             ErrorHandler.handleError(
@@ -576,31 +787,16 @@ const MealTracker = (function() {
         }
     }
     
-    /**
-     * Close any open modal
-     */
-    function closeModal() {
-        const modalOverlay = document.getElementById('modal-overlay');
-        if (modalOverlay) {
-            // Hide all modals
-            modalOverlay.classList.add('hidden');
-            
-            const modals = document.querySelectorAll('.modal');
-            modals.forEach(modal => {
-                modal.classList.add('hidden');
-            });
-        }
-    }
-    
     /**
      * Add a new meal
      * @param {string} mealType - Type of meal
      * @param {string} foodId - ID of the selected food
-     * @param {number} servings - Number of servings
+     * @param {number} amount - Amount eaten, in the unit
+     * @param {string} unit - Unit key from Units.UNITS ('serving' for servings)
      * @param {string} notes - Any notes about the meal
      * @param {string} status - 'consumed' or 'planned'
      */
-    function addMeal(mealType, foodId, servings, notes, status) {
+    function addMeal(mealType, foodId, amount, unit, notes, status) {
         try {
             // Determine which data structure to update
             const targetData = status === 'consumed' ? meals : mealPlans;
@@ -612,8 +808,9 @@ const MealTracker = (function() {
             
             // Add new meal item
             targetData[mealType].push({
+                id: Ids.create(),
                 foodId,
-                servings: parseFloat(servings) || 1,
+                ...buildPortion(foodId, amount, unit),
                 notes: notes || '',
                 timestamp: Date.now(), // Metadata: when the meal was added
                 status: status // Track if this is consumed or planned
@@ -646,10 +843,12 @@ const MealTracker = (function() {
      * @param {string} mealType - Type of meal
      * @param {number} index - Index of the meal in the array
      * @param {string} foodId - ID of the selected food
-     * @param {number} servings - Number of servings
+     * @param {number} amount - Amount eaten, in the unit
+     * @param {string} unit - Unit key from Units.UNITS ('serving' for servings)
      * @param {string} notes - Any notes about the meal
+     * @param {boolean} reapplyValues - Take the food's current values instead of those it was logged with
      */
-    function updateMeal(mealType, index, foodId, servings, notes) {
+    function updateMeal(mealType, index, foodId, amount, unit, notes, reapplyValues = false) {
         try {
             // Determine which data structure to update
             const targetData = viewMode === 'consumed' ? meals : mealPlans;
@@ -660,16 +859,21 @@ const MealTracker = (function() {
             }
             
             // Update meal item (preserve original timestamp but add updated timestamp)
-            const originalTimestamp = targetData[mealType][index].timestamp || Date.now();
-            const originalStatus = targetData[mealType][index].status || viewMode;
+            const original = targetData[mealType][index];
+            const originalTimestamp = original.timestamp || Date.now();
+            const originalStatus = original.status || viewMode;
             
             targetData[mealType][index] = {
+                id: original.id || Ids.create(),
                 foodId,
-                servings: parseFloat(servings) || 1,
+                // Re-applying converts the amount with the food's current weights, as the new snapshot will
+                ...buildPortion(foodId, amount, unit, reapplyValues ? null : original),
                 notes: notes || '',
                 timestamp: originalTimestamp,
                 status: originalStatus,
-                updatedAt: Date.now() // Metadata: when the meal was updated
+                updatedAt: Date.now(), // Metadata: when the meal was updated
+                // The same food keeps the values it was logged with; a new food (or re-applying) takes a new snapshot
+                snapshot: original.foodId === foodId && !reapplyValues ? original.snapshot : undefined
             };
             
             // Save changes
@@ -709,12 +913,14 @@ const MealTracker = (function() {
             // Remove meal item
             targetData[mealType].splice(index, 1);
             
-            // Save changes
-            if (viewMode === 'consumed') {
-                DataStore.saveMeals(currentDate, currentFamilyMemberId, targetData);
-            } else {
-                DataStore.saveMealPlans(currentDate, currentFamilyMemberId, targetData);
-            }
+            // Save changes as a single undoable deletion
+            DataStore.batch(viewMode === 'consumed' ? 'Meal deleted' : 'Planned meal deleted', () => {
+                if (viewMode === 'consumed') {
+                    DataStore.saveMeals(currentDate, currentFamilyMemberId, targetData);
+                } else {
+                    DataStore.saveMealPlans(currentDate, currentFamilyMemberId, targetData);
+                }
+            }, { destructive: true });
             
             // Re-render meals and update nutrition
             renderMeals();
@@ -752,8 +958,7 @@ const MealTracker = (function() {
                 renderMeals();
                 updateNutritionSummary();
                 
-                // Show success message
-                alert('Meal marked as consumed!');
+                // The undo history shows a confirmation toast with an Undo button
             }
         } catch (error) {
             ErrorHandler.handleError(
@@ -774,3 +979,8 @@ const MealTracker = (function() {
         changeViewMode
     };
 })();
+
+// Export for Node (see test/mealTracker.test.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MealTracker;
+}
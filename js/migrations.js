@@ -0,0 +1,429 @@
+/**
+ * Migrations Module
+ * Ordered schema migrations that upgrade persisted data to the current shape
+ */
+
+// Creating an immediate function to encapsulate the migrations in its own scope
+const Migrations = (function() {
+    // Meal types every day record is expected to contain
+    const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snacks'];
+    
+    /**
+     * Version 1: normalize meal items, family members and expenses
+     * Older builds stored form values as strings and left some fields out entirely
+     * @param {Object} data - Snapshot of every collection
+     * @returns {Object} The upgraded snapshot
+     */
+    function normalizeRecordShapes(data) {
+        // Normalize one meal item, defaulting its status from the collection it lives in
+        function normalizeItem(item, status) {
+            const servings = parseFloat(item.servings);
+            return {
+                ...item,
+                foodId: String(item.foodId),
+                servings: servings > 0 ? servings : 1,
+                notes: typeof item.notes === 'string' ? item.notes : '',
+                status: item.status === 'planned' || item.status === 'consumed' ? item.status : status
+            };
+        }
+        
+        // Make sure every meal type exists and every item has the current shape
+        function normalizeDays(days, status) {
+            const normalized = {};
+            Object.keys(days || {}).forEach(key => {
+                const day = days[key] || {};
+                normalized[key] = {};
+                MEAL_TYPES.forEach(mealType => {
+                    const items = Array.isArray(day[mealType]) ? day[mealType] : [];
+                    normalized[key][mealType] = items
+                        .filter(item => item && item.foodId !== undefined && item.foodId !== null)
+                        .map(item => normalizeItem(item, status));
+                });
+            });
+            return normalized;
+        }
+        
+        // Convert a numeric form value, keeping the original when it isn't a number
+        function toNumber(value) {
+            const number = parseFloat(value);
+            return isNaN(number) ? value : number;
+        }
+        
+        return {
+            ...data,
+            meals: normalizeDays(data.meals, 'consumed'),
+            mealPlans: normalizeDays(data.mealPlans, 'planned'),
+            familyMembers: (data.familyMembers || []).map(member => ({
+                ...member,
+                age: toNumber(member.age),
+                weight: toNumber(member.weight),
+                height: toNumber(member.height),
+                weightUnit: member.weightUnit || 'kg',
+                heightUnit: member.heightUnit || 'cm',
+                activityLevel: member.activityLevel || 'MODERATE'
+            })),
+            expenses: (data.expenses || []).map(expense => ({
+                ...expense,
+                amount: toNumber(expense.amount)
+            }))
+        };
+    }
+    
+    /**
+     * Version 2: replace timestamp and numeric ids with UUIDs and give every meal item an id
+     * New ids are derived from the old ones (see Ids.fromLegacy), so references can be rewritten
+     * without a lookup table and every copy of the same data - other devices, backups, archives -
+     * upgrades to the same ids
+     * @param {Object} data - Snapshot of every collection
+     * @returns {Object} The upgraded snapshot
+     */
+    function assignStableIds(data) {
+        // UUIDs are kept (lower-cased so they compare equal), anything else is replaced
+        function toStableId(collection, id) {
+            return Ids.isUuid(id) ? id.toLowerCase() : Ids.fromLegacy(collection, String(id));
+        }
+        
+        function convertList(collection) {
+            return (data[collection] || []).map(item => ({ ...item, id: toStableId(collection, item.id) }));
+        }
+        
+        // Re-key days by the member's new id and point every item at its food's new id
+        function convertDays(collection) {
+            const converted = {};
+            Object.keys(data[collection] || {}).forEach(key => {
+                const separatorIndex = key.indexOf('_');
+                const date = key.slice(0, separatorIndex);
+                const newKey = `${date}_${toStableId('familyMembers', key.slice(separatorIndex + 1))}`;
+                const day = data[collection][key] || {};
+                
+                // Two old keys can only end up the same if one was already upgraded - keep the items from both
+                const target = converted[newKey] || {};
+                const usedIds = new Set(Object.values(target).flat().map(item => item.id));
+                Object.keys(day).forEach(mealType => {
+                    const items = Array.isArray(day[mealType]) ? day[mealType] : [];
+                    target[mealType] = (target[mealType] || []).concat(items.map((item, index) => {
+                        // Items used to be told apart by timestamp and food, so derive their id from that
+                        let id = item.id || Ids.fromLegacy(`${collection}/${newKey}`, item.timestamp !== undefined
+                            ? `${mealType}/${item.timestamp}_${item.foodId}`
+                            : `${mealType}/${index}`);
+                        // The same food logged twice in the same millisecond still needs two ids
+                        while (usedIds.has(id)) {
+                            id = Ids.fromLegacy(`${collection}/${newKey}`, id);
+                        }
+                        usedIds.add(id);
+                        return { ...item, id, foodId: toStableId('foodDatabase', item.foodId) };
+                    }));
+                });
+                converted[newKey] = target;
+            });
+            return converted;
+        }
+        
+        // Archived snapshots only hold some collections, so only convert what is there
+        const upgraded = { ...data };
+        ['familyMembers', 'expenses', 'foodDatabase'].forEach(collection => {
+            if (data[collection]) upgraded[collection] = convertList(collection);
+        });
+        ['meals', 'mealPlans'].forEach(collection => {
+            if (data[collection]) upgraded[collection] = convertDays(collection);
+        });
+        return upgraded;
+    }
+    
+    // Portion units as they were when steps 3 and 5 shipped: kind of quantity and size in grams or milliliters.
+    // Shipped steps keep their own copies of everything they depend on, so changes to Units, Prices or
+    // Snapshots never change what an old upgrade produces
+    const STEP_UNITS = {
+        g: { kind: 'mass', factor: 1 },
+        oz: { kind: 'mass', factor: 28.3495 },
+        lb: { kind: 'mass', factor: 453.592 },
+        ml: { kind: 'volume', factor: 1 },
+        floz: { kind: 'volume', factor: 29.5735 },
+        cup: { kind: 'volume', factor: 236.588 },
+        tbsp: { kind: 'volume', factor: 14.787 },
+        tsp: { kind: 'volume', factor: 4.929 },
+        piece: { kind: 'count' }
+    };
+    
+    /**
+     * Version 3: give foods a serving weight or volume read from their serving size text
+     * Foods whose text gives neither (e.g. "1 slice") keep counting in servings only
+     * @param {Object} data - Snapshot of every collection
+     * @returns {Object} The upgraded snapshot
+     */
+    function addServingWeights(data) {
+        // Words in serving size text for each unit, longest first so "fl oz" wins over "oz"
+        const unitWords = [
+            { pattern: /^(fl\.?\s*oz|fluid\s+ounces?)\b/, unit: 'floz' },
+            { pattern: /^(kg|kilograms?)\b/, unit: 'kg' },
+            { pattern: /^(g|grams?|gr)\b/, unit: 'g' },
+            { pattern: /^(oz|ounces?)\b/, unit: 'oz' },
+            { pattern: /^(lbs?|pounds?)\b/, unit: 'lb' },
+            { pattern: /^(ml|milliliters?|millilitres?)\b/, unit: 'ml' },
+            { pattern: /^(l|liters?|litres?)\b/, unit: 'l' },
+            { pattern: /^(cups?|c)\b/, unit: 'cup' },
+            { pattern: /^(tbsps?|tablespoons?|tbs)\b/, unit: 'tbsp' },
+            { pattern: /^(tsps?|teaspoons?)\b/, unit: 'tsp' }
+        ];
+        
+        // Read a quantity that may be a fraction ("1/2") or mixed number ("1 1/2")
+        function parseQuantity(text) {
+            return text.trim().split(/\s+/).reduce((total, part) => {
+                const [numerator, denominator] = part.split('/');
+                return total + (denominator ? parseFloat(numerator) / parseFloat(denominator) : parseFloat(numerator));
+            }, 0);
+        }
+        
+        // Read the weight or volume out of the text, trying every number and preferring a weight ("1 cup (240 g)")
+        function parseServingSize(text) {
+            const source = String(text || '').toLowerCase();
+            let volume = null;
+            const numberPattern = /(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+)\s*/g;
+            let match;
+            while ((match = numberPattern.exec(source)) !== null) {
+                const quantity = parseQuantity(match[1]);
+                const rest = source.slice(numberPattern.lastIndex);
+                const word = unitWords.find(candidate => candidate.pattern.test(rest));
+                if (!word || !(quantity > 0)) continue;
+                
+                if (word.unit === 'kg') return { servingGrams: Math.round(quantity * 1000) };
+                if (word.unit === 'l') {
+                    volume = volume || quantity * 1000;
+                } else if (STEP_UNITS[word.unit].kind === 'mass') {
+                    return { servingGrams: Math.round(quantity * STEP_UNITS[word.unit].factor) };
+                } else {
+                    volume = volume || quantity * STEP_UNITS[word.unit].factor;
+                }
+            }
+            return volume ? { servingMl: Math.round(volume) } : {};
+        }
+        
+        if (!data.foodDatabase) {
+            return data;
+        }
+        return {
+            ...data,
+            foodDatabase: data.foodDatabase.map(food => (food.servingGrams || food.servingMl
+                ? food
+                : { ...food, ...parseServingSize(food.servingSize) }))
+        };
+    }
+    
+    /**
+     * Version 4: start a price history for each food with a cost, dated the day of the upgrade
+     * Meals logged before then are costed at that first price (see Prices.getPriceOn)
+     * @param {Object} data - Snapshot of every collection
+     * @returns {Object} The upgraded snapshot
+     */
+    function startPriceHistories(data) {
+        if (!data.foodDatabase) {
+            return data;
+        }
+        const today = new Date().toISOString().split('T')[0];
+        return {
+            ...data,
+            foodDatabase: data.foodDatabase.map(food => (food.recipe || food.prices || !(parseFloat(food.costPerServing) >= 0)
+                ? food
+                : { ...food, prices: [{ date: today, costPerServing: parseFloat(food.costPerServing) }] }))
+        };
+    }
+    
+    /**
+     * Version 5: snapshot each logged meal item's food values, so later corrections to a food leave past days alone
+     * Items are snapshotted with their food as it is at the upgrade; planned meals are left to use live values.
+     * Snapshots hold the fields and cost the version 5 Snapshots module took; nutrients added since are left out
+     * @param {Object} data - Snapshot of every collection
+     * @returns {Object} The upgraded snapshot
+     */
+    function snapshotLoggedMeals(data) {
+        // Food fields a version 5 snapshot holds, besides the cost
+        const snapshotFields = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sodium', 'calcium', 'iron', 'vitaminA', 'vitaminC',
+            'servingGrams', 'servingMl', 'measures'];
+        // Deepest recipe nesting followed when costing a recipe (stored data could contain a loop)
+        const maxRecipeDepth = 10;
+        
+        // Servings of a food a recipe ingredient stands for, converting an amount in a unit with the food's weights
+        function getServings(item, food) {
+            const unit = STEP_UNITS[item.unit];
+            const amount = parseFloat(item.amount);
+            if (unit && food && !isNaN(amount)) {
+                const base = parseFloat(food.servingGrams) > 0 ? 'g' : (parseFloat(food.servingMl) > 0 ? 'ml' : null);
+                const measures = food.measures || {};
+                const measure = parseFloat(measures[item.unit]);
+                let baseAmount = null;
+                if (base && measure > 0) {
+                    // A recorded household measure beats the standard size
+                    baseAmount = amount * measure;
+                } else if ((unit.kind === 'mass' && base === 'g') || (unit.kind === 'volume' && base === 'ml')) {
+                    baseAmount = amount * unit.factor;
+                } else if (unit.kind === 'volume' && base === 'g') {
+                    const densityUnit = ['cup', 'tbsp'].find(candidate => parseFloat(measures[candidate]) > 0);
+                    baseAmount = densityUnit
+                        ? amount * unit.factor * parseFloat(measures[densityUnit]) / STEP_UNITS[densityUnit].factor
+                        : null;
+                }
+                const servings = baseAmount === null ? null : baseAmount / parseFloat(base === 'g' ? food.servingGrams : food.servingMl);
+                if (servings !== null && servings > 0) return servings;
+            }
+            return parseFloat(item.servings) || 1;
+        }
+        
+        // Price in effect on a date: the latest on or before it (averaged across stores), else the first recorded
+        function getPriceOn(food, date) {
+            const history = (Array.isArray(food.prices) ? food.prices : [])
+                .filter(entry => entry && /^\d{4}-\d{2}-\d{2}$/.test(entry.date) && parseFloat(entry.costPerServing) >= 0)
+                .sort((a, b) => a.date.localeCompare(b.date));
+            if (!history.length) return null;
+            
+            const known = history.filter(entry => entry.date <= date);
+            const effectiveDate = known.length ? known[known.length - 1].date : history[0].date;
+            const entries = history.filter(entry => entry.date === effectiveDate);
+            return entries.reduce((total, entry) => total + parseFloat(entry.costPerServing), 0) / entries.length;
+        }
+        
+        // What a serving cost on a date; recipes are costed from their ingredients
+        function getCostPerServing(food, date, foodsById, depth = 0) {
+            if (!food) return null;
+            
+            if (food.recipe && Array.isArray(food.recipe.ingredients) && depth < maxRecipeDepth) {
+                let cost = 0;
+                let costed = false;
+                food.recipe.ingredients.forEach(ingredient => {
+                    const ingredientFood = foodsById.get(ingredient.foodId);
+                    const ingredientCost = getCostPerServing(ingredientFood, date, foodsById, depth + 1);
+                    if (ingredientCost) {
+                        cost += ingredientCost * getServings(ingredient, ingredientFood);
+                        costed = true;
+                    }
+                });
+                const yieldServings = parseFloat(food.recipe.yield) > 0 ? parseFloat(food.recipe.yield) : 1;
+                return costed ? cost / yieldServings : null;
+            }
+            
+            const price = getPriceOn(food, date);
+            if (price !== null) return price;
+            return parseFloat(food.costPerServing) >= 0 ? parseFloat(food.costPerServing) : null;
+        }
+        
+        function takeSnapshot(food, date, foodsById) {
+            const snapshot = { foodId: food.id };
+            snapshotFields.forEach(key => {
+                if (food[key] !== undefined && food[key] !== null) {
+                    snapshot[key] = typeof food[key] === 'object' ? { ...food[key] } : food[key];
+                }
+            });
+            
+            const cost = getCostPerServing(food, date, foodsById);
+            if (cost !== null) {
+                snapshot.costPerServing = Math.round(cost * 10000) / 10000;
+            }
+            return snapshot;
+        }
+        
+        if (!data.meals || !data.foodDatabase) {
+            return data;
+        }
+        const foodsById = new Map(data.foodDatabase.map(food => [food.id, food]));
+        const meals = {};
+        Object.keys(data.meals).forEach(key => {
+            const date = key.split('_')[0];
+            const day = data.meals[key] || {};
+            meals[key] = {};
+            Object.keys(day).forEach(mealType => {
+                meals[key][mealType] = Array.isArray(day[mealType])
+                    ? day[mealType].map(item => (item.snapshot || !foodsById.has(item.foodId)
+                        ? item
+                        : { ...item, snapshot: takeSnapshot(foodsById.get(item.foodId), date, foodsById) }))
+                    : day[mealType];
+            });
+        });
+        return { ...data, meals };
+    }
+    
+    // Ordered migration steps - append new steps, never edit or reorder shipped ones. A step must not call
+    // other modules whose behavior can change; copy what it needs into the step instead
+    const STEPS = [
+        {
+            version: 1,
+            description: 'Normalize meal items, family members and expenses',
+            migrate: normalizeRecordShapes
+        },
+        {
+            version: 2,
+            description: 'Replace record ids with UUIDs',
+            migrate: assignStableIds
+        },
+        {
+            version: 3,
+            description: 'Add serving weights to foods',
+            migrate: addServingWeights
+        },
+        {
+            version: 4,
+            description: 'Start price histories for foods',
+            migrate: startPriceHistories
+        },
+        {
+            version: 5,
+            description: 'Snapshot food values on logged meals',
+            migrate: snapshotLoggedMeals
+        }
+    ];
+    
+    // Schema version the current code expects
+    const CURRENT_VERSION = STEPS[STEPS.length - 1].version;
+    
+    /**
+     * Run every step newer than the given version against a copy of the data
+     * The input is never modified, so a failed run leaves the original untouched
+     * @param {Object} data - Snapshot of every collection
+     * @param {number} fromVersion - Schema version the data was saved with
+     * @param {Array} steps - Steps to run (defaults to the built-in list)
+     * @returns {Object} { data, version, applied } where applied lists the step descriptions
+     */
+    function runMigrations(data, fromVersion, steps = STEPS) {
+        let current = JSON.parse(JSON.stringify(data));
+        let version = fromVersion || 0;
+        const applied = [];
+        
+        steps
+            .filter(step => step.version > version)
+            .sort((a, b) => a.version - b.version)
+            .forEach(step => {
+                try {
+                    current = step.migrate(current);
+                } catch (error) {
+                    // Tag the error with the failing step so the caller can report it
+                    const migrationError = new Error(`Migration to version ${step.version} (${step.description}) failed: ${error.message}`);
+                    migrationError.version = step.version;
+                    throw migrationError;
+                }
+                version = step.version;
+                applied.push(step.description);
+            });
+        
+        return { data: current, version, applied };
+    }
+    
+    /**
+     * Check whether data saved with the given version needs migrating
+     * @param {number} version - Schema version the data was saved with
+     * @returns {boolean} True if there are steps to run
+     */
+    function needsMigration(version) {
+        return (version || 0) < CURRENT_VERSION;
+    }
+    
+    // Public API
+    return {
+        STEPS,
+        CURRENT_VERSION,
+        runMigrations,
+        needsMigration
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Migrations;
+}
@@ -0,0 +1,91 @@
+/**
+ * Nutrients Module
+ * The registry of nutrients a food can have: key, display name, unit and daily reference value
+ *
+ * Foods store each nutrient per serving under its key. Totals, daily value percentages, the food editor,
+ * the nutrition summary and reports all work from this list, so a new nutrient only needs an entry here
+ * (and, to be imported, a mapping in UsdaImporter and BarcodeLookup).
+ */
+
+// Creating an immediate function to encapsulate the nutrient registry in its own scope
+const Nutrients = (function() {
+    // Every nutrient, in display order. dailyValue is the daily reference amount based on FDA guidelines;
+    // for calories and the macronutrients it depends on the person's calorie needs (calorieShare of them,
+    // at kcalPerGram), and limit marks amounts to stay under rather than reach
+    const NUTRIENTS = [
+        { key: 'calories', label: 'Calories', unit: 'kcal', required: true, calorieShare: 1, kcalPerGram: 1 },
+        { key: 'protein', label: 'Protein', unit: 'g', required: true, macro: true, calorieShare: 0.15, kcalPerGram: 4 },
+        { key: 'carbs', label: 'Carbohydrates', unit: 'g', required: true, macro: true, calorieShare: 0.55, kcalPerGram: 4 },
+        { key: 'fat', label: 'Fat', unit: 'g', required: true, macro: true, calorieShare: 0.30, kcalPerGram: 9 },
+        { key: 'fiber', label: 'Fiber', unit: 'g', dailyValue: 25 },
+        { key: 'sugar', label: 'Sugar', unit: 'g' }, // No daily value is set for total sugars
+        { key: 'addedSugar', label: 'Added sugar', unit: 'g', dailyValue: 50, limit: true },
+        { key: 'saturatedFat', label: 'Saturated fat', unit: 'g', dailyValue: 20, limit: true },
+        { key: 'cholesterol', label: 'Cholesterol', unit: 'mg', dailyValue: 300, limit: true },
+        { key: 'sodium', label: 'Sodium', unit: 'mg', dailyValue: 2300, limit: true },
+        { key: 'potassium', label: 'Potassium', unit: 'mg', dailyValue: 4700 },
+        { key: 'calcium', label: 'Calcium', unit: 'mg', dailyValue: 1000 },
+        { key: 'iron', label: 'Iron', unit: 'mg', dailyValue: 18 },
+        { key: 'vitaminA', label: 'Vitamin A', unit: 'mcg', dailyValue: 900 },
+        { key: 'vitaminC', label: 'Vitamin C', unit: 'mg', dailyValue: 90 },
+        { key: 'vitaminD', label: 'Vitamin D', unit: 'mcg', dailyValue: 20 },
+        { key: 'vitaminB12', label: 'Vitamin B12', unit: 'mcg', dailyValue: 2.4 }
+    ];
+    
+    // Nutrient keys, in display order
+    const KEYS = NUTRIENTS.map(nutrient => nutrient.key);
+    
+    // Fields every food has, even when its source leaves them out
+    const REQUIRED_KEYS = NUTRIENTS.filter(nutrient => nutrient.required).map(nutrient => nutrient.key);
+    
+    /**
+     * Get a nutrient's registry entry
+     * @param {string} key - Nutrient key, e.g. 'vitaminD'
+     * @returns {Object|undefined} The nutrient, or undefined for an unknown key
+     */
+    function getNutrient(key) {
+        return NUTRIENTS.find(nutrient => nutrient.key === key);
+    }
+    
+    /**
+     * Get the daily reference amount of a nutrient
+     * @param {string} key - Nutrient key
+     * @param {number} calorieNeeds - Daily calorie needs, for calories and the macronutrients
+     * @returns {number|null} Amount per day in the nutrient's unit, or null if it has no reference value
+     */
+    function getDailyValue(key, calorieNeeds = 2000) {
+        const nutrient = getNutrient(key);
+        if (!nutrient) return null;
+        if (nutrient.calorieShare) {
+            return (calorieNeeds * nutrient.calorieShare) / nutrient.kcalPerGram;
+        }
+        return nutrient.dailyValue || null;
+    }
+    
+    /**
+     * Create a totals object with every nutrient at zero
+     * @returns {Object} Zero for each nutrient key
+     */
+    function createTotals() {
+        const totals = {};
+        KEYS.forEach(key => {
+            totals[key] = 0;
+        });
+        return totals;
+    }
+    
+    // Public API
+    return {
+        NUTRIENTS,
+        KEYS,
+        REQUIRED_KEYS,
+        getNutrient,
+        getDailyValue,
+        createTotals
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Nutrients;
+}
@@ -4,34 +4,14 @@
  */
 
 const NutritionCalculator = (function() {
-    // Macronutrient calorie values
-    const CALORIES_PER_GRAM = {
-        PROTEIN: 4, // Proteins contain 4 calories per gram
-        CARBS: 4, // Carbohydrates contain 4 calories per gram
-        FAT: 9, // Fats contain 9 calories per gram
-        FIBER: 2 // Fiber has approximately 2 calories per gram
-    };
-    
-    // Daily recommended values based on FDA guidelines
+    // Daily recommended calories based on FDA guidelines
+    // (daily values of the other nutrients, and the calorie share of each macronutrient, are in Nutrients)
     const DAILY_RECOMMENDED = {
         CALORIES: {
             // Base values to be adjusted by age, weight, height, and activity level
             ADULT_MALE: 2500, // Average for adult males
             ADULT_FEMALE: 2000, // Average for adult females
             CHILD: 1800 // Average for children 9-13
-        },
-        MACROS: {
-            PROTEIN_PERCENT: 0.15, // 15% of daily calories
-            CARBS_PERCENT: 0.55, // 55% of daily calories
-            FAT_PERCENT: 0.30 // 30% of daily calories
-        },
-        MICROS: {
-            FIBER: 25, // 25g per day
-            SODIUM: 2300, // 2300mg per day
-            CALCIUM: 1000, // 1000mg per day
-            IRON: 18, // 18mg per day
-            VITAMIN_A: 900, // 900mcg per day
-            VITAMIN_C: 90 // 90mg per day
         }
     };
     
@@ -44,6 +24,9 @@ const NutritionCalculator = (function() {
         VERY_ACTIVE: 1.9 // Very hard exercise & physical job or training twice a day
     };
     
+    // Lookup maps by food id, one per food list passed in (dropped with the list)
+    const foodLookups = new WeakMap();
+    
     /**
      * Calculate Basal Metabolic Rate using the Harris-Benedict formula
      * @param {Object} person - Person object with gender, weight (kg), height (cm), and age
@@ -124,26 +107,30 @@ const NutritionCalculator = (function() {
         }
     }
     
+    /**
+     * Get a map of foods by id for a food list, so items don't each search the whole list
+     * @param {Array} foodDatabase - Database of foods with nutrition information
+     * @returns {Map} Foods keyed by their id
+     */
+    function getFoodLookup(foodDatabase) {
+        if (!foodLookups.has(foodDatabase)) {
+            foodLookups.set(foodDatabase, new Map(foodDatabase.map(food => [food.id, food])));
+        }
+        return foodLookups.get(foodDatabase);
+    }
+    
     /**
      * Calculate nutrition totals for a meal
      * @param {Array} mealItems - Array of meal items with food and servings
      * @param {Array} foodDatabase - Database of foods with nutrition information
+     * @param {string} date - Date of the meal (YYYY-MM-DD), to cost it at that day's prices; current prices when omitted
      * @returns {Object} Total nutrition values
      */
-    function calculateMealNutrition(mealItems, foodDatabase) {
+    function calculateMealNutrition(mealItems, foodDatabase, date) {
         try {
-            // Initialize nutrition totals
+            // Initialize nutrition totals, one per nutrient in the registry
             const totals = {
-                calories: 0,
-                protein: 0,
-                carbs: 0,
-                fat: 0,
-                fiber: 0,
-                sodium: 0,
-                calcium: 0,
-                iron: 0,
-                vitaminA: 0,
-                vitaminC: 0,
+                ...Nutrients.createTotals(),
                 cost: 0 // Track cost if available
             };
             
@@ -153,31 +140,25 @@ const NutritionCalculator = (function() {
             }
             
             // Calculate total nutrition values
+            const foodLookup = getFoodLookup(foodDatabase);
             mealItems.forEach(item => {
-                // Find the food in the database
-                const food = foodDatabase.find(f => f.id.toString() === item.foodId.toString());
+                // Find the food in the database, with the values the meal was logged with (see Snapshots)
+                const liveFood = foodLookup.get(item.foodId);
+                const food = Snapshots.getFoodForItem(item, liveFood);
                 
                 if (food) {
-                    // Calculate servings
-                    const servings = parseFloat(item.servings) || 1;
+                    // Calculate servings (items entered in grams, cups etc. are converted)
+                    const servings = Units.getServings(item, food);
                     
-                    // Add to totals, multiplying by servings
-                    totals.calories += (food.calories * servings);
-                    totals.protein += (food.protein * servings);
-                    totals.carbs += (food.carbs * servings);
-                    totals.fat += (food.fat * servings);
-                    
-                    // Optional nutrition values that may not exist in all foods
-                    if (food.fiber) totals.fiber += (food.fiber * servings);
-                    if (food.sodium) totals.sodium += (food.sodium * servings);
-                    if (food.calcium) totals.calcium += (food.calcium * servings);
-                    if (food.iron) totals.iron += (food.iron * servings);
-                    if (food.vitaminA) totals.vitaminA += (food.vitaminA * servings);
-                    if (food.vitaminC) totals.vitaminC += (food.vitaminC * servings);
+                    // Add to totals, multiplying by servings (optional nutrients may not exist in all foods)
+                    Nutrients.KEYS.forEach(key => {
+                        if (food[key]) totals[key] += (food[key] * servings);
+                    });
                     
-                    // Add cost if available
-                    if (food.costPerServing) {
-                        totals.cost += (food.costPerServing * servings);
+                    // Add cost if available: the logged price, or the price on the meal's date
+                    const costPerServing = Snapshots.getItemCost(item, liveFood, date, foodLookup);
+                    if (costPerServing) {
+                        totals.cost += (costPerServing * servings);
                     }
                 }
             });
@@ -198,11 +179,7 @@ const NutritionCalculator = (function() {
                 error.message
             );
             return {
-                calories: 0,
-                protein: 0,
-                carbs: 0,
-                fat: 0,
-                fiber: 0,
+                ...Nutrients.createTotals(),
                 cost: 0
             };
         }
@@ -212,22 +189,14 @@ const NutritionCalculator = (function() {
      * Calculate daily nutrition totals across all meals
      * @param {Object} meals - Object containing breakfast, lunch, dinner, and snacks
      * @param {Array} foodDatabase - Database of foods with nutrition information
+     * @param {string} date - Date of the meals (YYYY-MM-DD), to cost them at that day's prices; current prices when omitted
      * @returns {Object} Daily nutrition totals
      */
-    function calculateDailyNutrition(meals, foodDatabase) {
+    function calculateDailyNutrition(meals, foodDatabase, date) {
         try {
             // Initialize daily totals using the same structure as meal nutrition
             const dailyTotals = {
-                calories: 0,
-                protein: 0,
-                carbs: 0,
-                fat: 0,
-                fiber: 0,
-                sodium: 0,
-                calcium: 0,
-                iron: 0,
-                vitaminA: 0,
-                vitaminC: 0,
+                ...Nutrients.createTotals(),
                 cost: 0
             };
             
@@ -237,7 +206,7 @@ const NutritionCalculator = (function() {
             mealTypes.forEach(mealType => {
                 if (meals[mealType] && Array.isArray(meals[mealType])) {
                     // Calculate nutrition for this meal
-                    const mealNutrition = calculateMealNutrition(meals[mealType], foodDatabase);
+                    const mealNutrition = calculateMealNutrition(meals[mealType], foodDatabase, date);
                     
                     // Add to daily totals
                     Object.keys(dailyTotals).forEach(key => {
@@ -262,11 +231,7 @@ const NutritionCalculator = (function() {
                 error.message
             );
             return {
-                calories: 0,
-                protein: 0,
-                carbs: 0,
-                fat: 0,
-                fiber: 0,
+                ...Nutrients.createTotals(),
                 cost: 0
             };
         }
@@ -275,31 +240,42 @@ const NutritionCalculator = (function() {
     /**
      * Calculate nutrition percent of daily recommended values
      * @param {Object} nutrition - Nutrition totals
-     * @param {Object} person - Person with calorie needs
-     * @returns {Object} Percentages of daily values
+     * @param {number} calorieNeeds - Person's daily calorie needs
+     * @returns {Object} Percentages of daily values, for each nutrient that has a daily value
      */
     function calculateNutritionPercentages(nutrition, calorieNeeds) {
         // Default to 2000 calories if not provided
         const calories = calorieNeeds || 2000;
         
-        // Calculate recommended macronutrient amounts
-        const recommendedProtein = (calories * DAILY_RECOMMENDED.MACROS.PROTEIN_PERCENT) / CALORIES_PER_GRAM.PROTEIN;
-        const recommendedCarbs = (calories * DAILY_RECOMMENDED.MACROS.CARBS_PERCENT) / CALORIES_PER_GRAM.CARBS;
-        const recommendedFat = (calories * DAILY_RECOMMENDED.MACROS.FAT_PERCENT) / CALORIES_PER_GRAM.FAT;
-        
-        // Calculate percentages
-        return {
-            calories: Math.round((nutrition.calories / calories) * 100),
-            protein: Math.round((nutrition.protein / recommendedProtein) * 100),
-            carbs: Math.round((nutrition.carbs / recommendedCarbs) * 100),
-            fat: Math.round((nutrition.fat / recommendedFat) * 100),
-            fiber: Math.round((nutrition.fiber / DAILY_RECOMMENDED.MICROS.FIBER) * 100),
-            sodium: Math.round((nutrition.sodium / DAILY_RECOMMENDED.MICROS.SODIUM) * 100),
-            calcium: Math.round((nutrition.calcium / DAILY_RECOMMENDED.MICROS.CALCIUM) * 100),
-            iron: Math.round((nutrition.iron / DAILY_RECOMMENDED.MICROS.IRON) * 100),
-            vitaminA: Math.round((nutrition.vitaminA / DAILY_RECOMMENDED.MICROS.VITAMIN_A) * 100),
-            vitaminC: Math.round((nutrition.vitaminC / DAILY_RECOMMENDED.MICROS.VITAMIN_C) * 100)
-        };
+        // Calculate percentages against each nutrient's daily value (macronutrients scale with calorie needs)
+        const percentages = {};
+        Nutrients.KEYS.forEach(key => {
+            const dailyValue = Nutrients.getDailyValue(key, calories);
+            if (dailyValue) {
+                percentages[key] = Math.round(((nutrition[key] || 0) / dailyValue) * 100);
+            }
+        });
+        return percentages;
+    }
+    
+    /**
+     * Group meal query rows back into day objects, keyed by status, date and member
+     * @param {Array} rows - Rows returned by DataStore.queryMeals
+     * @returns {Object} Map of "status_date_memberId" to { breakfast, lunch, dinner, snacks }
+     */
+    function groupRowsByDay(rows) {
+        const days = {};
+        rows.forEach(row => {
+            const key = `${row.status}_${row.date}_${row.memberId}`;
+            if (!days[key]) {
+                days[key] = { breakfast: [], lunch: [], dinner: [], snacks: [] };
+            }
+            if (!days[key][row.mealType]) {
+                days[key][row.mealType] = [];
+            }
+            days[key][row.mealType].push(row.item);
+        });
+        return days;
     }
     
     /**
@@ -313,31 +289,15 @@ const NutritionCalculator = (function() {
     function generateNutritionReport(reportType, familyMemberId, startDate, familyMembers) {
         try {
             const foodDatabase = DataStore.getFoodDatabase();
+            // One planned/consumed series per nutrient in the registry, plus cost
+            const reportKeys = Nutrients.KEYS.concat('cost');
             const report = {
                 labels: [],
-                datasets: {
-                    calories: {
-                        planned: [],
-                        consumed: []
-                    },
-                    protein: {
-                        planned: [],
-                        consumed: []
-                    },
-                    carbs: {
-                        planned: [],
-                        consumed: []
-                    },
-                    fat: {
-                        planned: [],
-                        consumed: []
-                    },
-                    cost: {
-                        planned: [],
-                        consumed: []
-                    }
-                }
+                datasets: {}
             };
+            reportKeys.forEach(key => {
+                report.datasets[key] = { planned: [], consumed: [] };
+            });
             
             let dates = [];
             const today = new Date();
@@ -378,86 +338,47 @@ const NutritionCalculator = (function() {
                     break;
             }
             
+            // Fetch every item in the report period with a single query instead of one lookup per day and member
+            const dateStrings = dates.map(date => date.toISOString().split('T')[0]);
+            const memberIds = familyMemberId === 'all' ? familyMembers.map(member => member.id) : [familyMemberId];
+            const days = dateStrings.length ? groupRowsByDay(DataStore.queryMeals({
+                from: dateStrings[0],
+                to: dateStrings[dateStrings.length - 1],
+                memberIds
+            })) : {};
+            const emptyDay = { breakfast: [], lunch: [], dinner: [], snacks: [] };
+            const getDay = (status, date, memberId) => days[`${status}_${date}_${memberId}`] || emptyDay;
+            
             // Process each date
             dates.forEach(date => {
                 const dateString = date.toISOString().split('T')[0];
                 report.labels.push(dateString);
                 
                 // Process for specific member or all members
-                if (familyMemberId === 'all') {
-                    // Initialize values for this date
-                    let totalCaloriesConsumed = 0;
-                    let totalProteinConsumed = 0;
-                    let totalCarbsConsumed = 0;
-                    let totalFatConsumed = 0;
-                    let totalCostConsumed = 0;
-                    let totalCaloriesPlanned = 0;
-                    let totalProteinPlanned = 0;
-                    let totalCarbsPlanned = 0;
-                    let totalFatPlanned = 0;
-                    let totalCostPlanned = 0;
+                const consumedTotals = {};
+                const plannedTotals = {};
+                reportKeys.forEach(key => {
+                    consumedTotals[key] = 0;
+                    plannedTotals[key] = 0;
+                });
+                
+                // Add nutrition for each family member
+                memberIds.forEach(memberId => {
+                    // Get consumed and planned meals
+                    const consumedNutrition = calculateDailyNutrition(getDay('consumed', dateString, memberId), foodDatabase, dateString);
+                    const plannedNutrition = calculateDailyNutrition(getDay('planned', dateString, memberId), foodDatabase, dateString);
                     
-                    // Add nutrition for each family member
-                    familyMembers.forEach(member => {
-                        // Get consumed meals
-                        const consumedMeals = DataStore.getMeals(dateString, member.id);
-                        const consumedNutrition = calculateDailyNutrition(consumedMeals, foodDatabase);
-                        
-                        // Get planned meals
-                        const plannedMeals = DataStore.getMealPlans(dateString, member.id);
-                        const plannedNutrition = calculateDailyNutrition(plannedMeals, foodDatabase);
-                        
-                        // Add to totals - consumed
-                        totalCaloriesConsumed += consumedNutrition.calories;
-                        totalProteinConsumed += consumedNutrition.protein;
-                        totalCarbsConsumed += consumedNutrition.carbs;
-                        totalFatConsumed += consumedNutrition.fat;
-                        totalCostConsumed += consumedNutrition.cost;
-                        
-                        // Add to totals - planned
-                        totalCaloriesPlanned += plannedNutrition.calories;
-                        totalProteinPlanned += plannedNutrition.protein;
-                        totalCarbsPlanned += plannedNutrition.carbs;
-                        totalFatPlanned += plannedNutrition.fat;
-                        totalCostPlanned += plannedNutrition.cost;
+                    reportKeys.forEach(key => {
+                        consumedTotals[key] += consumedNutrition[key] || 0;
+                        plannedTotals[key] += plannedNutrition[key] || 0;
                     });
-                    
-                    // Add totals to report - consumed
-                    report.datasets.calories.consumed.push(totalCaloriesConsumed);
-                    report.datasets.protein.consumed.push(totalProteinConsumed);
-                    report.datasets.carbs.consumed.push(totalCarbsConsumed);
-                    report.datasets.fat.consumed.push(totalFatConsumed);
-                    report.datasets.cost.consumed.push(totalCostConsumed);
-                    
-                    // Add totals to report - planned
-                    report.datasets.calories.planned.push(totalCaloriesPlanned);
-                    report.datasets.protein.planned.push(totalProteinPlanned);
-                    report.datasets.carbs.planned.push(totalCarbsPlanned);
-                    report.datasets.fat.planned.push(totalFatPlanned);
-                    report.datasets.cost.planned.push(totalCostPlanned);
-                } else {
-                    // Get meals for this member and date - consumed
-                    const consumedMeals = DataStore.getMeals(dateString, familyMemberId);
-                    const consumedNutrition = calculateDailyNutrition(consumedMeals, foodDatabase);
-                    
-                    // Get meals for this member and date - planned
-                    const plannedMeals = DataStore.getMealPlans(dateString, familyMemberId);
-                    const plannedNutrition = calculateDailyNutrition(plannedMeals, foodDatabase);
-                    
-                    // Add to report - consumed
-                    report.datasets.calories.consumed.push(consumedNutrition.calories);
-                    report.datasets.protein.consumed.push(consumedNutrition.protein);
-                    report.datasets.carbs.consumed.push(consumedNutrition.carbs);
-                    report.datasets.fat.consumed.push(consumedNutrition.fat);
-                    report.datasets.cost.consumed.push(consumedNutrition.cost);
-                    
-                    // Add to report - planned
-                    report.datasets.calories.planned.push(plannedNutrition.calories);
-                    report.datasets.protein.planned.push(plannedNutrition.protein);
-                    report.datasets.carbs.planned.push(plannedNutrition.carbs);
-                    report.datasets.fat.planned.push(plannedNutrition.fat);
-                    report.datasets.cost.planned.push(plannedNutrition.cost);
-                }
+                });
+                
+                // Add totals to report
+                reportKeys.forEach(key => {
+                    report.datasets[key].consumed.push(consumedTotals[key]);
+                    report.datasets[key].planned.push(plannedTotals[key]);
+                });
             });
             
             return report;
@@ -468,15 +389,13 @@ const NutritionCalculator = (function() {
                 "Error generating nutrition report",
                 error.message
             );
+            const datasets = {};
+            Nutrients.KEYS.concat('cost').forEach(key => {
+                datasets[key] = { planned: [], consumed: [] };
+            });
             return {
                 labels: [],
-                datasets: {
-                    calories: { planned: [], consumed: [] },
-                    protein: { planned: [], consumed: [] },
-                    carbs: { planned: [], consumed: [] },
-                    fat: { planned: [], consumed: [] },
-                    cost: { planned: [], consumed: [] }
-                }
+                datasets
             };
         }
     }
@@ -494,3 +413,8 @@ const NutritionCalculator = (function() {
         ACTIVITY_MULTIPLIERS
     };
 })();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NutritionCalculator;
+}
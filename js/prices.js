@@ -0,0 +1,165 @@
+/**
+ * Prices Module
+ * Dated price history for foods, optionally per store
+ *
+ * A food's `prices` list holds { date, costPerServing, store } entries; its costPerServing is the
+ * price in effect today, so code that only needs the current price reads it as before. Meal costs use
+ * the price in effect on the meal's date, so a new price doesn't change what past meals cost.
+ * Recipes have no history of their own: their cost on a date comes from their ingredients' prices then.
+ */
+
+// Creating an immediate function to encapsulate the price history in its own scope
+const Prices = (function() {
+    // Deepest recipe nesting followed when costing a recipe (stored data could contain a loop)
+    const MAX_RECIPE_DEPTH = 10;
+    
+    /**
+     * Get a food's price entries, oldest first
+     * @param {Object} food - Food from the database
+     * @returns {Array} Valid { date, costPerServing, store } entries
+     */
+    function getHistory(food) {
+        return (food && Array.isArray(food.prices) ? food.prices : [])
+            .filter(entry => entry && /^\d{4}-\d{2}-\d{2}$/.test(entry.date) && parseFloat(entry.costPerServing) >= 0)
+            .map(entry => ({ ...entry, costPerServing: parseFloat(entry.costPerServing) }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    /**
+     * Get the price of a food in effect on a date
+     * That is the latest price recorded on or before the date (the average, if several stores were
+     * recorded that day); a date before the history starts uses the first price recorded
+     * @param {Object} food - Food from the database
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {number|null} Cost per serving, or null if the food has no price history
+     */
+    function getPriceOn(food, date) {
+        const history = getHistory(food);
+        if (!history.length) return null;
+        
+        const known = history.filter(entry => entry.date <= date);
+        const effectiveDate = known.length ? known[known.length - 1].date : history[0].date;
+        const entries = history.filter(entry => entry.date === effectiveDate);
+        return entries.reduce((total, entry) => total + entry.costPerServing, 0) / entries.length;
+    }
+    
+    /**
+     * Get what a serving of a food cost on a date
+     * @param {Object} food - Food from the database
+     * @param {string} date - Date (YYYY-MM-DD); the current price is used when omitted
+     * @param {Map} foodsById - Foods by id, to cost recipes from their ingredients on the date
+     * @param {number} depth - Recipe nesting depth so far
+     * @returns {number|null} Cost per serving, or null if the food has no price
+     */
+    function getCostPerServing(food, date, foodsById, depth = 0) {
+        if (!food) return null;
+        
+        if (date && foodsById && Recipes.isRecipe(food) && depth < MAX_RECIPE_DEPTH) {
+            let cost = 0;
+            let costed = false;
+            food.recipe.ingredients.forEach(ingredient => {
+                const ingredientFood = foodsById.get(ingredient.foodId);
+                const ingredientCost = getCostPerServing(ingredientFood, date, foodsById, depth + 1);
+                if (ingredientCost) {
+                    cost += ingredientCost * Units.getServings(ingredient, ingredientFood);
+                    costed = true;
+                }
+            });
+            const yieldServings = parseFloat(food.recipe.yield) > 0 ? parseFloat(food.recipe.yield) : 1;
+            return costed ? cost / yieldServings : null;
+        }
+        
+        const price = date ? getPriceOn(food, date) : null;
+        if (price !== null) return price;
+        return parseFloat(food.costPerServing) >= 0 ? parseFloat(food.costPerServing) : null;
+    }
+    
+    /**
+     * Keep a food's price history and current cost in step as it is saved
+     * A cost that differs from both the saved cost and the supplied history is recorded as that day's price
+     * (replacing any other price recorded that day without a store); clearing the cost removes the history
+     * @param {Object} food - Food as it is about to be saved (not modified)
+     * @param {Object|null} previous - The food as saved before, or null for a new food
+     * @param {string} date - Today's date (YYYY-MM-DD)
+     * @returns {Object} The food with its prices and costPerServing updated
+     */
+    function recordPriceChange(food, previous, date) {
+        const updated = { ...food };
+        
+        // A recipe's cost comes from its ingredients
+        if (Recipes.isRecipe(food)) {
+            delete updated.prices;
+            return updated;
+        }
+        
+        let history = getHistory(food);
+        const cost = parseFloat(food.costPerServing);
+        const previousCost = previous ? parseFloat(previous.costPerServing) : NaN;
+        
+        if (isNaN(cost) && !isNaN(previousCost)) {
+            // The price was cleared, so the food no longer has one
+            history = [];
+        } else if (cost >= 0 && cost !== previousCost && cost !== getPriceOn({ prices: history }, date)) {
+            history = history
+                .filter(entry => entry.date !== date || entry.store)
+                .concat({ date, costPerServing: cost });
+        }
+        
+        if (history.length) {
+            updated.prices = getHistory({ prices: history });
+            updated.costPerServing = Math.round(getPriceOn(updated, date) * 100) / 100;
+        } else {
+            delete updated.prices;
+        }
+        return updated;
+    }
+    
+    /**
+     * Describe how a food's price has moved over its history
+     * @param {Object} food - Food from the database
+     * @returns {Object|null} { first, latest, change } - first and latest entries and the change as a fraction,
+     *                        or null with fewer than two dated prices
+     */
+    function getTrend(food) {
+        const history = getHistory(food);
+        if (history.length < 2 || history[0].date === history[history.length - 1].date) return null;
+        
+        const first = history[0];
+        const latest = history[history.length - 1];
+        return {
+            first,
+            latest,
+            change: first.costPerServing ? (latest.costPerServing - first.costPerServing) / first.costPerServing : null
+        };
+    }
+    
+    /**
+     * List the stores prices have been recorded at
+     * @param {Array} foods - Foods in the database
+     * @returns {Array} Store names, sorted
+     */
+    function getStores(foods) {
+        const stores = new Set();
+        foods.forEach(food => {
+            getHistory(food).forEach(entry => {
+                if (entry.store) stores.add(entry.store);
+            });
+        });
+        return [...stores].sort((a, b) => a.localeCompare(b));
+    }
+    
+    // Public API
+    return {
+        getHistory,
+        getPriceOn,
+        getCostPerServing,
+        recordPriceChange,
+        getTrend,
+        getStores
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Prices;
+}
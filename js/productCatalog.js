@@ -0,0 +1,202 @@
+/**
+ * Product Catalog Module
+ * Keeps an imported packaged-product dataset (e.g. an Open Food Facts export) on this device, by barcode
+ *
+ * The catalog is reference data rather than household data, so every household profile shares it and it is
+ * not part of backups, sync or undo. It lives in its own IndexedDB database; without IndexedDB it is only
+ * kept until the page is closed.
+ */
+
+// Creating an immediate function to encapsulate the catalog in its own scope
+const ProductCatalog = (function() {
+    // Database name and schema version (bump the version when object stores change)
+    const DB_NAME = 'family-meal-tracker-products';
+    const DB_VERSION = 1;
+    
+    // Object store names
+    const STORES = {
+        PRODUCTS: 'products', // One record per product, keyed by normalized barcode
+        INFO: 'info' // Single record describing the imported dataset
+    };
+    
+    // Products written per transaction while importing
+    const WRITE_BATCH = 2000;
+    
+    // Open database connection (null until open() resolves)
+    let db = null;
+    
+    // Stand-in used when IndexedDB is not available: { products: Map, info }
+    let memory = null;
+    
+    /**
+     * Check whether the catalog survives a page reload
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    function isPersistent() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+    
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - The request to wrap
+     * @returns {Promise} Resolves with the request result
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Open the database, creating the object stores on first use
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    function open() {
+        if (db) {
+            return Promise.resolve(db);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onupgradeneeded = function() {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(STORES.PRODUCTS)) {
+                    database.createObjectStore(STORES.PRODUCTS, { keyPath: 'code' });
+                }
+                if (!database.objectStoreNames.contains(STORES.INFO)) {
+                    database.createObjectStore(STORES.INFO, { keyPath: 'key' });
+                }
+            };
+            
+            request.onsuccess = function() {
+                db = request.result;
+                
+                // Another tab upgraded the schema - release our connection so it isn't blocked
+                db.onversionchange = function() {
+                    db.close();
+                    db = null;
+                };
+                
+                resolve(db);
+            };
+            
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Product database upgrade blocked by another open tab'));
+        });
+    }
+    
+    /**
+     * Run write operations in one transaction
+     * @param {Function} fn - Called with (productsStore, infoStore)
+     * @returns {Promise} Resolves when the transaction has committed
+     */
+    async function write(fn) {
+        const database = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([STORES.PRODUCTS, STORES.INFO], 'readwrite');
+            fn(transaction.objectStore(STORES.PRODUCTS), transaction.objectStore(STORES.INFO));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    /**
+     * Get the stand-in catalog used without IndexedDB
+     * @returns {Object} { products, info }
+     */
+    function getMemory() {
+        if (!memory) {
+            memory = { products: new Map(), info: null };
+        }
+        return memory;
+    }
+    
+    /**
+     * Remove every product and the dataset description
+     * @returns {Promise} Resolves once the catalog is empty
+     */
+    async function clear() {
+        if (!isPersistent()) {
+            memory = null;
+            return;
+        }
+        await write((products, info) => {
+            products.clear();
+            info.clear();
+        });
+    }
+    
+    /**
+     * Add products to the catalog, replacing any with the same barcode
+     * @param {Array} products - Product records, each with a normalized `code`
+     * @returns {Promise} Resolves once the products are saved
+     */
+    async function putProducts(products) {
+        if (!isPersistent()) {
+            products.forEach(product => getMemory().products.set(product.code, product));
+            return;
+        }
+        for (let i = 0; i < products.length; i += WRITE_BATCH) {
+            const chunk = products.slice(i, i + WRITE_BATCH);
+            await write(store => {
+                chunk.forEach(product => store.put(product));
+            });
+        }
+    }
+    
+    /**
+     * Find a product by barcode
+     * @param {string} code - Normalized barcode
+     * @returns {Promise<Object|null>} The product record, or null if the catalog doesn't have it
+     */
+    async function getProduct(code) {
+        if (!isPersistent()) {
+            return getMemory().products.get(code) || null;
+        }
+        const database = await open();
+        const transaction = database.transaction(STORES.PRODUCTS, 'readonly');
+        return (await promisifyRequest(transaction.objectStore(STORES.PRODUCTS).get(code))) || null;
+    }
+    
+    /**
+     * Describe the imported dataset
+     * @returns {Promise<Object|null>} { source, importedAt, count }, or null if nothing was imported
+     */
+    async function getInfo() {
+        if (!isPersistent()) {
+            return getMemory().info;
+        }
+        const database = await open();
+        const transaction = database.transaction(STORES.INFO, 'readonly');
+        const record = await promisifyRequest(transaction.objectStore(STORES.INFO).get('dataset'));
+        return record ? { source: record.source, importedAt: record.importedAt, count: record.count } : null;
+    }
+    
+    /**
+     * Save the description of the imported dataset
+     * @param {Object} info - { source, importedAt, count }
+     * @returns {Promise} Resolves once saved
+     */
+    async function setInfo(info) {
+        if (!isPersistent()) {
+            getMemory().info = info;
+            return;
+        }
+        await write((products, infoStore) => {
+            infoStore.put({ key: 'dataset', ...info });
+        });
+    }
+    
+    // Public API
+    return {
+        isPersistent,
+        clear,
+        putProducts,
+        getProduct,
+        getInfo,
+        setInfo
+    };
+})();
@@ -0,0 +1,367 @@
+/**
+ * Profiles Module
+ * Keeps a registry of household profiles, each stored in its own database
+ */
+
+const Profiles = (function() {
+    // Registry of every profile, shared by all tabs
+    const REGISTRY_KEY = 'family-meal-tracker-profiles';
+    
+    // Profile this tab is using, so two tabs can work on different households
+    const SESSION_KEY = 'family-meal-tracker-active-profile';
+    
+    // The profile that owns data saved before profiles existed - it keeps the original storage names
+    const DEFAULT_PROFILE = { id: 'default', name: 'My Household' };
+    
+    // Base name for each profile's IndexedDB database and localStorage keys
+    const DATABASE_NAME = 'family-meal-tracker';
+    
+    /**
+     * Read the registry, creating it with the default profile on first use
+     * @returns {Object} { profiles: [{ id, name, createdAt }], lastActiveId }
+     */
+    function loadRegistry() {
+        try {
+            const registry = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+            if (registry && Array.isArray(registry.profiles) && registry.profiles.length) {
+                return registry;
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_PARSE_ERROR,
+                "Failed to read household profiles",
+                error.message
+            );
+        }
+        
+        return {
+            profiles: [{ ...DEFAULT_PROFILE, createdAt: new Date().toISOString() }],
+            lastActiveId: DEFAULT_PROFILE.id
+        };
+    }
+    
+    /**
+     * Save the registry
+     * @param {Object} registry - Registry to save
+     */
+    function saveRegistry(registry) {
+        localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+    }
+    
+    /**
+     * Get every profile
+     * @returns {Array} Profiles in the order they were created
+     */
+    function getProfiles() {
+        return loadRegistry().profiles;
+    }
+    
+    /**
+     * Get the profile this tab is using
+     * @returns {Object} The active profile
+     */
+    function getActiveProfile() {
+        const registry = loadRegistry();
+        const activeId = sessionStorage.getItem(SESSION_KEY) || registry.lastActiveId;
+        return registry.profiles.find(profile => profile.id === activeId) || registry.profiles[0];
+    }
+    
+    /**
+     * Switch this tab to another profile (the page must be reloaded to load its data)
+     * New tabs open with the most recently chosen profile
+     * @param {string} profileId - ID of the profile to use
+     */
+    function setActiveProfile(profileId) {
+        const registry = loadRegistry();
+        if (!registry.profiles.some(profile => profile.id === profileId)) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+        
+        registry.lastActiveId = profileId;
+        saveRegistry(registry);
+        sessionStorage.setItem(SESSION_KEY, profileId);
+    }
+    
+    /**
+     * Create a new, empty profile
+     * @param {string} name - Household name
+     * @returns {Object} The new profile
+     */
+    function createProfile(name) {
+        const registry = loadRegistry();
+        const profile = {
+            id: `p${Date.now().toString(36)}`,
+            name,
+            createdAt: new Date().toISOString()
+        };
+        
+        registry.profiles.push(profile);
+        saveRegistry(registry);
+        return profile;
+    }
+    
+    /**
+     * Rename a profile
+     * @param {string} profileId - ID of the profile
+     * @param {string} name - New household name
+     */
+    function renameProfile(profileId, name) {
+        const registry = loadRegistry();
+        const profile = registry.profiles.find(item => item.id === profileId);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+        
+        profile.name = name;
+        saveRegistry(registry);
+    }
+    
+    /**
+     * Delete a profile and everything stored for it
+     * The active profile can't be deleted - switch to another one first - and neither can the
+     * default profile, whose storage names are shared with data from before profiles existed
+     * @param {string} profileId - ID of the profile to delete
+     * @returns {Promise} Resolves once the profile's database has been removed
+     */
+    async function deleteProfile(profileId) {
+        const registry = loadRegistry();
+        if (profileId === getActiveProfile().id) {
+            throw new Error('The profile in use cannot be deleted');
+        }
+        if (profileId === DEFAULT_PROFILE.id) {
+            throw new Error('The default profile cannot be deleted');
+        }
+        
+        const suffix = getStorageSuffix(profileId);
+        registry.profiles = registry.profiles.filter(profile => profile.id !== profileId);
+        if (registry.lastActiveId === profileId) {
+            registry.lastActiveId = registry.profiles[0].id;
+        }
+        saveRegistry(registry);
+        
+        // Remove the fallback localStorage copy as well as the database
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(DATABASE_NAME) && key.endsWith(suffix))
+            .forEach(key => localStorage.removeItem(key));
+        
+        await IndexedDBStorage.deleteDatabase(getDatabaseName(profileId));
+    }
+    
+    /**
+     * Get the suffix added to storage names for a profile ('' for the default profile)
+     * @param {string} profileId - ID of the profile (defaults to the active one)
+     * @returns {string} Suffix for database names and localStorage keys
+     */
+    function getStorageSuffix(profileId = getActiveProfile().id) {
+        return profileId === DEFAULT_PROFILE.id ? '' : `-${profileId}`;
+    }
+    
+    /**
+     * Get the IndexedDB database name for a profile
+     * @param {string} profileId - ID of the profile (defaults to the active one)
+     * @returns {string} Database name
+     */
+    function getDatabaseName(profileId = getActiveProfile().id) {
+        return DATABASE_NAME + getStorageSuffix(profileId);
+    }
+    
+    /**
+     * Set up the household switcher in the header
+     */
+    function initialize() {
+        try {
+            renderSwitcher();
+            
+            const select = document.getElementById('profile-select');
+            if (select) {
+                select.addEventListener('change', function() {
+                    switchProfile(this.value);
+                });
+            }
+            
+            const manageBtn = document.getElementById('manage-profiles');
+            if (manageBtn) {
+                manageBtn.addEventListener('click', showProfilesModal);
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize household profiles",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Fill the header dropdown with every profile
+     */
+    function renderSwitcher() {
+        const select = document.getElementById('profile-select');
+        if (!select) return;
+        
+        const activeId = getActiveProfile().id;
+        select.innerHTML = '';
+        getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === activeId;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Switch to another profile and reload the app with its data
+     * @param {string} profileId - ID of the profile to use
+     */
+    async function switchProfile(profileId) {
+        if (profileId === getActiveProfile().id) return;
+        
+        // Make sure nothing typed into the current household is lost
+        await DataStore.flushWrites();
+        setActiveProfile(profileId);
+        window.location.reload();
+    }
+    
+    /**
+     * Show modal for adding, renaming and deleting profiles
+     */
+    function showProfilesModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const profilesModal = document.getElementById('profiles-modal');
+            
+            if (!modalOverlay || !profilesModal) return;
+            
+            const activeId = getActiveProfile().id;
+            const rows = getProfiles().map(profile => `
+                <li class="profile-row" data-profile-id="${profile.id}">
+                    <input type="text" class="profile-name" value="${Html.escape(profile.name)}" aria-label="Household name" required>
+                    ${profile.id === activeId
+                        ? '<span class="profile-active">In use</span>'
+                        : '<button type="button" class="switch-profile">Switch</button>'}
+                    ${profile.id === activeId || profile.id === DEFAULT_PROFILE.id
+                        ? ''
+                        : '<button type="button" class="delete-profile" title="Delete household"><i class="fas fa-trash"></i></button>'}
+                </li>
+            `).join('');
+            
+            // Create modal content
+            profilesModal.innerHTML = `
+                <h3>Households</h3>
+                <form id="profiles-form" class="modal-form">
+                    <ul class="profile-list">${rows}</ul>
+                    <div>
+                        <label for="new-profile-name">Add a household:</label>
+                        <input type="text" id="new-profile-name" placeholder="e.g. Grandma's kitchen">
+                    </div>
+                    <p class="profile-hint">Each household has its own members, foods, budget and expenses. Export Data saves only the household in use.</p>
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-profiles">Cancel</button>
+                        <button type="submit">Save</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            profilesModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('cancel-profiles').addEventListener('click', Html.closeModal);
+            profilesModal.querySelectorAll('.switch-profile').forEach(button => {
+                button.addEventListener('click', function() {
+                    switchProfile(this.closest('.profile-row').getAttribute('data-profile-id'));
+                });
+            });
+            profilesModal.querySelectorAll('.delete-profile').forEach(button => {
+                button.addEventListener('click', function() {
+                    removeProfile(this.closest('.profile-row').getAttribute('data-profile-id'));
+                });
+            });
+            document.getElementById('profiles-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                saveProfilesForm();
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show households modal",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Apply renames and create the new profile entered in the modal
+     */
+    function saveProfilesForm() {
+        try {
+            document.querySelectorAll('#profiles-modal .profile-row').forEach(row => {
+                const name = row.querySelector('.profile-name').value.trim();
+                const profileId = row.getAttribute('data-profile-id');
+                const profile = getProfiles().find(item => item.id === profileId);
+                if (name && profile && profile.name !== name) {
+                    renameProfile(profileId, name);
+                }
+            });
+            
+            const newName = document.getElementById('new-profile-name').value.trim();
+            if (newName) {
+                createProfile(newName);
+            }
+            
+            renderSwitcher();
+            Html.closeModal();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+                "Failed to save households",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Delete a profile after confirmation
+     * @param {string} profileId - ID of the profile to delete
+     */
+    async function removeProfile(profileId) {
+        try {
+            const profile = getProfiles().find(item => item.id === profileId);
+            if (!profile ||
+                !confirm(`Delete "${profile.name}" and all of its data? This action cannot be undone.`)) {
+                return;
+            }
+            
+            await deleteProfile(profileId);
+            renderSwitcher();
+            showProfilesModal();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+                "Failed to delete household",
+                error.message
+            );
+        }
+    }
+    
+    // Public API
+    return {
+        DEFAULT_PROFILE_ID: DEFAULT_PROFILE.id,
+        initialize,
+        getProfiles,
+        getActiveProfile,
+        setActiveProfile,
+        createProfile,
+        renameProfile,
+        deleteProfile,
+        getStorageSuffix,
+        getDatabaseName
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Profiles;
+}
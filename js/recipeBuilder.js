@@ -0,0 +1,483 @@
+/**
+ * Recipe Builder Module
+ * Modal for combining foods from the database into a home-cooked dish with a number of servings
+ *
+ * The dish is saved as a food with a `recipe` field; DataStore derives its nutrition and cost per serving
+ * from the ingredients (see Recipes), and keeps them up to date when an ingredient changes.
+ * Imported recipes (see RecipeImporter) open here as drafts, with any lines that matched no food left to map.
+ */
+
+const RecipeBuilder = (function() {
+    // Recipe being edited (null for a new recipe or a copy)
+    let editingId = null;
+    
+    // Ingredients in the modal: { foodId, amount, unit, text } - imported lines not yet mapped to a food
+    // have a null foodId and the text to search for
+    let ingredients = [];
+    
+    // Index of the imported line the ingredient picker is choosing a food for (null when adding a new one)
+    let mappingIndex = null;
+    
+    // Food picker for adding ingredients
+    let ingredientPicker = null;
+    
+    /**
+     * Initialize the new recipe button in the food library
+     */
+    function initialize() {
+        try {
+            const addRecipeBtn = document.getElementById('add-recipe');
+            if (addRecipeBtn) {
+                addRecipeBtn.addEventListener('click', function() {
+                    showRecipeModal(null, 'add');
+                });
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize recipe builder",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Show the modal for creating, editing, copying or importing a recipe
+     * @param {string|null} foodId - Recipe to edit or copy (null for a new or imported one)
+     * @param {string} mode - 'add', 'edit', 'duplicate' or 'import'
+     * @param {Object} draft - Recipe food to start from when importing (see RecipeImporter.buildDraft)
+     */
+    function showRecipeModal(foodId, mode, draft) {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const recipeModal = document.getElementById('recipe-modal');
+            
+            if (!modalOverlay || !recipeModal) return;
+            
+            const food = mode === 'import' ? draft : (foodId ? DataStore.getFoodById(foodId) : null);
+            if (mode !== 'add' && !Recipes.isRecipe(food)) return;
+            
+            editingId = mode === 'edit' ? foodId : null;
+            mappingIndex = null;
+            ingredients = food
+                ? food.recipe.ingredients.map(ingredient => ({
+                    foodId: ingredient.foodId,
+                    amount: ingredient.unit ? ingredient.amount : ingredient.servings,
+                    unit: ingredient.unit || 'serving',
+                    text: ingredient.text,
+                    search: ingredient.search
+                }))
+                : [];
+            const recipe = food ? food.recipe : {};
+            
+            const titles = {
+                add: 'New Recipe',
+                edit: `Edit ${food ? food.name : ''}`,
+                duplicate: `Copy ${food ? food.name : ''}`,
+                import: 'Imported Recipe'
+            };
+            const name = mode === 'duplicate' ? `Copy of ${food.name}` : (food ? food.name : '');
+            const category = food ? food.category : 'other';
+            
+            // Create modal content
+            recipeModal.innerHTML = `
+                <h3>${Html.escape(titles[mode])}</h3>
+                <form id="recipe-form" class="modal-form recipe-form">
+                    <div class="food-form-grid">
+                        <div>
+                            <label for="recipe-name">Name:</label>
+                            <input type="text" id="recipe-name" value="${Html.escape(name)}" required>
+                        </div>
+                        <div>
+                            <label for="recipe-yield">Makes (servings):</label>
+                            <input type="number" id="recipe-yield" min="0.25" step="any" value="${recipe.yield ? Html.escape(recipe.yield) : 4}" required>
+                        </div>
+                        <div>
+                            <label for="recipe-serving-size">One serving is:</label>
+                            <input type="text" id="recipe-serving-size" placeholder="1 bowl" value="${Html.escape(food ? food.servingSize : '1 serving')}" required>
+                        </div>
+                        <div>
+                            <label for="recipe-category">Category:</label>
+                            <select id="recipe-category">
+                                ${FoodLibrary.CATEGORIES.concat(FoodLibrary.CATEGORIES.includes(category) ? [] : [category])
+                                    .map(option => `<option value="${Html.escape(option)}" ${option === category ? 'selected' : ''}>${Html.escape(option.charAt(0).toUpperCase() + option.slice(1))}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label for="recipe-prep-time">Prep time (minutes):</label>
+                            <input type="number" id="recipe-prep-time" min="0" step="1" value="${recipe.prepMinutes ? Html.escape(recipe.prepMinutes) : ''}">
+                        </div>
+                        <div>
+                            <label for="recipe-cook-time">Cook time (minutes):</label>
+                            <input type="number" id="recipe-cook-time" min="0" step="1" value="${recipe.cookMinutes ? Html.escape(recipe.cookMinutes) : ''}">
+                        </div>
+                    </div>
+                    <h4>Ingredients</h4>
+                    <table class="recipe-ingredients">
+                        <thead>
+                            <tr>
+                                <th>Ingredient</th>
+                                <th>Amount</th>
+                                <th>Calories</th>
+                                <th>Cost</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="recipe-ingredients-body"></tbody>
+                    </table>
+                    <div class="recipe-add-ingredient">
+                        <label for="recipe-ingredient-search" id="recipe-ingredient-label">Add an ingredient:</label>
+                        <div id="recipe-ingredient-picker"></div>
+                        <div class="amount-row">
+                            <input type="number" id="recipe-ingredient-amount" min="0.01" step="any" value="1" aria-label="Ingredient amount">
+                            <select id="recipe-ingredient-unit" aria-label="Ingredient unit"></select>
+                            <button type="button" id="add-ingredient">Add Ingredient</button>
+                        </div>
+                    </div>
+                    <p id="recipe-summary" class="food-hint" aria-live="polite"></p>
+                    <div>
+                        <label for="recipe-instructions">Instructions (one step per line):</label>
+                        <textarea id="recipe-instructions" rows="5">${Html.escape((recipe.instructions || []).join('\n'))}</textarea>
+                    </div>
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-recipe">Cancel</button>
+                        <button type="submit">${mode === 'edit' ? 'Save Changes' : 'Save Recipe'}</button>
+                    </div>
+                </form>
+            `;
+            
+            setupIngredientPicker();
+            renderIngredients();
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            recipeModal.classList.remove('hidden');
+            document.getElementById('recipe-name').focus();
+            
+            // Set up event listeners
+            document.getElementById('recipe-yield').addEventListener('input', renderSummary);
+            document.getElementById('add-ingredient').addEventListener('click', addIngredient);
+            document.getElementById('recipe-ingredient-amount').addEventListener('keydown', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addIngredient();
+                }
+            });
+            document.getElementById('cancel-recipe').addEventListener('click', Html.closeModal);
+            document.getElementById('recipe-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                if (saveRecipe()) {
+                    Html.closeModal();
+                }
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show recipe builder",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Set up the picker for choosing the next ingredient
+     */
+    function setupIngredientPicker() {
+        const pickerContainer = document.getElementById('recipe-ingredient-picker');
+        const amountInput = document.getElementById('recipe-ingredient-amount');
+        const unitSelect = document.getElementById('recipe-ingredient-unit');
+        const foods = DataStore.getFoodDatabase();
+        
+        const populateUnits = function(food) {
+            const units = Units.getUnitOptions(food);
+            // When mapping an imported line, keep the line's own unit if the food allows it
+            const current = mappingIndex !== null ? ingredients[mappingIndex].unit : unitSelect.value;
+            unitSelect.innerHTML = units.map(key => `<option value="${key}">${Units.UNITS[key].label}</option>`).join('');
+            unitSelect.value = units.includes(current) ? current : 'serving';
+        };
+        
+        ingredientPicker = FoodPicker.create(pickerContainer, {
+            inputId: 'recipe-ingredient-select',
+            searchId: 'recipe-ingredient-search',
+            // A recipe can't contain itself, or a recipe that contains it
+            filter: food => !Recipes.createsCycle(editingId, food.id, foods),
+            getServings: food => Units.toServings(amountInput.value, unitSelect.value, food),
+            onSelect: populateUnits
+        });
+        populateUnits(null);
+        
+        // Enter on the chosen food moves on to its amount instead of saving the recipe
+        pickerContainer.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' && !e.defaultPrevented) {
+                e.preventDefault();
+                if (ingredientPicker.getSelectedId()) {
+                    amountInput.focus();
+                    amountInput.select();
+                }
+            }
+        });
+        amountInput.addEventListener('input', ingredientPicker.refreshPreview);
+        unitSelect.addEventListener('change', ingredientPicker.refreshPreview);
+    }
+    
+    /**
+     * Add the chosen food and amount to the ingredients, or use them for the imported line being mapped
+     */
+    function addIngredient() {
+        const foodId = ingredientPicker.getSelectedId();
+        const amount = parseFloat(document.getElementById('recipe-ingredient-amount').value);
+        if (!foodId || !(amount > 0)) {
+            ingredientPicker.focus();
+            return;
+        }
+        
+        const ingredient = { foodId, amount, unit: document.getElementById('recipe-ingredient-unit').value };
+        if (mappingIndex !== null) {
+            ingredients[mappingIndex] = { ...ingredient, text: ingredients[mappingIndex].text };
+            setMappingIndex(null);
+        } else {
+            ingredients.push(ingredient);
+        }
+        renderIngredients();
+        document.getElementById('recipe-ingredient-amount').value = 1;
+        ingredientPicker.focus();
+    }
+    
+    /**
+     * Start or stop choosing the food for an imported line
+     * The line's name goes into the picker's search, and its amount and unit into the fields beside it
+     * @param {number|null} index - Index of the line in the ingredients, or null to go back to adding
+     */
+    function setMappingIndex(index) {
+        mappingIndex = index;
+        const label = document.getElementById('recipe-ingredient-label');
+        const addButton = document.getElementById('add-ingredient');
+        if (index === null) {
+            label.textContent = 'Add an ingredient:';
+            addButton.textContent = 'Add Ingredient';
+            return;
+        }
+        
+        const ingredient = ingredients[index];
+        label.textContent = `Food for "${ingredient.text}":`;
+        addButton.textContent = 'Use This Food';
+        document.getElementById('recipe-ingredient-amount').value = ingredient.amount;
+        
+        const searchInput = document.getElementById('recipe-ingredient-search');
+        searchInput.value = ingredient.search || '';
+        searchInput.dispatchEvent(new Event('input'));
+        ingredientPicker.focus();
+    }
+    
+    /**
+     * Render the ingredient rows, each with its amount and unit editable
+     */
+    function renderIngredients() {
+        const ingredientsBody = document.getElementById('recipe-ingredients-body');
+        if (!ingredientsBody) return;
+        
+        if (!ingredients.length) {
+            ingredientsBody.innerHTML = '<tr><td colspan="5" class="empty-state">No ingredients yet.</td></tr>';
+            renderSummary();
+            return;
+        }
+        
+        ingredientsBody.innerHTML = ingredients.map((ingredient, index) => {
+            const text = ingredient.text ? `<div class="recipe-ingredient-text">${Html.escape(ingredient.text)}</div>` : '';
+            
+            // An imported line with no food yet: offer to choose one
+            if (!ingredient.foodId) {
+                return `
+                    <tr class="recipe-unmapped">
+                        <td><em>Choose a food</em>${text}</td>
+                        <td colspan="3">
+                            <button type="button" class="map-ingredient" data-index="${index}">Choose Food</button>
+                        </td>
+                        <td>
+                            <button type="button" class="remove-ingredient" data-index="${index}" title="Remove" aria-label="Remove ${Html.escape(ingredient.text)}">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            }
+            
+            const food = DataStore.getFoodById(ingredient.foodId);
+            const units = Units.getUnitOptions(food);
+            return `
+                <tr>
+                    <td>${food ? Html.escape(food.name) : '<em>Deleted food</em>'}${text}</td>
+                    <td>
+                        <div class="amount-row">
+                            <input type="number" class="ingredient-amount" data-index="${index}" min="0.01" step="any" value="${Html.escape(ingredient.amount)}" aria-label="Amount">
+                            <select class="ingredient-unit" data-index="${index}" aria-label="Unit">
+                                ${units.map(key => `<option value="${key}" ${key === ingredient.unit ? 'selected' : ''}>${Units.UNITS[key].label}</option>`).join('')}
+                            </select>
+                        </div>
+                    </td>
+                    <td class="ingredient-calories" data-index="${index}"></td>
+                    <td class="ingredient-cost" data-index="${index}"></td>
+                    <td>
+                        <button type="button" class="remove-ingredient" data-index="${index}" title="Remove" aria-label="Remove ${food ? Html.escape(food.name) : 'ingredient'}">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        // Add event listeners to the row controls
+        ingredientsBody.querySelectorAll('.ingredient-amount').forEach(input => {
+            input.addEventListener('input', function() {
+                ingredients[Number(this.getAttribute('data-index'))].amount = parseFloat(this.value);
+                renderSummary();
+            });
+        });
+        ingredientsBody.querySelectorAll('.ingredient-unit').forEach(select => {
+            select.addEventListener('change', function() {
+                ingredients[Number(this.getAttribute('data-index'))].unit = this.value;
+                renderSummary();
+            });
+        });
+        ingredientsBody.querySelectorAll('.map-ingredient').forEach(button => {
+            button.addEventListener('click', function() {
+                setMappingIndex(Number(this.getAttribute('data-index')));
+            });
+        });
+        ingredientsBody.querySelectorAll('.remove-ingredient').forEach(button => {
+            button.addEventListener('click', function() {
+                ingredients.splice(Number(this.getAttribute('data-index')), 1);
+                // Removing a line moves the ones after it, so stop mapping rather than map the wrong line
+                if (mappingIndex !== null) {
+                    setMappingIndex(null);
+                }
+                renderIngredients();
+            });
+        });
+        
+        renderSummary();
+    }
+    
+    /**
+     * Work out what to store for an ingredient's amount
+     * @param {Object} ingredient - { foodId, amount, unit, text } from the modal
+     * @returns {Object} { foodId, servings } plus { amount, unit } when entered in another unit,
+     *                   and the imported line's text
+     */
+    function toStoredIngredient(ingredient) {
+        const amount = parseFloat(ingredient.amount) > 0 ? parseFloat(ingredient.amount) : 1;
+        const servings = Units.toServings(amount, ingredient.unit, DataStore.getFoodById(ingredient.foodId));
+        const stored = ingredient.unit === 'serving' || servings === null
+            ? { foodId: ingredient.foodId, servings: amount }
+            : { foodId: ingredient.foodId, servings: Math.round(servings * 10000) / 10000, amount, unit: ingredient.unit };
+        if (ingredient.text) {
+            stored.text = ingredient.text;
+        }
+        return stored;
+    }
+    
+    /**
+     * Build the recipe field from the form
+     * @returns {Object} { ingredients, yield } plus prepMinutes, cookMinutes and instructions when given
+     */
+    function readRecipe() {
+        const yieldServings = parseFloat(document.getElementById('recipe-yield').value);
+        const recipe = {
+            ingredients: ingredients.filter(ingredient => ingredient.foodId).map(toStoredIngredient),
+            yield: yieldServings > 0 ? yieldServings : 1
+        };
+        
+        const prepMinutes = parseInt(document.getElementById('recipe-prep-time').value, 10);
+        const cookMinutes = parseInt(document.getElementById('recipe-cook-time').value, 10);
+        const instructions = document.getElementById('recipe-instructions').value
+            .split('\n')
+            .map(step => step.trim())
+            .filter(Boolean);
+        if (prepMinutes > 0) recipe.prepMinutes = prepMinutes;
+        if (cookMinutes > 0) recipe.cookMinutes = cookMinutes;
+        if (instructions.length) recipe.instructions = instructions;
+        return recipe;
+    }
+    
+    /**
+     * Show each ingredient's share and the per-serving totals the recipe will get
+     */
+    function renderSummary() {
+        const summaryEl = document.getElementById('recipe-summary');
+        if (!summaryEl) return;
+        
+        const foodsById = new Map(DataStore.getFoodDatabase().map(food => [food.id, food]));
+        const recipe = readRecipe();
+        
+        ingredients.forEach((ingredient, index) => {
+            if (!ingredient.foodId) return;
+            const food = foodsById.get(ingredient.foodId);
+            const servings = food ? Units.getServings(toStoredIngredient(ingredient), food) : 0;
+            const caloriesCell = document.querySelector(`.ingredient-calories[data-index="${index}"]`);
+            const costCell = document.querySelector(`.ingredient-cost[data-index="${index}"]`);
+            if (caloriesCell) caloriesCell.textContent = food ? String(Math.round(food.calories * servings)) : '-';
+            if (costCell) costCell.textContent = food && food.costPerServing ? `$${(food.costPerServing * servings).toFixed(2)}` : '-';
+        });
+        
+        const unmapped = ingredients.length - recipe.ingredients.length;
+        const unmappedNote = unmapped ? `${unmapped} imported line${unmapped === 1 ? '' : 's'} still need${unmapped === 1 ? 's' : ''} a food. ` : '';
+        if (!recipe.ingredients.length) {
+            summaryEl.textContent = unmappedNote || 'Add the ingredients for the whole dish; nutrition and cost per serving are worked out from them.';
+            return;
+        }
+        
+        const perServing = Recipes.deriveFood({ recipe }, foodsById);
+        summaryEl.textContent = `${unmappedNote}Per serving: ${perServing.calories} kcal - protein ${perServing.protein}g, carbs ${perServing.carbs}g, fat ${perServing.fat}g`
+            + ` - ${perServing.costPerServing !== undefined ? `$${perServing.costPerServing.toFixed(2)}` : 'no cost (no ingredient has a price)'}`
+            + (perServing.servingGrams ? ` - about ${perServing.servingGrams} g` : '');
+    }
+    
+    /**
+     * Save the recipe in the modal
+     * @returns {boolean} True if it was saved
+     */
+    function saveRecipe() {
+        try {
+            const summaryEl = document.getElementById('recipe-summary');
+            if (!ingredients.length) {
+                summaryEl.textContent = 'Add at least one ingredient.';
+                ingredientPicker.focus();
+                return false;
+            }
+            const unmappedIndex = ingredients.findIndex(ingredient => !ingredient.foodId);
+            if (unmappedIndex !== -1) {
+                summaryEl.textContent = 'Choose a food for each imported line, or remove the lines you don\'t need.';
+                setMappingIndex(unmappedIndex);
+                return false;
+            }
+            
+            const fields = {
+                name: document.getElementById('recipe-name').value.trim(),
+                servingSize: document.getElementById('recipe-serving-size').value.trim(),
+                category: document.getElementById('recipe-category').value,
+                recipe: readRecipe()
+            };
+            if (!fields.name || !fields.servingSize) {
+                return false;
+            }
+            
+            if (editingId) {
+                return DataStore.updateFood(editingId, fields);
+            }
+            return Boolean(DataStore.addFoodToDatabase(fields));
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.FOOD_SAVE_ERROR,
+                "Failed to save recipe",
+                error.message
+            );
+            return false;
+        }
+    }
+    
+    // Public API
+    return {
+        initialize,
+        showRecipeModal
+    };
+})();
@@ -0,0 +1,495 @@
+/**
+ * Recipe Importer Module
+ * Reads a recipe from a saved web page (schema.org Recipe JSON-LD), a JSON-LD block, or pasted text,
+ * and opens it in the recipe builder as a draft
+ *
+ * Parsing happens on this device. Each ingredient line is matched against the food database; lines
+ * with no matching food, or an amount that can't be converted for the food, are left for the user to map.
+ */
+
+const RecipeImporter = (function() {
+    // JSON-LD blocks in a page's HTML
+    const JSON_LD_PATTERN = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+    
+    // HTML entities common in recipe text
+    const ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', deg: '°',
+        frac12: '½', frac14: '¼', frac34: '¾', ndash: '–', mdash: '—',
+        lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…'
+    };
+    
+    // Section headings in pasted recipe text
+    const INGREDIENTS_HEADING = /^(ingredients?)\s*:?$/i;
+    const INSTRUCTIONS_HEADING = /^(instructions|directions|method|steps|preparation)\s*:?$/i;
+    
+    // Words in an ingredient line that describe the food rather than name it
+    const DESCRIPTOR_WORDS = new Set([
+        'fresh', 'frozen', 'dried', 'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'crushed',
+        'large', 'medium', 'small', 'whole', 'finely', 'roughly', 'thinly', 'coarsely', 'peeled', 'packed',
+        'heaping', 'level', 'softened', 'melted', 'cold', 'warm', 'about', 'plus', 'optional', 'divided',
+        'can', 'cans', 'jar', 'jars', 'package', 'packages', 'clove', 'cloves', 'pinch', 'dash', 'bunch',
+        'slice', 'slices', 'stick', 'sticks', 'of', 'a', 'an', 'and', 'the'
+    ]);
+    
+    // Lowest match score per word for a food to count as the ingredient (a substring match, see FoodPicker)
+    const MIN_WORD_SCORE = 5;
+    
+    /**
+     * Initialize the import button in the food library
+     */
+    function initialize() {
+        try {
+            const importBtn = document.getElementById('import-recipe');
+            if (importBtn) {
+                importBtn.addEventListener('click', showImportModal);
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize recipe import",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Read a recipe from pasted or loaded text
+     * @param {string} text - A page's HTML, a JSON-LD block, or recipe text
+     * @returns {Object} { name, yield, prepMinutes, cookMinutes, instructions, ingredientLines, category }
+     *                   (yield and the times are null when the recipe doesn't give them)
+     * @throws {Error} If no recipe can be found
+     */
+    function parseRecipe(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (!source) {
+            throw new Error('Paste a recipe or choose a file first.');
+        }
+        
+        // A JSON-LD block on its own
+        if (/^[[{]/.test(source)) {
+            let data;
+            try {
+                data = JSON.parse(source);
+            } catch (error) {
+                throw new Error(`The JSON could not be read: ${error.message}`);
+            }
+            const node = findRecipeNode(data);
+            if (!node) {
+                throw new Error('No schema.org Recipe was found in the JSON.');
+            }
+            return fromJsonLd(node);
+        }
+        
+        // A saved page: use its JSON-LD, which food blogs almost always include
+        if (/<(html|head|body|script|div|p)\b/i.test(source)) {
+            for (const match of source.matchAll(JSON_LD_PATTERN)) {
+                let data;
+                try {
+                    data = JSON.parse(match[1].replace(/<!--|-->|<!\[CDATA\[|\]\]>/g, '').trim());
+                } catch (error) {
+                    // Pages sometimes carry broken blocks next to good ones; skip them
+                    continue;
+                }
+                const node = findRecipeNode(data);
+                if (node) {
+                    return fromJsonLd(node);
+                }
+            }
+            throw new Error('No schema.org Recipe data was found in the page. Copy the recipe text and paste that instead.');
+        }
+        
+        return parseText(source);
+    }
+    
+    /**
+     * Find the Recipe in parsed JSON-LD, which may be a list, an @graph or nested in another item
+     * @param {*} data - Parsed JSON
+     * @param {number} depth - Nesting depth so far
+     * @returns {Object|null} The Recipe node
+     */
+    function findRecipeNode(data, depth = 0) {
+        if (!data || typeof data !== 'object' || depth > 8) return null;
+        
+        if (Array.isArray(data)) {
+            for (const item of data) {
+                const node = findRecipeNode(item, depth + 1);
+                if (node) return node;
+            }
+            return null;
+        }
+        
+        const types = [].concat(data['@type'] || []);
+        if (types.some(type => String(type).replace(/^.*[/:]/, '') === 'Recipe')) {
+            return data;
+        }
+        for (const value of Object.values(data)) {
+            const node = findRecipeNode(value, depth + 1);
+            if (node) return node;
+        }
+        return null;
+    }
+    
+    /**
+     * Read a schema.org Recipe node
+     * @param {Object} node - Recipe from JSON-LD
+     * @returns {Object} Parsed recipe (see parseRecipe)
+     */
+    function fromJsonLd(node) {
+        const prepMinutes = parseDuration(node.prepTime);
+        let cookMinutes = parseDuration(node.cookTime);
+        
+        // Some recipes only give the total time
+        const totalMinutes = parseDuration(node.totalTime);
+        if (cookMinutes === null && totalMinutes !== null) {
+            cookMinutes = Math.max(0, totalMinutes - (prepMinutes || 0)) || null;
+        }
+        
+        const categories = [].concat(node.recipeCategory || []).map(category => cleanText(category).toLowerCase());
+        return {
+            name: cleanText(node.name) || 'Imported recipe',
+            yield: parseYield(node.recipeYield),
+            prepMinutes,
+            cookMinutes,
+            instructions: flattenInstructions(node.recipeInstructions),
+            ingredientLines: [].concat(node.recipeIngredient || node.ingredients || []).map(cleanText).filter(Boolean),
+            category: FoodLibrary.CATEGORIES.find(category => categories.includes(category)) || null
+        };
+    }
+    
+    /**
+     * Flatten schema.org instructions: text, a list of text, HowToStep or HowToSection items
+     * @param {*} value - recipeInstructions
+     * @returns {Array} Steps as text
+     */
+    function flattenInstructions(value) {
+        if (!value) return [];
+        
+        if (typeof value === 'string') {
+            return value
+                .replace(/<\/(p|li|div)>|<br\s*\/?>/gi, '\n')
+                .split(/\n+/)
+                .map(step => cleanText(step).replace(/^\d+[.)]\s+/, ''))
+                .filter(Boolean);
+        }
+        if (Array.isArray(value)) {
+            return value.flatMap(flattenInstructions);
+        }
+        if (typeof value === 'object') {
+            if (value.itemListElement) {
+                return flattenInstructions(value.itemListElement);
+            }
+            return flattenInstructions(value.text || value.name || '');
+        }
+        return [];
+    }
+    
+    /**
+     * Read recipe text: a title, then ingredient and instruction lines, with optional headings
+     * ("Ingredients", "Method"...) and lines like "Serves 4" or "Prep time: 15 minutes"
+     * Without headings, lines starting with an amount are ingredients and the rest are steps
+     * @param {string} text - Recipe text
+     * @returns {Object} Parsed recipe (see parseRecipe)
+     * @throws {Error} If no ingredient lines are found
+     */
+    function parseText(text) {
+        const recipe = { name: null, yield: null, prepMinutes: null, cookMinutes: null, instructions: [], ingredientLines: [], category: null };
+        let section = null;
+        
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = cleanText(rawLine).replace(/^[-*•▢□]\s*/, '');
+            if (!line) return;
+            
+            if (INGREDIENTS_HEADING.test(line)) {
+                section = 'ingredients';
+                return;
+            }
+            if (INSTRUCTIONS_HEADING.test(line)) {
+                section = 'instructions';
+                return;
+            }
+            
+            const yieldMatch = /^(serves|servings|yield|yields|makes)\b\s*:?\s*(.*)$/i.exec(line);
+            if (yieldMatch && parseYield(yieldMatch[2]) !== null) {
+                recipe.yield = parseYield(yieldMatch[2]);
+                return;
+            }
+            const timeMatch = /^(prep(?:aration)?|cook(?:ing)?|total)\s+time\s*:?\s*(.*)$/i.exec(line);
+            if (timeMatch) {
+                const minutes = parseDuration(timeMatch[2]);
+                const kind = timeMatch[1].toLowerCase();
+                if (kind.startsWith('prep')) recipe.prepMinutes = minutes;
+                else if (kind.startsWith('cook')) recipe.cookMinutes = minutes;
+                return;
+            }
+            
+            if (!recipe.name && !section) {
+                recipe.name = line;
+                return;
+            }
+            
+            // A numbered step ("1. Preheat...") is not an amount
+            const isStep = /^\d+[.)]\s+/.test(line);
+            if (section === 'ingredients' || (!section && !isStep && Units.parseAmount(line).amount !== null)) {
+                recipe.ingredientLines.push(line);
+            } else {
+                recipe.instructions.push(line.replace(/^\d+[.)]\s+/, ''));
+            }
+        });
+        
+        if (!recipe.ingredientLines.length) {
+            throw new Error('No ingredients were found. Put them under an "Ingredients" heading, one per line.');
+        }
+        recipe.name = recipe.name || 'Imported recipe';
+        return recipe;
+    }
+    
+    /**
+     * Read a duration: ISO 8601 ("PT1H30M") or text ("1 hr 10 mins")
+     * @param {*} value - Duration
+     * @returns {number|null} Minutes, or null if there is none
+     */
+    function parseDuration(value) {
+        const text = cleanText(value);
+        if (!text) return null;
+        
+        const iso = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(text);
+        if (iso) {
+            const [days, hours, minutes, seconds] = iso.slice(1).map(part => parseFloat(part) || 0);
+            const total = Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+            return total || null;
+        }
+        
+        const hours = /(\d+(?:\.\d+)?)\s*(h|hrs?|hours?)\b/i.exec(text);
+        const minutes = /(\d+)\s*(m|mins?|minutes?)\b/i.exec(text);
+        if (!hours && !minutes) return null;
+        return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0)) || null;
+    }
+    
+    /**
+     * Read the number of servings from a recipe yield ("4", "4 servings", ["6", "6 slices"], "Serves 4-6")
+     * @param {*} value - recipeYield
+     * @returns {number|null} Servings (the lower end of a range), or null if no number is given
+     */
+    function parseYield(value) {
+        for (const item of [].concat(value === undefined || value === null ? [] : value)) {
+            const match = /\d+(?:\.\d+)?/.exec(cleanText(item));
+            if (match && parseFloat(match[0]) > 0) {
+                return parseFloat(match[0]);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Split an ingredient line into its amount, unit and the name of the food
+     * @param {string} line - e.g. "2 cups diced broccoli, stems removed"
+     * @returns {Object} { text, amount, unit, name } - amount is null if the line has none,
+     *                   unit is a Units key or null for a count, name is the words to search for
+     */
+    function parseIngredientLine(line) {
+        const { amount, unit, rest } = Units.parseAmount(line);
+        
+        const words = rest
+            .toLowerCase()
+            .replace(/\([^)]*\)/g, ' ')
+            .split(/,|\bfor\b|\bto taste\b|\bor\b/)[0]
+            .split(/[^a-z0-9\u00C0-\u024F'-]+/)
+            .filter(word => word && !DESCRIPTOR_WORDS.has(word));
+        return { text: line, amount, unit, name: words.join(' ') || rest.trim() };
+    }
+    
+    /**
+     * Find the food in the database an ingredient name refers to
+     * The whole name is tried first, then each word on its own (with plurals made singular),
+     * so "diced broccoli florets" still finds Broccoli
+     * @param {string} name - Name from parseIngredientLine()
+     * @param {Array} foods - Foods in the database
+     * @returns {Object|null} The best matching food, or null if nothing matches well enough
+     */
+    function matchIngredient(name, foods) {
+        const words = name.split(/\s+/).filter(Boolean);
+        if (!words.length) return null;
+        
+        const singular = word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss')
+            ? word.replace(/(ies)$/, 'y').replace(/(oes|ches|shes)$/, match => match.slice(0, -2)).replace(/s$/, '')
+            : word;
+        const search = query => {
+            const best = FoodPicker.findFoods(foods, query, 'all', new Map())[0];
+            return best && best.score >= MIN_WORD_SCORE * query.split(' ').length ? best : null;
+        };
+        
+        const whole = search(words.join(' ')) || search(words.map(singular).join(' '));
+        if (whole) return whole.food;
+        
+        // Later words usually name the food ("chicken thighs", "ripe bananas"), so they win ties
+        let bestWord = null;
+        words.forEach(word => {
+            const match = search(word) || search(singular(word));
+            if (match && (!bestWord || match.score >= bestWord.score)) {
+                bestWord = match;
+            }
+        });
+        return bestWord ? bestWord.food : null;
+    }
+    
+    /**
+     * Turn a parsed recipe into a draft for the recipe builder
+     * @param {Object} parsed - Result of parseRecipe()
+     * @param {Array} foods - Foods in the database
+     * @returns {Object} Recipe food without an id; ingredients left to map have a null foodId and a search text
+     */
+    function buildDraft(parsed, foods) {
+        const ingredients = parsed.ingredientLines.map(line => {
+            const ingredient = parseIngredientLine(line);
+            
+            // Lines without an amount ("salt to taste") can't be added without the user deciding how much
+            const food = ingredient.amount !== null ? matchIngredient(ingredient.name, foods) : null;
+            const unit = ingredient.unit || (food && Units.toServings(1, 'piece', food) !== null ? 'piece' : 'serving');
+            if (food && (unit === 'serving' || Units.toServings(ingredient.amount, unit, food) !== null)) {
+                return { foodId: food.id, amount: ingredient.amount, unit, text: line };
+            }
+            
+            // A matched food whose amount can't be converted (cups of a food with no weight) is left to map, so a
+            // guessed amount doesn't quietly skew the nutrition
+            return {
+                foodId: null,
+                amount: ingredient.amount || 1,
+                unit: ingredient.unit || 'piece',
+                text: line,
+                search: food ? food.name : ingredient.name
+            };
+        });
+        
+        const recipe = { ingredients, yield: parsed.yield || 4 };
+        if (parsed.prepMinutes) recipe.prepMinutes = parsed.prepMinutes;
+        if (parsed.cookMinutes) recipe.cookMinutes = parsed.cookMinutes;
+        if (parsed.instructions.length) recipe.instructions = parsed.instructions;
+        
+        return {
+            name: parsed.name,
+            servingSize: '1 serving',
+            category: parsed.category || 'other',
+            recipe
+        };
+    }
+    
+    /**
+     * Tidy text from a page or JSON-LD: decode entities, drop tags and collapse whitespace
+     * Entities are decoded first so escaped markup (e.g. "&lt;img&gt;") is dropped too, and any
+     * angle bracket left over is removed - the text is untrusted and ends up in food names
+     * @param {*} value - Text
+     * @returns {string} Plain text
+     */
+    function cleanText(value) {
+        if (value === undefined || value === null || typeof value === 'object') return '';
+        return String(value)
+            .replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (entity, code) => {
+                if (code[0] === '#') {
+                    const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                    // Numbers past the last Unicode code point would make fromCodePoint throw
+                    return number && number <= 0x10FFFF ? String.fromCodePoint(number) : entity;
+                }
+                return ENTITIES[code.toLowerCase()] || entity;
+            })
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/[<>]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    /**
+     * Show the modal for pasting a recipe or choosing a saved page
+     */
+    function showImportModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const importModal = document.getElementById('recipe-import-modal');
+            
+            if (!modalOverlay || !importModal) return;
+            
+            // Create modal content
+            importModal.innerHTML = `
+                <h3>Import Recipe</h3>
+                <form id="recipe-import-form" class="modal-form">
+                    <p class="food-hint">
+                        Paste a recipe page's HTML (most food blogs include the recipe as schema.org data),
+                        its JSON-LD block, or the recipe text itself. It's read on this device; nothing is uploaded.
+                    </p>
+                    <div>
+                        <label for="recipe-import-file">Saved page or file:</label>
+                        <input type="file" id="recipe-import-file" accept=".html,.htm,.json,.jsonld,.txt,text/html,application/json,application/ld+json,text/plain">
+                    </div>
+                    <div>
+                        <label for="recipe-import-text">Or paste it here:</label>
+                        <textarea id="recipe-import-text" rows="10" placeholder="Pancakes&#10;Serves 4&#10;Ingredients&#10;2 cups flour&#10;1 1/2 cups milk&#10;Method&#10;Whisk everything together..."></textarea>
+                    </div>
+                    <p id="recipe-import-status" class="food-hint" aria-live="polite"></p>
+                    <div class="modal-buttons">
+                        <button type="button" id="cancel-recipe-import">Cancel</button>
+                        <button type="submit">Read Recipe</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            importModal.classList.remove('hidden');
+            document.getElementById('recipe-import-text').focus();
+            
+            // Set up event listeners
+            document.getElementById('cancel-recipe-import').addEventListener('click', Html.closeModal);
+            document.getElementById('recipe-import-file').addEventListener('change', async function() {
+                if (this.files.length > 0) {
+                    document.getElementById('recipe-import-text').value = await this.files[0].text();
+                    importRecipe();
+                }
+            });
+            document.getElementById('recipe-import-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                importRecipe();
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show recipe import",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Read the recipe in the modal and open it in the recipe builder
+     */
+    function importRecipe() {
+        const statusEl = document.getElementById('recipe-import-status');
+        try {
+            let parsed;
+            try {
+                parsed = parseRecipe(document.getElementById('recipe-import-text').value);
+            } catch (parseError) {
+                statusEl.textContent = parseError.message;
+                return;
+            }
+            
+            const draft = buildDraft(parsed, DataStore.getFoodDatabase());
+            Html.closeModal();
+            RecipeBuilder.showRecipeModal(null, 'import', draft);
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_IMPORT_ERROR,
+                "Failed to import recipe",
+                error.message
+            );
+        }
+    }
+    
+    // Public API
+    return {
+        initialize,
+        parseRecipe,
+        parseIngredientLine,
+        matchIngredient,
+        buildDraft,
+        showImportModal
+    };
+})();
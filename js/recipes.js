@@ -0,0 +1,210 @@
+/**
+ * Recipes Module
+ * Derives the nutrition and cost of recipe foods from their ingredients
+ *
+ * A recipe is a food with a `recipe` field: { ingredients: [{ foodId, servings, amount, unit, text }], yield },
+ * plus prepMinutes, cookMinutes and instructions (a list of steps) when known; `text` is the line an
+ * imported ingredient came from.
+ * Its per-serving nutrition, costPerServing and (when every ingredient has a weight) servingGrams are
+ * stored on the food like any other food's, so everything that reads foods works with recipes unchanged.
+ * DataStore re-derives them whenever an ingredient changes (see updateRecipes).
+ */
+
+// Creating an immediate function to encapsulate the recipe calculations in its own scope
+const Recipes = (function() {
+    // Nutrition fields summed from the ingredients (amounts are per serving; see Nutrients)
+    const NUTRIENT_KEYS = Nutrients.KEYS;
+    
+    // Fields every food has, even when no ingredient provides them
+    const REQUIRED_KEYS = Nutrients.REQUIRED_KEYS;
+    
+    /**
+     * Check whether a food is a recipe
+     * @param {Object} food - Food from the database
+     * @returns {boolean} True if the food is made from ingredients
+     */
+    function isRecipe(food) {
+        return Boolean(food && food.recipe && Array.isArray(food.recipe.ingredients));
+    }
+    
+    /**
+     * Work out the totals for a whole recipe
+     * @param {Object} recipe - The food's recipe field
+     * @param {Map} foodsById - Foods by id
+     * @returns {Object} { nutrients, cost, grams, missing } - cost and grams are null when some ingredient lacks them,
+     *                   missing counts ingredients whose food no longer exists
+     */
+    function calculateTotals(recipe, foodsById) {
+        const nutrients = {};
+        NUTRIENT_KEYS.forEach(key => {
+            nutrients[key] = 0;
+        });
+        let cost = 0;
+        let costed = false;
+        let grams = 0;
+        let missing = 0;
+        
+        recipe.ingredients.forEach(ingredient => {
+            const food = foodsById.get(ingredient.foodId);
+            if (!food) {
+                missing++;
+                return;
+            }
+            
+            const servings = Units.getServings(ingredient, food);
+            NUTRIENT_KEYS.forEach(key => {
+                const value = parseFloat(food[key]);
+                if (!isNaN(value)) nutrients[key] += value * servings;
+            });
+            
+            if (food.costPerServing) {
+                cost += parseFloat(food.costPerServing) * servings;
+                costed = true;
+            }
+            
+            const ingredientGrams = Units.toServings(1, 'g', food);
+            if (grams !== null && ingredientGrams) {
+                grams += servings / ingredientGrams;
+            } else {
+                grams = null;
+            }
+        });
+        
+        return { nutrients, cost: costed ? cost : null, grams: grams || null, missing };
+    }
+    
+    /**
+     * Fill in a recipe food's per-serving values from its ingredients
+     * @param {Object} food - Recipe food (not modified)
+     * @param {Map} foodsById - Foods by id, for looking up ingredients
+     * @returns {Object} The food with nutrition, costPerServing and servingGrams derived
+     */
+    function deriveFood(food, foodsById) {
+        if (!isRecipe(food)) {
+            return food;
+        }
+        
+        const yieldServings = parseFloat(food.recipe.yield) > 0 ? parseFloat(food.recipe.yield) : 1;
+        const totals = calculateTotals(food.recipe, foodsById);
+        const derived = { ...food };
+        
+        NUTRIENT_KEYS.forEach(key => {
+            const perServing = Math.round(totals.nutrients[key] / yieldServings * 10) / 10;
+            if (perServing || REQUIRED_KEYS.includes(key)) {
+                derived[key] = perServing;
+            } else {
+                delete derived[key];
+            }
+        });
+        
+        if (totals.cost !== null) {
+            derived.costPerServing = Math.round(totals.cost / yieldServings * 100) / 100;
+        } else {
+            delete derived.costPerServing;
+        }
+        
+        // A serving's weight lets the dish be logged in grams; it's only known if every ingredient has one
+        if (totals.grams) {
+            derived.servingGrams = Math.round(totals.grams / yieldServings);
+            delete derived.servingMl;
+        } else {
+            delete derived.servingGrams;
+        }
+        return derived;
+    }
+    
+    /**
+     * List the recipes that use any of some foods, directly or through other recipes
+     * @param {Array} foodIds - Ingredient foods
+     * @param {Array} foods - Every food in the database
+     * @returns {Array} Recipe foods (not including the given foods themselves)
+     */
+    function findDependents(foodIds, foods) {
+        const recipes = foods.filter(isRecipe);
+        const start = new Set(foodIds);
+        const dependents = new Map();
+        
+        const pending = [...start];
+        while (pending.length) {
+            const id = pending.pop();
+            recipes.forEach(recipe => {
+                if (start.has(recipe.id) || dependents.has(recipe.id)) return;
+                if (recipe.recipe.ingredients.some(ingredient => ingredient.foodId === id)) {
+                    dependents.set(recipe.id, recipe);
+                    pending.push(recipe.id);
+                }
+            });
+        }
+        return Array.from(dependents.values());
+    }
+    
+    /**
+     * Order recipes so each comes after the recipes among them that it uses
+     * @param {Array} recipes - Recipe foods
+     * @returns {Array} The same recipes, ingredients first
+     */
+    function orderByIngredients(recipes) {
+        const byId = new Map(recipes.map(recipe => [recipe.id, recipe]));
+        const ordered = [];
+        const placed = new Set();
+        
+        const place = (recipe, path) => {
+            // A recipe already on the path means stored data has a loop; stop rather than recurse forever
+            if (placed.has(recipe.id) || path.has(recipe.id)) return;
+            path.add(recipe.id);
+            recipe.recipe.ingredients.forEach(ingredient => {
+                if (byId.has(ingredient.foodId)) place(byId.get(ingredient.foodId), path);
+            });
+            placed.add(recipe.id);
+            ordered.push(recipe);
+        };
+        recipes.forEach(recipe => place(recipe, new Set()));
+        return ordered;
+    }
+    
+    /**
+     * Check whether adding an ingredient to a recipe would make the recipe contain itself
+     * @param {string} recipeId - Recipe being edited (null for a new recipe)
+     * @param {string} ingredientId - Food to add
+     * @param {Array} foods - Every food in the database
+     * @returns {boolean} True if the ingredient is the recipe or is made from it
+     */
+    function createsCycle(recipeId, ingredientId, foods) {
+        if (!recipeId) return false;
+        return ingredientId === recipeId || findDependents([recipeId], foods).some(recipe => recipe.id === ingredientId);
+    }
+    
+    /**
+     * Re-derive the changed foods that are recipes and every recipe that uses a changed food
+     * @param {Array} changedFoods - Foods as they are about to be saved
+     * @param {Array} foods - Every food in the database before the change
+     * @returns {Array} The changed foods plus the recipes that use them, ready to save
+     */
+    function updateRecipes(changedFoods, foods) {
+        const foodsById = new Map(foods.map(food => [food.id, food]));
+        changedFoods.forEach(food => foodsById.set(food.id, food));
+        
+        const dependents = findDependents(changedFoods.map(food => food.id), Array.from(foodsById.values()));
+        const recipes = orderByIngredients(changedFoods.filter(isRecipe).concat(dependents));
+        recipes.forEach(recipe => {
+            foodsById.set(recipe.id, deriveFood(foodsById.get(recipe.id), foodsById));
+        });
+        
+        return changedFoods.concat(dependents).map(food => foodsById.get(food.id));
+    }
+    
+    // Public API
+    return {
+        isRecipe,
+        calculateTotals,
+        deriveFood,
+        findDependents,
+        createsCycle,
+        updateRecipes
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Recipes;
+}
@@ -0,0 +1,110 @@
+/**
+ * Snapshots Module
+ * Keeps the food values a meal was logged with, so correcting a food doesn't rewrite past days
+ *
+ * A logged meal item carries a `snapshot` of its food when it was logged: nutrition per serving, the
+ * serving weight and measures its amount was entered against, and the cost per serving on the meal's
+ * date. Totals and costs are worked out from the snapshot; items without one (planned meals) use the food
+ * as it is now. Re-applying current values (DataStore.reapplyCurrentValues) takes a fresh snapshot.
+ */
+
+// Creating an immediate function to encapsulate the snapshots in its own scope
+const Snapshots = (function() {
+    // Food fields kept in a snapshot, besides the cost
+    const SNAPSHOT_FIELDS = Nutrients.KEYS.concat(['servingGrams', 'servingMl', 'measures']);
+    
+    /**
+     * Take a snapshot of a food's values for a meal
+     * @param {Object} food - Food from the database
+     * @param {string} date - Date of the meal (YYYY-MM-DD), for the price then
+     * @param {Map} foodsById - Foods by id, to cost recipes from their ingredients
+     * @returns {Object} { foodId, ...nutrition and weights, costPerServing }
+     */
+    function takeSnapshot(food, date, foodsById) {
+        const snapshot = { foodId: food.id };
+        SNAPSHOT_FIELDS.forEach(key => {
+            if (food[key] !== undefined && food[key] !== null) {
+                snapshot[key] = typeof food[key] === 'object' ? { ...food[key] } : food[key];
+            }
+        });
+        
+        const cost = Prices.getCostPerServing(food, date, foodsById);
+        if (cost !== null) {
+            snapshot.costPerServing = Math.round(cost * 10000) / 10000;
+        }
+        return snapshot;
+    }
+    
+    /**
+     * Check whether a meal item has a snapshot of the food it refers to
+     * @param {Object} item - Meal item
+     * @returns {boolean} True if the snapshot can be used
+     */
+    function hasSnapshot(item) {
+        return Boolean(item && item.snapshot && item.snapshot.foodId === item.foodId);
+    }
+    
+    /**
+     * Get the food values to work out a meal item's nutrition with
+     * @param {Object} item - Meal item
+     * @param {Object} food - The item's food as it is now (may be missing if it was deleted)
+     * @returns {Object|undefined} The food with the snapshot's values in place of its own, or the food itself
+     */
+    function getFoodForItem(item, food) {
+        if (!hasSnapshot(item)) {
+            return food;
+        }
+        
+        // A value the food didn't have when the meal was logged stays missing, even if the food has it now
+        const values = { ...(food || {}), id: item.foodId };
+        SNAPSHOT_FIELDS.concat('costPerServing').forEach(key => {
+            delete values[key];
+        });
+        const { foodId, ...snapshot } = item.snapshot;
+        return { ...values, ...snapshot };
+    }
+    
+    /**
+     * Get the cost per serving of a meal item
+     * @param {Object} item - Meal item
+     * @param {Object} food - The item's food as it is now
+     * @param {string} date - Date of the meal (YYYY-MM-DD), used when the item has no snapshot
+     * @param {Map} foodsById - Foods by id, to cost recipes from their ingredients
+     * @returns {number|null} Cost per serving, or null if there is no price
+     */
+    function getItemCost(item, food, date, foodsById) {
+        if (hasSnapshot(item)) {
+            return item.snapshot.costPerServing !== undefined ? item.snapshot.costPerServing : null;
+        }
+        return Prices.getCostPerServing(food, date, foodsById);
+    }
+    
+    /**
+     * Check whether a meal item's snapshot differs from its food's current values
+     * @param {Object} item - Meal item
+     * @param {Object} food - The item's food as it is now
+     * @param {string} date - Date of the meal (YYYY-MM-DD)
+     * @param {Map} foodsById - Foods by id
+     * @returns {boolean} True if re-applying current values would change the item
+     */
+    function isOutdated(item, food, date, foodsById) {
+        if (!hasSnapshot(item) || !food) {
+            return false;
+        }
+        return JSON.stringify(takeSnapshot(food, date, foodsById)) !== JSON.stringify(item.snapshot);
+    }
+    
+    // Public API
+    return {
+        takeSnapshot,
+        hasSnapshot,
+        getFoodForItem,
+        getItemCost,
+        isOutdated
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Snapshots;
+}
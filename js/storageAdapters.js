@@ -0,0 +1,160 @@
+/**
+ * Storage Adapters Module
+ * Interchangeable places for DataStore to keep its data: IndexedDB, localStorage, memory or a JSON file (Node)
+ *
+ * Two kinds of adapter exist, matching the two ways DataStore saves data:
+ * - 'records' adapters keep one record per day, member, expense or food in object stores (IndexedDB)
+ * - 'keyvalue' adapters keep each whole collection as a JSON string under its own key, like localStorage
+ */
+
+// Creating an immediate function to encapsulate the adapters in their own scope
+const StorageAdapters = (function() {
+    // How an adapter stores data (see the module comment)
+    const KINDS = {
+        RECORDS: 'records',
+        KEY_VALUE: 'keyvalue'
+    };
+    
+    // Characters most browsers let a site keep in localStorage (keys and values both count)
+    const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+    
+    /**
+     * Build a key-value adapter from its storage functions
+     * @param {string} name - Adapter name, shown in the storage panel
+     * @param {Object} storage - { getItem, setItem, removeItem, keys } working on strings, like localStorage
+     * @param {number|null} quota - Characters the storage can hold, or null if unknown
+     * @returns {Object} Key-value adapter
+     */
+    function createKeyValueAdapter(name, storage, quota = null) {
+        return {
+            name,
+            kind: KINDS.KEY_VALUE,
+            quota,
+            getItem: storage.getItem,
+            setItem: storage.setItem,
+            removeItem: storage.removeItem,
+            keys: storage.keys
+        };
+    }
+    
+    /**
+     * Check whether localStorage can be used (some privacy modes throw on access)
+     * @returns {boolean} True if localStorage is available
+     */
+    function isLocalStorageSupported() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Create an adapter for the browser's IndexedDB (see IndexedDBStorage)
+     * @param {string} databaseName - Database to use (each household profile has its own)
+     * @returns {Object} Records adapter
+     */
+    function createIndexedDBAdapter(databaseName) {
+        return {
+            name: 'indexeddb',
+            kind: KINDS.RECORDS,
+            quota: null,
+            open() {
+                IndexedDBStorage.useDatabase(databaseName);
+                return IndexedDBStorage.open();
+            },
+            get: IndexedDBStorage.get,
+            getAll: IndexedDBStorage.getAll,
+            write: IndexedDBStorage.write,
+            clearAll: IndexedDBStorage.clearAll
+        };
+    }
+    
+    /**
+     * Create an adapter for the browser's localStorage
+     * @param {Storage} storage - Storage object to use (localStorage by default)
+     * @returns {Object} Key-value adapter
+     */
+    function createLocalStorageAdapter(storage = localStorage) {
+        return createKeyValueAdapter('localstorage', {
+            getItem: key => storage.getItem(key),
+            setItem: (key, value) => storage.setItem(key, value),
+            removeItem: key => storage.removeItem(key),
+            keys: () => Object.keys(storage)
+        }, LOCAL_STORAGE_QUOTA);
+    }
+    
+    /**
+     * Create an adapter that keeps everything in memory, e.g. for scripts and tests
+     * Nothing survives the process, but the same adapter can be handed to DataStore again to reopen the data
+     * @param {Object} initial - Stored strings to start with, by key
+     * @returns {Object} Key-value adapter
+     */
+    function createMemoryAdapter(initial = {}) {
+        const items = new Map(Object.entries(initial));
+        
+        return createKeyValueAdapter('memory', {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key),
+            keys: () => [...items.keys()]
+        });
+    }
+    
+    /**
+     * Create an adapter that keeps everything in a JSON file (Node only)
+     * The file holds one readable entry per key and is replaced in one step on every save,
+     * so a crash can't leave it half written
+     * @param {string} file - Path of the JSON file (created on the first save)
+     * @returns {Object} Key-value adapter
+     */
+    function createJsonFileAdapter(file) {
+        const fs = require('fs');
+        
+        let items = {};
+        try {
+            items = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        
+        function save() {
+            const temporary = `${file}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(items, null, 2));
+            fs.renameSync(temporary, file);
+        }
+        
+        return createKeyValueAdapter('jsonfile', {
+            getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? JSON.stringify(items[key]) : null),
+            setItem(key, value) {
+                // Values arrive as JSON strings - store them parsed so the file stays readable
+                items[key] = JSON.parse(value);
+                save();
+            },
+            removeItem(key) {
+                if (Object.prototype.hasOwnProperty.call(items, key)) {
+                    delete items[key];
+                    save();
+                }
+            },
+            keys: () => Object.keys(items)
+        });
+    }
+    
+    // Public API
+    return {
+        KINDS,
+        isLocalStorageSupported,
+        createIndexedDBAdapter,
+        createLocalStorageAdapter,
+        createMemoryAdapter,
+        createJsonFileAdapter
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapters;
+}
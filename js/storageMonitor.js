@@ -0,0 +1,256 @@
+/**
+ * Storage Monitor Module
+ * Storage health panel, warnings before storage fills up, and archiving of old years
+ */
+
+const StorageMonitor = (function() {
+    // Share of the quota at which we warn, and at which the warning becomes urgent
+    const WARNING_LEVEL = 0.8;
+    const CRITICAL_LEVEL = 0.95;
+    
+    // How long after a change usage is measured, so a burst of edits is measured once
+    const CHECK_DELAY = 5000;
+    
+    // Human-readable names for each collection in the panel
+    const COLLECTION_LABELS = {
+        meals: 'Logged meal days',
+        mealPlans: 'Planned meal days',
+        familyMembers: 'Family members',
+        budget: 'Budget',
+        expenses: 'Expenses',
+        foodDatabase: 'Foods'
+    };
+    
+    // Timer for the next usage check, and the warning level already shown this session
+    let checkTimer = null;
+    let warnedLevel = 0;
+    
+    /**
+     * Initialize the storage link, usage checks and warnings
+     */
+    function initialize() {
+        try {
+            const storageLink = document.getElementById('storage-settings');
+            if (storageLink) {
+                storageLink.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    showStorageModal();
+                });
+            }
+            
+            // A save failed for lack of space - the error banner says so, the toast offers a way out
+            DataStore.on(DataStore.STORAGE_FULL_EVENT, function() {
+                UndoHistory.showToast('Storage is full - changes are not being saved', { label: 'Free up space', action: showStorageModal });
+            });
+            
+            // Measure again whenever data has been added
+            DataStore.onMutation(scheduleUsageCheck);
+            scheduleUsageCheck();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize storage monitor",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Measure storage usage shortly, unless a check is already scheduled
+     */
+    function scheduleUsageCheck() {
+        if (checkTimer) return;
+        checkTimer = setTimeout(function() {
+            checkTimer = null;
+            checkUsage();
+        }, CHECK_DELAY);
+    }
+    
+    /**
+     * Warn once per level when storage is getting full
+     */
+    async function checkUsage() {
+        try {
+            const report = await DataStore.getStorageUsage();
+            const ratio = getUsageRatio(report);
+            if (ratio === null) return;
+            
+            const level = ratio >= CRITICAL_LEVEL ? CRITICAL_LEVEL : ratio >= WARNING_LEVEL ? WARNING_LEVEL : 0;
+            if (level > warnedLevel) {
+                UndoHistory.showToast(`Storage is ${Math.round(ratio * 100)}% full`, { label: 'Manage', action: showStorageModal });
+            }
+            // Warn again if usage drops and then climbs back up
+            warnedLevel = level;
+        } catch (error) {
+            // Usage is only an estimate - a failed measurement isn't worth interrupting anyone for
+            console.warn('Failed to measure storage usage:', error.message);
+        }
+    }
+    
+    /**
+     * Get the share of the quota in use
+     * @param {Object} report - Report from DataStore.getStorageUsage()
+     * @returns {number|null} Between 0 and 1, or null if the browser can't tell
+     */
+    function getUsageRatio(report) {
+        if (report.usage === null || !report.quota) return null;
+        return Math.min(report.usage / report.quota, 1);
+    }
+    
+    /**
+     * Show the storage health panel
+     */
+    async function showStorageModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const storageModal = document.getElementById('storage-modal');
+            
+            if (!modalOverlay || !storageModal) return;
+            
+            // Save what's pending first, so the figures are current and anything left over really failed
+            await DataStore.flushWrites();
+            const report = await DataStore.getStorageUsage();
+            const ratio = getUsageRatio(report);
+            const levelClass = ratio === null ? '' : ratio >= CRITICAL_LEVEL ? 'critical' : ratio >= WARNING_LEVEL ? 'warning' : '';
+            
+            const collectionRows = Object.keys(COLLECTION_LABELS).map(collection => `
+                <tr>
+                    <td>${COLLECTION_LABELS[collection]}</td>
+                    <td>${report.collections[collection].records}</td>
+                    <td>${formatSize(report.collections[collection].size)}</td>
+                </tr>
+            `).join('');
+            
+            const archiveRows = report.archives.map(archive => `
+                <tr>
+                    <td>${archive.year}</td>
+                    <td>${archive.counts.meals}</td>
+                    <td>${archive.counts.mealPlans}</td>
+                    <td>${archive.counts.expenses}</td>
+                    <td>${formatSize(archive.size)}</td>
+                </tr>
+            `).join('');
+            
+            // Any year after the oldest data, up to and including this one, leaves something to archive
+            const currentYear = new Date().getFullYear();
+            const archiveYears = [];
+            if (report.oldestDate) {
+                for (let year = currentYear; year > parseInt(report.oldestDate.slice(0, 4), 10); year--) {
+                    archiveYears.push(year);
+                }
+            }
+            
+            // Create modal content
+            storageModal.innerHTML = `
+                <h3>Storage</h3>
+                <div class="storage-health">
+                    <p class="storage-hint">Saved in ${report.backend === 'indexeddb' ? 'this browser\'s database (IndexedDB)' : 'this browser\'s local storage'}.</p>
+                    ${ratio === null ? `
+                        <p class="storage-summary">${report.usage === null ? 'This browser does not report how much space is used.' : `${formatSize(report.usage)} used.`}</p>
+                    ` : `
+                        <div class="storage-meter ${levelClass}" role="meter" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(ratio * 100)}">
+                            <div class="storage-meter-fill" style="width: ${Math.max(ratio * 100, 1)}%"></div>
+                        </div>
+                        <p class="storage-summary">${formatSize(report.usage)} of about ${formatSize(report.quota)} used (${Math.round(ratio * 100)}%)</p>
+                    `}
+                    ${report.unsavedChanges ? `
+                        <p class="storage-error" role="alert">Some changes could not be saved because storage is full. Archive old data to make room.</p>
+                    ` : ''}
+                    <table class="storage-table">
+                        <thead>
+                            <tr><th>Data</th><th>Records</th><th>Size</th></tr>
+                        </thead>
+                        <tbody>${collectionRows}</tbody>
+                    </table>
+                    <h4>Archives</h4>
+                    ${archiveRows ? `
+                        <table class="storage-table">
+                            <thead>
+                                <tr><th>Year</th><th>Meal days</th><th>Planned days</th><th>Expenses</th><th>Size</th></tr>
+                            </thead>
+                            <tbody>${archiveRows}</tbody>
+                        </table>
+                    ` : '<p class="storage-hint">Nothing has been archived yet.</p>'}
+                </div>
+                <form id="archive-form" class="modal-form">
+                    <div>
+                        <label for="archive-year">Archive meals and expenses from before:</label>
+                        <select id="archive-year" ${archiveYears.length ? '' : 'disabled'}>
+                            ${archiveYears.length
+                                ? archiveYears.map(year => `<option value="${year}">${year}</option>`).join('')
+                                : '<option>Nothing old enough to archive</option>'}
+                        </select>
+                    </div>
+                    <p class="storage-hint">Archived data is compressed to save space. Reports, the budget view and backups still include it, but it no longer shows in the daily meal log and can't be edited.</p>
+                    <div class="modal-buttons">
+                        <button type="button" id="close-storage">Close</button>
+                        <button type="submit" ${archiveYears.length ? '' : 'disabled'}>Archive</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            storageModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('close-storage').addEventListener('click', Html.closeModal);
+            document.getElementById('archive-form').addEventListener('submit', function(e) {
+                e.preventDefault();
+                archiveOldData(parseInt(document.getElementById('archive-year').value, 10));
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show storage details",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Archive everything dated before a year, after confirmation
+     * @param {number} year - First year to keep in the live data
+     */
+    async function archiveOldData(year) {
+        try {
+            if (!confirm(`Archive meals and expenses from before ${year}? They will no longer be editable.`)) {
+                return;
+            }
+            
+            const count = await DataStore.archiveBefore(year);
+            if (count < 0) {
+                // DataStore has already reported why
+                return;
+            }
+            
+            UndoHistory.showToast(count ? `Archived ${count} record${count === 1 ? '' : 's'} from before ${year}` : 'Nothing to archive');
+            warnedLevel = 0;
+            showStorageModal();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+                "Failed to archive old data",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Format a size for display
+     * @param {number} size - Size in bytes (or characters for localStorage)
+     * @returns {string} e.g. "512 B", "14.2 KB", "3.1 MB"
+     */
+    function formatSize(size) {
+        if (size < 1024) return `${size} B`;
+        if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+        if (size < 1024 * 1024 * 1024) return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(size / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+    
+    // Public API
+    return {
+        initialize,
+        showStorageModal
+    };
+})();
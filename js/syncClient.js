@@ -0,0 +1,880 @@
+/**
+ * Sync Client Module
+ * Optional sync of DataStore records with a self-hosted REST server (see server/sync-server.js),
+ * with an outbound queue while offline and last-writer-wins conflict handling
+ */
+
+const SyncClient = (function() {
+    // Sync settings and progress, per household (the profile suffix is added)
+    const STATE_KEY = 'family-meal-tracker-sync-state';
+    
+    // How often to check the server for changes from other devices
+    const SYNC_INTERVAL = 30000;
+    
+    // How long after a local edit to send it, so a burst of edits goes out together
+    const PUSH_DELAY = 2000;
+    
+    // Most changes sent in one request. A sync sends batches until the queue is empty, but sends a record at
+    // most MAX_PUSH_ATTEMPTS times: one that keeps meeting a newer server copy waits for the next sync
+    const PUSH_BATCH_SIZE = 200;
+    const MAX_PUSH_ATTEMPTS = 3;
+    
+    // Collections where the losing side of a conflict is kept for the user to review
+    const REVIEWED_COLLECTIONS = ['meals', 'mealPlans', 'expenses'];
+    
+    // Meal slots held by every day record
+    const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snacks'];
+    
+    // Collections keyed by `${date}_${familyMemberId}`, and those that are lists keyed by record id
+    const DAY_COLLECTIONS = ['meals', 'mealPlans'];
+    const LIST_COLLECTIONS = ['familyMembers', 'expenses', 'foodDatabase'];
+    
+    // Schema version of records sent before changes carried one (sync shipped with version 1)
+    const UNVERSIONED_SCHEMA = 1;
+    
+    // Transport used instead of the HTTP one, e.g. createMemoryTransport() in tests
+    let transportOverride = null;
+    
+    // Timers for the periodic sync and the delayed push after local edits
+    let syncTimer = null;
+    let pushTimer = null;
+    
+    // The sync currently running, so overlapping requests share it
+    let runningSync = null;
+    
+    // Whether the last request reached the server, and whether its failure has been reported already
+    let online = true;
+    let errorReported = false;
+    
+    // Set once the data store is locked - its cache is empty, so nothing may be read or sent
+    let stopped = false;
+    
+    // Conflicts waiting for review (the only copy while data is encrypted, see saveState)
+    let sessionConflicts = [];
+    
+    /**
+     * Get the storage key for the active household's sync state
+     * @returns {string} localStorage key
+     */
+    function getStateKey() {
+        return STATE_KEY + Profiles.getStorageSuffix();
+    }
+    
+    /**
+     * Read the sync state
+     * State is re-read before every step rather than kept in memory, so several open tabs share one queue
+     * @returns {Object} { enabled, url, token, deviceId, schemaVersion, cursor, revisions, queue, lastSyncedAt, conflicts }
+     */
+    function loadState() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(getStateKey()));
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_PARSE_ERROR,
+                "Failed to read sync settings",
+                error.message
+            );
+        }
+        
+        const state = {
+            enabled: false,
+            url: '',
+            token: '',
+            deviceId: null,
+            schemaVersion: UNVERSIONED_SCHEMA, // Schema the keys below were recorded under
+            cursor: 0, // Server revision pulled up to
+            revisions: {}, // Server revision of each record this device has, by `${collection}/${key}`
+            queue: {}, // Records changed here and not yet sent: { collection, key, updatedAt }, by `${collection}/${key}`
+            lastSyncedAt: null,
+            conflicts: [],
+            ...saved
+        };
+        if (DataStore.isEncrypted()) {
+            state.conflicts = sessionConflicts;
+        }
+        return state;
+    }
+    
+    /**
+     * Save the sync state
+     * Conflicts hold copies of records, so they are only kept for this session while data is encrypted
+     * @param {Object} state - State from loadState()
+     */
+    function saveState(state) {
+        const saved = DataStore.isEncrypted() ? { ...state, conflicts: [] } : state;
+        localStorage.setItem(getStateKey(), JSON.stringify(saved));
+        sessionConflicts = state.conflicts;
+    }
+    
+    /**
+     * Get the id used for a record in the queue and revision maps
+     * @param {string} collection - DataStore collection
+     * @param {string} key - Record key
+     * @returns {string} Record id
+     */
+    function recordId(collection, key) {
+        return `${collection}/${key}`;
+    }
+    
+    /**
+     * Initialize the sync settings link and start syncing if it is turned on
+     */
+    function initialize() {
+        try {
+            const syncLink = document.getElementById('sync-settings');
+            if (syncLink) {
+                syncLink.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    showSyncModal();
+                });
+            }
+            
+            // Queue every edit made here (changes pulled from the server or other tabs are skipped)
+            DataStore.onMutation(recordMutation);
+            
+            DataStore.on(DataStore.LOCK_EVENT, function() {
+                stopped = true;
+                stopTimers();
+            });
+            
+            // Send whatever was queued as soon as the connection is back
+            window.addEventListener('online', function() {
+                if (loadState().enabled) syncNow();
+            });
+            
+            upgradeState();
+            
+            if (loadState().enabled) {
+                startTimers();
+                syncNow();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize sync",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Bring the sync state up to the current schema after the app was updated
+     * Migrations can change record keys (ids became UUIDs in version 2), so the revisions recorded under the
+     * old keys are forgotten and everything is pulled again; edits still queued keep their time, everything
+     * else is queued as older than any edit made elsewhere, as when sync is first turned on
+     */
+    function upgradeState() {
+        const state = loadState();
+        if (state.schemaVersion === Migrations.CURRENT_VERSION) return;
+        
+        if (state.enabled) {
+            const pending = state.queue;
+            state.cursor = 0;
+            state.revisions = {};
+            state.queue = {};
+            queueAllRecords(state, new Date(0).toISOString());
+            
+            Object.values(pending).forEach(entry => {
+                const { key } = upgradeRecord(entry.collection, entry.key, undefined, state.schemaVersion);
+                state.queue[recordId(entry.collection, key)] = { collection: entry.collection, key, updatedAt: entry.updatedAt };
+            });
+            
+            state.conflicts = state.conflicts.map(conflict => {
+                const mine = upgradeRecord(conflict.collection, conflict.key, conflict.mine, state.schemaVersion);
+                const theirs = upgradeRecord(conflict.collection, conflict.key, conflict.theirs, state.schemaVersion);
+                return { ...conflict, key: mine.key, mine: mine.value, theirs: theirs.value };
+            });
+        }
+        
+        state.schemaVersion = Migrations.CURRENT_VERSION;
+        saveState(state);
+    }
+    
+    /**
+     * Bring a record written by an older version of the app up to the current schema
+     * The record is migrated on its own, wrapped in a snapshot of its collection, so its key may change
+     * @param {string} collection - DataStore collection
+     * @param {string} key - Record key
+     * @param {*} value - The record (undefined if it was deleted)
+     * @param {number} version - Schema version the record was written with
+     * @returns {Object|null} { key, value }, or null if a newer version of the app wrote it
+     */
+    function upgradeRecord(collection, key, value, version) {
+        if (version > Migrations.CURRENT_VERSION) return null;
+        if (!Migrations.needsMigration(version)) return { key, value };
+        
+        // A deleted record still needs its key upgraded, so migrate a placeholder in its place
+        const deleted = value === undefined || value === null;
+        const snapshot = {};
+        if (DAY_COLLECTIONS.includes(collection)) {
+            snapshot[collection] = { [key]: deleted ? {} : value };
+        } else if (LIST_COLLECTIONS.includes(collection)) {
+            snapshot[collection] = [deleted ? { id: key } : value];
+        } else {
+            snapshot[collection] = deleted ? {} : value;
+        }
+        
+        const upgraded = Migrations.runMigrations(snapshot, version).data[collection];
+        if (DAY_COLLECTIONS.includes(collection)) {
+            const upgradedKey = Object.keys(upgraded)[0];
+            return { key: upgradedKey, value: deleted ? value : upgraded[upgradedKey] };
+        }
+        if (LIST_COLLECTIONS.includes(collection)) {
+            return { key: upgraded[0].id, value: deleted ? value : upgraded[0] };
+        }
+        return { key, value: deleted ? value : upgraded };
+    }
+    
+    /**
+     * Queue the records changed by a mutation
+     * @param {Object} mutation - { label, source, destructive, reset, replaced, changes } from DataStore
+     */
+    function recordMutation(mutation) {
+        if (mutation.source !== 'local' && mutation.source !== 'history') return;
+        
+        const state = loadState();
+        if (!state.enabled) return;
+        
+        // Imports and resets list only the records that differ, so untouched ones keep their time on the server
+        // and can't win over edits made elsewhere; archiving lists none, since the records still exist
+        const updatedAt = new Date().toISOString();
+        mutation.changes.forEach(change => {
+            state.queue[recordId(change.collection, change.key)] = { collection: change.collection, key: String(change.key), updatedAt };
+        });
+        
+        // After a replace or reset, records the server has that aren't in the data here (e.g. from archives that
+        // weren't loaded) are deleted everywhere too
+        if (mutation.replaced) {
+            Object.keys(state.revisions).forEach(id => {
+                const separatorIndex = id.indexOf('/');
+                const collection = id.slice(0, separatorIndex);
+                const key = id.slice(separatorIndex + 1);
+                if (DataStore.CHANGE_EVENTS[collection] && !state.queue[id] && DataStore.getRecordValue(collection, key) === undefined) {
+                    state.queue[id] = { collection, key, updatedAt };
+                }
+            });
+        }
+        saveState(state);
+        schedulePush();
+    }
+    
+    /**
+     * Queue every record currently held
+     * @param {Object} state - Sync state (modified in place)
+     * @param {string} updatedAt - Time to record the changes under
+     */
+    function queueAllRecords(state, updatedAt) {
+        Object.keys(DataStore.CHANGE_EVENTS).forEach(collection => {
+            DataStore.getCollectionKeys(collection).forEach(key => {
+                state.queue[recordId(collection, key)] = { collection, key: String(key), updatedAt };
+            });
+        });
+    }
+    
+    /**
+     * Send queued edits shortly, once the current burst of edits has settled
+     */
+    function schedulePush() {
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(syncNow, PUSH_DELAY);
+    }
+    
+    /**
+     * Start the periodic sync
+     */
+    function startTimers() {
+        stopTimers();
+        syncTimer = setInterval(syncNow, SYNC_INTERVAL);
+    }
+    
+    /**
+     * Stop the periodic sync and any pending push
+     */
+    function stopTimers() {
+        clearInterval(syncTimer);
+        clearTimeout(pushTimer);
+        syncTimer = null;
+        pushTimer = null;
+    }
+    
+    /**
+     * Create a transport that talks to the reference server over HTTP
+     * @param {string} url - Server address, e.g. https://sync.example.com
+     * @param {string} token - Bearer token, if the server requires one
+     * @returns {Object} Transport with pull(since) and push(changes)
+     */
+    function createHttpTransport(url, token) {
+        const base = url.replace(/\/+$/, '');
+        
+        async function request(path, options = {}) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            
+            let response;
+            try {
+                response = await fetch(base + path, { ...options, headers });
+            } catch (error) {
+                // fetch only rejects when the server can't be reached at all
+                const offline = new Error(`Sync server unreachable: ${error.message}`);
+                offline.offline = true;
+                throw offline;
+            }
+            if (!response.ok) {
+                throw new Error(`Sync server answered ${response.status}`);
+            }
+            return response.json();
+        }
+        
+        return {
+            pull: since => request(`/changes?since=${since}`),
+            push: changes => request('/changes', { method: 'POST', body: JSON.stringify({ changes }) })
+        };
+    }
+    
+    /**
+     * Create a transport that keeps the server's records in memory, for tests and demos
+     * Transports sharing a store behave like devices sharing a server; set `offline` to simulate losing the connection
+     * @param {Object} store - { revision, records } to share between transports (a new one by default)
+     * @returns {Object} Transport with pull(since), push(changes), store and offline
+     */
+    function createMemoryTransport(store = { revision: 0, records: {} }) {
+        const transport = {
+            store,
+            offline: false,
+            async pull(since) {
+                checkConnection();
+                const changes = Object.values(store.records)
+                    .filter(record => record.rev > since)
+                    .sort((a, b) => a.rev - b.rev);
+                return JSON.parse(JSON.stringify({ changes, revision: store.revision, more: false }));
+            },
+            async push(changes) {
+                checkConnection();
+                // Same rule as the reference server: only apply a change made against the latest revision
+                const results = changes.map(change => {
+                    const id = recordId(change.collection, change.key);
+                    const current = store.records[id];
+                    if ((current ? current.rev : 0) !== (change.baseRev || 0)) {
+                        return { status: 'conflict', current: current || null };
+                    }
+                    store.revision++;
+                    store.records[id] = {
+                        collection: change.collection,
+                        key: String(change.key),
+                        value: change.deleted ? null : change.value,
+                        deleted: Boolean(change.deleted),
+                        rev: store.revision,
+                        updatedAt: change.updatedAt,
+                        deviceId: change.deviceId,
+                        schemaVersion: change.schemaVersion
+                    };
+                    return { status: 'applied', rev: store.revision };
+                });
+                return JSON.parse(JSON.stringify({ results }));
+            }
+        };
+        
+        function checkConnection() {
+            if (transport.offline) {
+                const error = new Error('Sync server unreachable: offline');
+                error.offline = true;
+                throw error;
+            }
+        }
+        
+        return transport;
+    }
+    
+    /**
+     * Use a different transport, e.g. createMemoryTransport() (pass null to go back to HTTP)
+     * @param {Object|null} transport - Transport with pull(since) and push(changes)
+     */
+    function setTransport(transport) {
+        transportOverride = transport;
+    }
+    
+    /**
+     * Turn sync on for this household
+     * Records already on the server win over this device's copies, since those were never synced;
+     * records only this device has are uploaded
+     * @param {string} url - Server address
+     * @param {string} token - Bearer token, if the server requires one
+     * @returns {Promise<boolean>} True if the first sync succeeded
+     */
+    async function enableSync(url, token) {
+        const state = loadState();
+        const changedServer = state.url !== url;
+        
+        state.enabled = true;
+        state.url = url;
+        state.token = token || '';
+        state.deviceId = state.deviceId || `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        
+        // Start from scratch against a new server, queueing everything as older than any edit made elsewhere
+        if (changedServer || !state.lastSyncedAt) {
+            state.schemaVersion = Migrations.CURRENT_VERSION;
+            state.cursor = 0;
+            state.revisions = {};
+            state.queue = {};
+            queueAllRecords(state, new Date(0).toISOString());
+        }
+        
+        saveState(state);
+        stopped = false;
+        startTimers();
+        return syncNow();
+    }
+    
+    /**
+     * Turn sync off for this household (turning it back on starts a fresh sync)
+     */
+    function disableSync() {
+        const state = loadState();
+        state.enabled = false;
+        state.cursor = 0;
+        state.revisions = {};
+        state.queue = {};
+        state.lastSyncedAt = null;
+        saveState(state);
+        stopTimers();
+    }
+    
+    /**
+     * Pull changes from the server, then push the queued ones
+     * @returns {Promise<boolean>} True if the sync completed
+     */
+    function syncNow() {
+        if (!runningSync) {
+            runningSync = runSync().finally(() => {
+                runningSync = null;
+            });
+        }
+        return runningSync;
+    }
+    
+    /**
+     * Run one sync: pull, then push (see syncNow)
+     * @returns {Promise<boolean>} True if the sync completed
+     */
+    async function runSync() {
+        const state = loadState();
+        if (!state.enabled || stopped) return false;
+        if (!transportOverride && !state.url) return false;
+        
+        const transport = transportOverride || createHttpTransport(state.url, state.token);
+        const conflictsBefore = state.conflicts.length;
+        
+        try {
+            await pull(transport);
+            await push(transport);
+            
+            const finished = loadState();
+            finished.lastSyncedAt = new Date().toISOString();
+            saveState(finished);
+            
+            online = true;
+            errorReported = false;
+            
+            const newConflicts = finished.conflicts.length - conflictsBefore;
+            if (newConflicts > 0) {
+                UndoHistory.showToast(
+                    `${newConflicts} record${newConflicts === 1 ? ' was' : 's were'} edited on two devices`,
+                    { label: 'Review', action: showSyncModal }
+                );
+            }
+            return true;
+        } catch (error) {
+            // Offline is expected - edits stay queued until the server can be reached again
+            online = !error.offline;
+            if (!error.offline && !errorReported) {
+                errorReported = true;
+                ErrorHandler.handleError(
+                    ErrorHandler.ERROR_CODES.DATA_SYNC_ERROR,
+                    "Failed to sync with the server",
+                    error.message
+                );
+            }
+            return false;
+        }
+    }
+    
+    /**
+     * Fetch and apply every change made on other devices since the last pull
+     * @param {Object} transport - Transport to use
+     */
+    async function pull(transport) {
+        let more = true;
+        while (more) {
+            const response = await transport.pull(loadState().cursor);
+            if (stopped) return;
+            
+            const state = loadState();
+            const records = [];
+            response.changes.forEach(remote => reconcile(state, remote, records));
+            state.cursor = response.revision;
+            applyRemoteRecords(records);
+            saveState(state);
+            
+            more = Boolean(response.more);
+        }
+    }
+    
+    /**
+     * Send every queued edit in batches, re-sending those that won a conflict against a newer server copy
+     * @param {Object} transport - Transport to use
+     */
+    async function push(transport) {
+        const attempts = {};
+        for (;;) {
+            const sent = loadState();
+            const entries = Object.entries(sent.queue)
+                .filter(([id]) => (attempts[id] || 0) < MAX_PUSH_ATTEMPTS)
+                .slice(0, PUSH_BATCH_SIZE);
+            if (!entries.length) return;
+            entries.forEach(([id]) => {
+                attempts[id] = (attempts[id] || 0) + 1;
+            });
+            
+            // Send each record as it is now, however many times it was edited while queued
+            const schemaVersion = DataStore.getSchemaVersion();
+            const changes = entries.map(([id, entry]) => {
+                const value = DataStore.getRecordValue(entry.collection, entry.key);
+                return {
+                    collection: entry.collection,
+                    key: entry.key,
+                    value: value === undefined ? null : value,
+                    deleted: value === undefined,
+                    baseRev: sent.revisions[id] || 0,
+                    updatedAt: entry.updatedAt,
+                    deviceId: sent.deviceId,
+                    schemaVersion
+                };
+            });
+            
+            const response = await transport.push(changes);
+            if (stopped) return;
+            
+            // Re-read, since more edits may have been queued while the request was out
+            const state = loadState();
+            const records = [];
+            response.results.forEach((result, index) => {
+                const [id, entry] = entries[index];
+                if (result.status === 'applied') {
+                    state.revisions[id] = result.rev;
+                    if (state.queue[id] && state.queue[id].updatedAt === entry.updatedAt) {
+                        delete state.queue[id];
+                    }
+                } else if (result.current) {
+                    reconcile(state, result.current, records);
+                } else {
+                    // The server no longer has the record at all, so send it as new
+                    state.revisions[id] = 0;
+                }
+            });
+            applyRemoteRecords(records);
+            saveState(state);
+        }
+    }
+    
+    /**
+     * Decide what to do with a record from the server
+     * If this device has a queued edit of the same record, the later edit wins (last writer wins);
+     * for meals and expenses the other version is kept for review
+     * Records written by an older version of the app are upgraded first, which may give them a new key
+     * @param {Object} state - Sync state (modified in place)
+     * @param {Object} remote - Server record { collection, key, value, deleted, rev, updatedAt, schemaVersion }
+     * @param {Array} records - Records to apply locally (added to)
+     */
+    function reconcile(state, remote, records) {
+        // Skip collections this version of the app doesn't know about
+        if (!DataStore.CHANGE_EVENTS[remote.collection]) return;
+        
+        const serverId = recordId(remote.collection, remote.key);
+        if ((state.revisions[serverId] || 0) >= remote.rev) {
+            // Already have it, e.g. our own change coming back
+            return;
+        }
+        state.revisions[serverId] = remote.rev;
+        
+        // Leave records from a newer version of the app alone until this one is updated too
+        const upgraded = upgradeRecord(remote.collection, remote.key, remote.deleted ? undefined : remote.value,
+            remote.schemaVersion || UNVERSIONED_SCHEMA);
+        if (!upgraded) return;
+        
+        const { key } = upgraded;
+        const id = recordId(remote.collection, key);
+        const remoteValue = upgraded.value;
+        const pending = state.queue[id];
+        if (!pending) {
+            records.push({ collection: remote.collection, key, value: remoteValue });
+            return;
+        }
+        
+        // Both sides changed the record; nothing to decide if they ended up the same
+        const localValue = DataStore.getRecordValue(remote.collection, key);
+        if (JSON.stringify(localValue) === JSON.stringify(remoteValue)) {
+            delete state.queue[id];
+            return;
+        }
+        
+        const remoteWins = remote.updatedAt > pending.updatedAt;
+        if (remoteWins) {
+            delete state.queue[id];
+            records.push({ collection: remote.collection, key, value: remoteValue });
+        }
+        // Otherwise the queued edit stays and, now based on the latest revision, replaces the server copy
+        
+        if (REVIEWED_COLLECTIONS.includes(remote.collection)) {
+            state.conflicts = state.conflicts
+                .filter(conflict => recordId(conflict.collection, conflict.key) !== id)
+                .concat({
+                    collection: remote.collection,
+                    key,
+                    mine: localValue,
+                    mineUpdatedAt: pending.updatedAt,
+                    theirs: remoteValue,
+                    theirsUpdatedAt: remote.updatedAt,
+                    kept: remoteWins ? 'theirs' : 'mine'
+                });
+        }
+    }
+    
+    /**
+     * Write records from the server into the data store
+     * @param {Array} records - { collection, key, value } records
+     */
+    function applyRemoteRecords(records) {
+        if (!records.length) return;
+        DataStore.applyRecords(records, { label: 'Changes from other devices', source: 'sync' });
+    }
+    
+    /**
+     * Get a summary of the sync state
+     * @returns {Object} { enabled, url, online, lastSyncedAt, pending, conflicts }
+     */
+    function getStatus() {
+        const state = loadState();
+        return {
+            enabled: state.enabled,
+            url: state.url,
+            online,
+            lastSyncedAt: state.lastSyncedAt,
+            pending: Object.keys(state.queue).length,
+            conflicts: getConflicts().length
+        };
+    }
+    
+    /**
+     * Get the conflicts waiting for review
+     * @returns {Array} { collection, key, mine, theirs, kept, mineUpdatedAt, theirsUpdatedAt }
+     */
+    function getConflicts() {
+        return loadState().conflicts;
+    }
+    
+    /**
+     * Settle a conflict by choosing a version
+     * Choosing the version that lost writes it back as a new edit, which then syncs to every device
+     * @param {number} index - Index in getConflicts()
+     * @param {string} choice - 'mine' or 'theirs'
+     * @returns {boolean} True if the conflict was settled
+     */
+    function resolveConflict(index, choice) {
+        const conflict = getConflicts()[index];
+        if (!conflict) return false;
+        
+        if (choice !== conflict.kept) {
+            const value = choice === 'mine' ? conflict.mine : conflict.theirs;
+            if (!DataStore.applyRecords([{ collection: conflict.collection, key: conflict.key, value }], { label: 'Sync conflict resolved' })) {
+                return false;
+            }
+        }
+        
+        const state = loadState();
+        state.conflicts = getConflicts().filter((item, itemIndex) => itemIndex !== index);
+        saveState(state);
+        return true;
+    }
+    
+    /**
+     * Describe the record a conflict is about
+     * @param {Object} conflict - Conflict from getConflicts()
+     * @returns {string} e.g. "Logged meals on 2024-05-01 for Ann"
+     */
+    function describeRecord(conflict) {
+        if (conflict.collection === 'expenses') {
+            const expense = conflict.mine || conflict.theirs || {};
+            return `Expense "${expense.description || conflict.key}"`;
+        }
+        
+        const separatorIndex = conflict.key.indexOf('_');
+        const date = conflict.key.slice(0, separatorIndex);
+        const memberId = conflict.key.slice(separatorIndex + 1);
+        const member = DataStore.getFamilyMembers().find(item => item.id === memberId);
+        const label = conflict.collection === 'meals' ? 'Logged meals' : 'Planned meals';
+        return `${label} on ${date} for ${member ? member.name : 'a removed member'}`;
+    }
+    
+    /**
+     * Summarize one version of a conflicting record
+     * @param {string} collection - DataStore collection
+     * @param {*} value - The record (undefined if it was deleted)
+     * @returns {string} Short description
+     */
+    function summarizeValue(collection, value) {
+        if (value === undefined || value === null) return 'Deleted';
+        
+        if (collection === 'expenses') {
+            return `${value.description} - $${parseFloat(value.amount).toFixed(2)} on ${value.date}`;
+        }
+        
+        const meals = MEAL_TYPES
+            .filter(mealType => value[mealType] && value[mealType].length)
+            .map(mealType => {
+                // Portions as entered (e.g. "150 g"), measured with the values the item was logged with
+                const items = value[mealType].map(item => {
+                    const food = DataStore.getFoodById(item.foodId);
+                    return `${food ? food.name : 'Unknown food'} ${Units.formatPortion(item, Snapshots.getFoodForItem(item, food))}`;
+                });
+                return `${mealType}: ${items.join(', ')}`;
+            });
+        return meals.length ? meals.join('; ') : 'No meals';
+    }
+    
+    /**
+     * Format a sync time for display
+     * @param {string} time - ISO timestamp
+     * @returns {string} Local date and time
+     */
+    function formatTime(time) {
+        return new Date(time).toLocaleString();
+    }
+    
+    /**
+     * Show modal for sync settings, status and conflict review
+     */
+    function showSyncModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const syncModal = document.getElementById('sync-modal');
+            
+            if (!modalOverlay || !syncModal) return;
+            
+            const state = loadState();
+            const status = getStatus();
+            const conflicts = getConflicts();
+            
+            let statusText = 'Sync is off.';
+            if (status.enabled) {
+                statusText = `${status.online ? 'Connected' : 'Offline - changes are kept and sent once the server can be reached'}. ` +
+                    `Last synced: ${status.lastSyncedAt ? formatTime(status.lastSyncedAt) : 'never'}. ` +
+                    `${status.pending} change${status.pending === 1 ? '' : 's'} waiting to be sent.`;
+            }
+            
+            const conflictRows = conflicts.map((conflict, index) => `
+                <li class="sync-conflict" data-conflict-index="${index}">
+                    <p><strong>${Html.escape(describeRecord(conflict))}</strong> was edited on two devices.</p>
+                    <div class="sync-versions">
+                        <div class="sync-version${conflict.kept === 'mine' ? ' kept' : ''}">
+                            <span>This device (${formatTime(conflict.mineUpdatedAt)})${conflict.kept === 'mine' ? ' - kept' : ''}</span>
+                            <p>${Html.escape(summarizeValue(conflict.collection, conflict.mine))}</p>
+                            <button type="button" data-choice="mine">Keep this version</button>
+                        </div>
+                        <div class="sync-version${conflict.kept === 'theirs' ? ' kept' : ''}">
+                            <span>Other device (${formatTime(conflict.theirsUpdatedAt)})${conflict.kept === 'theirs' ? ' - kept' : ''}</span>
+                            <p>${Html.escape(summarizeValue(conflict.collection, conflict.theirs))}</p>
+                            <button type="button" data-choice="theirs">Keep this version</button>
+                        </div>
+                    </div>
+                </li>
+            `).join('');
+            
+            // Create modal content
+            syncModal.innerHTML = `
+                <h3>Sync</h3>
+                <form id="sync-form" class="modal-form">
+                    <div>
+                        <label for="sync-url">Server address:</label>
+                        <input type="url" id="sync-url" placeholder="https://sync.example.com" value="${Html.escape(state.url)}" required>
+                    </div>
+                    <div>
+                        <label for="sync-token">Access token (if the server needs one):</label>
+                        <input type="password" id="sync-token" value="${Html.escape(state.token)}" autocomplete="off">
+                    </div>
+                    <p class="sync-hint">Sync keeps this household the same on every device that uses the same server. Run the server yourself with <code>node server/sync-server.js</code>. Data is sent to the server unencrypted, even when encryption is on.</p>
+                    <p class="sync-status">${Html.escape(statusText)}</p>
+                    ${conflictRows ? `
+                        <h4>Edited on two devices</h4>
+                        <p class="sync-hint">The later edit was kept. Keep the other version instead if it was the right one.</p>
+                        <ul class="sync-conflicts">${conflictRows}</ul>
+                    ` : ''}
+                    <div class="modal-buttons">
+                        <button type="button" id="close-sync">Close</button>
+                        ${status.enabled ? `
+                            <button type="button" id="disable-sync">Turn off sync</button>
+                            <button type="button" id="sync-now">Sync now</button>
+                        ` : ''}
+                        <button type="submit">${status.enabled ? 'Save' : 'Turn on sync'}</button>
+                    </div>
+                </form>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            syncModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('close-sync').addEventListener('click', Html.closeModal);
+            if (status.enabled) {
+                document.getElementById('disable-sync').addEventListener('click', function() {
+                    disableSync();
+                    showSyncModal();
+                });
+                document.getElementById('sync-now').addEventListener('click', async function() {
+                    this.disabled = true;
+                    await syncNow();
+                    showSyncModal();
+                });
+            }
+            syncModal.querySelectorAll('[data-choice]').forEach(button => {
+                button.addEventListener('click', function() {
+                    const row = this.closest('.sync-conflict');
+                    resolveConflict(parseInt(row.getAttribute('data-conflict-index'), 10), this.getAttribute('data-choice'));
+                    showSyncModal();
+                });
+            });
+            document.getElementById('sync-form').addEventListener('submit', async function(e) {
+                e.preventDefault();
+                this.querySelector('button[type="submit"]').disabled = true;
+                await enableSync(document.getElementById('sync-url').value.trim(), document.getElementById('sync-token').value);
+                showSyncModal();
+            });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show sync settings",
+                error.message
+            );
+        }
+    }
+    
+    // Public API
+    return {
+        initialize,
+        enableSync,
+        disableSync,
+        syncNow,
+        getStatus,
+        getConflicts,
+        resolveConflict,
+        setTransport,
+        createHttpTransport,
+        createMemoryTransport
+    };
+})();
+
+// Export for Node (see test/syncClient.test.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncClient;
+}
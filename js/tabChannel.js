@@ -0,0 +1,129 @@
+/**
+ * Tab Channel Module
+ * Passes messages between open tabs of the app, using BroadcastChannel or localStorage events
+ */
+
+// Creating an immediate function to encapsulate the cross-tab messaging in its own scope
+const TabChannel = (function() {
+    // Channel name, also used as the localStorage key for the fallback transport
+    const CHANNEL_NAME = 'family-meal-tracker-sync';
+    
+    // Identifies this tab so it can ignore its own messages
+    const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    
+    // Open BroadcastChannel (null when using the localStorage fallback or before open())
+    let channel = null;
+    let opened = false;
+    
+    // Functions called with every message received from another tab
+    let listeners = [];
+    
+    /**
+     * Check whether BroadcastChannel is available in this browser
+     * @returns {boolean} True if BroadcastChannel can be used
+     */
+    function isBroadcastSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+    
+    /**
+     * Hand a received message to every listener
+     * @param {Object} envelope - { tabId, message } as sent by post()
+     */
+    function deliver(envelope) {
+        if (!envelope || envelope.tabId === TAB_ID) {
+            return;
+        }
+        
+        listeners.forEach(listener => {
+            try {
+                listener(envelope.message);
+            } catch (error) {
+                ErrorHandler.handleError(
+                    ErrorHandler.ERROR_CODES.UNKNOWN_ERROR,
+                    'Failed to handle a change from another tab',
+                    error.message
+                );
+            }
+        });
+    }
+    
+    /**
+     * Start listening for messages from other tabs
+     */
+    function open() {
+        if (opened) {
+            return;
+        }
+        opened = true;
+        
+        if (isBroadcastSupported()) {
+            channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.onmessage = event => deliver(event.data);
+            return;
+        }
+        
+        // Older browsers: other tabs get a storage event whenever we write the key
+        window.addEventListener('storage', function(event) {
+            // Ignore other keys and the removal that follows every message
+            if (event.key !== CHANNEL_NAME || !event.newValue) {
+                return;
+            }
+            try {
+                deliver(JSON.parse(event.newValue));
+            } catch (error) {
+                // A half-written or foreign value isn't a message we can use
+            }
+        });
+    }
+    
+    /**
+     * Send a message to every other open tab
+     * @param {Object} message - Plain JSON-serializable message
+     */
+    function post(message) {
+        const envelope = { tabId: TAB_ID, message };
+        
+        // Make sure we post on the same transport the other tabs are listening to
+        open();
+        
+        try {
+            if (channel) {
+                channel.postMessage(envelope);
+                return;
+            }
+            
+            // The timestamp makes every write a change, so repeated messages still fire events
+            localStorage.setItem(CHANNEL_NAME, JSON.stringify({ ...envelope, sentAt: Date.now() }));
+            localStorage.removeItem(CHANNEL_NAME);
+        } catch (error) {
+            // Other tabs will catch up on their next reload - don't block this tab's save
+            console.warn('Failed to notify other tabs:', error.message);
+        }
+    }
+    
+    /**
+     * Register a listener for messages from other tabs
+     * @param {Function} listener - Called with each message
+     * @returns {Function} Function that removes the listener again
+     */
+    function subscribe(listener) {
+        listeners.push(listener);
+        return function() {
+            listeners = listeners.filter(registered => registered !== listener);
+        };
+    }
+    
+    // Public API
+    return {
+        TAB_ID,
+        open,
+        post,
+        subscribe
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabChannel;
+}
@@ -0,0 +1,304 @@
+/**
+ * Undo History Module
+ * Records every DataStore mutation so changes can be undone and redone
+ */
+
+const UndoHistory = (function() {
+    // History is kept for the browser session so a reload doesn't lose it (one per household profile)
+    const STORAGE_KEY = 'family-meal-tracker-history';
+    
+    // Maximum number of entries kept on each stack
+    const MAX_ENTRIES = 100;
+    
+    // How long the toast stays visible
+    const TOAST_DURATION = 6000;
+    
+    // Undo and redo stacks - each entry is { label, changes: [{ collection, key, before, after }] }
+    let undoStack = [];
+    let redoStack = [];
+    
+    // Timer that hides the toast
+    let toastTimer = null;
+    
+    /**
+     * Initialize the undo history
+     */
+    function initialize() {
+        try {
+            loadHistory();
+            
+            // Record every change made through the data store
+            DataStore.onMutation(recordMutation);
+            
+            // Set up keyboard shortcuts
+            document.addEventListener('keydown', handleKeydown);
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize undo history",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Get the sessionStorage key for the active profile's history
+     * @returns {string} Storage key
+     */
+    function getStorageKey() {
+        return STORAGE_KEY + Profiles.getStorageSuffix();
+    }
+    
+    /**
+     * Restore the stacks saved earlier in this session
+     */
+    function loadHistory() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(getStorageKey()));
+            // Entries saved before the data was upgraded refer to records by their old keys
+            if (saved && saved.schemaVersion === DataStore.getSchemaVersion() && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+                undoStack = saved.undo;
+                redoStack = saved.redo;
+            }
+        } catch (error) {
+            // A corrupt history isn't worth reporting - just start again
+            undoStack = [];
+            redoStack = [];
+        }
+    }
+    
+    /**
+     * Save the stacks for the rest of the session
+     */
+    function saveHistory() {
+        try {
+            // Entries hold copies of the changed records, which mustn't sit unencrypted next to encrypted data
+            if (DataStore.isEncrypted()) {
+                sessionStorage.removeItem(getStorageKey());
+                return;
+            }
+            sessionStorage.setItem(getStorageKey(), JSON.stringify({ schemaVersion: DataStore.getSchemaVersion(), undo: undoStack, redo: redoStack }));
+        } catch (error) {
+            // History is a convenience, so a full session store only costs us the reload survival
+            console.warn('Failed to save undo history:', error.message);
+        }
+    }
+    
+    /**
+     * Record a mutation reported by the data store
+     * @param {Object} mutation - { label, source, destructive, reset, changes }
+     */
+    function recordMutation(mutation) {
+        // Importing or resetting replaces everything, so older entries no longer apply
+        if (mutation.reset) {
+            clear();
+            return;
+        }
+        
+        // Only record edits made in this tab - our own undo/redo writes are already accounted for
+        if (mutation.source !== 'local' || !mutation.changes.length) {
+            return;
+        }
+        
+        undoStack.push({ label: mutation.label, changes: mutation.changes });
+        if (undoStack.length > MAX_ENTRIES) {
+            undoStack.shift();
+        }
+        
+        // A new change makes anything that was undone unreachable
+        redoStack = [];
+        saveHistory();
+        
+        if (mutation.destructive) {
+            showToast(mutation.label, { label: 'Undo', action: undo });
+        }
+    }
+    
+    /**
+     * Undo the most recent change
+     * @returns {boolean} True if a change was undone
+     */
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) {
+            return false;
+        }
+        
+        // Put records back in reverse order so a record changed twice ends at its oldest value
+        const records = entry.changes.slice().reverse().map(change => ({
+            collection: change.collection,
+            key: change.key,
+            value: change.before
+        }));
+        
+        if (!applyEntry(entry, records)) {
+            undoStack.push(entry);
+            return false;
+        }
+        
+        redoStack.push(entry);
+        saveHistory();
+        showToast(`Undone: ${entry.label}`, { label: 'Redo', action: redo });
+        return true;
+    }
+    
+    /**
+     * Redo the most recently undone change
+     * @returns {boolean} True if a change was redone
+     */
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) {
+            return false;
+        }
+        
+        const records = entry.changes.map(change => ({
+            collection: change.collection,
+            key: change.key,
+            value: change.after
+        }));
+        
+        if (!applyEntry(entry, records)) {
+            redoStack.push(entry);
+            return false;
+        }
+        
+        undoStack.push(entry);
+        saveHistory();
+        showToast(`Redone: ${entry.label}`, { label: 'Undo', action: undo });
+        return true;
+    }
+    
+    /**
+     * Write an entry's records back through the data store (views update from its change events)
+     * @param {Object} entry - History entry being applied
+     * @param {Array} records - Records to write
+     * @returns {boolean} True if every record was written
+     */
+    function applyEntry(entry, records) {
+        try {
+            return DataStore.applyRecords(records, { label: entry.label, source: 'history' });
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_STORAGE_ERROR,
+                `Failed to restore: ${entry.label}`,
+                error.message
+            );
+            return false;
+        }
+    }
+    
+    /**
+     * Forget every recorded change
+     */
+    function clear() {
+        undoStack = [];
+        redoStack = [];
+        saveHistory();
+    }
+    
+    /**
+     * Handle Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    function handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        // Leave text editing shortcuts to the form fields
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+            e.preventDefault();
+            redo();
+        }
+    }
+    
+    /**
+     * Show a short message at the bottom of the page, optionally with an action button
+     * @param {string} message - Message to show
+     * @param {Object} button - Optional { label, action }
+     */
+    function showToast(message, button) {
+        try {
+            let toast = document.getElementById('undo-toast');
+            if (!toast) {
+                toast = document.createElement('div');
+                toast.id = 'undo-toast';
+                toast.className = 'toast hidden';
+                toast.setAttribute('role', 'status');
+                document.body.appendChild(toast);
+            }
+            
+            toast.innerHTML = `<span class="toast-message"></span>`;
+            toast.querySelector('.toast-message').textContent = message;
+            
+            if (button) {
+                const actionBtn = document.createElement('button');
+                actionBtn.type = 'button';
+                actionBtn.className = 'toast-action';
+                actionBtn.textContent = button.label;
+                actionBtn.addEventListener('click', function() {
+                    hideToast();
+                    button.action();
+                });
+                toast.appendChild(actionBtn);
+            }
+            
+            toast.classList.remove('hidden');
+            
+            clearTimeout(toastTimer);
+            toastTimer = setTimeout(hideToast, TOAST_DURATION);
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show notification",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Hide the toast
+     */
+    function hideToast() {
+        clearTimeout(toastTimer);
+        const toast = document.getElementById('undo-toast');
+        if (toast) {
+            toast.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Check whether there is anything to undo
+     * @returns {boolean} True if undo() would change data
+     */
+    function canUndo() {
+        return undoStack.length > 0;
+    }
+    
+    /**
+     * Check whether there is anything to redo
+     * @returns {boolean} True if redo() would change data
+     */
+    function canRedo() {
+        return redoStack.length > 0;
+    }
+    
+    // Public API
+    return {
+        initialize,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        clear,
+        showToast
+    };
+})();
@@ -0,0 +1,271 @@
+/**
+ * Units Module
+ * Portion units and conversion between amounts and servings
+ *
+ * A food's nutrition and cost are per serving. A food can record what a serving weighs (servingGrams)
+ * or, for drinks, its volume (servingMl), plus household measures: what one cup, tablespoon or piece of
+ * it weighs, in the same unit as the serving. Meal items can then be entered as an amount and unit;
+ * they keep `servings` as well, so code that only knows servings still works.
+ */
+
+// Creating an immediate function to encapsulate the units in its own scope
+const Units = (function() {
+    // Units offered for portions: the kind of quantity and its size in grams (mass) or milliliters (volume)
+    const UNITS = {
+        serving: { label: 'servings', kind: 'serving' },
+        g: { label: 'g', kind: 'mass', factor: 1 },
+        oz: { label: 'oz', kind: 'mass', factor: 28.3495 },
+        lb: { label: 'lb', kind: 'mass', factor: 453.592 },
+        ml: { label: 'ml', kind: 'volume', factor: 1 },
+        floz: { label: 'fl oz', kind: 'volume', factor: 29.5735 },
+        cup: { label: 'cups', kind: 'volume', factor: 236.588 },
+        tbsp: { label: 'tbsp', kind: 'volume', factor: 14.787 },
+        tsp: { label: 'tsp', kind: 'volume', factor: 4.929 },
+        piece: { label: 'pieces', kind: 'count' }
+    };
+    
+    // Household measures a food can record the weight of
+    const MEASURES = ['cup', 'tbsp', 'piece'];
+    
+    // Words in serving size text for each unit, longest first so "fl oz" wins over "oz"
+    const UNIT_WORDS = [
+        { pattern: /^(fl\.?\s*oz|fluid\s+ounces?)\b/, unit: 'floz' },
+        { pattern: /^(kg|kilograms?)\b/, unit: 'kg' },
+        { pattern: /^(g|grams?|gr)\b/, unit: 'g' },
+        { pattern: /^(oz|ounces?)\b/, unit: 'oz' },
+        { pattern: /^(lbs?|pounds?)\b/, unit: 'lb' },
+        { pattern: /^(ml|milliliters?|millilitres?)\b/, unit: 'ml' },
+        { pattern: /^(l|liters?|litres?)\b/, unit: 'l' },
+        { pattern: /^(cups?|c)\b/, unit: 'cup' },
+        { pattern: /^(tbsps?|tablespoons?|tbs)\b/, unit: 'tbsp' },
+        { pattern: /^(tsps?|teaspoons?)\b/, unit: 'tsp' }
+    ];
+    
+    // Unicode fraction characters used in recipes, as typed fractions
+    const FRACTION_CHARACTERS = { '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8' };
+    
+    /**
+     * Get the unit a food's weight and measures are recorded in
+     * @param {Object} food - Food from the database
+     * @returns {string|null} 'g', 'ml', or null if the food only has servings
+     */
+    function getBaseUnit(food) {
+        if (food && parseFloat(food.servingGrams) > 0) return 'g';
+        if (food && parseFloat(food.servingMl) > 0) return 'ml';
+        return null;
+    }
+    
+    /**
+     * Get grams per milliliter for a food weighed in grams, from a cup or tablespoon measure
+     * @param {Object} food - Food from the database
+     * @returns {number|null} Density, or null if no volume measure is recorded
+     */
+    function getDensity(food) {
+        const measures = food.measures || {};
+        const unit = ['cup', 'tbsp'].find(candidate => parseFloat(measures[candidate]) > 0);
+        return unit ? parseFloat(measures[unit]) / UNITS[unit].factor : null;
+    }
+    
+    /**
+     * Convert an amount to the food's base unit (grams or milliliters)
+     * @param {number} amount - Amount in the unit
+     * @param {string} unit - Unit key from UNITS
+     * @param {Object} food - Food from the database
+     * @returns {number|null} Amount in the base unit, or null if the unit doesn't apply to the food
+     */
+    function toBaseAmount(amount, unit, food) {
+        const base = getBaseUnit(food);
+        const measure = food.measures && parseFloat(food.measures[unit]);
+        if (!base || !UNITS[unit]) return null;
+        
+        // A recorded household measure beats the standard size (a cup of flour isn't a cup of water)
+        if (measure > 0) return amount * measure;
+        
+        const { kind, factor } = UNITS[unit];
+        if ((kind === 'mass' && base === 'g') || (kind === 'volume' && base === 'ml')) {
+            return amount * factor;
+        }
+        if (kind === 'volume' && base === 'g') {
+            const density = getDensity(food);
+            return density ? amount * factor * density : null;
+        }
+        return null;
+    }
+    
+    /**
+     * Convert an amount to servings of a food
+     * @param {number} amount - Amount in the unit
+     * @param {string} unit - Unit key from UNITS
+     * @param {Object} food - Food from the database
+     * @returns {number|null} Servings, or null if the unit doesn't apply to the food
+     */
+    function toServings(amount, unit, food) {
+        const value = parseFloat(amount);
+        if (isNaN(value)) return null;
+        if (!unit || unit === 'serving') return value;
+        if (!food) return null;
+        
+        const baseAmount = toBaseAmount(value, unit, food);
+        if (baseAmount === null) return null;
+        return baseAmount / parseFloat(getBaseUnit(food) === 'g' ? food.servingGrams : food.servingMl);
+    }
+    
+    /**
+     * Convert servings of a food to an amount in a unit
+     * @param {number} servings - Number of servings
+     * @param {string} unit - Unit key from UNITS
+     * @param {Object} food - Food from the database
+     * @returns {number|null} Amount, or null if the unit doesn't apply to the food
+     */
+    function fromServings(servings, unit, food) {
+        const perUnit = toServings(1, unit, food);
+        return perUnit ? servings / perUnit : null;
+    }
+    
+    /**
+     * List the units a food's portions can be entered in
+     * @param {Object} food - Food from the database
+     * @returns {Array} Unit keys, servings first
+     */
+    function getUnitOptions(food) {
+        return Object.keys(UNITS).filter(unit => unit === 'serving' || (food && toServings(1, unit, food) !== null));
+    }
+    
+    /**
+     * Get the servings a meal item stands for
+     * Items entered in a unit are converted with the weights of the food passed in; otherwise the stored
+     * servings are used. Callers pass logged items' snapshot values (see Snapshots.getFoodForItem), so
+     * correcting a food's serving weight leaves past meals alone until its values are re-applied
+     * @param {Object} item - Meal item
+     * @param {Object} food - The item's food, with its snapshot values for logged items
+     * @returns {number} Servings
+     */
+    function getServings(item, food) {
+        if (item.unit && item.unit !== 'serving') {
+            const servings = toServings(item.amount, item.unit, food);
+            if (servings !== null && servings > 0) return servings;
+        }
+        return parseFloat(item.servings) || 1;
+    }
+    
+    /**
+     * Round an amount for display or a form field
+     * @param {number} amount - Amount
+     * @param {string} unit - Unit key from UNITS
+     * @returns {number} Whole grams and milliliters, otherwise two decimals
+     */
+    function roundAmount(amount, unit) {
+        const places = unit === 'g' || unit === 'ml' ? 0 : 2;
+        const factor = Math.pow(10, places);
+        return Math.round(amount * factor) / factor;
+    }
+    
+    /**
+     * Describe a meal item's portion
+     * @param {Object} item - Meal item
+     * @param {Object} food - The item's food (a deleted food's snapshot values have no serving size text)
+     * @returns {string} e.g. "150 g", "1.5 × 1 cup cooked" or "1.5 × serving"
+     */
+    function formatPortion(item, food) {
+        if (item.unit && item.unit !== 'serving' && UNITS[item.unit]) {
+            return `${roundAmount(parseFloat(item.amount), item.unit)} ${UNITS[item.unit].label}`;
+        }
+        return `${parseFloat(item.servings) || 1} × ${(food && food.servingSize) || 'serving'}`;
+    }
+    
+    /**
+     * Read the weight or volume out of serving size text, e.g. "3 oz cooked", "1 medium (118g)", "1 cup"
+     * @param {string} text - Serving size as entered
+     * @returns {Object} { servingGrams } or { servingMl }, or {} if the text gives neither
+     */
+    function parseServingSize(text) {
+        const source = String(text || '').toLowerCase();
+        
+        // Try every number in the text, preferring a weight ("1 cup (240 g)") over a volume
+        let volume = null;
+        const numberPattern = /(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+)\s*/g;
+        let match;
+        while ((match = numberPattern.exec(source)) !== null) {
+            const quantity = parseQuantity(match[1]);
+            const rest = source.slice(numberPattern.lastIndex);
+            const word = UNIT_WORDS.find(candidate => candidate.pattern.test(rest));
+            if (!word || !(quantity > 0)) continue;
+            
+            if (word.unit === 'kg') return { servingGrams: roundAmount(quantity * 1000, 'g') };
+            if (word.unit === 'l') {
+                volume = volume || quantity * 1000;
+            } else if (UNITS[word.unit].kind === 'mass') {
+                return { servingGrams: roundAmount(quantity * UNITS[word.unit].factor, 'g') };
+            } else {
+                volume = volume || quantity * UNITS[word.unit].factor;
+            }
+        }
+        return volume ? { servingMl: roundAmount(volume, 'ml') } : {};
+    }
+    
+    /**
+     * Read the amount and unit at the start of a recipe ingredient line, e.g. "1 ½ cups milk" or "2-3 large eggs"
+     * A range counts as its lower end; kilograms and liters come back as grams and milliliters
+     * @param {string} text - Ingredient line
+     * @returns {Object} { amount, unit, rest } - amount is null if the line doesn't start with one,
+     *                   unit is a UNITS key or null for a count, rest is the text after them
+     */
+    function parseAmount(text) {
+        const source = String(text || '')
+            .trim()
+            .replace(/[½⅓⅔¼¾⅛⅜⅝⅞]/g, char => ` ${FRACTION_CHARACTERS[char]}`)
+            .replace(/⁄/g, '/')
+            .trim();
+        const number = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.?\\d+)';
+        const match = new RegExp(`^${number}(?:\\s*(?:-|–|to)\\s*${number})?\\s*`).exec(source);
+        if (!match) {
+            return { amount: null, unit: null, rest: source };
+        }
+        
+        let amount = parseQuantity(match[1]);
+        const rest = source.slice(match[0].length);
+        const word = UNIT_WORDS.find(candidate => candidate.pattern.test(rest.toLowerCase()));
+        if (!word) {
+            return { amount, unit: null, rest };
+        }
+        
+        const unitText = word.pattern.exec(rest.toLowerCase())[0];
+        if (word.unit === 'kg' || word.unit === 'l') {
+            amount *= 1000;
+        }
+        const unit = { kg: 'g', l: 'ml' }[word.unit] || word.unit;
+        return { amount, unit, rest: rest.slice(unitText.length).replace(/^[.\s]+/, '') };
+    }
+    
+    /**
+     * Read a quantity that may be a fraction ("1/2") or mixed number ("1 1/2")
+     * @param {string} text - Quantity text
+     * @returns {number} The quantity
+     */
+    function parseQuantity(text) {
+        return text.trim().split(/\s+/).reduce((total, part) => {
+            const [numerator, denominator] = part.split('/');
+            return total + (denominator ? parseFloat(numerator) / parseFloat(denominator) : parseFloat(numerator));
+        }, 0);
+    }
+    
+    // Public API
+    return {
+        UNITS,
+        MEASURES,
+        getBaseUnit,
+        toServings,
+        fromServings,
+        getUnitOptions,
+        getServings,
+        roundAmount,
+        formatPortion,
+        parseServingSize,
+        parseAmount
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Units;
+}
@@ -0,0 +1,649 @@
+/**
+ * USDA Importer Module
+ * Reads a USDA FoodData Central download (Foundation or SR Legacy, JSON or CSV) from a local file
+ * and adds the chosen foods to the food database
+ *
+ * FoodData Central gives nutrients per 100 g; foods are scaled to the serving size chosen on import.
+ * Each imported food keeps its FDC id and serving weight (fdcId, servingGrams) so its nutrition can be
+ * refreshed from a newer download later.
+ */
+
+const UsdaImporter = (function() {
+    // FoodData Central nutrient ids for each food field, best first
+    // (Foundation foods often give energy only as Atwater factors and carbohydrate only by summation)
+    const NUTRIENT_IDS = {
+        calories: [1008, 2047, 2048], // Energy (kcal), Energy (Atwater General / Specific Factors)
+        protein: [1003], // Protein (g)
+        fat: [1004], // Total lipid (fat) (g)
+        carbs: [1005, 1050], // Carbohydrate, by difference / by summation (g)
+        fiber: [1079], // Fiber, total dietary (g)
+        sugar: [2000, 1063], // Sugars, total including NLEA / Sugars, Total (g)
+        addedSugar: [1235], // Sugars, added (g)
+        saturatedFat: [1258], // Fatty acids, total saturated (g)
+        cholesterol: [1253], // Cholesterol (mg)
+        sodium: [1093], // Sodium, Na (mg)
+        potassium: [1092], // Potassium, K (mg)
+        calcium: [1087], // Calcium, Ca (mg)
+        iron: [1089], // Iron, Fe (mg)
+        vitaminA: [1106], // Vitamin A, RAE (mcg)
+        vitaminC: [1162], // Vitamin C, total ascorbic acid (mg)
+        vitaminD: [1114], // Vitamin D (D2 + D3) (mcg)
+        vitaminB12: [1178] // Vitamin B-12 (mcg)
+    };
+    
+    // Fields every food in the database has, even when the USDA data leaves them out
+    const REQUIRED_FIELDS = Nutrients.REQUIRED_KEYS;
+    
+    // CSV data types that are lab samples behind the Foundation foods, not foods to eat
+    const SAMPLE_DATA_TYPES = ['sample_food', 'sub_sample_food', 'market_acquistion', 'market_acquisition', 'agricultural_acquisition'];
+    
+    // Food library category for each USDA food category, matched in order
+    const CATEGORY_RULES = [
+        { pattern: /breakfast/i, category: 'breakfast' },
+        { pattern: /fruit/i, category: 'fruit' },
+        { pattern: /vegetable/i, category: 'vegetable' },
+        { pattern: /dairy|egg/i, category: 'dairy' },
+        { pattern: /poultry|beef|pork|lamb|game|fish|shellfish|sausage|legume|nut and seed/i, category: 'protein' },
+        { pattern: /cereal|grain|pasta|baked/i, category: 'grain' },
+        { pattern: /beverage/i, category: 'beverage' },
+        { pattern: /snack|sweet/i, category: 'snack' }
+    ];
+    
+    // Most search results listed at once
+    const MAX_RESULTS = 50;
+    
+    // Foods read from the last file, kept while the page is open: { source, foods }
+    let dataset = null;
+    
+    // Food picked from the search results
+    let selectedFood = null;
+    
+    /**
+     * Initialize the import button in the food library
+     */
+    function initialize() {
+        try {
+            const importBtn = document.getElementById('import-usda');
+            if (importBtn) {
+                importBtn.addEventListener('click', showImportModal);
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_INTERACTION_ERROR,
+                "Failed to initialize USDA import",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Pick the food fields out of a food's nutrient amounts
+     * @param {Map} amounts - Amount per 100 g by FDC nutrient id
+     * @returns {Object} Food fields per 100 g (fields without data are left out)
+     */
+    function mapNutrients(amounts) {
+        const nutrients = {};
+        Object.keys(NUTRIENT_IDS).forEach(field => {
+            const id = NUTRIENT_IDS[field].find(candidate => amounts.has(candidate));
+            if (id !== undefined) {
+                nutrients[field] = amounts.get(id);
+            }
+        });
+        return nutrients;
+    }
+    
+    /**
+     * Describe a household portion, e.g. "1 cup, chopped"
+     * @param {number} amount - Number of units
+     * @param {string} unit - Measure unit ("undetermined" when the modifier holds the unit)
+     * @param {string} modifier - Extra description
+     * @returns {string} Portion label
+     */
+    function describePortion(amount, unit, modifier) {
+        const parts = [];
+        if (amount) parts.push(String(amount));
+        if (unit && unit !== 'undetermined') parts.push(unit);
+        if (modifier) parts.push(modifier);
+        return parts.join(' ').trim();
+    }
+    
+    /**
+     * Read foods from a FoodData Central JSON download
+     * @param {string} text - File contents
+     * @returns {Array} Foods: { fdcId, description, dataType, category, nutrients, portions }
+     */
+    function parseJson(text) {
+        const data = JSON.parse(text);
+        
+        // Downloads wrap the list in a key named after the data type (FoundationFoods, SRLegacyFoods, ...)
+        const list = Array.isArray(data) ? data : Object.values(data || {}).find(Array.isArray);
+        if (!list) {
+            throw new Error('The file does not contain a list of foods');
+        }
+        
+        return list
+            .filter(food => food && food.fdcId && Array.isArray(food.foodNutrients))
+            .map(food => {
+                const amounts = new Map();
+                food.foodNutrients.forEach(entry => {
+                    const id = entry.nutrient ? entry.nutrient.id : entry.nutrientId;
+                    const amount = entry.amount !== undefined ? entry.amount : entry.value;
+                    if (id !== undefined && typeof amount === 'number') {
+                        amounts.set(Number(id), amount);
+                    }
+                });
+                
+                return {
+                    fdcId: Number(food.fdcId),
+                    description: food.description || `FDC ${food.fdcId}`,
+                    dataType: food.dataType || '',
+                    category: food.foodCategory ? food.foodCategory.description || '' : '',
+                    nutrients: mapNutrients(amounts),
+                    portions: (food.foodPortions || [])
+                        .filter(portion => portion.gramWeight > 0)
+                        .map(portion => ({
+                            label: describePortion(portion.amount, portion.measureUnit && portion.measureUnit.name, portion.modifier || portion.portionDescription),
+                            gramWeight: portion.gramWeight
+                        }))
+                };
+            })
+            .filter(food => Object.keys(food.nutrients).length);
+    }
+    
+    /**
+     * Read a CSV file row by row
+     * @param {string} text - File contents
+     * @param {Function} onRow - Called with (values, columns) for each data row; columns maps header names to indexes
+     */
+    function parseCsv(text, onRow) {
+        let columns = null;
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        const endRow = () => {
+            row.push(field);
+            field = '';
+            if (row.length > 1 || row[0] !== '') {
+                if (!columns) {
+                    columns = {};
+                    row.forEach((name, index) => {
+                        columns[name.trim()] = index;
+                    });
+                } else {
+                    onRow(row, columns);
+                }
+            }
+            row = [];
+        };
+        
+        const content = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) {
+            endRow();
+        }
+    }
+    
+    /**
+     * Read foods from the CSV files of a FoodData Central download
+     * food.csv and food_nutrient.csv are needed; food_portion.csv, measure_unit.csv and food_category.csv
+     * add serving sizes and categories when present
+     * @param {Object} files - File contents by file name
+     * @returns {Array} Foods, as from parseJson()
+     */
+    function parseCsvFiles(files) {
+        const byName = {};
+        Object.keys(files).forEach(name => {
+            byName[name.split(/[\\/]/).pop().toLowerCase()] = files[name];
+        });
+        if (!byName['food.csv'] || !byName['food_nutrient.csv']) {
+            throw new Error('Choose food.csv and food_nutrient.csv from the download (plus food_portion.csv, measure_unit.csv and food_category.csv for serving sizes)');
+        }
+        
+        const categories = new Map();
+        if (byName['food_category.csv']) {
+            parseCsv(byName['food_category.csv'], (values, columns) => {
+                categories.set(values[columns.id], values[columns.description]);
+            });
+        }
+        
+        const units = new Map();
+        if (byName['measure_unit.csv']) {
+            parseCsv(byName['measure_unit.csv'], (values, columns) => {
+                units.set(values[columns.id], values[columns.name]);
+            });
+        }
+        
+        const foods = new Map();
+        parseCsv(byName['food.csv'], (values, columns) => {
+            const dataType = values[columns.data_type] || '';
+            if (SAMPLE_DATA_TYPES.includes(dataType)) return;
+            foods.set(values[columns.fdc_id], {
+                fdcId: Number(values[columns.fdc_id]),
+                description: values[columns.description],
+                dataType,
+                category: categories.get(values[columns.food_category_id]) || '',
+                amounts: new Map(),
+                portions: []
+            });
+        });
+        
+        // Only the nutrients we have fields for are kept - the file holds hundreds per food
+        const wanted = new Set([].concat(...Object.values(NUTRIENT_IDS)));
+        parseCsv(byName['food_nutrient.csv'], (values, columns) => {
+            const nutrientId = Number(values[columns.nutrient_id]);
+            const food = wanted.has(nutrientId) && foods.get(values[columns.fdc_id]);
+            const amount = parseFloat(values[columns.amount]);
+            if (food && !isNaN(amount)) {
+                food.amounts.set(nutrientId, amount);
+            }
+        });
+        
+        if (byName['food_portion.csv']) {
+            parseCsv(byName['food_portion.csv'], (values, columns) => {
+                const food = foods.get(values[columns.fdc_id]);
+                const gramWeight = parseFloat(values[columns.gram_weight]);
+                if (food && gramWeight > 0) {
+                    food.portions.push({
+                        label: describePortion(
+                            parseFloat(values[columns.amount]) || 0,
+                            units.get(values[columns.measure_unit_id]),
+                            values[columns.modifier] || values[columns.portion_description]
+                        ),
+                        gramWeight
+                    });
+                }
+            });
+        }
+        
+        return [...foods.values()]
+            .map(food => ({
+                fdcId: food.fdcId,
+                description: food.description,
+                dataType: food.dataType,
+                category: food.category,
+                nutrients: mapNutrients(food.amounts),
+                portions: food.portions
+            }))
+            .filter(food => Object.keys(food.nutrients).length);
+    }
+    
+    /**
+     * Read a FoodData Central download from the chosen files
+     * @param {Array} files - { name, text } for each file (one JSON file, or the CSV files)
+     * @returns {Array} Foods, as from parseJson()
+     */
+    function parseFiles(files) {
+        const jsonFile = files.find(file => /\.json$/i.test(file.name));
+        if (jsonFile) {
+            return parseJson(jsonFile.text);
+        }
+        
+        const csvFiles = {};
+        files.forEach(file => {
+            csvFiles[file.name] = file.text;
+        });
+        return parseCsvFiles(csvFiles);
+    }
+    
+    /**
+     * Guess the food library category for a USDA food category
+     * @param {string} usdaCategory - USDA category description
+     * @returns {string} Food library category
+     */
+    function guessCategory(usdaCategory) {
+        const rule = CATEGORY_RULES.find(candidate => candidate.pattern.test(usdaCategory || ''));
+        return rule ? rule.category : 'other';
+    }
+    
+    /**
+     * Work out the nutrition fields of a serving
+     * @param {Object} usdaFood - Food from parseJson() or parseCsvFiles()
+     * @param {number} grams - Serving weight in grams
+     * @returns {Object} Food fields for the serving, rounded to one decimal
+     */
+    function scaleNutrients(usdaFood, grams) {
+        const scaled = {};
+        Object.keys(NUTRIENT_IDS).forEach(field => {
+            const per100g = usdaFood.nutrients[field];
+            if (per100g !== undefined) {
+                scaled[field] = Math.round(per100g * grams / 10) / 10;
+            } else if (REQUIRED_FIELDS.includes(field)) {
+                scaled[field] = 0;
+            }
+        });
+        return scaled;
+    }
+    
+    /**
+     * Build a food database record from a USDA food
+     * @param {Object} usdaFood - Food from parseJson() or parseCsvFiles()
+     * @param {Object} options - { grams, servingSize, name, category, costPerServing }
+     * @returns {Object} Food ready for DataStore.addFoodToDatabase
+     */
+    function toFood(usdaFood, options) {
+        const food = {
+            name: options.name || usdaFood.description,
+            servingSize: options.servingSize || `${options.grams} g`,
+            category: options.category || guessCategory(usdaFood.category),
+            ...scaleNutrients(usdaFood, options.grams),
+            fdcId: usdaFood.fdcId,
+            servingGrams: options.grams
+        };
+        if (options.costPerServing !== undefined) {
+            food.costPerServing = options.costPerServing;
+        }
+        return food;
+    }
+    
+    /**
+     * Show the import modal, keeping the file already read (if any)
+     */
+    function showImportModal() {
+        try {
+            const modalOverlay = document.getElementById('modal-overlay');
+            const usdaModal = document.getElementById('usda-modal');
+            
+            if (!modalOverlay || !usdaModal) return;
+            
+            selectedFood = null;
+            
+            // Create modal content
+            usdaModal.innerHTML = `
+                <h3>Import Foods from USDA FoodData Central</h3>
+                <div class="modal-form usda-form">
+                    <p class="usda-hint">
+                        Choose a Foundation or SR Legacy download: the JSON file, or food.csv and food_nutrient.csv
+                        (add food_portion.csv, measure_unit.csv and food_category.csv for serving sizes and categories).
+                        The file is read on this device; nothing is uploaded.
+                    </p>
+                    <div>
+                        <label for="usda-file">Data file(s):</label>
+                        <input type="file" id="usda-file" accept=".json,.csv,application/json,text/csv" multiple>
+                    </div>
+                    <p id="usda-status" class="usda-status">${dataset ? `${dataset.foods.length} foods loaded from ${Html.escape(dataset.source)}.` : ''}</p>
+                    <div id="usda-search-area" class="${dataset ? '' : 'hidden'}">
+                        <label for="usda-search">Search foods:</label>
+                        <input type="search" id="usda-search" placeholder="e.g. apple, raw">
+                        <ul id="usda-results" class="usda-results"></ul>
+                    </div>
+                    <div id="usda-selected"></div>
+                    <div class="modal-buttons">
+                        <button type="button" id="close-usda">Close</button>
+                    </div>
+                </div>
+            `;
+            
+            // Show the modal
+            modalOverlay.classList.remove('hidden');
+            usdaModal.classList.remove('hidden');
+            
+            // Set up event listeners
+            document.getElementById('close-usda').addEventListener('click', Html.closeModal);
+            document.getElementById('usda-file').addEventListener('change', function() {
+                if (this.files.length > 0) {
+                    loadFiles([...this.files]);
+                }
+            });
+            document.getElementById('usda-search').addEventListener('input', renderResults);
+            renderResults();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.UI_RENDER_ERROR,
+                "Failed to show USDA import",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * Read the chosen files and list their foods
+     * @param {Array} files - Files chosen in the modal
+     */
+    async function loadFiles(files) {
+        const statusEl = document.getElementById('usda-status');
+        try {
+            if (statusEl) statusEl.textContent = 'Reading...';
+            
+            const contents = await Promise.all(files.map(async file => ({ name: file.name, text: await file.text() })));
+            let foods;
+            try {
+                foods = parseFiles(contents);
+            } catch (parseError) {
+                if (statusEl) statusEl.textContent = `The file could not be read: ${parseError.message}`;
+                return;
+            }
+            if (!foods.length) {
+                if (statusEl) statusEl.textContent = 'No foods with nutrition data were found in the file.';
+                return;
+            }
+            
+            dataset = { source: files.map(file => file.name).join(', '), foods };
+            selectedFood = null;
+            if (statusEl) statusEl.textContent = `${foods.length} foods loaded from ${dataset.source}.`;
+            document.getElementById('usda-search-area').classList.remove('hidden');
+            document.getElementById('usda-selected').innerHTML = '';
+            renderResults();
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.DATA_IMPORT_ERROR,
+                "Failed to read USDA data file",
+                error.message
+            );
+        }
+    }
+    
+    /**
+     * List the loaded foods matching the search text
+     */
+    function renderResults() {
+        const resultsEl = document.getElementById('usda-results');
+        const searchInput = document.getElementById('usda-search');
+        if (!resultsEl || !searchInput || !dataset) return;
+        
+        // Every word has to appear, in any order, as USDA names run "Apples, raw, with skin"
+        const words = searchInput.value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        const matches = dataset.foods.filter(food => {
+            const description = food.description.toLowerCase();
+            return words.every(word => description.includes(word));
+        });
+        
+        resultsEl.innerHTML = matches.slice(0, MAX_RESULTS).map(food => `
+            <li>
+                <button type="button" class="usda-result" data-fdc-id="${food.fdcId}">
+                    ${Html.escape(food.description)}
+                    <span>${Html.escape(food.category || food.dataType)} - ${food.nutrients.calories !== undefined ? `${Math.round(food.nutrients.calories)} kcal` : 'no energy value'} per 100 g</span>
+                </button>
+            </li>
+        `).join('') + (matches.length > MAX_RESULTS ? `<li class="usda-more">${matches.length - MAX_RESULTS} more - refine the search</li>` : '');
+        
+        resultsEl.querySelectorAll('.usda-result').forEach(button => {
+            button.addEventListener('click', function() {
+                const fdcId = Number(this.getAttribute('data-fdc-id'));
+                selectFood(dataset.foods.find(food => food.fdcId === fdcId));
+            });
+        });
+    }
+    
+    /**
+     * Show the serving choices for a food picked from the results
+     * @param {Object} usdaFood - Food picked
+     */
+    function selectFood(usdaFood) {
+        const selectedEl = document.getElementById('usda-selected');
+        if (!selectedEl || !usdaFood) return;
+        
+        selectedFood = usdaFood;
+        const existing = DataStore.getFoodDatabase().find(food => food.fdcId === usdaFood.fdcId);
+        const category = existing ? existing.category : guessCategory(usdaFood.category);
+        
+        // Start from the serving the food was imported with before, else the first household portion
+        const portionIndex = existing && existing.servingGrams
+            ? usdaFood.portions.findIndex(portion => portion.gramWeight === existing.servingGrams && portion.label === existing.servingSize)
+            : (usdaFood.portions.length ? 0 : -1);
+        const grams = existing && existing.servingGrams ? existing.servingGrams : (portionIndex === -1 ? 100 : usdaFood.portions[0].gramWeight);
+        
+        selectedEl.innerHTML = `
+            <form id="usda-add-form" class="usda-selected">
+                <h4>${Html.escape(usdaFood.description)} <span>FDC ${usdaFood.fdcId}</span></h4>
+                <div>
+                    <label for="usda-name">Name:</label>
+                    <input type="text" id="usda-name" value="${Html.escape(existing ? existing.name : usdaFood.description)}" required>
+                </div>
+                <div class="food-form-grid">
+                    <div>
+                        <label for="usda-portion">Serving:</label>
+                        <select id="usda-portion">
+                            ${usdaFood.portions.map((portion, index) => `<option value="${index}" ${index === portionIndex ? 'selected' : ''}>${Html.escape(portion.label)} (${portion.gramWeight} g)</option>`).join('')}
+                            <option value="grams" ${portionIndex === -1 ? 'selected' : ''}>Weight in grams</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label for="usda-grams">Grams:</label>
+                        <input type="number" id="usda-grams" min="0.1" step="any" value="${grams}" ${portionIndex === -1 ? '' : 'disabled'} required>
+                    </div>
+                    <div>
+                        <label for="usda-category">Category:</label>
+                        <select id="usda-category">
+                            ${FoodLibrary.CATEGORIES.concat(FoodLibrary.CATEGORIES.includes(category) ? [] : [category]).map(option => `<option value="${Html.escape(option)}" ${option === category ? 'selected' : ''}>${Html.escape(option.charAt(0).toUpperCase() + option.slice(1))}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label for="usda-cost">Cost per serving ($) - optional:</label>
+                        <input type="number" id="usda-cost" min="0" step="0.01" value="${existing && existing.costPerServing !== undefined ? Html.escape(existing.costPerServing) : ''}">
+                    </div>
+                </div>
+                <p id="usda-preview" class="usda-hint"></p>
+                ${existing ? `<p class="usda-hint">Already in the food library as "${Html.escape(existing.name)}". Updating it refreshes its nutrition from this file.</p>` : ''}
+                <div class="modal-buttons">
+                    ${existing ? `<button type="button" id="usda-update" data-food-id="${Html.escape(existing.id)}">Update ${Html.escape(existing.name)}</button>` : ''}
+                    <button type="submit">${existing ? 'Add as New Food' : 'Add to Food Library'}</button>
+                </div>
+            </form>
+        `;
+        
+        const portionSelect = document.getElementById('usda-portion');
+        const gramsInput = document.getElementById('usda-grams');
+        portionSelect.addEventListener('change', function() {
+            gramsInput.disabled = this.value !== 'grams';
+            if (this.value !== 'grams') {
+                gramsInput.value = usdaFood.portions[parseInt(this.value, 10)].gramWeight;
+            }
+            renderPreview();
+        });
+        gramsInput.addEventListener('input', renderPreview);
+        document.getElementById('usda-add-form').addEventListener('submit', function(e) {
+            e.preventDefault();
+            addSelectedFood(null);
+        });
+        const updateBtn = document.getElementById('usda-update');
+        if (updateBtn) {
+            updateBtn.addEventListener('click', function() {
+                addSelectedFood(this.getAttribute('data-food-id'));
+            });
+        }
+        renderPreview();
+    }
+    
+    /**
+     * Read the serving chosen for the selected food
+     * @returns {Object|null} { grams, servingSize }, or null if the weight is not valid
+     */
+    function readServing() {
+        const portionValue = document.getElementById('usda-portion').value;
+        const grams = parseFloat(document.getElementById('usda-grams').value);
+        if (!(grams > 0)) return null;
+        
+        const portion = portionValue === 'grams' ? null : selectedFood.portions[parseInt(portionValue, 10)];
+        return { grams, servingSize: portion ? portion.label : `${grams} g` };
+    }
+    
+    /**
+     * Show the nutrition of the chosen serving
+     */
+    function renderPreview() {
+        const previewEl = document.getElementById('usda-preview');
+        if (!previewEl || !selectedFood) return;
+        
+        const serving = readServing();
+        if (!serving) {
+            previewEl.textContent = 'Enter the serving weight in grams.';
+            return;
+        }
+        
+        const nutrients = scaleNutrients(selectedFood, serving.grams);
+        previewEl.textContent = `Per serving: ${nutrients.calories} kcal, ${nutrients.protein} g protein, ` +
+            `${nutrients.carbs} g carbs, ${nutrients.fat} g fat` +
+            (nutrients.fiber !== undefined ? `, ${nutrients.fiber} g fiber` : '') +
+            (nutrients.sodium !== undefined ? `, ${nutrients.sodium} mg sodium` : '');
+    }
+    
+    /**
+     * Add the selected food to the food library, or refresh the food it was imported as before
+     * @param {string|null} existingId - Food to update, or null to add a new one
+     */
+    function addSelectedFood(existingId) {
+        try {
+            const serving = readServing();
+            const name = document.getElementById('usda-name').value.trim();
+            if (!selectedFood || !serving || !name) return;
+            
+            const cost = document.getElementById('usda-cost').value;
+            const food = toFood(selectedFood, {
+                ...serving,
+                name,
+                category: document.getElementById('usda-category').value,
+                costPerServing: cost === '' ? undefined : parseFloat(cost)
+            });
+            
+            const saved = existingId ? DataStore.updateFood(existingId, food) : DataStore.addFoodToDatabase(food);
+            if (saved) {
+                UndoHistory.showToast(`${existingId ? 'Updated' : 'Added'} ${name}`);
+                selectFood(selectedFood);
+            }
+        } catch (error) {
+            ErrorHandler.handleError(
+                ErrorHandler.ERROR_CODES.FOOD_SAVE_ERROR,
+                "Failed to add USDA food",
+                error.message
+            );
+        }
+    }
+    
+    // Public API
+    return {
+        initialize,
+        showImportModal,
+        parseJson,
+        parseCsvFiles,
+        parseFiles,
+        toFood
+    };
+})();
+
+// Export for Node (see node/headless.js); in the browser the module is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsdaImporter;
+}
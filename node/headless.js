@@ -0,0 +1,157 @@
+/**
+ * Headless Household Data
+ * Runs the data store and the nutrition and cost calculations under Node, without a browser
+ *
+ * Usage: node node/headless.js <data file or backup> [YYYY-MM]
+ * Prints each family member's calorie needs, calories eaten and meal costs for the month (this month by default).
+ * A backup exported from the app is read as-is; any other path is used as a JSON data file and created if missing.
+ *
+ * From a script:
+ *   const { openHousehold } = require('./node/headless');
+ *   const household = await openHousehold({ file: 'household.json' });
+ *   household.DataStore.addExpense('2024-05-01', 'Groceries', 42);
+ *   await household.close();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Modules the data store and calculations need, by the global name the browser gives them,
+// in the order index.html loads them (later modules use earlier ones at load time)
+const MODULES = {
+    ErrorHandler: 'errorHandler',
+    Html: 'html',
+    Profiles: 'profiles',
+    Ids: 'ids',
+    Nutrients: 'nutrients',
+    Units: 'units',
+    Recipes: 'recipes',
+    Prices: 'prices',
+    Snapshots: 'snapshots',
+    Migrations: 'migrations',
+    IndexedDBStorage: 'indexedDbStorage',
+    StorageAdapters: 'storageAdapters',
+    TabChannel: 'tabChannel',
+    CryptoVault: 'cryptoVault',
+    Compression: 'compression',
+    DataStore: 'dataStore',
+    NutritionCalculator: 'nutritionCalculator',
+    BackupManager: 'backupManager',
+    UsdaImporter: 'usdaImporter'
+};
+
+/**
+ * Load the app modules and make them globals, as they are in the browser
+ * @returns {Object} The modules, by global name
+ */
+function loadModules() {
+    const modules = {};
+    Object.keys(MODULES).forEach(name => {
+        modules[name] = require(path.join(__dirname, '..', 'js', `${MODULES[name]}.js`));
+        global[name] = modules[name];
+    });
+    return modules;
+}
+
+/**
+ * Open a household's data
+ * @param {Object} options - {
+ *   file - JSON file to keep the data in (created if missing); data stays in memory when omitted
+ *   backup - backup file exported from the app to load into memory instead
+ *   adapter - any other storage adapter (see StorageAdapters)
+ *   passphrase - passphrase for encrypted data
+ * }
+ * @returns {Promise<Object>} The modules (DataStore, NutritionCalculator, ...) plus close(), which saves pending changes
+ */
+async function openHousehold(options = {}) {
+    const modules = loadModules();
+    const { DataStore, StorageAdapters, Profiles, BackupManager } = modules;
+    
+    let adapter = options.adapter;
+    if (!adapter) {
+        adapter = options.file ? StorageAdapters.createJsonFileAdapter(options.file) : StorageAdapters.createMemoryAdapter();
+    }
+    
+    const ready = await DataStore.initializeStorage({
+        adapter,
+        profileId: Profiles.DEFAULT_PROFILE_ID,
+        requestPassphrase: ({ failed }) => (failed ? null : options.passphrase || null)
+    });
+    if (!ready) {
+        throw new Error('The household data could not be opened (see the errors above)');
+    }
+    
+    if (options.backup) {
+        const result = BackupManager.validateBackup(JSON.parse(fs.readFileSync(options.backup, 'utf8')));
+        if (!result.valid) {
+            throw new Error(`The backup could not be loaded: ${result.errors.join(' ')}`);
+        }
+        if (!await DataStore.importData(result.data, 'replace')) {
+            throw new Error('The backup could not be loaded (see the errors above)');
+        }
+    }
+    
+    return {
+        ...modules,
+        close: () => DataStore.flushWrites()
+    };
+}
+
+/**
+ * Print the monthly summary for every family member
+ * @param {Object} household - Result of openHousehold()
+ * @param {string} month - Month in YYYY-MM format
+ */
+function printMonthlySummary(household, month) {
+    const { DataStore, NutritionCalculator } = household;
+    const [year, monthNumber] = month.split('-').map(Number);
+    const startDate = `${month}-01`;
+    const endDate = `${month}-${String(new Date(year, monthNumber, 0).getDate()).padStart(2, '0')}`;
+    const members = DataStore.getFamilyMembers();
+    
+    console.log(`Household summary for ${month}`);
+    members.forEach(member => {
+        const report = NutritionCalculator.generateNutritionReport('monthly', member.id, new Date(year, monthNumber - 1, 1), members);
+        const loggedDays = report.datasets.calories.consumed.filter(calories => calories > 0);
+        const averageCalories = loggedDays.length ? loggedDays.reduce((total, calories) => total + calories, 0) / loggedDays.length : 0;
+        const mealCost = DataStore.getMealCostsForDateRange(startDate, endDate, member.id).reduce((total, day) => total + day.cost, 0);
+        
+        console.log(`  ${member.name}: needs ${Math.round(NutritionCalculator.calculateDailyCalorieNeeds(member))} kcal/day, ` +
+            `ate ${Math.round(averageCalories)} kcal/day over ${loggedDays.length} logged day(s), meals cost $${mealCost.toFixed(2)}`);
+    });
+    
+    const expenses = DataStore.getExpenses()
+        .filter(expense => String(expense.date).startsWith(month))
+        .reduce((total, expense) => total + (parseFloat(expense.amount) || 0), 0);
+    console.log(`  Expenses: $${expenses.toFixed(2)} of a $${(parseFloat(DataStore.getBudget().monthly) || 0).toFixed(2)} monthly budget`);
+}
+
+module.exports = { openHousehold, loadModules };
+
+// Print a summary when started directly
+if (require.main === module) {
+    const file = process.argv[2];
+    const month = process.argv[3] || new Date().toISOString().slice(0, 7);
+    if (!file || !/^\d{4}-\d{2}$/.test(month)) {
+        console.error('Usage: node node/headless.js <data file or backup> [YYYY-MM]');
+        process.exit(1);
+    }
+    
+    // Backups are recognised by their format marker; anything else is a data file
+    let isBackup = false;
+    try {
+        isBackup = JSON.parse(fs.readFileSync(file, 'utf8')).format === 'family-meal-tracker-backup';
+    } catch (error) {
+        // A missing or unreadable file is opened as a data file, which reports the problem
+    }
+    
+    openHousehold(isBackup ? { backup: file } : { file, passphrase: process.env.HOUSEHOLD_PASSPHRASE })
+        .then(async household => {
+            printMonthlySummary(household, month);
+            await household.close();
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
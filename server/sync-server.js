@@ -0,0 +1,234 @@
+/**
+ * Reference Sync Server
+ * A small self-hostable REST endpoint for SyncClient, with no dependencies beyond Node itself
+ *
+ * Usage: node server/sync-server.js [port] [data file]
+ * Environment: SYNC_PORT, SYNC_DATA_FILE, SYNC_TOKEN (when set, clients must send it as a bearer token)
+ *
+ * GET  /changes?since=N&limit=M  -> { changes: [...], revision, more }
+ * POST /changes  { changes: [...] } -> { results: [{ status: 'applied', rev } | { status: 'conflict', current }] }
+ *
+ * Every record carries a revision number from a single counter. A change is only applied if its baseRev
+ * matches the stored revision; otherwise the server answers with its current copy and the client decides
+ * which version wins.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Upper bound on changes returned by a single pull
+const MAX_PULL = 500;
+
+// Refuse request bodies larger than this
+const MAX_BODY = 10 * 1024 * 1024;
+
+/**
+ * Create an empty record store
+ * @returns {Object} { revision, records } where records are keyed by `${collection}/${key}`
+ */
+function createStore() {
+    return { revision: 0, records: {} };
+}
+
+/**
+ * Get the changes made after a revision
+ * @param {Object} store - Record store
+ * @param {number} since - Last revision the client has seen
+ * @param {number} limit - Maximum number of changes to return
+ * @returns {Object} { changes, revision, more } - revision is the one to pull from next time
+ */
+function pullChanges(store, since, limit = MAX_PULL) {
+    const newer = Object.values(store.records)
+        .filter(record => record.rev > since)
+        .sort((a, b) => a.rev - b.rev);
+    const changes = newer.slice(0, Math.min(limit, MAX_PULL));
+    const more = newer.length > changes.length;
+    
+    return {
+        changes,
+        revision: more ? changes[changes.length - 1].rev : store.revision,
+        more
+    };
+}
+
+/**
+ * Apply a batch of changes
+ * @param {Object} store - Record store (modified in place)
+ * @param {Array} changes - { collection, key, value, deleted, baseRev, updatedAt, deviceId, schemaVersion }
+ * @returns {Array} One result per change, in order
+ */
+function pushChanges(store, changes) {
+    return changes.map(change => {
+        const id = `${change.collection}/${change.key}`;
+        const current = store.records[id];
+        
+        // Someone else wrote the record since this client last saw it
+        if ((current ? current.rev : 0) !== (change.baseRev || 0)) {
+            return { status: 'conflict', current: current || null };
+        }
+        
+        store.revision++;
+        store.records[id] = {
+            collection: change.collection,
+            key: String(change.key),
+            value: change.deleted ? null : change.value,
+            deleted: Boolean(change.deleted),
+            rev: store.revision,
+            updatedAt: change.updatedAt,
+            deviceId: change.deviceId,
+            // Lets clients upgrade records written by older versions of the app
+            schemaVersion: change.schemaVersion
+        };
+        return { status: 'applied', rev: store.revision };
+    });
+}
+
+/**
+ * Check that a pushed change has the fields the store relies on
+ * @param {Object} change - Change from a client
+ * @returns {boolean} True if the change can be stored
+ */
+function isValidChange(change) {
+    return Boolean(change) &&
+        typeof change.collection === 'string' &&
+        (typeof change.key === 'string' || typeof change.key === 'number') &&
+        typeof change.updatedAt === 'string';
+}
+
+/**
+ * Load the store from disk, or start empty
+ * @param {string} file - Path of the JSON data file
+ * @returns {Object} Record store
+ */
+function loadStore(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return createStore();
+    }
+}
+
+/**
+ * Save the store to disk, replacing the file in one step so a crash can't leave it half written
+ * @param {string} file - Path of the JSON data file
+ * @param {Object} store - Record store
+ */
+function saveStore(file, store) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(store));
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Send a JSON response (with CORS headers, since the app is usually served from another origin)
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            text += chunk;
+            if (text.length > MAX_BODY) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(text || '{}'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - { file, token } - file may be omitted to keep everything in memory
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer(options = {}) {
+    const store = options.file ? loadStore(options.file) : createStore();
+    
+    return http.createServer(async (request, response) => {
+        try {
+            if (request.method === 'OPTIONS') {
+                sendJson(response, 204);
+                return;
+            }
+            
+            if (options.token && request.headers.authorization !== `Bearer ${options.token}`) {
+                sendJson(response, 401, { error: 'Unauthorized' });
+                return;
+            }
+            
+            const url = new URL(request.url, 'http://localhost');
+            if (url.pathname !== '/changes') {
+                sendJson(response, 404, { error: 'Not found' });
+                return;
+            }
+            
+            if (request.method === 'GET') {
+                const since = parseInt(url.searchParams.get('since'), 10) || 0;
+                const limit = parseInt(url.searchParams.get('limit'), 10) || MAX_PULL;
+                sendJson(response, 200, pullChanges(store, since, limit));
+                return;
+            }
+            
+            if (request.method === 'POST') {
+                const body = await readBody(request);
+                if (!Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+                    sendJson(response, 400, { error: 'Expected { changes: [...] }' });
+                    return;
+                }
+                
+                const results = pushChanges(store, body.changes);
+                if (options.file && results.some(result => result.status === 'applied')) {
+                    saveStore(options.file, store);
+                }
+                sendJson(response, 200, { results });
+                return;
+            }
+            
+            sendJson(response, 405, { error: 'Method not allowed' });
+        } catch (error) {
+            sendJson(response, 400, { error: error.message });
+        }
+    });
+}
+
+module.exports = { createStore, pullChanges, pushChanges, createServer };
+
+// Run as a standalone server when started directly
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.SYNC_PORT, 10) || 8787;
+    const file = path.resolve(process.argv[3] || process.env.SYNC_DATA_FILE || 'sync-data.json');
+    
+    createServer({ file, token: process.env.SYNC_TOKEN }).listen(port, () => {
+        console.log(`Sync server listening on http://localhost:${port} (data in ${file})`);
+    });
+}
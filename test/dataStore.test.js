@@ -0,0 +1,46 @@
+/**
+ * Tests for importing backups into the data store (js/dataStore.js)
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openHousehold } = require('../node/headless');
+
+test('merging a backup combines days item by item and previews the items it overwrites', async () => {
+    const household = await openHousehold();
+    const { DataStore } = household;
+    
+    try {
+        const memberId = DataStore.addFamilyMember('Ann', 34, 60, 165, 'MODERATE').id;
+        const foodId = DataStore.getFoodDatabase()[0].id;
+        const item = (id, servings, timestamp) => ({ id, foodId, servings, notes: '', status: 'consumed', timestamp });
+        const key = `2024-05-01_${memberId}`;
+        
+        // Held: two breakfast items and a lunch item
+        DataStore.saveMeals('2024-05-01', memberId, {
+            breakfast: [item('a', 1, 1), item('b', 1, 2)],
+            lunch: [item('c', 1, 3)],
+            dinner: [],
+            snacks: []
+        });
+        
+        // The backup has the same day with its own copy of item b and a new item d
+        const backup = DataStore.exportData();
+        backup.meals[key] = { breakfast: [item('b', 3, 2), item('d', 1, 4)] };
+        
+        const preview = DataStore.previewImport(backup, 'merge');
+        assert.strictEqual(preview.meals.updated, 1);
+        assert.strictEqual(preview.meals.itemsOverwritten, 1);
+        assert.strictEqual(preview.meals.itemsRemoved, 0);
+        assert.strictEqual(DataStore.previewImport(backup, 'replace').meals.itemsRemoved, 2);
+        
+        assert.strictEqual(await DataStore.importData(backup, 'merge'), true);
+        const day = DataStore.getMeals('2024-05-01', memberId);
+        assert.deepStrictEqual(day.breakfast.map(entry => [entry.id, entry.servings]), [['a', 1], ['b', 3], ['d', 1]]);
+        assert.deepStrictEqual(day.lunch.map(entry => entry.id), ['c'], 'meal types the backup leaves out are kept');
+    } finally {
+        await household.close();
+    }
+});
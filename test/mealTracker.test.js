@@ -0,0 +1,67 @@
+/**
+ * Rendering of the day's meal list (js/mealTracker.js)
+ * The list is rendered into stand-in elements that keep the HTML they are given
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openHousehold } = require('../node/headless');
+
+// Just enough of the DOM for renderMeals: meal containers by id, and elements that keep their HTML
+function createElement() {
+    return {
+        innerHTML: '',
+        children: [],
+        appendChild(child) {
+            this.children.push(child);
+        },
+        querySelector: () => null
+    };
+}
+
+test('an item whose food was deleted is listed from its snapshot with only a delete button', async () => {
+    const household = await openHousehold();
+    const { DataStore } = household;
+    
+    const containers = {};
+    global.document = {
+        getElementById: id => (/-items$/.test(id) ? (containers[id] = containers[id] || createElement()) : null),
+        createElement
+    };
+    const MealTracker = require('../js/mealTracker.js');
+    
+    try {
+        const memberId = DataStore.addFamilyMember('Ann', 34, 60, 165, 'MODERATE').id;
+        const today = new Date().toISOString().split('T')[0];
+        
+        // A food deleted on another device leaves its logged items behind, with the values they were logged with
+        DataStore.saveMeals(today, memberId, {
+            breakfast: [{
+                id: 'item-1',
+                foodId: 'deleted-food',
+                servings: 2,
+                notes: '<b>left over</b>',
+                status: 'consumed',
+                snapshot: { foodId: 'deleted-food', calories: 150, protein: 5, carbs: 20, fat: 3 }
+            }],
+            lunch: [],
+            dinner: [],
+            snacks: []
+        });
+        MealTracker.changeFamilyMember(memberId);
+        
+        const [itemEl] = containers['breakfast-items'].children;
+        assert.ok(itemEl, 'the item is listed');
+        assert.match(itemEl.innerHTML, /\(deleted food\)/);
+        assert.match(itemEl.innerHTML, /Serving: 2 × serving/);
+        assert.doesNotMatch(itemEl.innerHTML, /undefined/);
+        assert.match(itemEl.innerHTML, /300 cal/);
+        assert.match(itemEl.innerHTML, /&lt;b&gt;left over&lt;\/b&gt;/);
+        assert.match(itemEl.innerHTML, /delete-meal/);
+        assert.doesNotMatch(itemEl.innerHTML, /edit-meal/);
+    } finally {
+        await household.close();
+    }
+});
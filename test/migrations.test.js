@@ -0,0 +1,165 @@
+/**
+ * Tests for the schema migration steps (js/migrations.js)
+ * Each step is run on its own, then the whole list through runMigrations
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('../node/headless');
+
+const { Migrations, Ids } = loadModules();
+
+// Get the migrate function of a step by its version
+function step(version) {
+    return Migrations.STEPS.find(item => item.version === version).migrate;
+}
+
+test('steps are numbered in order up to the current version', () => {
+    const versions = Migrations.STEPS.map(item => item.version);
+    assert.deepStrictEqual(versions, versions.slice().sort((a, b) => a - b));
+    assert.strictEqual(Migrations.CURRENT_VERSION, versions[versions.length - 1]);
+    assert.strictEqual(Migrations.needsMigration(0), true);
+    assert.strictEqual(Migrations.needsMigration(Migrations.CURRENT_VERSION), false);
+});
+
+test('version 1 normalizes meal items, family members and expenses', () => {
+    const data = step(1)({
+        meals: { '2024-05-01_1': { breakfast: [{ foodId: 3, servings: '2' }, { servings: 1 }], lunch: null } },
+        mealPlans: { '2024-05-02_1': { dinner: [{ foodId: '4', servings: '0', notes: 7, status: 'bogus' }] } },
+        familyMembers: [{ id: 1, name: 'Ann', age: '34', weight: '60', height: 'tall' }],
+        expenses: [{ id: 2, amount: '12.50' }]
+    });
+    
+    assert.deepStrictEqual(data.meals['2024-05-01_1'], {
+        breakfast: [{ foodId: '3', servings: 2, notes: '', status: 'consumed' }],
+        lunch: [],
+        dinner: [],
+        snacks: []
+    });
+    assert.deepStrictEqual(data.mealPlans['2024-05-02_1'].dinner, [{ foodId: '4', servings: 1, notes: '', status: 'planned' }]);
+    assert.deepStrictEqual(data.familyMembers[0], {
+        id: 1, name: 'Ann', age: 34, weight: 60, height: 'tall', weightUnit: 'kg', heightUnit: 'cm', activityLevel: 'MODERATE'
+    });
+    assert.strictEqual(data.expenses[0].amount, 12.5);
+});
+
+test('version 2 replaces ids with UUIDs and rewrites the references to them', () => {
+    const uuid = 'A1B2C3D4-E5F6-4789-8ABC-DEF012345678';
+    const input = {
+        foodDatabase: [{ id: 1, name: 'Oatmeal' }, { id: uuid, name: 'Toast' }],
+        familyMembers: [{ id: 1700000000000, name: 'Ann' }],
+        expenses: [{ id: 5, amount: 3 }],
+        meals: { '2024-05-01_1700000000000': { breakfast: [{ foodId: '1', timestamp: 10 }, { foodId: '1', timestamp: 10 }] } }
+    };
+    const data = step(2)(input);
+    
+    const [oatmeal, toast] = data.foodDatabase;
+    const member = data.familyMembers[0];
+    assert.ok(Ids.isUuid(oatmeal.id) && Ids.isUuid(member.id) && Ids.isUuid(data.expenses[0].id));
+    assert.strictEqual(toast.id, uuid.toLowerCase());
+    
+    const day = data.meals[`2024-05-01_${member.id}`];
+    assert.ok(day, 'the day is re-keyed by the member\'s new id');
+    assert.deepStrictEqual(day.breakfast.map(item => item.foodId), [oatmeal.id, oatmeal.id]);
+    assert.notStrictEqual(day.breakfast[0].id, day.breakfast[1].id, 'items logged in the same millisecond get their own ids');
+    
+    // Every copy of the same data upgrades to the same ids
+    assert.deepStrictEqual(step(2)(input), data);
+});
+
+test('version 3 reads serving weights from the serving size text', () => {
+    const data = step(3)({
+        foodDatabase: [
+            { id: 'a', servingSize: '100 g' },
+            { id: 'b', servingSize: '1 cup' },
+            { id: 'c', servingSize: '1 slice' },
+            { id: 'd', servingSize: '2 oz', servingGrams: 50 },
+            { id: 'e', servingSize: '1 cup (240 g)' },
+            { id: 'f', servingSize: '1 1/2 kg' }
+        ]
+    });
+    
+    assert.strictEqual(data.foodDatabase[0].servingGrams, 100);
+    assert.ok(data.foodDatabase[1].servingMl > 0);
+    assert.strictEqual(data.foodDatabase[2].servingGrams, undefined);
+    assert.strictEqual(data.foodDatabase[2].servingMl, undefined);
+    assert.strictEqual(data.foodDatabase[3].servingGrams, 50, 'a weight already set is kept');
+    assert.strictEqual(data.foodDatabase[4].servingGrams, 240, 'a weight wins over a volume');
+    assert.strictEqual(data.foodDatabase[5].servingGrams, 1500);
+    assert.deepStrictEqual(step(3)({ meals: {} }), { meals: {} });
+});
+
+test('version 4 starts a price history for foods with a cost', () => {
+    const today = new Date().toISOString().split('T')[0];
+    const history = [{ date: '2024-01-01', costPerServing: 1 }];
+    const data = step(4)({
+        foodDatabase: [
+            { id: 'a', costPerServing: '0.35' },
+            { id: 'b' },
+            { id: 'c', costPerServing: 2, prices: history },
+            { id: 'd', costPerServing: 1, recipe: { yield: 1, ingredients: [] } }
+        ]
+    });
+    
+    assert.deepStrictEqual(data.foodDatabase[0].prices, [{ date: today, costPerServing: 0.35 }]);
+    assert.strictEqual(data.foodDatabase[1].prices, undefined);
+    assert.strictEqual(data.foodDatabase[2].prices, history);
+    assert.strictEqual(data.foodDatabase[3].prices, undefined, 'recipes are costed from their ingredients');
+});
+
+test('version 5 snapshots the food values of logged meals only', () => {
+    const food = { id: 'f', name: 'Oatmeal', calories: 150, protein: 5, carbs: 27, fat: 3, servingGrams: 40, costPerServing: 0.5 };
+    const kept = { foodId: 'f', calories: 1 };
+    const data = step(5)({
+        foodDatabase: [food],
+        meals: { '2024-05-01_m': { breakfast: [{ foodId: 'f', servings: 1 }, { foodId: 'gone', servings: 1 }, { foodId: 'f', snapshot: kept }] } },
+        mealPlans: { '2024-05-02_m': { breakfast: [{ foodId: 'f', servings: 1 }] } }
+    });
+    
+    const [logged, deleted, alreadySnapshotted] = data.meals['2024-05-01_m'].breakfast;
+    assert.deepStrictEqual(logged.snapshot, {
+        foodId: 'f', calories: 150, protein: 5, carbs: 27, fat: 3, servingGrams: 40, costPerServing: 0.5
+    });
+    assert.strictEqual(deleted.snapshot, undefined, 'items whose food is gone are left alone');
+    assert.strictEqual(alreadySnapshotted.snapshot, kept);
+    assert.strictEqual(data.mealPlans['2024-05-02_m'].breakfast[0].snapshot, undefined, 'planned meals stay live');
+});
+
+test('version 5 keeps the snapshot fields and recipe costing it shipped with', () => {
+    const flour = { id: 'flour', servingGrams: 30, measures: { cup: 120 }, prices: [{ date: '2024-01-01', costPerServing: 0.1 }] };
+    const bread = {
+        id: 'bread', calories: 200, vitaminD: 2, sugar: 3,
+        recipe: { yield: 4, ingredients: [{ foodId: 'flour', amount: 2, unit: 'cup', servings: 1 }] }
+    };
+    const data = step(5)({
+        foodDatabase: [flour, bread],
+        meals: { '2024-05-01_m': { lunch: [{ foodId: 'bread', servings: 1 }] } }
+    });
+    
+    // Nutrients added to the registry after version 5 shipped are not part of its snapshots
+    const snapshot = data.meals['2024-05-01_m'].lunch[0].snapshot;
+    assert.deepStrictEqual(snapshot, { foodId: 'bread', calories: 200, costPerServing: 0.2 });
+});
+
+test('runMigrations runs the newer steps in order on a copy of the data', () => {
+    const input = { foodDatabase: [{ id: 1, servingSize: '100 g', costPerServing: 1 }], meals: {}, mealPlans: {} };
+    const original = JSON.parse(JSON.stringify(input));
+    const result = Migrations.runMigrations(input, 0);
+    
+    assert.deepStrictEqual(input, original, 'the input is not modified');
+    assert.strictEqual(result.version, Migrations.CURRENT_VERSION);
+    assert.deepStrictEqual(result.applied, Migrations.STEPS.map(item => item.description));
+    assert.strictEqual(result.data.foodDatabase[0].servingGrams, 100);
+    
+    assert.deepStrictEqual(Migrations.runMigrations(input, Migrations.CURRENT_VERSION).applied, []);
+});
+
+test('runMigrations reports which step failed', () => {
+    const steps = [
+        { version: 1, description: 'First', migrate: data => ({ ...data, first: true }) },
+        { version: 2, description: 'Broken', migrate: () => { throw new Error('boom'); } }
+    ];
+    assert.throws(() => Migrations.runMigrations({}, 0, steps), error => error.version === 2 && /Broken.*boom/.test(error.message));
+});
@@ -0,0 +1,135 @@
+/**
+ * Round trip of the sync client (js/syncClient.js) against the in-memory transport
+ * One household is opened with the headless data store; a second transport sharing the server store
+ * plays another device
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openHousehold } = require('../node/headless');
+
+// Web Storage kept in memory: the sync state lives in localStorage, the active household in sessionStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+global.localStorage = createStorage();
+global.sessionStorage = createStorage();
+
+// Another device editing a record on the server, against the latest revision it has
+async function pushFromOtherDevice(transport, collection, key, value, updatedAt) {
+    const current = transport.store.records[`${collection}/${key}`];
+    const response = await transport.push([{
+        collection,
+        key,
+        value,
+        deleted: false,
+        baseRev: current ? current.rev : 0,
+        updatedAt,
+        deviceId: 'other-device',
+        schemaVersion: transport.schemaVersion
+    }]);
+    assert.strictEqual(response.results[0].status, 'applied');
+}
+
+test('sync pushes local edits, pulls remote ones and keeps the losing side of a conflict', async () => {
+    const household = await openHousehold();
+    const { DataStore, Migrations } = household;
+    
+    // The client only needs these browser globals once the data store is open
+    global.document = { getElementById: () => null };
+    global.window = { addEventListener: () => {} };
+    global.UndoHistory = { showToast: () => {} };
+    const SyncClient = require('../js/syncClient.js');
+    
+    const transport = SyncClient.createMemoryTransport();
+    const otherDevice = SyncClient.createMemoryTransport(transport.store);
+    otherDevice.schemaVersion = Migrations.CURRENT_VERSION;
+    SyncClient.initialize();
+    SyncClient.setTransport(transport);
+    
+    try {
+        const memberId = DataStore.addFamilyMember('Ann', 34, 60, 165, 'MODERATE').id;
+        const foodId = DataStore.getFoodDatabase()[0].id;
+        const day = (servings, status = 'consumed') => ({
+            breakfast: [{ id: `item-${servings}`, foodId, servings, notes: '', status }],
+            lunch: [],
+            dinner: [],
+            snacks: []
+        });
+        
+        // Turning sync on uploads every record
+        assert.strictEqual(await SyncClient.enableSync('memory://server'), true);
+        assert.ok(transport.store.records[`familyMembers/${memberId}`]);
+        assert.strictEqual(SyncClient.getStatus().pending, 0);
+        
+        // Push: a local edit reaches the server
+        const pushedKey = `2024-05-01_${memberId}`;
+        DataStore.saveMeals('2024-05-01', memberId, day(2));
+        assert.strictEqual(SyncClient.getStatus().pending, 1);
+        assert.strictEqual(await SyncClient.syncNow(), true);
+        assert.strictEqual(transport.store.records[`meals/${pushedKey}`].value.breakfast[0].servings, 2);
+        assert.strictEqual(SyncClient.getStatus().pending, 0);
+        
+        // Pull: an edit made on the other device arrives here
+        const pulledKey = `2024-05-02_${memberId}`;
+        await pushFromOtherDevice(otherDevice, 'meals', pulledKey, day(3), new Date().toISOString());
+        assert.strictEqual(await SyncClient.syncNow(), true);
+        assert.strictEqual(DataStore.getMeals('2024-05-02', memberId).breakfast[0].servings, 3);
+        
+        // Conflict: both devices edit the same day; the later edit (ours) wins and theirs is kept for review
+        DataStore.saveMeals('2024-05-01', memberId, day(4));
+        await pushFromOtherDevice(otherDevice, 'meals', pushedKey, day(5), new Date(0).toISOString());
+        assert.strictEqual(await SyncClient.syncNow(), true);
+        
+        const conflicts = SyncClient.getConflicts();
+        assert.strictEqual(conflicts.length, 1);
+        assert.strictEqual(conflicts[0].key, pushedKey);
+        assert.strictEqual(conflicts[0].kept, 'mine');
+        assert.strictEqual(conflicts[0].theirs.breakfast[0].servings, 5);
+        assert.strictEqual(DataStore.getMeals('2024-05-01', memberId).breakfast[0].servings, 4);
+        assert.strictEqual(transport.store.records[`meals/${pushedKey}`].value.breakfast[0].servings, 4);
+        
+        // Choosing their version writes it back and sends it to the server
+        assert.strictEqual(SyncClient.resolveConflict(0, 'theirs'), true);
+        assert.strictEqual(SyncClient.getConflicts().length, 0);
+        assert.strictEqual(await SyncClient.syncNow(), true);
+        assert.strictEqual(DataStore.getMeals('2024-05-01', memberId).breakfast[0].servings, 5);
+        assert.strictEqual(transport.store.records[`meals/${pushedKey}`].value.breakfast[0].servings, 5);
+        
+        // A long queue goes out in several batches within one sync
+        for (let index = 0; index < 650; index++) {
+            DataStore.addExpense('2024-05-03', `Item ${index}`, 1);
+        }
+        assert.strictEqual(SyncClient.getStatus().pending, 650);
+        assert.strictEqual(await SyncClient.syncNow(), true);
+        assert.strictEqual(SyncClient.getStatus().pending, 0);
+        assert.strictEqual(Object.keys(transport.store.records).filter(id => id.startsWith('expenses/')).length, 650);
+        
+        // Archiving moves records without changing them, so nothing is sent
+        const memberUpdatedAt = transport.store.records[`familyMembers/${memberId}`].updatedAt;
+        assert.ok(await DataStore.archiveBefore(2025) > 0);
+        assert.strictEqual(SyncClient.getStatus().pending, 0);
+        
+        // A replacing import sends only what it changed: here the deleted expenses, and the archived days it left out
+        const backup = DataStore.exportData();
+        backup.expenses = [];
+        backup.meals = {};
+        assert.strictEqual(await DataStore.importData(backup, 'replace'), true);
+        assert.strictEqual(await SyncClient.syncNow(), true);
+        const serverRecords = Object.values(transport.store.records);
+        assert.ok(serverRecords.filter(record => record.collection === 'expenses').every(record => record.deleted));
+        assert.ok(serverRecords.filter(record => record.collection === 'meals').every(record => record.deleted));
+        assert.strictEqual(transport.store.records[`familyMembers/${memberId}`].updatedAt, memberUpdatedAt, 'untouched records keep their time');
+    } finally {
+        // Stop the sync timers so the test run can end
+        SyncClient.disableSync();
+        await household.close();
+    }
+});